@@ -0,0 +1,23 @@
+/**
+ * .mocharc.js
+ * Shared Mocha configuration for every npm test script
+ *
+ * Root hook plugins listed here run around every spec (API and UI)
+ */
+
+module.exports = {
+    require: [
+        // Effective configuration (TEST_PROFILE, URLs, accounts) before anything else runs
+        './test/config/banner.hooks.js',
+        // Listed before the mock server so its afterAll deletes test data before the mock stops
+        './test/api/hooks/cleanup.hooks.js',
+        './test/api/hooks/mockServer.hooks.js',
+        // After the mock server: parallel workers register their accounts through the API
+        './test/ui/hooks/worker.hooks.js',
+        // Captures failed UI tests while their driver is still held by the pool
+        './test/ui/hooks/failure.hooks.js',
+        './test/api/hooks/contract.hooks.js',
+        './test/api/hooks/latency.hooks.js',
+        './test/api/hooks/cassette.hooks.js'
+    ]
+};
@@ -0,0 +1,76 @@
+/**
+ * AdminUserApi.js
+ * Domain client for user management by admins (/users)
+ *
+ * Usage:
+ *   const users = await AdminUserApi.as('admin');
+ *   const target = await users.findByEmail('testuser@gmail.com');
+ *   await users.ban(target.id, 'Vi phạm chính sách sử dụng');
+ */
+
+const BaseApi = require('./BaseApi');
+
+const { path } = BaseApi;
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} email
+ * @property {string|null} [fullName]
+ * @property {string|null} [phoneNumber]
+ * @property {'ADMIN'|'VENDOR'|'CLIENT'} [role]
+ * @property {boolean} [active]
+ */
+
+class AdminUserApi extends BaseApi {
+    /**
+     * Search users by email or name
+     * @param {string} [query] - Text to look for; all users when omitted
+     * @returns {Promise<User[]>}
+     */
+    async search(query) {
+        const result = await this.request('get', '/users', { params: query ? { search: query } : {} });
+        return Array.isArray(result) ? result : (result && result.content) || [];
+    }
+
+    /**
+     * Find a user by exact email (case insensitive)
+     * @param {string} email
+     * @returns {Promise<User|null>}
+     */
+    async findByEmail(email) {
+        const normalized = email.toLowerCase();
+        const users = await this.search(email);
+        return users.find(user => user.email.toLowerCase() === normalized) || null;
+    }
+
+    /**
+     * Ban a user
+     * @param {string} userId
+     * @param {string} reason - Shown to the user
+     * @returns {Promise<User>}
+     */
+    ban(userId, reason) {
+        return this.request('put', path`/users/${userId}/ban`, { data: { reason } });
+    }
+
+    /**
+     * Lift a ban
+     * @param {string} userId
+     * @returns {Promise<User>}
+     */
+    unban(userId) {
+        return this.request('put', path`/users/${userId}/unban`);
+    }
+
+    /**
+     * Delete a user account
+     * @param {string} userId
+     * @returns {Promise<null>}
+     */
+    delete(userId) {
+        return this.request('delete', path`/users/${userId}`);
+    }
+}
+
+module.exports = AdminUserApi;
@@ -0,0 +1,25 @@
+/**
+ * ApiError.js
+ * Error thrown by the domain API clients for an error response
+ *
+ * Keeps the Axios response, so expectError(error, 'UNAUTHORIZED') works
+ * the same as with a raw Axios error.
+ */
+
+class ApiError extends Error {
+    /**
+     * @param {string} request - 'METHOD /path'
+     * @param {Object} response - Axios response
+     */
+    constructor(request, response) {
+        const body = response.data || {};
+        super(`${request} -> ${response.status}: ${body.message || 'no message'}${body.code !== undefined ? ` (code ${body.code})` : ''}`);
+        this.name = 'ApiError';
+        this.status = response.status;
+        this.code = body.code;
+        this.apiMessage = body.message;
+        this.response = response;
+    }
+}
+
+module.exports = ApiError;
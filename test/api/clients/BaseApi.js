@@ -0,0 +1,101 @@
+/**
+ * BaseApi.js
+ * Base class for all domain API clients
+ *
+ * Wraps an Axios instance (the shared apiClient or a role session from
+ * createSession) and unwraps the Cellex { code, message, result } envelope:
+ * methods resolve with `result`, failures are thrown as ApiError, which
+ * still carries the response so expectError() can check it.
+ */
+
+const { apiClient, createSession } = require('../helpers/apiClient');
+const { multipartRequest } = require('../helpers/formData');
+const ApiError = require('./ApiError');
+
+// `code` of a successful envelope
+const SUCCESS_CODE = 1000;
+
+class BaseApi {
+    /**
+     * @param {import('axios').AxiosInstance} [client] - Instance to send requests with (default apiClient)
+     */
+    constructor(client = apiClient) {
+        this.client = client;
+    }
+
+    /**
+     * Create a client logged in as a role
+     * @param {string} role - 'admin' | 'vendor' | 'vendor2' | 'client' | 'testUser'
+     * @returns {Promise<BaseApi>} - Instance of the subclass it is called on
+     */
+    static async as(role) {
+        return new this(await createSession(role));
+    }
+
+    /**
+     * Send a request and unwrap the envelope
+     * @param {string} method - HTTP method
+     * @param {string} url - Endpoint
+     * @param {Object} [options]
+     * @param {Object} [options.data] - Request body
+     * @param {Object} [options.params] - Query parameters
+     * @param {Object} [options.headers] - Extra headers
+     * @returns {Promise<*>} - `result` of the envelope
+     * @throws {ApiError}
+     */
+    async request(method, url, { data, params, headers } = {}) {
+        const label = `${method.toUpperCase()} ${url}`;
+
+        let response;
+        try {
+            response = await this.client.request({ method, url, data, params, headers });
+        } catch (error) {
+            if (error.response) throw new ApiError(label, error.response);
+            throw error;
+        }
+
+        return this.unwrap(label, response);
+    }
+
+    /**
+     * Take `result` out of a successful envelope
+     * Bodies without an envelope are returned as they are
+     * @param {string} label - 'METHOD /path'
+     * @param {Object} response - Axios response
+     * @returns {*}
+     * @throws {ApiError} - When the envelope carries an error code
+     */
+    unwrap(label, response) {
+        const body = response.data;
+        if (!body || typeof body !== 'object' || !('code' in body)) return body;
+
+        if (body.code !== SUCCESS_CODE) throw new ApiError(label, response);
+        return body.result ?? null;
+    }
+
+    /**
+     * Send a multipart request and unwrap the envelope
+     * @param {string} method - HTTP method
+     * @param {string} url - Endpoint
+     * @param {Object} payload - Field values (see helpers/formData.js)
+     * @param {string[]} [fileFields] - Fields whose strings are file paths
+     * @returns {Promise<*>}
+     */
+    multipart(method, url, payload, fileFields = []) {
+        const { data, headers } = multipartRequest(payload, { fileFields });
+        return this.request(method, url, { data, headers });
+    }
+
+    /**
+     * Build an endpoint from a template, encoding each value
+     * @param {TemplateStringsArray} strings
+     * @param {...*} values
+     * @returns {string}
+     */
+    static path(strings, ...values) {
+        return strings.reduce((url, part, index) =>
+            url + part + (index < values.length ? encodeURIComponent(values[index]) : ''), '');
+    }
+}
+
+module.exports = BaseApi;
@@ -0,0 +1,68 @@
+/**
+ * CartApi.js
+ * Domain client for the cart of the logged-in client (/cart)
+ *
+ * Usage:
+ *   const cart = await CartApi.as('client');
+ *   await cart.add(productId, 2);
+ */
+
+const BaseApi = require('./BaseApi');
+
+const { path } = BaseApi;
+
+/**
+ * @typedef {Object} CartItem
+ * @property {string} productId
+ * @property {string} [productName]
+ * @property {number} [price]
+ * @property {number} quantity
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {CartItem[]} items
+ * @property {number} [totalItems]
+ * @property {number} [totalPrice]
+ */
+
+class CartApi extends BaseApi {
+    /**
+     * Get the cart
+     * @returns {Promise<Cart>}
+     */
+    get() {
+        return this.request('get', '/cart');
+    }
+
+    /**
+     * Add a product, or add to its quantity when it is already in the cart
+     * @param {string} productId
+     * @param {number} [quantity=1]
+     * @returns {Promise<Cart>}
+     */
+    add(productId, quantity = 1) {
+        return this.request('post', '/cart/items', { data: { productId, quantity } });
+    }
+
+    /**
+     * Set the quantity of a product in the cart
+     * @param {string} productId
+     * @param {number} quantity
+     * @returns {Promise<Cart>}
+     */
+    update(productId, quantity) {
+        return this.request('put', path`/cart/items/${productId}`, { data: { quantity } });
+    }
+
+    /**
+     * Remove a product from the cart
+     * @param {string} productId
+     * @returns {Promise<Cart>}
+     */
+    remove(productId) {
+        return this.request('delete', path`/cart/items/${productId}`);
+    }
+}
+
+module.exports = CartApi;
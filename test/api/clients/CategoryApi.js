@@ -0,0 +1,51 @@
+/**
+ * CategoryApi.js
+ * Domain client for product categories (/categories)
+ *
+ * Listing is public; create and delete need an admin session.
+ *
+ * Usage:
+ *   const categories = await CategoryApi.as('admin');
+ *   const category = await categories.create({ name: 'Điện thoại' });
+ */
+
+const BaseApi = require('./BaseApi');
+
+const { path } = BaseApi;
+
+/**
+ * @typedef {Object} Category
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} [description]
+ */
+
+class CategoryApi extends BaseApi {
+    /**
+     * List categories
+     * @returns {Promise<Category[]>}
+     */
+    list() {
+        return this.request('get', '/categories');
+    }
+
+    /**
+     * Create a category
+     * @param {{name: string, description?: string}} category
+     * @returns {Promise<Category>}
+     */
+    create(category) {
+        return this.request('post', '/categories', { data: category });
+    }
+
+    /**
+     * Delete a category
+     * @param {string} categoryId
+     * @returns {Promise<null>}
+     */
+    delete(categoryId) {
+        return this.request('delete', path`/categories/${categoryId}`);
+    }
+}
+
+module.exports = CategoryApi;
@@ -0,0 +1,62 @@
+/**
+ * ChatApi.js
+ * Domain client for chat conversations of the logged-in user (/chat)
+ *
+ * Usage:
+ *   const chat = await ChatApi.as('admin');
+ *   const [conversation] = await chat.conversations();
+ *   await chat.send(conversation.id, 'Cảm ơn bạn đã liên hệ');
+ */
+
+const BaseApi = require('./BaseApi');
+
+const { path } = BaseApi;
+
+/**
+ * @typedef {Object} Conversation
+ * @property {string} id
+ * @property {string} participantId - The other user
+ * @property {string|null} [participantName]
+ * @property {string|null} [lastMessage]
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {string} id
+ * @property {string} conversationId
+ * @property {string} senderId
+ * @property {string} content
+ * @property {string} [createdAt]
+ */
+
+class ChatApi extends BaseApi {
+    /**
+     * Conversations of the current user, most recent first
+     * @returns {Promise<Conversation[]>}
+     */
+    conversations() {
+        return this.request('get', '/chat/conversations');
+    }
+
+    /**
+     * Messages of a conversation, oldest first
+     * @param {string} conversationId
+     * @returns {Promise<ChatMessage[]>}
+     */
+    messages(conversationId) {
+        return this.request('get', path`/chat/conversations/${conversationId}/messages`);
+    }
+
+    /**
+     * Send a message
+     * @param {string} conversationId
+     * @param {string} content
+     * @returns {Promise<ChatMessage>}
+     */
+    send(conversationId, content) {
+        return this.request('post', path`/chat/conversations/${conversationId}/messages`, { data: { content } });
+    }
+}
+
+module.exports = ChatApi;
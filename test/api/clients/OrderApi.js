@@ -0,0 +1,65 @@
+/**
+ * OrderApi.js
+ * Domain client for orders (/orders)
+ *
+ * Checkout turns the current cart of the logged-in client into an order,
+ * as the "Xác nhận & Thanh toán" button on the checkout page does.
+ *
+ * Usage:
+ *   const orders = await OrderApi.as('client');
+ *   const order = await orders.checkout({ paymentMethod: 'COD' });
+ *   await orders.cancel(order.id);
+ */
+
+const BaseApi = require('./BaseApi');
+
+const { path } = BaseApi;
+
+/**
+ * @typedef {Object} Order
+ * @property {string} id
+ * @property {string} status - e.g. 'PENDING', 'CANCELLED'
+ * @property {'COD'|'VNPAY'} paymentMethod
+ * @property {import('./CartApi').CartItem[]} items
+ * @property {number} totalPrice
+ * @property {string} [createdAt]
+ */
+
+/**
+ * @typedef {Object} CheckoutInput
+ * @property {'COD'|'VNPAY'} [paymentMethod='COD']
+ * @property {string} [shippingAddress]
+ * @property {string} [note]
+ */
+
+class OrderApi extends BaseApi {
+    /**
+     * Place an order for everything in the cart
+     * @param {CheckoutInput} [checkout]
+     * @returns {Promise<Order>}
+     */
+    checkout({ paymentMethod = 'COD', ...details } = {}) {
+        return this.request('post', '/orders', { data: { paymentMethod, ...details } });
+    }
+
+    /**
+     * Get one order
+     * @param {string} orderId
+     * @returns {Promise<Order>}
+     */
+    get(orderId) {
+        return this.request('get', path`/orders/${orderId}`);
+    }
+
+    /**
+     * Cancel a pending order
+     * Products of a cancelled order can be deleted again (MSG26)
+     * @param {string} orderId
+     * @returns {Promise<Order>}
+     */
+    cancel(orderId) {
+        return this.request('put', path`/orders/${orderId}/cancel`);
+    }
+}
+
+module.exports = OrderApi;
@@ -0,0 +1,91 @@
+/**
+ * ProductApi.js
+ * Domain client for products (/products)
+ *
+ * Create and update are sent as multipart/form-data, like the vendor
+ * product form. Images can be Buffers, file paths or
+ * { data, filename, contentType } parts (see helpers/formData.js).
+ *
+ * Usage:
+ *   const products = await ProductApi.as('vendor');
+ *   const product = await products.create({ name, price, stockQuantity, categoryId, images: ['path/to/phone.jpg'] });
+ */
+
+const BaseApi = require('./BaseApi');
+
+const { path } = BaseApi;
+
+/**
+ * @typedef {Object} Product
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} [description]
+ * @property {number} price
+ * @property {number|null} [saleOff]
+ * @property {number} [stockQuantity]
+ * @property {string|null} [categoryId]
+ * @property {string[]} [images]
+ */
+
+/**
+ * @typedef {Object} ProductInput
+ * @property {string} [name]
+ * @property {string} [description]
+ * @property {number|string} [price]
+ * @property {number|string} [saleOff]
+ * @property {number|string} [stockQuantity]
+ * @property {string} [categoryId]
+ * @property {Array<Buffer|string|import('../helpers/formData').FilePart>} [images]
+ */
+
+class ProductApi extends BaseApi {
+    /**
+     * List products
+     * Plain arrays and Spring pages ({ content: [...] }) both come back as an array
+     * @param {Object} [params] - Query parameters, e.g. { search, categoryId }
+     * @returns {Promise<Product[]>}
+     */
+    async list(params = {}) {
+        const result = await this.request('get', '/products', { params });
+        return Array.isArray(result) ? result : (result && result.content) || [];
+    }
+
+    /**
+     * Get one product
+     * @param {string} productId
+     * @returns {Promise<Product>}
+     */
+    get(productId) {
+        return this.request('get', path`/products/${productId}`);
+    }
+
+    /**
+     * Create a product
+     * @param {ProductInput} product
+     * @returns {Promise<Product>}
+     */
+    create(product) {
+        return this.multipart('post', '/products', product, ['images']);
+    }
+
+    /**
+     * Update the given fields of a product
+     * @param {string} productId
+     * @param {ProductInput} changes
+     * @returns {Promise<Product>}
+     */
+    update(productId, changes) {
+        return this.multipart('put', path`/products/${productId}`, changes, ['images']);
+    }
+
+    /**
+     * Delete a product
+     * @param {string} productId
+     * @returns {Promise<null>}
+     */
+    delete(productId) {
+        return this.request('delete', path`/products/${productId}`);
+    }
+}
+
+module.exports = ProductApi;
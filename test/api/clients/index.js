@@ -0,0 +1,26 @@
+/**
+ * index.js
+ * Domain API Clients Index File
+ *
+ * Export all domain clients for easy importing in test specs
+ */
+
+const ApiError = require('./ApiError');
+const BaseApi = require('./BaseApi');
+const ProductApi = require('./ProductApi');
+const CategoryApi = require('./CategoryApi');
+const CartApi = require('./CartApi');
+const OrderApi = require('./OrderApi');
+const AdminUserApi = require('./AdminUserApi');
+const ChatApi = require('./ChatApi');
+
+module.exports = {
+    ApiError,
+    BaseApi,
+    ProductApi,
+    CategoryApi,
+    CartApi,
+    OrderApi,
+    AdminUserApi,
+    ChatApi
+};
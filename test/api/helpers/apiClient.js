@@ -5,16 +5,29 @@
  * This file provides a configured Axios instance with:
  * - Base URL configuration from .env
  * - Request/Response interceptors
+ * - OpenAPI contract validation of every response (see contractValidator.js)
+ * - Record/replay of HTTP cassettes (see cassette.js)
+ * - Response-time samples for load runs and latency checks (see timing.js)
  * - Authentication token management
+ * - Transparent re-authentication and replay on 401
+ * - Per-role sessions (admin, vendor, client, ...) with their own Axios instance
  * - Error handling utilities
  */
 
 const axios = require('axios');
+const testData = require('../../config/testData');
+const { validateResponse } = require('./contractValidator');
+const { applyCassette, recordInteraction } = require('./cassette');
+const { recordTiming } = require('./timing');
 require('dotenv').config();
 
-// Create Axios instance with default configuration
-const apiClient = axios.create({
-    baseURL: process.env.API_URL || 'http://localhost:8080/api',
+/**
+ * Create an Axios instance with the default Cellex API configuration
+ * The API URL comes from the profile / API_URL (config/testData.js)
+ * @returns {import('axios').AxiosInstance}
+ */
+const createInstance = () => axios.create({
+    baseURL: testData.apiUrl,
     timeout: 30000,
     headers: {
         'Content-Type': 'application/json',
@@ -22,15 +35,48 @@ const apiClient = axios.create({
     }
 });
 
-// Store for authentication token
-let authToken = null;
+// Create Axios instance with default configuration
+const apiClient = createInstance();
+
+/**
+ * Create an empty authentication state
+ * Holds everything needed to obtain a new token after a 401
+ * @returns {{token: string|null, refreshToken: string|null, credentials: Object|null, pending: Promise|null}}
+ */
+const createAuthState = () => ({
+    token: null,
+    refreshToken: null,
+    credentials: null,
+    pending: null
+});
+
+// Store for authentication token of the shared apiClient
+const authState = createAuthState();
+
+/**
+ * Extract the JWT from a login response body
+ * The backend has returned the token under different keys over time
+ * @param {Object} data - Login response body
+ * @returns {string|undefined}
+ */
+const extractToken = (data) => data?.result?.accessToken ||
+    data?.result?.token ||
+    data?.accessToken ||
+    data?.token;
+
+/**
+ * Extract the refresh token from a login/refresh response body, if any
+ * @param {Object} data - Response body
+ * @returns {string|undefined}
+ */
+const extractRefreshToken = (data) => data?.result?.refreshToken || data?.refreshToken;
 
 /**
  * Set authentication token for subsequent requests
  * @param {string} token - JWT or Bearer token
  */
 const setAuthToken = (token) => {
-    authToken = token;
+    authState.token = token;
     if (token) {
         apiClient.defaults.headers.common['Authorization'] = `Bearer ${token}`;
     } else {
@@ -42,78 +88,229 @@ const setAuthToken = (token) => {
  * Get current authentication token
  * @returns {string|null}
  */
-const getAuthToken = () => authToken;
+const getAuthToken = () => authState.token;
 
 /**
- * Clear authentication token
+ * Clear authentication token and the credentials used to renew it
  */
 const clearAuthToken = () => {
-    authToken = null;
+    Object.assign(authState, createAuthState());
     delete apiClient.defaults.headers.common['Authorization'];
 };
 
-// Request interceptor - logs requests and adds auth header
-apiClient.interceptors.request.use(
-    (config) => {
-        // Add timestamp to track request timing
-        config.metadata = { startTime: new Date() };
-        
-        // Log request details (useful for debugging)
-        if (process.env.DEBUG === 'true') {
-            console.log(`[API Request] ${config.method?.toUpperCase()} ${config.url}`);
-            if (config.data) {
-                console.log('[Request Body]', JSON.stringify(config.data, null, 2));
+// ============================================
+// RE-AUTHENTICATION
+// ============================================
+
+/**
+ * Check whether an auth state has a way to obtain a new token
+ * @param {Object} state - Authentication state
+ * @returns {boolean}
+ */
+const canReauthenticate = (state) => Boolean(
+    state.credentials || (process.env.API_REFRESH_ENDPOINT && (state.refreshToken || state.token))
+);
+
+/**
+ * Obtain a new token for an auth state
+ * Tries API_REFRESH_ENDPOINT first when configured, then falls back to
+ * logging in again with the stored credentials
+ * @param {import('axios').AxiosInstance} instance - Instance the state belongs to
+ * @param {Object} state - Authentication state
+ * @returns {Promise<string>} - New token
+ */
+const requestNewToken = async (instance, state) => {
+    const refreshEndpoint = process.env.API_REFRESH_ENDPOINT;
+
+    if (refreshEndpoint && (state.refreshToken || state.token)) {
+        try {
+            const response = await instance.post(refreshEndpoint, { token: state.refreshToken || state.token });
+            const token = extractToken(response.data);
+            if (token) {
+                state.refreshToken = extractRefreshToken(response.data) || state.refreshToken;
+                return token;
+            }
+        } catch (error) {
+            // Refresh rejected - fall back to a full login below
+            if (process.env.DEBUG === 'true') {
+                console.error(`[API Auth] Refresh via ${refreshEndpoint} failed:`, error.message);
             }
         }
-        
-        return config;
-    },
-    (error) => {
-        console.error('[API Request Error]', error.message);
-        return Promise.reject(error);
     }
+
+    if (!state.credentials) {
+        throw new Error('no stored credentials to log in again');
+    }
+
+    let response;
+    try {
+        response = await instance.post('/auth/login', state.credentials);
+    } catch (error) {
+        throw new Error(`login as ${state.credentials.email} failed: ${error.response?.data?.message || error.message}`);
+    }
+
+    const token = extractToken(response.data);
+    if (!token) {
+        throw new Error(`login as ${state.credentials.email} returned no token`);
+    }
+
+    state.refreshToken = extractRefreshToken(response.data) || null;
+    return token;
+};
+
+/**
+ * Obtain a new token, sharing one in-flight renewal between concurrent 401s
+ * @param {import('axios').AxiosInstance} instance - Instance the state belongs to
+ * @param {Object} state - Authentication state
+ * @returns {Promise<string>}
+ */
+const renewToken = (instance, state) => {
+    if (!state.pending) {
+        state.pending = requestNewToken(instance, state).finally(() => {
+            state.pending = null;
+        });
+    }
+    return state.pending;
+};
+
+/**
+ * Check whether a failed request should be retried with a new token
+ * Auth endpoints, anonymous calls and already-replayed requests are never retried
+ * @param {Object} config - Axios request config
+ * @param {Object} state - Authentication state
+ * @returns {boolean}
+ */
+const shouldReauthenticate = (config, state) => Boolean(
+    state &&
+    config &&
+    !config._authRetry &&
+    config.headers?.Authorization &&
+    !String(config.url).startsWith('/auth/') &&
+    canReauthenticate(state)
 );
 
-// Response interceptor - logs responses and handles errors
-apiClient.interceptors.response.use(
-    (response) => {
-        // Calculate response time
-        const endTime = new Date();
-        const duration = endTime - response.config.metadata.startTime;
-        
-        if (process.env.DEBUG === 'true') {
-            console.log(`[API Response] ${response.status} - ${duration}ms`);
-            console.log('[Response Data]', JSON.stringify(response.data, null, 2));
+/**
+ * Attach the logging and error-handling interceptors to an Axios instance
+ * @param {import('axios').AxiosInstance} instance - Axios instance to configure
+ * @param {Object} auth - Authentication hooks for this instance
+ * @param {Object} auth.state - Authentication state used to renew the token
+ * @param {Function} auth.applyToken - Called with the new token after re-authentication
+ * @param {Function} auth.onUnauthorized - Called when a 401 cannot be recovered
+ * @returns {import('axios').AxiosInstance}
+ */
+const attachInterceptors = (instance, { state, applyToken, onUnauthorized }) => {
+    /**
+     * Re-authenticate and replay a request that failed with 401, once
+     * A request sent with an older token than the current one is replayed
+     * with the current token: another 401 has already renewed it
+     * @param {Error} error - Axios error carrying the 401 response
+     * @returns {Promise<Object>} - Response of the replayed request
+     */
+    const replayWithNewToken = async (error) => {
+        const { config } = error;
+        const sentToken = /^Bearer (.+)$/.exec(config.headers.Authorization)?.[1];
+
+        let token;
+        try {
+            token = state.token && sentToken !== state.token ? state.token : await renewToken(instance, state);
+        } catch (renewError) {
+            onUnauthorized();
+            const failure = new Error(
+                `Re-authentication failed after 401 on ${config.method?.toUpperCase()} ${config.url}: ${renewError.message}`
+            );
+            failure.response = error.response;
+            failure.cause = error;
+            throw failure;
         }
-        
-        return response;
-    },
-    (error) => {
-        // Handle common error scenarios
-        if (error.response) {
-            const { status, data } = error.response;
-            
+
+        applyToken(token);
+        config._authRetry = true;
+        config.headers['Authorization'] = `Bearer ${token}`;
+        return instance.request(config);
+    };
+
+    // Request interceptor - logs requests and adds auth header
+    instance.interceptors.request.use(
+        (config) => {
+            // Add timestamp to track request timing
+            config.metadata = { startTime: new Date() };
+
+            // Log request details (useful for debugging)
             if (process.env.DEBUG === 'true') {
-                console.error(`[API Error] ${status}:`, data);
+                console.log(`[API Request] ${config.method?.toUpperCase()} ${config.url}`);
+                if (config.data) {
+                    console.log('[Request Body]', JSON.stringify(config.data, null, 2));
+                }
             }
-            
-            // Handle 401 Unauthorized - clear token
-            if (status === 401) {
-                clearAuthToken();
+
+            // Serve the response from a cassette when API_REPLAY=1
+            return applyCassette(config);
+        },
+        (error) => {
+            console.error('[API Request Error]', error.message);
+            return Promise.reject(error);
+        }
+    );
+
+    // Response interceptor - logs responses and handles errors
+    instance.interceptors.response.use(
+        (response) => {
+            // Calculate response time and hand it to timing listeners
+            const duration = recordTiming(response.config, response.status);
+
+            if (process.env.DEBUG === 'true') {
+                console.log(`[API Response] ${response.status} - ${duration}ms`);
+                console.log('[Response Data]', JSON.stringify(response.data, null, 2));
             }
-            // Normalize login 404 -> 401 to match client expectations for invalid credentials
-            if (error.config && error.config.url === '/auth/login' && status === 404) {
-                error.response.status = 401;
+
+            recordInteraction(response);
+            validateResponse(response);
+
+            return response;
+        },
+        (error) => {
+            recordTiming(error.config, error.response ? error.response.status : 0);
+
+            // Handle common error scenarios
+            if (error.response) {
+                const { status, data } = error.response;
+
+                if (process.env.DEBUG === 'true') {
+                    console.error(`[API Error] ${status}:`, data);
+                }
+
+                recordInteraction(error.response);
+                validateResponse(error.response);
+
+                // Handle 401 Unauthorized - re-authenticate and replay once, else clear token
+                if (status === 401) {
+                    if (shouldReauthenticate(error.config, state)) {
+                        return replayWithNewToken(error);
+                    }
+                    onUnauthorized();
+                }
+                // Normalize login 404 -> 401 to match client expectations for invalid credentials
+                if (error.config && error.config.url === '/auth/login' && status === 404) {
+                    error.response.status = 401;
+                }
+            } else if (error.request) {
+                console.error('[API Error] No response received:', error.message);
+            } else {
+                console.error('[API Error]', error.message);
             }
-        } else if (error.request) {
-            console.error('[API Error] No response received:', error.message);
-        } else {
-            console.error('[API Error]', error.message);
+
+            return Promise.reject(error);
         }
-        
-        return Promise.reject(error);
-    }
-);
+    );
+
+    return instance;
+};
+
+attachInterceptors(apiClient, {
+    state: authState,
+    applyToken: (token) => setAuthToken(token),
+    onUnauthorized: () => clearAuthToken()
+});
 
 // ============================================
 // API HELPER METHODS
@@ -128,10 +325,12 @@ apiClient.interceptors.response.use(
 const login = async (email, password) => {
     const response = await apiClient.post('/auth/login', { email, password });
     
-    // Auto-set token if present in response
-    if (response.data?.result?.token || response.data?.token) {
-        const token = response.data?.result?.token || response.data?.token;
+    // Auto-set token if present in response, and remember credentials for re-login on 401
+    const token = extractToken(response.data);
+    if (token) {
         setAuthToken(token);
+        authState.credentials = { email, password };
+        authState.refreshToken = extractRefreshToken(response.data) || null;
     }
     
     return response.data;
@@ -172,6 +371,101 @@ const getProfile = async () => {
     return response.data;
 };
 
+// ============================================
+// ROLE SESSIONS
+// ============================================
+
+// Cache of logged-in sessions keyed by role
+const sessions = new Map();
+
+/**
+ * Resolve login credentials for a role
+ * Environment overrides (ADMIN_EMAIL, ...) are applied by config/testData.js
+ * @param {string} role - 'admin' | 'vendor' | 'vendor2' | 'client' | 'testUser' | 'lockout'
+ * @returns {{email: string, password: string}}
+ */
+const getRoleCredentials = (role) => {
+    if (!Object.prototype.hasOwnProperty.call(testData.users, role)) {
+        throw new Error(`Unknown session role "${role}". Expected one of: ${Object.keys(testData.users).join(', ')}`);
+    }
+
+    const { email, password } = testData.user(role);
+    return { email, password };
+};
+
+/**
+ * Create (or reuse) an authenticated session for a role
+ * Each session owns its own Axios instance, so several roles can be used
+ * side by side in one test without overwriting each other's token
+ * @param {string} role - 'admin' | 'vendor' | 'vendor2' | 'client' | 'testUser'
+ * @returns {Promise<import('axios').AxiosInstance>} - Axios instance with `role` and `token` set
+ */
+const createSession = (role) => {
+    if (!sessions.has(role)) {
+        const pending = openSession(role).catch((error) => {
+            sessions.delete(role);
+            throw error;
+        });
+        sessions.set(role, pending);
+    }
+
+    return sessions.get(role);
+};
+
+/**
+ * Log in with credentials on a fresh, uncached Axios instance
+ * Used directly where every caller needs its own login (e.g. load virtual users)
+ * @param {{email: string, password: string}} credentials - Login credentials
+ * @param {Function} [onUnauthorized] - Called when a 401 cannot be recovered
+ * @returns {Promise<import('axios').AxiosInstance>} - Axios instance with `token` set
+ */
+const loginSession = async (credentials, onUnauthorized = () => {}) => {
+    const state = createAuthState();
+    state.credentials = credentials;
+
+    const instance = createInstance();
+    const applyToken = (token) => {
+        state.token = token;
+        instance.token = token;
+        instance.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    };
+
+    attachInterceptors(instance, { state, applyToken, onUnauthorized });
+    applyToken(await renewToken(instance, state));
+    return instance;
+};
+
+/**
+ * Log in as a role on a fresh Axios instance
+ * @param {string} role - Role to log in as
+ * @returns {Promise<import('axios').AxiosInstance>}
+ */
+const openSession = async (role) => {
+    const credentials = getRoleCredentials(role);
+
+    let instance;
+    try {
+        instance = await loginSession(credentials, () => sessions.delete(role));
+    } catch (error) {
+        throw new Error(`Failed to create "${role}" session for ${credentials.email}: ${error.message}`);
+    }
+
+    instance.role = role;
+    return instance;
+};
+
+/**
+ * Drop cached sessions so the next createSession() logs in again
+ * @param {string} [role] - Role to drop; all roles when omitted
+ */
+const clearSessions = (role) => {
+    if (role) {
+        sessions.delete(role);
+    } else {
+        sessions.clear();
+    }
+};
+
 // ============================================
 // GENERIC HTTP METHODS
 // ============================================
@@ -236,6 +530,11 @@ module.exports = {
     setAuthToken,
     getAuthToken,
     clearAuthToken,
+    extractToken,
+    createSession,
+    loginSession,
+    clearSessions,
+    getRoleCredentials,
     login,
     signup,
     logout,
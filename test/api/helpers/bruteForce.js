@@ -0,0 +1,83 @@
+/**
+ * bruteForce.js
+ * Thresholds and helpers for the rate-limit / brute-force specs
+ *
+ * The lockout policy differs between backend configurations, so the specs
+ * read it from env instead of hardcoding it:
+ * - BRUTE_FORCE_LOGIN_ATTEMPTS   wrong passwords allowed before the account locks (default 5)
+ * - BRUTE_FORCE_OTP_ATTEMPTS     wrong OTP codes allowed before verification locks (default 5)
+ * - BRUTE_FORCE_LOCKOUT_SECONDS  how long a lockout lasts (default 60)
+ * - BRUTE_FORCE_LOCKOUT_STATUS   HTTP status(es) of a locked-out request, comma separated (default 429)
+ * - BRUTE_FORCE_CONCURRENCY      requests in flight at once in the parallel tests (default 5)
+ * - BRUTE_FORCE_MAX_WAIT_SECONDS longest lockout the suite waits out against a real backend (default 120)
+ *
+ * The mock backend enforces the same policy, so API_MODE=mock follows the env too.
+ */
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Read the lockout policy from env
+ * @returns {{loginAttempts: number, otpAttempts: number, lockoutSeconds: number, lockoutStatuses: number[], concurrency: number, maxWaitSeconds: number}}
+ */
+const getBruteForceConfig = () => ({
+    loginAttempts: toInt(process.env.BRUTE_FORCE_LOGIN_ATTEMPTS, 5),
+    otpAttempts: toInt(process.env.BRUTE_FORCE_OTP_ATTEMPTS, 5),
+    lockoutSeconds: toInt(process.env.BRUTE_FORCE_LOCKOUT_SECONDS, 60),
+    lockoutStatuses: (process.env.BRUTE_FORCE_LOCKOUT_STATUS || '429')
+        .split(',')
+        .map(status => parseInt(status, 10))
+        .filter(Number.isInteger),
+    concurrency: Math.max(1, toInt(process.env.BRUTE_FORCE_CONCURRENCY, 5)),
+    maxWaitSeconds: toInt(process.env.BRUTE_FORCE_MAX_WAIT_SECONDS, 120)
+});
+
+/**
+ * Fire a number of attempts with at most `concurrency` in flight
+ * Failed requests resolve to their error response, so every attempt yields
+ * a response; network errors still reject.
+ * @param {number} count - Number of attempts
+ * @param {Function} attempt - (index) => Promise<AxiosResponse>
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Requests in flight at once (default 1: sequential)
+ * @returns {Promise<import('axios').AxiosResponse[]>} - Responses in attempt order
+ */
+const fireAttempts = async (count, attempt, { concurrency = 1 } = {}) => {
+    const responses = new Array(count);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < count) {
+            const index = next++;
+            try {
+                responses[index] = await attempt(index);
+            } catch (error) {
+                if (!error.response) throw error;
+                responses[index] = error.response;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, count) }, worker));
+    return responses;
+};
+
+/**
+ * Count responses per HTTP status, e.g. "401×5, 429×3"
+ * @param {import('axios').AxiosResponse[]} responses
+ * @returns {string}
+ */
+const summarizeStatuses = (responses) => {
+    const counts = new Map();
+    responses.forEach(({ status }) => counts.set(status, (counts.get(status) || 0) + 1));
+    return [...counts].map(([status, count]) => `${status}×${count}`).join(', ');
+};
+
+module.exports = {
+    getBruteForceConfig,
+    fireAttempts,
+    summarizeStatuses
+};
@@ -0,0 +1,338 @@
+/**
+ * caseGenerator.js
+ * Boundary-value and equivalence-class case generator
+ *
+ * Turns a field spec file (test/api/cases/fields/*.yaml) into a case table
+ * for runCaseTable(). Each spec'd field is varied on its own while the
+ * other fields keep their valid `base` value:
+ * - boundaries: at, just inside and just outside every bound
+ * - equivalence classes: empty / missing / whitespace-only, bad formats
+ * - type confusion: non-numeric text, decimals for integers, objects in JSON
+ *
+ * Field spec syntax (`spec:`):
+ *   number > 0 required      integer >= 0      number 0.01..999999999
+ *   string 1..255 notblank   string 3..        string 8..100 required
+ *   email required           files max 20
+ *
+ * - number/integer bounds apply to the value (`step` sets "just inside/outside",
+ *   default 1 for integers and 0.01 for numbers)
+ * - string bounds apply to the length, files bounds to the number of files
+ * - `required`: empty and missing values are invalid
+ * - `notblank`: required, and whitespace-only strings are invalid too
+ *
+ * Field options: `error` (catalog name for invalid values), `requiredError`
+ * (for empty/missing values, defaults to `error`), `fill` (characters used to
+ * build strings, default "A"), `copyTo` (fields that always get the same value,
+ * e.g. confirmPassword). Invalid values without a catalog error expect HTTP 400.
+ *
+ * Base values may use the case table templates; `{{id}}` gives valid cases
+ * distinct emails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateCases, expandTemplates } = require('./caseLoader');
+const { ERROR_CATALOG } = require('./errorCatalog');
+
+const FIELDS_DIR = path.join(__dirname, '..', 'cases', 'fields');
+
+const TYPES = ['number', 'integer', 'string', 'email', 'files'];
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+// 1x1 transparent PNG used for generated image uploads
+const PNG_PIXEL = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+    'base64'
+);
+
+const INVALID_EMAILS = [
+    ['without @', 'invalidemail.com'],
+    ['without domain', 'test@'],
+    ['without local part', '@gmail.com'],
+    ['with two @', 'test@@gmail.com'],
+    ['with a space', 'test user@gmail.com']
+];
+
+// ============================================
+// SPEC PARSING
+// ============================================
+
+/**
+ * Parse a field spec such as "number > 0 required" or "string 1..255"
+ * @param {string} text - Field spec
+ * @returns {Object} - { type, min, max, minExclusive, maxExclusive, required, notBlank }
+ */
+const parseFieldSpec = (text) => {
+    const tokens = String(text).trim().split(/\s+/);
+    const rule = { type: tokens.shift(), required: false, notBlank: false };
+
+    if (!TYPES.includes(rule.type)) {
+        throw new Error(`unknown type "${rule.type}" (expected ${TYPES.join(', ')})`);
+    }
+
+    const readNumber = (value, after) => {
+        if (!NUMBER.test(value || '')) throw new Error(`expected a number after "${after}"`);
+        return Number(value);
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const comparison = /^(>=|<=|>|<)(.*)$/.exec(token);
+        const range = /^(-?\d+(?:\.\d+)?)?\.\.(-?\d+(?:\.\d+)?)?$/.exec(token);
+
+        if (token === 'required') {
+            rule.required = true;
+        } else if (token === 'notblank') {
+            rule.required = true;
+            rule.notBlank = true;
+        } else if (token === 'min' || token === 'max') {
+            rule[token] = readNumber(tokens[++i], token);
+        } else if (comparison) {
+            if (!['number', 'integer'].includes(rule.type)) {
+                throw new Error(`"${comparison[1]}" only applies to numbers, use a range like 1..255 for ${rule.type}`);
+            }
+            const value = readNumber(comparison[2] || tokens[++i], comparison[1]);
+            const bound = comparison[1].startsWith('>') ? 'min' : 'max';
+            rule[bound] = value;
+            rule[`${bound}Exclusive`] = comparison[1].length === 1;
+        } else if (range && (range[1] || range[2])) {
+            if (range[1]) rule.min = Number(range[1]);
+            if (range[2]) rule.max = Number(range[2]);
+        } else {
+            throw new Error(`unexpected "${token}"`);
+        }
+    }
+
+    return rule;
+};
+
+// ============================================
+// VALUE CLASSES
+// ============================================
+
+/**
+ * Build a string of the given length by repeating `fill`
+ */
+const fillString = (fill, length) => fill.repeat(Math.ceil(length / fill.length) + 1).slice(0, length);
+
+/**
+ * Number of decimals in a step, so generated values print cleanly
+ */
+const decimalsOf = (step) => (String(step).split('.')[1] || '').length;
+
+/**
+ * Value classes for number and integer fields
+ * @returns {Object[]} - { label, value, valid, kind }
+ */
+const numberClasses = (name, rule, field) => {
+    const step = field.step || (rule.type === 'integer' ? 1 : 0.01);
+    const round = (value) => Number(value.toFixed(decimalsOf(step)));
+    const classes = [];
+
+    if (rule.min !== undefined) {
+        const bound = rule.min;
+        if (rule.minExclusive) {
+            classes.push({ label: `at excluded lower bound ${bound}`, value: bound, valid: false });
+            classes.push({ label: `just above lower bound (${round(bound + step)})`, value: round(bound + step), valid: true });
+        } else {
+            classes.push({ label: `at lower bound ${bound}`, value: bound, valid: true });
+        }
+        classes.push({ label: `just below lower bound (${round(bound - step)})`, value: round(bound - step), valid: false });
+    }
+
+    if (rule.max !== undefined) {
+        const bound = rule.max;
+        if (rule.maxExclusive) {
+            classes.push({ label: `at excluded upper bound ${bound}`, value: bound, valid: false });
+            classes.push({ label: `just below upper bound (${round(bound - step)})`, value: round(bound - step), valid: true });
+        } else {
+            classes.push({ label: `at upper bound ${bound}`, value: bound, valid: true });
+        }
+        classes.push({ label: `just above upper bound (${round(bound + step)})`, value: round(bound + step), valid: false });
+    }
+
+    classes.push({ label: 'non-numeric text', value: 'abc', valid: false, kind: 'type' });
+    if (rule.type === 'integer') {
+        const inside = rule.min !== undefined ? rule.min + 1 : 1;
+        classes.push({ label: `decimal value (${inside}.5)`, value: `${inside}.5`, valid: false, kind: 'type' });
+    }
+
+    return classes.map(valueClass => ({ kind: 'range', ...valueClass }));
+};
+
+/**
+ * Value classes for string fields (bounds are lengths)
+ */
+const stringClasses = (name, rule, field) => {
+    const fill = field.fill || 'A';
+    const classes = [];
+
+    if (rule.min !== undefined && rule.min > 0) {
+        classes.push({ label: `at min length ${rule.min}`, value: fillString(fill, rule.min), valid: true });
+        if (rule.min > 1) {
+            classes.push({ label: `just under min length (${rule.min - 1})`, value: fillString(fill, rule.min - 1), valid: false });
+        }
+    }
+    if (rule.max !== undefined) {
+        classes.push({ label: `at max length ${rule.max}`, value: fillString(fill, rule.max), valid: true });
+        classes.push({ label: `just over max length (${rule.max + 1})`, value: fillString(fill, rule.max + 1), valid: false });
+    }
+
+    return classes.map(valueClass => ({ kind: 'range', ...valueClass }));
+};
+
+/**
+ * Value classes for email fields
+ */
+const emailClasses = () => INVALID_EMAILS.map(([label, value]) => ({
+    label: `${label} (${value})`,
+    value,
+    valid: false,
+    kind: 'range'
+}));
+
+/**
+ * Value classes for file fields (bounds are file counts)
+ */
+const fileClasses = (name, rule) => {
+    const files = (count) => Array.from({ length: count }, () => PNG_PIXEL);
+    const classes = [];
+
+    if (rule.min !== undefined && rule.min > 0) {
+        classes.push({ label: `at min ${rule.min} files`, value: files(rule.min), valid: true });
+        classes.push({ label: `just under min (${rule.min - 1} files)`, value: files(rule.min - 1), valid: false });
+    }
+    if (rule.max !== undefined) {
+        classes.push({ label: `at max ${rule.max} files`, value: files(rule.max), valid: true });
+        classes.push({ label: `just over max (${rule.max + 1} files)`, value: files(rule.max + 1), valid: false });
+    }
+
+    return classes.map(valueClass => ({ kind: 'range', ...valueClass }));
+};
+
+/**
+ * All value classes for one field
+ * @param {string} name - Field name
+ * @param {Object} rule - Parsed field spec
+ * @param {Object} field - Field options
+ * @param {'json'|'multipart'} transport - Body encoding
+ * @returns {Object[]}
+ */
+const valueClasses = (name, rule, field, transport) => {
+    const classes = {
+        number: numberClasses,
+        integer: numberClasses,
+        string: stringClasses,
+        email: emailClasses,
+        files: fileClasses
+    }[rule.type](name, rule, field);
+
+    if (rule.required) {
+        classes.push({ label: 'empty', value: '', valid: false, kind: 'required' });
+        classes.push({ label: 'missing', value: undefined, valid: false, kind: 'required' });
+    }
+    if (rule.notBlank) {
+        classes.push({ label: 'whitespace only', value: ' '.repeat(Math.max(rule.min || 0, 3)), valid: false, kind: 'required' });
+    }
+    // JSON bodies can carry a value of the wrong type altogether
+    if (transport === 'json' && rule.type !== 'files') {
+        classes.push({ label: 'object instead of a value', value: {}, valid: false, kind: 'type' });
+    }
+
+    // Multipart fields are always sent as text
+    return transport === 'multipart'
+        ? classes.map(valueClass => typeof valueClass.value === 'number' ? { ...valueClass, value: String(valueClass.value) } : valueClass)
+        : classes;
+};
+
+// ============================================
+// CASE GENERATION
+// ============================================
+
+/**
+ * Generate a case table from a field spec definition
+ * @param {Object} definition - Parsed field spec file
+ * @param {string} [source] - File name for error messages
+ * @returns {Object[]} - Cases for runCaseTable()
+ */
+const generateCases = (definition, source = 'field spec') => {
+    const { idPrefix, group, method = 'POST', endpoint, transport = 'json', base = {}, fields = {} } = definition;
+
+    if (!/^TC_[A-Z]+$/.test(idPrefix || '')) {
+        throw new Error(`Invalid field spec ${source}: idPrefix must look like TC_GENPROD`);
+    }
+
+    const cases = [];
+    const addCase = (description, payload, expectation) => {
+        const id = `${idPrefix}_${String(cases.length + 1).padStart(3, '0')}`;
+        cases.push({ id, group, description, method, endpoint, payload, ...expectation });
+    };
+
+    addCase('All fields valid (baseline)', base, { shouldSucceed: true });
+
+    for (const [name, field] of Object.entries(fields)) {
+        let rule;
+        try {
+            rule = parseFieldSpec(field.spec);
+        } catch (error) {
+            throw new Error(`Invalid field spec ${source}: fields.${name}.spec "${field.spec}": ${error.message}`);
+        }
+
+        for (const key of ['error', 'requiredError']) {
+            if (field[key] && !ERROR_CATALOG[field[key]]) {
+                throw new Error(`Invalid field spec ${source}: fields.${name}.${key} "${field[key]}" is not in errorCatalog.js`);
+            }
+        }
+
+        for (const valueClass of valueClasses(name, rule, field, transport)) {
+            const payload = { ...base };
+            for (const target of [name, ...[].concat(field.copyTo || [])]) {
+                if (valueClass.value === undefined) {
+                    delete payload[target];
+                } else {
+                    payload[target] = valueClass.value;
+                }
+            }
+
+            let expectation = { shouldSucceed: true };
+            if (!valueClass.valid) {
+                const error = valueClass.kind === 'required' ? (field.requiredError || field.error) : field.error;
+                // A JSON value of the wrong type fails deserialization before any business rule
+                const generic = !error || (valueClass.kind === 'type' && transport === 'json');
+                expectation = generic ? { expectedStatus: 400 } : { expectedError: error };
+            }
+
+            addCase(`${name} ${valueClass.label}`, payload, expectation);
+        }
+    }
+
+    validateCases(cases, source);
+    return expandTemplates(cases);
+};
+
+/**
+ * Load a field spec file and generate its cases
+ * @param {string} file - File name under test/api/cases/fields, or an absolute path
+ * @returns {Object[]}
+ */
+const loadFieldSpec = (file) => {
+    const filePath = path.isAbsolute(file) ? file : path.join(FIELDS_DIR, file);
+    const source = path.basename(filePath);
+
+    let definition;
+    try {
+        definition = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read field spec ${source}: ${error.message}`);
+    }
+
+    return generateCases(definition, source);
+};
+
+module.exports = {
+    FIELDS_DIR,
+    parseFieldSpec,
+    generateCases,
+    loadFieldSpec
+};
@@ -0,0 +1,284 @@
+/**
+ * caseLoader.js
+ * Loads data-driven case tables from files under test/api/cases
+ *
+ * Supported formats:
+ * - .yaml / .yml: a list of cases
+ * - .json: an array of cases
+ * - .csv: one case per row, as exported from the test-case spreadsheet
+ *
+ * Every case is validated against case-table.schema.json on load (plus a
+ * unique `id` check and known `expectedError` names); errors name the file
+ * and the offending row.
+ *
+ * CSV conventions:
+ * - Columns are case fields; `payload.<field>` columns build the payload
+ * - An empty cell omits the field, `(empty)` sends an empty string,
+ *   `(null)` sends null
+ * - shouldSucceed / skipIfNotExists / requiresProduct accept TRUE/FALSE
+ *
+ * Templates in payload strings (all formats):
+ * - {{timestamp}}      Date.now() at load time, for unique emails
+ * - {{id}}             The case ID in lowercase (tc_auth_001)
+ * - {{repeat:A:150}}   "A" repeated 150 times
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv2020 = require('ajv/dist/2020');
+const { ERROR_CATALOG } = require('./errorCatalog');
+
+const CASES_DIR = path.join(__dirname, '..', 'cases');
+const caseSchema = require('../cases/case-table.schema.json');
+
+const ajv = new Ajv2020({ allErrors: true, strict: false });
+const validateCase = ajv.compile(caseSchema);
+
+const BOOLEAN_COLUMNS = ['shouldSucceed', 'skipIfNotExists', 'requiresProduct'];
+const INTEGER_COLUMNS = ['expectedStatus', 'expectedCode'];
+const EXPECTATION_HINT = 'needs "shouldSucceed: true" or an expectation (expectedError, expectedStatus, expectedCode, expectedMessage)';
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells, "" escapes, CRLF)
+ * @param {string} text - CSV content
+ * @returns {{cells: string[], line: number}[]} - Rows with their starting line number
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            cells.push(cell);
+            rows.push({ cells, line: rowLine });
+            cells = [];
+            cell = '';
+            rowLine = ++line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        rows.push({ cells, line: rowLine });
+    }
+
+    // Drop blank lines
+    return rows.filter(row => row.cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Convert one CSV cell to a case value
+ * @param {string} column - Column name
+ * @param {string} value - Raw cell
+ * @returns {*} - undefined when the field should be omitted
+ */
+const csvValue = (column, value) => {
+    if (value === '') return undefined;
+    if (value === '(empty)') return '';
+    if (value === '(null)') return null;
+
+    if (BOOLEAN_COLUMNS.includes(column) && /^(true|false)$/i.test(value.trim())) {
+        return value.trim().toLowerCase() === 'true';
+    }
+    if (INTEGER_COLUMNS.includes(column) && /^-?\d+$/.test(value.trim())) {
+        return parseInt(value, 10);
+    }
+    // Anything else stays a string so the schema can report it
+    return value;
+};
+
+/**
+ * Turn CSV rows into cases
+ * @param {string} text - CSV content
+ * @returns {{cases: Object[], rows: string[]}} - Cases and a label for each row
+ */
+const casesFromCsv = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return { cases: [], rows: [] };
+
+    const columns = header.cells.map(name => name.trim());
+    const cases = rows.map(({ cells }) => {
+        const testCase = {};
+        columns.forEach((column, index) => {
+            const value = csvValue(column, cells[index] ?? '');
+            if (value === undefined || column === '') return;
+
+            if (column.startsWith('payload.')) {
+                testCase.payload = testCase.payload || {};
+                testCase.payload[column.slice('payload.'.length)] = value;
+            } else {
+                testCase[column] = value;
+            }
+        });
+        return testCase;
+    });
+
+    return { cases, rows: rows.map(row => `line ${row.line}`) };
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Describe the schema errors of one case
+ * @param {Object[]} errors - Ajv errors
+ * @returns {string[]}
+ */
+const describeErrors = (errors) => {
+    const messages = new Set();
+    for (const error of errors) {
+        if (error.keyword === 'anyOf' && error.instancePath === '') {
+            messages.add(EXPECTATION_HINT);
+        } else if (!error.schemaPath.startsWith('#/anyOf/')) {
+            const field = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : 'case';
+            const detail = error.keyword === 'additionalProperties'
+                ? `unknown field "${error.params.additionalProperty}"`
+                : error.message;
+            messages.add(`${field}: ${detail}`);
+        }
+    }
+    return [...messages];
+};
+
+/**
+ * Validate a case table
+ * @param {Object[]} cases - Loaded cases
+ * @param {string} source - File name for error messages
+ * @param {string[]} [rows] - Row label per case (defaults to "case #N")
+ * @throws {Error} - Listing every problem with its row
+ */
+const validateCases = (cases, source, rows = []) => {
+    if (!Array.isArray(cases)) {
+        throw new Error(`Invalid case table ${source}: expected a list of cases`);
+    }
+
+    const problems = [];
+    const seen = new Map();
+
+    cases.forEach((testCase, index) => {
+        const row = rows[index] || `case #${index + 1}`;
+        const label = testCase && testCase.id ? `${row} (${testCase.id})` : row;
+
+        if (!validateCase(testCase)) {
+            describeErrors(validateCase.errors).forEach(message => problems.push(`${label}: ${message}`));
+        }
+
+        if (testCase && testCase.expectedError) {
+            [].concat(testCase.expectedError)
+                .filter(name => typeof name === 'string' && !ERROR_CATALOG[name])
+                .forEach(name => problems.push(`${label}: expectedError "${name}" is not in errorCatalog.js`));
+        }
+
+        if (testCase && testCase.id) {
+            if (seen.has(testCase.id)) {
+                problems.push(`${label}: duplicate id, first used at ${seen.get(testCase.id)}`);
+            } else {
+                seen.set(testCase.id, row);
+            }
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid case table ${source}:\n  • ${problems.join('\n  • ')}`);
+    }
+};
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+/**
+ * Expand {{...}} templates in payload strings
+ * @param {Object[]} cases - Validated cases
+ * @returns {Object[]}
+ */
+const expandTemplates = (cases) => {
+    const timestamp = Date.now();
+    const expand = (value, id) => typeof value !== 'string' ? value : value
+        .replace(/\{\{timestamp\}\}/g, timestamp)
+        .replace(/\{\{id\}\}/g, id.toLowerCase())
+        .replace(/\{\{repeat:(.+?):(\d+)\}\}/g, (match, text, count) => text.repeat(parseInt(count, 10)));
+
+    return cases.map(testCase => testCase.payload ? {
+        ...testCase,
+        payload: Object.fromEntries(Object.entries(testCase.payload).map(([key, value]) => [key, expand(value, testCase.id)]))
+    } : testCase);
+};
+
+// ============================================
+// LOADING
+// ============================================
+
+/**
+ * Load and validate a case table
+ * @param {string} file - File name under test/api/cases, or an absolute path
+ * @returns {Object[]} - Cases ready for runCaseTable()
+ */
+const loadCaseTable = (file) => {
+    const filePath = path.isAbsolute(file) ? file : path.join(CASES_DIR, file);
+    const source = path.basename(filePath);
+
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Case table not found: ${filePath}`);
+    }
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    let cases;
+    let rows = [];
+    try {
+        if (extension === '.yaml' || extension === '.yml') {
+            cases = yaml.load(text);
+        } else if (extension === '.json') {
+            cases = JSON.parse(text);
+        } else if (extension === '.csv') {
+            ({ cases, rows } = casesFromCsv(text));
+        } else {
+            throw new Error(`unsupported format "${extension}" (use .yaml, .json or .csv)`);
+        }
+    } catch (error) {
+        throw new Error(`Could not read case table ${source}: ${error.message}`);
+    }
+
+    validateCases(cases, source, rows);
+    return expandTemplates(cases);
+};
+
+module.exports = {
+    loadCaseTable,
+    validateCases,
+    expandTemplates,
+    parseCsv
+};
@@ -0,0 +1,273 @@
+/**
+ * caseRunner.js
+ * Shared engine for data-driven API case tables
+ *
+ * Turns a table of cases into a Mocha suite: one describe per `group`,
+ * one it per case, the request sent as JSON or multipart, and the response
+ * compared with the case expectations.
+ *
+ * Case fields:
+ * - id, group, description       Test title and grouping
+ * - method (default POST)        HTTP method
+ * - endpoint                     Path, may contain {param} placeholders
+ * - payload                      Request body
+ * - shouldSucceed                Expect a 2xx response
+ * - expectedError                Catalog error name (errorCatalog.js), e.g. ACCOUNT_BANNED,
+ *                                or a list of names any of which is accepted
+ * - expectedStatus               Expected HTTP status (overrides the catalog status)
+ * - expectedCode                 Expected `code` of the error body
+ * - expectedMessage              Text the error `message` must include
+ * - skipIfNotExists              Skip when the account/entity does not exist
+ * - setup(ctx, testCase)         Optional per-case setup
+ *
+ * Usage:
+ *   runCaseTable(cases, {
+ *       title: 'Group 2: Product & Vendor Management',
+ *       transport: 'multipart',
+ *       session: 'vendor',
+ *       placeholders: { valid_category_id: (ctx) => ctx.categoryId },
+ *       params: { productId: (ctx) => ctx.productId }
+ *   });
+ */
+
+const { expect } = require('chai');
+const { apiClient, createSession } = require('./apiClient');
+const { expectError } = require('./errorCatalog');
+const { multipartRequest } = require('./formData');
+
+// Error code returned by the backend when the login email does not exist (USER_NOT_FOUND)
+const USER_NOT_FOUND_CODE = 1005;
+
+/**
+ * Replace placeholder values in a payload
+ * @param {Object} payload - Case payload
+ * @param {Object} placeholders - Map of placeholder value -> resolver(ctx)
+ * @param {Object} ctx - Suite context
+ * @returns {Object}
+ */
+const resolvePayload = (payload = {}, placeholders, ctx) => Object.fromEntries(
+    Object.entries(payload).map(([key, value]) => [
+        key,
+        typeof value === 'string' && placeholders[value] ? placeholders[value](ctx) : value
+    ])
+);
+
+/**
+ * Fill {param} placeholders in an endpoint
+ * @param {string} endpoint - Endpoint template
+ * @param {Object} params - Map of param name -> resolver(ctx)
+ * @param {Object} ctx - Suite context
+ * @returns {{endpoint: string, missing: string[]}}
+ */
+const resolveEndpoint = (endpoint, params, ctx) => {
+    const missing = [];
+    const resolved = endpoint.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name] ? params[name](ctx) : undefined;
+        if (value === undefined || value === null) {
+            missing.push(name);
+            return placeholder;
+        }
+        return encodeURIComponent(value);
+    });
+    return { endpoint: resolved, missing };
+};
+
+/**
+ * Send one case request
+ * @param {import('axios').AxiosInstance} client - Axios instance
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Resolved endpoint
+ * @param {Object} payload - Resolved payload
+ * @param {'json'|'multipart'} transport - Body encoding
+ * @returns {Promise<Object>}
+ */
+const sendRequest = (client, method, endpoint, payload, transport) => {
+    if (transport === 'multipart') {
+        return client.request({ method, url: endpoint, ...multipartRequest(payload) });
+    }
+
+    return client.request({ method, url: endpoint, data: payload });
+};
+
+/**
+ * Check whether an error response means the target account does not exist
+ * @param {Object} response - Error response
+ * @returns {boolean}
+ */
+const isMissingAccount = (response) => response.status === 404 || response.data?.code === USER_NOT_FOUND_CODE;
+
+/**
+ * Assert an error response against the case expectations
+ * @param {Object} testCase - Case being run
+ * @param {Object} response - Error response
+ * @param {number[]} lenientStatuses - Statuses tolerated instead of the expected one (body not checked)
+ */
+const assertErrorResponse = (testCase, response, lenientStatuses) => {
+    const { status, data } = response;
+
+    if (process.env.DEBUG === 'true') {
+        console.log(`      Response Status: ${status}`);
+        console.log(`      Response Data:`, JSON.stringify(data, null, 2));
+    }
+
+    if (lenientStatuses.includes(status)) {
+        console.log(`      ⚠️ ${testCase.id}: Tolerated HTTP ${status} instead of the expected error`);
+        return;
+    }
+
+    // Catalog error: status, code and message come from errorCatalog.js
+    if (testCase.expectedError) {
+        expectError(response, testCase.expectedError,
+            testCase.expectedStatus ? { status: testCase.expectedStatus } : {});
+        console.log(`      ✅ ${testCase.id}: ${[].concat(testCase.expectedError).join(' or ')} returned correctly (code: ${data?.code})`);
+        return;
+    }
+
+    // Check HTTP status if specified
+    if (testCase.expectedStatus) {
+        expect(status).to.equal(testCase.expectedStatus,
+            `Expected HTTP status ${testCase.expectedStatus} but got ${status}`);
+    }
+
+    // Check error code if specified
+    if (testCase.expectedCode) {
+        expect(data.code).to.equal(testCase.expectedCode,
+            `Expected error code ${testCase.expectedCode} but got ${data.code}`);
+    }
+
+    // Check error message if specified
+    if (testCase.expectedMessage) {
+        expect(data.message).to.include(testCase.expectedMessage,
+            `Expected message to include "${testCase.expectedMessage}" but got "${data.message}"`);
+    }
+
+    console.log(`      ✅ ${testCase.id}: Validation error returned correctly (code: ${data?.code})`);
+};
+
+/**
+ * Register a Mocha suite running every case of a table
+ * @param {Object[]} cases - Case table
+ * @param {Object} options
+ * @param {string} options.title - Suite title
+ * @param {'json'|'multipart'} [options.transport='json'] - Body encoding
+ * @param {string} [options.session] - Role to send requests as (see createSession); anonymous apiClient otherwise
+ * @param {Object} [options.placeholders] - Payload value -> resolver(ctx), e.g. { valid_category_id: ... }
+ * @param {Object} [options.params] - Endpoint {param} -> resolver(ctx), e.g. { productId: ... }
+ * @param {Function} [options.before] - async (ctx) => extra context, run once before the cases
+ * @param {Function} [options.beforeCase] - async (testCase, ctx) => void, run before each case
+ * @param {Function} [options.afterCase] - async (testCase, response, ctx) => void, run on each response
+ *                                         before it is checked (e.g. to register created entities for cleanup)
+ * @param {Function} [options.after] - async (ctx) => void, run once after the cases
+ * @param {number[]} [options.lenientStatuses] - Statuses accepted in place of the expected error
+ * @param {number} [options.timeout=30000] - Suite timeout
+ */
+const runCaseTable = (cases, options) => {
+    const {
+        title,
+        transport = 'json',
+        session,
+        placeholders = {},
+        params = {},
+        before: beforeAll,
+        beforeCase,
+        afterCase,
+        after: afterAll,
+        lenientStatuses = [],
+        timeout = 30000
+    } = options;
+
+    describe(title, function() {
+        this.timeout(timeout);
+
+        const ctx = {};
+
+        before(async function() {
+            ctx.client = session ? await createSession(session) : apiClient;
+
+            console.log(`\n📋 Running Data-Driven ${title}`);
+            console.log(`   API Base URL: ${ctx.client.defaults.baseURL}`);
+            console.log(`   Total Test Cases: ${cases.length}\n`);
+
+            if (beforeAll) {
+                Object.assign(ctx, await beforeAll(ctx));
+            }
+        });
+
+        // Group test cases by category for better reporting
+        const groups = [...new Set(cases.map(tc => tc.group))];
+
+        groups.forEach(groupName => {
+            describe(`${groupName} Tests`, function() {
+                cases.filter(tc => tc.group === groupName).forEach(testCase => {
+                    it(`${testCase.id}: ${testCase.description}`, async function() {
+                        if (beforeCase) await beforeCase(testCase, ctx);
+                        if (testCase.setup) await testCase.setup(ctx, testCase);
+
+                        const { endpoint, missing } = resolveEndpoint(testCase.endpoint, params, ctx);
+                        if (missing.length > 0) {
+                            console.log(`      ⚠️ ${testCase.id}: Skipping - no value for ${missing.map(m => `{${m}}`).join(', ')}`);
+                            this.skip();
+                        }
+
+                        const payload = resolvePayload(testCase.payload, placeholders, ctx);
+                        const method = testCase.method || 'POST';
+
+                        let response;
+                        try {
+                            response = await sendRequest(ctx.client, method, endpoint, payload, transport);
+                        } catch (error) {
+                            if (!error.response) throw error;
+                            response = error.response;
+                        }
+
+                        if (afterCase) await afterCase(testCase, response, ctx);
+
+                        const succeeded = response.status >= 200 && response.status < 300;
+
+                        if (!succeeded && testCase.skipIfNotExists && isMissingAccount(response)) {
+                            console.log(`      ⚠️ ${testCase.id}: Skipping - account does not exist`);
+                            this.skip();
+                        }
+
+                        // If we expect success
+                        if (testCase.shouldSucceed) {
+                            if (!succeeded) {
+                                console.log(`      ❌ ${testCase.id}: Expected success but got error:`, response.data);
+                            }
+                            expect(response.status).to.be.oneOf([200, 201],
+                                `Expected success but got ${response.status}: ${JSON.stringify(response.data)}`);
+                            console.log(`      ✅ ${testCase.id}: Request succeeded as expected`);
+                            return;
+                        }
+
+                        // If we got here without error but expected one, fail
+                        if (succeeded) {
+                            const expected = testCase.expectedError ? [].concat(testCase.expectedError).join(' or ') :
+                                (testCase.expectedCode ? `error with code ${testCase.expectedCode}` : 'error');
+                            expect.fail(`Expected ${expected} but request succeeded with status ${response.status}`);
+                        }
+
+                        assertErrorResponse(testCase, response, lenientStatuses);
+                    });
+                });
+            });
+        });
+
+        after(async function() {
+            if (afterAll) await afterAll(ctx);
+
+            // Summary after all tests
+            console.log('\n📊 Test Summary:');
+            console.log(`   Total Test Cases: ${cases.length}`);
+            console.log('   Groups Tested:');
+            groups.forEach(g => {
+                const count = cases.filter(tc => tc.group === g).length;
+                console.log(`     - ${g}: ${count} cases`);
+            });
+        });
+    });
+};
+
+module.exports = {
+    runCaseTable
+};
@@ -0,0 +1,384 @@
+/**
+ * cassette.js
+ * Record-and-replay HTTP cassettes for apiClient
+ *
+ * - API_RECORD=1: every request/response pair is written to a cassette
+ *   file per test, keyed by its test ID (e.g. TC_AUTH_001)
+ * - API_REPLAY=1: responses are served from the cassette without touching
+ *   the network
+ *
+ * Requests made outside a test (before/after hooks, session logins) go to
+ * a shared "_hooks" cassette. Sensitive headers and credential fields are
+ * scrubbed before anything is written.
+ *
+ * Generated data: runs of 10+ digits (Date.now() suffixes of the factories,
+ * phone numbers built from them, multipart boundaries) differ between the
+ * recording and the replay. Requests are matched with those runs masked,
+ * and every recorded value is replaced by the value of the current run in
+ * the replayed responses, so a spec that registers `testuser<now>@...` gets
+ * its own email back. Values generated any other way (Math.random, crypto)
+ * are not mapped: specs using them cannot be replayed.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { AxiosError } = require('axios');
+const testData = require('../../config/testData');
+
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, '..', 'cassettes');
+const SHARED_CASSETTE = '_hooks';
+// Timestamps and values derived from them
+const GENERATED_VALUE = /\d{10,}/g;
+
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-api-key'];
+const SENSITIVE_FIELDS = ['password', 'confirmPassword', 'token', 'accessToken', 'refreshToken'];
+
+const isTruthy = (value) => ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+
+/**
+ * Get the cassette mode from the environment
+ * @returns {'record'|'replay'|'off'}
+ */
+const getMode = () => {
+    const record = isTruthy(process.env.API_RECORD);
+    const replay = isTruthy(process.env.API_REPLAY);
+
+    if (record && replay) {
+        throw new Error('API_RECORD and API_REPLAY cannot be enabled at the same time');
+    }
+    if (record) return 'record';
+    if (replay) return 'replay';
+    return 'off';
+};
+
+// Loaded cassettes keyed by name, and the one used by the running test
+const cassettes = new Map();
+let currentName = null;
+// Recorded generated value -> value of the current run (replay)
+const substitutions = new Map();
+
+/**
+ * Drop loaded cassettes and value substitutions
+ * The next test loads its cassette from disk again, as in a new run
+ */
+const clearCassettes = () => {
+    cassettes.clear();
+    substitutions.clear();
+    currentName = null;
+};
+
+/**
+ * Build the cassette name for a Mocha test
+ * Uses the test ID from the title (TC_XXX_NNN) when there is one
+ * @param {Mocha.Test} test - Mocha test
+ * @returns {string}
+ */
+const cassetteNameFor = (test) => {
+    const id = /\b(TC_[A-Z]+_\d+)\b/.exec(test.title)?.[1];
+    if (id) return id;
+
+    return test.fullTitle()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, 120);
+};
+
+/**
+ * Directory holding the cassettes (API_CASSETTE_DIR)
+ * @returns {string}
+ */
+const getCassetteDir = () => process.env.API_CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+
+const cassettePath = (name) => path.join(getCassetteDir(), `${name}.json`);
+
+/**
+ * Load a cassette from disk (replay) or start an empty one (record)
+ * @param {string} name - Cassette name
+ * @returns {Object}
+ */
+const loadCassette = (name) => {
+    if (!cassettes.has(name)) {
+        let interactions = [];
+        if (getMode() === 'replay' && fs.existsSync(cassettePath(name))) {
+            interactions = JSON.parse(fs.readFileSync(cassettePath(name), 'utf8')).interactions;
+        }
+        cassettes.set(name, { name, interactions, used: new Set(), dirty: false });
+    }
+    return cassettes.get(name);
+};
+
+/**
+ * Select the cassette for the test about to run
+ * @param {Mocha.Test} test - Mocha test
+ */
+const insertCassette = (test) => {
+    currentName = cassetteNameFor(test);
+    if (getMode() === 'record') {
+        // Re-recording a test replaces its previous cassette
+        cassettes.delete(currentName);
+    }
+    loadCassette(currentName);
+};
+
+/**
+ * Write a recorded cassette to disk
+ * @param {Object} cassette - Cassette to save
+ */
+const saveCassette = (cassette) => {
+    if (!cassette.dirty) return;
+
+    fs.mkdirSync(getCassetteDir(), { recursive: true });
+    fs.writeFileSync(cassettePath(cassette.name), JSON.stringify({
+        name: cassette.name,
+        recordedAt: new Date().toISOString(),
+        apiUrl: testData.apiUrl,
+        interactions: cassette.interactions
+    }, null, 2));
+    cassette.dirty = false;
+};
+
+/**
+ * Finish the running test: save its cassette when recording
+ */
+const ejectCassette = () => {
+    if (currentName && getMode() === 'record') {
+        saveCassette(cassettes.get(currentName));
+    }
+    currentName = null;
+};
+
+/**
+ * Save the shared cassette used outside tests
+ */
+const flushSharedCassette = () => {
+    if (getMode() === 'record' && cassettes.has(SHARED_CASSETTE)) {
+        saveCassette(cassettes.get(SHARED_CASSETTE));
+    }
+};
+
+// ============================================
+// SCRUBBING
+// ============================================
+
+/**
+ * Replace a secret with a stable placeholder
+ * Equal secrets map to the same placeholder, so replayed tokens stay distinguishable
+ * @param {*} value - Secret value
+ * @returns {string}
+ */
+const redact = (value) => `[REDACTED:${crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 8)}]`;
+
+const scrubHeaders = (headers = {}) => {
+    const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+    for (const key of Object.keys(plain)) {
+        if (SENSITIVE_HEADERS.includes(key.toLowerCase())) {
+            plain[key] = redact(plain[key]);
+        }
+    }
+    return plain;
+};
+
+const scrubBody = (body) => {
+    if (Array.isArray(body)) return body.map(scrubBody);
+    if (!body || typeof body !== 'object') return body;
+
+    return Object.fromEntries(Object.entries(body).map(([key, value]) => [
+        key,
+        SENSITIVE_FIELDS.includes(key) && value != null ? redact(value) : scrubBody(value)
+    ]));
+};
+
+/**
+ * Convert the sent request body into something JSON friendly
+ * The random multipart boundary is replaced, so equal forms serialize equally
+ * @param {Object} config - Axios request config, config.data transformed by Axios
+ * @returns {*}
+ */
+const serializeRequestBody = (config) => {
+    const { data } = config;
+    if (data == null) return null;
+    if (Buffer.isBuffer(data)) {
+        const contentType = String(config.headers?.['Content-Type'] || config.headers?.['content-type'] || '');
+        const boundary = /boundary=([^;\s]+)/.exec(contentType)?.[1];
+        const text = data.toString('utf8').slice(0, 10000);
+        return boundary ? text.split(boundary).join('<boundary>') : text;
+    }
+    if (typeof data === 'string') {
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            return data;
+        }
+    }
+    return typeof data.pipe === 'function' ? '[stream]' : data;
+};
+
+// ============================================
+// RECORD / REPLAY
+// ============================================
+
+/**
+ * Method + URL (with query) identifying a request
+ * @param {Object} config - Axios request config
+ * @returns {string}
+ */
+const requestKey = (config) => {
+    const query = config.params ? new URLSearchParams(config.params).toString() : '';
+    return `${(config.method || 'get').toUpperCase()} ${config.url}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Record the request/response pair of a completed call
+ * @param {Object} response - Axios response (success or error)
+ */
+const recordInteraction = (response) => {
+    if (getMode() !== 'record' || !response || !response.config) return;
+
+    const cassette = loadCassette(currentName || SHARED_CASSETTE);
+    cassette.interactions.push({
+        request: {
+            key: requestKey(response.config),
+            headers: scrubHeaders(response.config.headers),
+            body: scrubBody(serializeRequestBody(response.config))
+        },
+        response: {
+            status: response.status,
+            statusText: response.statusText,
+            headers: scrubHeaders(response.headers),
+            body: scrubBody(response.data)
+        }
+    });
+    cassette.dirty = true;
+};
+
+/**
+ * Key and body of a request as one string, for matching
+ * @param {string} key - requestKey()
+ * @param {*} body - Scrubbed request body
+ * @returns {string}
+ */
+const requestSignature = (key, body) => `${key} ${JSON.stringify(body ?? null)}`;
+
+const maskGenerated = (text) => text.replace(GENERATED_VALUE, '<generated>');
+
+/**
+ * Remember which current value stands for each recorded generated value
+ * Both signatures are equal once masked, so their values pair up in order
+ * @param {string} recorded - Signature of the recorded request
+ * @param {string} current - Signature of the request being replayed
+ */
+const learnSubstitutions = (recorded, current) => {
+    const currentValues = current.match(GENERATED_VALUE) || [];
+    (recorded.match(GENERATED_VALUE) || []).forEach((value, index) => {
+        if (value !== currentValues[index]) {
+            substitutions.set(value, currentValues[index]);
+        }
+    });
+};
+
+/**
+ * Replace recorded generated values with the ones of the current run
+ * @param {*} value - Recorded response body (or part of it)
+ * @returns {*}
+ */
+const substitute = (value) => {
+    if (typeof value === 'string') {
+        return substitutions.size === 0 ? value : value.replace(GENERATED_VALUE, match => substitutions.get(match) ?? match);
+    }
+    if (Array.isArray(value)) return value.map(substitute);
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, substitute(entry)]));
+};
+
+/**
+ * Find the recorded interaction for a request
+ * Prefers an unused pair with the same key and body, then an unused pair
+ * equal once generated values are masked, then the last pair equal once
+ * masked (a request repeated more often than during the recording).
+ * A pair with another body is never used: that is a miss
+ * @param {Object} cassette - Cassette to search
+ * @param {Object} config - Axios request config
+ * @returns {Object|undefined}
+ */
+const findInteraction = (cassette, config) => {
+    const signature = requestSignature(requestKey(config), scrubBody(serializeRequestBody(config)));
+    const masked = maskGenerated(signature);
+
+    const candidates = cassette.interactions
+        .map((interaction, index) => ({ interaction, index, signature: requestSignature(interaction.request.key, interaction.request.body) }))
+        .filter(candidate => maskGenerated(candidate.signature) === masked);
+    const unused = candidates.filter(({ index }) => !cassette.used.has(index));
+
+    const match = unused.find(candidate => candidate.signature === signature) ||
+        unused[0] ||
+        candidates[candidates.length - 1];
+    if (!match) return undefined;
+
+    cassette.used.add(match.index);
+    learnSubstitutions(match.signature, signature);
+    return match.interaction;
+};
+
+/**
+ * Axios adapter serving responses from the current cassette
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>}
+ */
+const replayAdapter = async (config) => {
+    const name = currentName || SHARED_CASSETTE;
+    const interaction = findInteraction(loadCassette(name), config) ||
+        (name !== SHARED_CASSETTE ? findInteraction(loadCassette(SHARED_CASSETTE), config) : undefined);
+
+    if (!interaction) {
+        const message = `No recorded interaction for ${requestKey(config)} in cassette "${name}" (${cassettePath(name)})`;
+        console.error(`[Cassette] ${message}`);
+        throw new AxiosError(message, 'ERR_CASSETTE_MISS', config);
+    }
+
+    const response = {
+        data: substitute(interaction.response.body),
+        status: interaction.response.status,
+        statusText: interaction.response.statusText,
+        headers: interaction.response.headers,
+        config,
+        request: {}
+    };
+
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+        throw new AxiosError(
+            `Request failed with status code ${response.status}`,
+            response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+            config,
+            response.request,
+            response
+        );
+    }
+    return response;
+};
+
+/**
+ * Route a request through the cassette when replaying
+ * @param {Object} config - Axios request config
+ * @returns {Object}
+ */
+const applyCassette = (config) => {
+    if (getMode() === 'replay') {
+        config.adapter = replayAdapter;
+    }
+    return config;
+};
+
+module.exports = {
+    getMode,
+    getCassetteDir,
+    clearCassettes,
+    cassetteNameFor,
+    insertCassette,
+    ejectCassette,
+    flushSharedCassette,
+    recordInteraction,
+    applyCassette
+};
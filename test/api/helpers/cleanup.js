@@ -0,0 +1,69 @@
+/**
+ * cleanup.js
+ * Registry of test entities to delete after the run
+ *
+ * Factories (see factories.js) register a cleanup for everything they
+ * create. test/api/hooks/cleanup.hooks.js runs the registry once after the
+ * whole run - also when tests failed - newest entity first, so products
+ * go before the category they belong to.
+ */
+
+/**
+ * Create an empty registry
+ * @returns {{register: Function, pending: Function, run: Function}}
+ */
+const createCleanupRegistry = () => {
+    // { label, cleanup } in creation order
+    const entries = [];
+
+    return {
+        /**
+         * Register a cleanup
+         * @param {string} label - What gets deleted, e.g. 'product 6907… (vendor)'
+         * @param {Function} cleanup - async () => void
+         */
+        register(label, cleanup) {
+            entries.push({ label, cleanup });
+        },
+
+        /**
+         * Number of cleanups not run yet
+         * @returns {number}
+         */
+        pending() {
+            return entries.length;
+        },
+
+        /**
+         * Run and drop every registered cleanup, newest first
+         * A failing cleanup does not stop the others
+         * @returns {Promise<{cleaned: string[], failed: {label: string, error: Error}[]}>}
+         */
+        async run() {
+            const cleaned = [];
+            const failed = [];
+
+            while (entries.length > 0) {
+                const { label, cleanup } = entries.pop();
+                try {
+                    await cleanup();
+                    cleaned.push(label);
+                } catch (error) {
+                    failed.push({ label, error });
+                }
+            }
+
+            return { cleaned, failed };
+        }
+    };
+};
+
+// Registry of the whole run, emptied by cleanup.hooks.js
+const runRegistry = createCleanupRegistry();
+
+module.exports = {
+    createCleanupRegistry,
+    registerCleanup: runRegistry.register,
+    pendingCleanups: runRegistry.pending,
+    runCleanups: runRegistry.run
+};
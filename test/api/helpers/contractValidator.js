@@ -0,0 +1,206 @@
+/**
+ * contractValidator.js
+ * OpenAPI contract validation for API responses
+ *
+ * Loads the local OpenAPI document for the Cellex backend and checks every
+ * response seen by apiClient (status, code, message, result) against the
+ * documented schema for its route.
+ *
+ * Modes (API_CONTRACT):
+ * - strict (default): violations fail the test that made the request
+ * - warn: violations are only printed
+ * - off: no validation
+ */
+
+const path = require('path');
+const Ajv2020 = require('ajv/dist/2020');
+
+const CONTRACT_FILE = process.env.API_CONTRACT_FILE ||
+    path.join(__dirname, '..', 'contracts', 'cellex-openapi.json');
+
+const ajv = new Ajv2020({ allErrors: true, strict: false });
+
+// Lazily loaded OpenAPI document and compiled route matchers
+let contract = null;
+let routes = null;
+
+// Compiled validators keyed by "METHOD /template STATUS"
+const validators = new Map();
+
+// Violations recorded since the last reset (one test at a time)
+let violations = [];
+
+/**
+ * Get the configured validation mode
+ * @returns {'strict'|'warn'|'off'}
+ */
+const getMode = () => (process.env.API_CONTRACT || 'strict').toLowerCase();
+
+/**
+ * Load the OpenAPI document and build a matcher for every documented path
+ */
+const loadContract = () => {
+    if (contract) return;
+
+    contract = require(CONTRACT_FILE);
+    routes = Object.keys(contract.paths).map((template) => ({
+        template,
+        pattern: new RegExp(`^${template.replace(/\{[^/]+\}/g, '[^/]+')}/?$`)
+    }));
+};
+
+/**
+ * Find the documented path template for a request URL
+ * @param {string} url - Request URL (relative to baseURL or absolute)
+ * @param {string} [baseURL] - Axios baseURL to strip
+ * @returns {string|null} - Template such as '/products/{productId}'
+ */
+const matchRoute = (url, baseURL = '') => {
+    loadContract();
+
+    let pathname = String(url || '').split('?')[0];
+    if (/^https?:\/\//.test(pathname)) {
+        const basePath = /^https?:\/\//.test(baseURL) ? new URL(baseURL).pathname.replace(/\/$/, '') : '';
+        pathname = new URL(pathname).pathname;
+        if (basePath && pathname.startsWith(basePath)) {
+            pathname = pathname.slice(basePath.length);
+        }
+    }
+
+    const route = routes.find((r) => r.pattern.test(pathname));
+    return route ? route.template : null;
+};
+
+/**
+ * Resolve a local "#/..." reference inside the OpenAPI document
+ * @param {Object} node - Node that may be a { $ref } object
+ * @returns {Object}
+ */
+const resolveRef = (node) => {
+    if (!node || !node.$ref) return node;
+
+    const target = node.$ref.replace(/^#\//, '').split('/')
+        .reduce((obj, key) => obj?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], contract);
+    return resolveRef(target);
+};
+
+/**
+ * Get (and cache) the validator for one documented response
+ * @param {string} method - Lowercase HTTP method
+ * @param {string} template - Path template
+ * @param {number} status - HTTP status
+ * @returns {{validate: Function|null, documented: boolean}}
+ */
+const getValidator = (method, template, status) => {
+    const key = `${method.toUpperCase()} ${template} ${status}`;
+    if (validators.has(key)) return validators.get(key);
+
+    const responses = contract.paths[template][method]?.responses || {};
+    const response = resolveRef(
+        responses[status] || responses[`${String(status)[0]}XX`] || responses.default
+    );
+
+    const entry = { validate: null, documented: Boolean(response) };
+    const schema = response?.content?.['application/json']?.schema;
+    if (schema) {
+        // Wrap the schema so its "#/components/..." references resolve against this document
+        entry.validate = ajv.compile({ allOf: [schema], components: contract.components });
+    }
+
+    validators.set(key, entry);
+    return entry;
+};
+
+/**
+ * Read the value at an Ajv instancePath (e.g. "/result/token")
+ * @param {*} data - Validated data
+ * @param {string} instancePath - JSON pointer
+ * @returns {*}
+ */
+const valueAt = (data, instancePath) => instancePath.split('/').slice(1)
+    .reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+
+/**
+ * Format a value for a violation line, truncating long payloads
+ * @param {*} value - Value to format
+ * @returns {string}
+ */
+const preview = (value) => {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+};
+
+/**
+ * Validate one response against the contract
+ * @param {Object} response - Axios response (status, data, config)
+ * @returns {Object|null} - Violation ({ route, status, errors, message }) or null when valid/undocumented
+ */
+const validateResponse = (response) => {
+    if (getMode() === 'off' || !response || !response.config) return null;
+
+    loadContract();
+
+    const method = (response.config.method || 'get').toLowerCase();
+    const template = matchRoute(response.config.url, response.config.baseURL);
+    if (!template || !contract.paths[template][method]) return null;
+
+    const route = `${method.toUpperCase()} ${template}`;
+    const { status, data } = response;
+    const { validate, documented } = getValidator(method, template, status);
+
+    let errors = [];
+    if (!documented) {
+        errors = [`status: ${status} is not a documented response`];
+    } else if (validate && !validate(data)) {
+        errors = validate.errors
+            .filter((e) => !['allOf', 'anyOf', 'oneOf'].includes(e.keyword) || validate.errors.length === 1)
+            .map((e) => {
+                const location = `body${e.instancePath.replace(/\//g, '.')}`;
+                return `${location}: ${e.message} (actual: ${preview(valueAt(data, e.instancePath))})`;
+            });
+    }
+
+    if (errors.length === 0) return null;
+
+    const violation = {
+        route,
+        status,
+        errors,
+        message: [
+            `Contract violation: ${route} -> ${status} does not match ${path.basename(CONTRACT_FILE)}`,
+            ...[...new Set(errors)].map((line) => `  • ${line}`),
+            `  Response body: ${preview(data)}`
+        ].join('\n')
+    };
+
+    violations.push(violation);
+    if (getMode() === 'warn' || process.env.DEBUG === 'true') {
+        console.warn(`      ⚠️ ${violation.message}`);
+    }
+    return violation;
+};
+
+/**
+ * Forget violations recorded so far
+ */
+const resetViolations = () => {
+    violations = [];
+};
+
+/**
+ * Return and forget violations recorded so far
+ * @returns {Object[]}
+ */
+const takeViolations = () => {
+    const taken = violations;
+    violations = [];
+    return taken;
+};
+
+module.exports = {
+    getMode,
+    matchRoute,
+    validateResponse,
+    resetViolations,
+    takeViolations
+};
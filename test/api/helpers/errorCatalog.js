@@ -0,0 +1,185 @@
+/**
+ * errorCatalog.js
+ * Central catalog of backend error codes and messages
+ *
+ * Mirrors ErrorCode.java (codes 1002-6001), the product messages from the
+ * SRS (MSG23-MSG26) and the OTP / brute-force lockout errors. Case tables
+ * refer to entries by name (`expectedError: ACCOUNT_BANNED`) and specs
+ * assert with expectError(), so codes and Vietnamese messages are written
+ * down only here. The entries themselves live in errorCodes.js, a plain
+ * data module the mock backend shares without pulling in chai.
+ *
+ * Messages are the ones the backend actually returns; they take precedence
+ * over the wording in older spec comments.
+ *
+ * Run `npm run check:errors` to list entries that no case table and no
+ * expectError() call in the API specs exercises.
+ */
+
+const { expect } = require('chai');
+const { ERROR_CATALOG } = require('./errorCodes');
+
+/**
+ * Look up a catalog entry
+ * @param {string} name - Symbolic name, e.g. 'ACCOUNT_BANNED'
+ * @returns {import('./errorCodes').CatalogError}
+ */
+const getError = (name) => {
+    const entry = ERROR_CATALOG[name];
+    if (!entry) {
+        throw new Error(`Unknown error "${name}". Expected one of: ${Object.keys(ERROR_CATALOG).join(', ')}`);
+    }
+    return entry;
+};
+
+/**
+ * Find the catalog name for a backend code
+ * @param {number} code - Error code from the response body
+ * @returns {string|undefined}
+ */
+const findErrorByCode = (code) => Object.keys(ERROR_CATALOG).find(name => ERROR_CATALOG[name].code === code);
+
+/**
+ * Find the catalog name for an error response
+ * Entries with a backend code match by code; entries without one (SRS
+ * messages, OTP, lockout) match by HTTP status and message, as expectError()
+ * checks them
+ * @param {Object} response - Axios response
+ * @returns {string|undefined}
+ */
+const findErrorByResponse = (response) => {
+    const { status, data = {} } = response;
+    const byCode = data.code !== null && data.code !== undefined ? findErrorByCode(data.code) : undefined;
+
+    return byCode || Object.keys(ERROR_CATALOG).find((name) => {
+        const entry = ERROR_CATALOG[name];
+        return entry.code === null && entry.status === status && String(data.message).includes(entry.message);
+    });
+};
+
+/**
+ * Assert a response against one catalog entry
+ * The code is only compared when the entry has one; the message is matched
+ * by inclusion
+ * @param {Object} response - Axios response
+ * @param {string} name - Symbolic name, e.g. 'ACCOUNT_BANNED'
+ * @param {Partial<import('./errorCodes').CatalogError>} [overrides] - Fields replacing the catalog values
+ * @throws {AssertionError} When status, code or message differ from the entry
+ */
+const assertCatalogError = (response, name, overrides) => {
+    const expected = { ...getError(name), ...overrides };
+    const { status, data = {} } = response;
+    const actual = `${status} ${JSON.stringify(data)}`;
+
+    expect(status).to.equal(expected.status,
+        `Expected ${name} with HTTP status ${expected.status} but got ${actual}`);
+
+    if (expected.code !== null && expected.code !== undefined) {
+        expect(data.code).to.equal(expected.code,
+            `Expected ${name} with error code ${expected.code} but got ${actual}`);
+    }
+
+    expect(data.message).to.include(expected.message,
+        `Expected ${name} message "${expected.message}" but got "${data.message}"`);
+};
+
+/**
+ * Assert that a failed request returned a catalog error
+ * With several names the response may match any of them (e.g. a request
+ * with two invalid fields, where the backend reports only one)
+ * @param {Error|Object} error - Axios error or its response
+ * @param {string|string[]} name - Catalog name(s), e.g. 'ACCOUNT_BANNED'
+ * @param {Object} [overrides] - Expected values that differ from the catalog, e.g. { status: 401 }
+ */
+const expectError = (error, name, overrides = {}) => {
+    const response = error && error.response ? error.response : error;
+    const names = [].concat(name);
+
+    expect(response && response.status, `Expected ${names.join(' or ')} error response`).to.exist;
+
+    if (names.length === 1) {
+        assertCatalogError(response, names[0], overrides);
+        return;
+    }
+
+    const failures = [];
+    for (const candidate of names) {
+        try {
+            assertCatalogError(response, candidate, overrides);
+            return;
+        } catch (assertionError) {
+            failures.push(assertionError.message);
+        }
+    }
+    expect.fail(`Expected one of ${names.join(', ')}:\n  • ${failures.join('\n  • ')}`);
+};
+
+/**
+ * Catalog names asserted with a literal expectError() call in spec source
+ * e.g. `expectError(response, 'INVALID_OTP')` or `expectError(error, ['A', 'B'])`
+ * @param {string} source - Spec file content
+ * @returns {string[]}
+ */
+const findAssertedErrors = (source) => [...source.matchAll(/expectError\([^,()]+(?:\([^()]*\))?[^,()]*,\s*(\[[^\]]*\]|'[A-Z_]+')/g)]
+    .flatMap(([, names]) => [...names.matchAll(/'([A-Z_]+)'/g)].map(([, name]) => name))
+    .filter(name => ERROR_CATALOG[name]);
+
+/**
+ * List catalog entries that neither a case nor a spec exercises
+ * A case covers an entry through `expectedError` or a matching `expectedCode`,
+ * a spec through expectError() (findAssertedErrors)
+ * @param {Object[]} cases - Cases from every case table
+ * @param {string[]} [asserted] - Names asserted by specs
+ * @returns {string[]}
+ */
+const findUnexercisedErrors = (cases, asserted = []) => Object.keys(ERROR_CATALOG).filter(name => !asserted.includes(name) && !cases.some(testCase =>
+    [].concat(testCase.expectedError || []).includes(name) ||
+    (ERROR_CATALOG[name].code !== null && testCase.expectedCode === ERROR_CATALOG[name].code)
+));
+
+module.exports = {
+    ERROR_CATALOG,
+    getError,
+    findErrorByCode,
+    findErrorByResponse,
+    expectError,
+    findAssertedErrors,
+    findUnexercisedErrors
+};
+
+// Coverage report: node test/api/helpers/errorCatalog.js
+if (require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+    const { loadCaseTable } = require('./caseLoader');
+    const { FIELDS_DIR, loadFieldSpec } = require('./caseGenerator');
+    const { MODELS_DIR, loadPairwiseModel } = require('./pairwise');
+
+    // Hand-written tables plus the cases generated from field specs and pairwise models
+    const casesDir = path.join(__dirname, '..', 'cases');
+    const cases = [
+        ...fs.readdirSync(casesDir)
+            .filter(file => /\.(ya?ml|json|csv)$/.test(file) && !file.endsWith('.schema.json'))
+            .flatMap(file => loadCaseTable(file)),
+        ...fs.readdirSync(FIELDS_DIR)
+            .filter(file => /\.ya?ml$/.test(file))
+            .flatMap(file => loadFieldSpec(file)),
+        ...fs.readdirSync(MODELS_DIR)
+            .filter(file => /\.ya?ml$/.test(file))
+            .flatMap(file => loadPairwiseModel(file))
+    ];
+
+    // Hand-written specs; error_catalog.spec.js only checks expectError itself
+    const specsDir = path.join(__dirname, '..', 'specs');
+    const specFiles = fs.readdirSync(specsDir).filter(file => file.endsWith('.spec.js') && file !== 'error_catalog.spec.js');
+    const asserted = [...new Set(specFiles.flatMap(file => findAssertedErrors(fs.readFileSync(path.join(specsDir, file), 'utf8'))))];
+
+    const unexercised = findUnexercisedErrors(cases, asserted);
+    const total = Object.keys(ERROR_CATALOG).length;
+
+    console.log(`\n📚 Error catalog coverage: ${total - unexercised.length}/${total} entries exercised by ${cases.length} cases and expectError() in ${specFiles.length} API specs`);
+    unexercised.forEach(name => {
+        const { code, status, ref } = ERROR_CATALOG[name];
+        console.log(`   ⚠️ ${name} (${code ?? ref ?? 'no code'}, HTTP ${status}) is not exercised by any case or spec`);
+    });
+}
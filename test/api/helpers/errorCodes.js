@@ -0,0 +1,44 @@
+/**
+ * errorCodes.js
+ * Codes, HTTP statuses and messages of the backend errors
+ *
+ * Plain data with no dependencies, shared by errorCatalog.js (assertions
+ * for specs) and the mock backend (test/api/mock/mockServer.js).
+ */
+
+/**
+ * @typedef {Object} CatalogError
+ * @property {number|null} code - `code` in the error body (null: no dedicated backend code)
+ * @property {number} status - HTTP status
+ * @property {string} message - Message returned by the backend
+ * @property {string} [ref] - SRS message ID
+ */
+
+/** @type {Object<string, CatalogError>} */
+const ERROR_CATALOG = Object.freeze({
+    // ErrorCode.java
+    USER_EXISTED: { code: 1002, status: 400, message: 'Email này đã được đăng ký trong hệ thống' },
+    USERNAME_INVALID: { code: 1003, status: 400, message: 'Tên đăng nhập phải có ít nhất 3 ký tự' },
+    PASSWORD_INVALID: { code: 1004, status: 400, message: 'Mật khẩu không hợp lệ' },
+    // apiClient reports this one as 401 on /auth/login
+    USER_NOT_FOUND: { code: 1005, status: 404, message: 'Email hoặc mật khẩu không hợp lệ.' },
+    UNAUTHENTICATED: { code: 1006, status: 401, message: 'Email hoặc mật khẩu không hợp lệ.' },
+    UNAUTHORIZED: { code: 1007, status: 403, message: 'Bạn không có quyền thực hiện thao tác này' },
+    PASSWORDS_DO_NOT_MATCH: { code: 1008, status: 400, message: 'Mật khẩu xác nhận không trùng khớp' },
+    INVALID_EMAIL_FORMAT: { code: 5004, status: 400, message: 'Định dạng email không hợp lệ' },
+    ACCOUNT_BANNED: { code: 6001, status: 403, message: 'Tài khoản của bạn đã bị khóa' },
+
+    // SRS product messages (no dedicated ErrorCode)
+    PRODUCT_REQUIRED_FIELDS: { code: null, status: 400, ref: 'MSG23', message: 'Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục).' },
+    PRODUCT_PRICE_STOCK_INVALID: { code: null, status: 400, ref: 'MSG24', message: 'Giá sản phẩm và số lượng tồn kho không hợp lệ.' },
+    PRODUCT_IMAGE_LIMIT: { code: null, status: 400, ref: 'MSG25', message: 'Số lượng ảnh vượt quá giới hạn cho phép (tối đa 20 ảnh).' },
+    PRODUCT_IN_ACTIVE_ORDER: { code: null, status: 400, ref: 'MSG26', message: 'Không thể xóa sản phẩm đang nằm trong đơn hàng hoạt động.' },
+
+    // OTP verification and brute-force lockout (no dedicated ErrorCode)
+    INVALID_OTP: { code: null, status: 400, message: 'Mã xác thực không đúng' },
+    TOO_MANY_ATTEMPTS: { code: null, status: 429, message: 'Bạn đã thử quá nhiều lần. Vui lòng thử lại sau' }
+});
+
+module.exports = {
+    ERROR_CATALOG
+};
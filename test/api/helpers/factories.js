@@ -0,0 +1,265 @@
+/**
+ * factories.js
+ * Test data factories creating real entities through the API
+ *
+ * Every factory uses unique timestamped data, so specs never depend on IDs
+ * that only exist in one database, and registers a cleanup (cleanup.js)
+ * that deletes the entity after the run, also when the test failed.
+ *
+ * Usage:
+ *   const category = await makeCategory();
+ *   const product = await makeVendorProduct({ categoryId: category.id, price: 1 });
+ *   const cart = await makeCartWith([{ product, quantity: 2 }]);
+ *   const user = await makeUser();     // fresh CLIENT account: { id, email, password, ... }
+ *
+ * Accounts are verified with the fixed registration.testOTPCode. A backend
+ * that mails a real code rejects it; makeUser() then throws an error with
+ * code OTP_REJECTED, which skipIfOtpRejected() turns into a skipped test.
+ */
+
+const testData = require('../../config/testData');
+const { signup, post } = require('./apiClient');
+const { registerCleanup } = require('./cleanup');
+const { getError } = require('./errorCatalog');
+const { ProductApi, CategoryApi, CartApi, OrderApi, AdminUserApi } = require('../clients');
+
+// `code` of the error thrown when the backend rejects registration.testOTPCode
+const OTP_REJECTED = 'ERR_OTP_REJECTED';
+
+let sequence = 0;
+
+/**
+ * Unique suffix for names and emails: timestamp + per-run counter
+ * @returns {string}
+ */
+const uniqueSuffix = () => `${Date.now()}${String(sequence++ % 1000).padStart(3, '0')}`;
+
+/**
+ * Run a delete, treating "already gone" as done
+ * Tests may delete their own entities before the cleanup runs
+ * @param {Function} remove - async () => void
+ * @returns {Promise<void>}
+ */
+const deleteIfExists = async (remove) => {
+    try {
+        await remove();
+    } catch (error) {
+        if (error.status !== 404) throw error;
+    }
+};
+
+// ============================================
+// USERS
+// ============================================
+
+/**
+ * Whether a failed request is the backend refusing an OTP code
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+const isInvalidOtp = (error) => {
+    const { status, message } = getError('INVALID_OTP');
+    return error.response?.status === status && String(error.response.data?.message).includes(message);
+};
+
+/**
+ * Register a CLIENT account through signup + OTP verification
+ * Uses the OTP code of test-data.json (registration.testOTPCode)
+ * @param {Object} user - Signup fields (fullName, email, phone, password); phone is sent as phoneNumber
+ * @returns {Promise<Object|null>} - Created user when the backend returns it
+ * @throws {Error} - With code OTP_REJECTED when the backend does not accept the test OTP code
+ */
+const registerAccount = async (user) => {
+    const { phone, ...fields } = user;
+    await signup({ ...fields, phoneNumber: fields.phoneNumber ?? phone, confirmPassword: user.confirmPassword ?? user.password });
+
+    const { testOTPCode } = testData.registration;
+    try {
+        const verified = await post('/auth/verify-signup-code', { email: user.email, code: testOTPCode });
+        return verified?.result || null;
+    } catch (error) {
+        if (!isInvalidOtp(error)) throw error;
+
+        const rejected = new Error(`Cannot register ${user.email}: the backend rejected registration.testOTPCode "${testOTPCode}" ` +
+            '(it sends real codes by email; use API_MODE=mock or create the account by hand)');
+        rejected.code = OTP_REJECTED;
+        throw rejected;
+    }
+};
+
+/**
+ * Skip the current test or hook when a factory could not register an account
+ * because the backend rejected registration.testOTPCode
+ * Usage: user = await makeUser().catch(error => skipIfOtpRejected(this, error));
+ * @param {Mocha.Context} context - `this` of the test or hook
+ * @param {Error} error - Error thrown by the factory
+ * @throws {Error} - Any other error, unchanged
+ */
+const skipIfOtpRejected = (context, error) => {
+    if (error.code !== OTP_REJECTED) throw error;
+
+    console.log(`   ⚠️ ${error.message} - skipping`);
+    context.skip();
+};
+
+/**
+ * Register a fresh CLIENT account
+ * Deleted by an admin after the run
+ * @param {Object} [overrides] - Signup fields (fullName, email, phone, password)
+ * @returns {Promise<{id: string, email: string, password: string, fullName: string, phone: string}>}
+ */
+const makeUser = async (overrides = {}) => {
+    const suffix = uniqueSuffix();
+    const user = {
+        ...testData.registration.validUser,
+        fullName: `Test User ${suffix}`,
+        email: `testuser${suffix}@example.com`,
+        phone: `09${suffix.slice(-8)}`,
+        ...overrides
+    };
+    user.confirmPassword = overrides.confirmPassword ?? user.password;
+
+    const verified = await registerAccount(user);
+
+    const admin = await AdminUserApi.as('admin');
+    const id = verified?.id || (await admin.findByEmail(user.email))?.id;
+    if (!id) {
+        throw new Error(`makeUser: ${user.email} was verified but cannot be found`);
+    }
+
+    registerCleanup(`user ${user.email}`, async () => {
+        await deleteIfExists(async () => (await AdminUserApi.as('admin')).delete(id));
+    });
+
+    return { id, email: user.email, password: user.password, fullName: user.fullName, phone: user.phone };
+};
+
+// ============================================
+// CATEGORIES & PRODUCTS
+// ============================================
+
+/**
+ * Create a category as admin
+ * @param {Object} [overrides] - Category fields
+ * @returns {Promise<import('../clients/CategoryApi').Category>}
+ */
+const makeCategory = async (overrides = {}) => {
+    const categories = await CategoryApi.as('admin');
+    const category = await categories.create({ name: `Test Category ${uniqueSuffix()}`, ...overrides });
+
+    registerCleanup(`category ${category.id}`, async () => {
+        await deleteIfExists(async () => (await CategoryApi.as('admin')).delete(category.id));
+    });
+
+    return category;
+};
+
+/**
+ * Register a product created outside the factories for deletion after the run
+ * @param {{id: string}} product - Created product
+ * @param {string} [role='vendor'] - Role that owns it
+ */
+const trackProduct = (product, role = 'vendor') => {
+    registerCleanup(`product ${product.id} (${role})`, async () => {
+        await deleteIfExists(async () => (await ProductApi.as(role)).delete(product.id));
+    });
+};
+
+/**
+ * afterCase callback for case tables (caseRunner.js) sending product creates:
+ * registers the products created by success cases
+ * @param {string} [role='vendor'] - Session role of the table
+ * @returns {Function} - (testCase, response) => void
+ */
+const trackCreatedProducts = (role = 'vendor') => (testCase, response) => {
+    if (response.config?.method === 'post' && response.status < 300 && response.data?.result?.id) {
+        trackProduct(response.data.result, role);
+    }
+};
+
+/**
+ * Create a product owned by a vendor
+ * Without a categoryId a new category is created for it
+ * @param {import('../clients/ProductApi').ProductInput} [overrides] - Product fields
+ * @param {Object} [options]
+ * @param {string} [options.role='vendor'] - Vendor role to create it as
+ * @returns {Promise<import('../clients/ProductApi').Product>}
+ */
+const makeVendorProduct = async (overrides = {}, { role = 'vendor' } = {}) => {
+    const { testProduct } = testData.products;
+    const categoryId = overrides.categoryId ?? (await makeCategory()).id;
+
+    const products = await ProductApi.as(role);
+    const product = await products.create({
+        name: `${testProduct.name} ${uniqueSuffix()}`,
+        description: testProduct.description,
+        price: testProduct.price,
+        stockQuantity: testProduct.stockQuantity,
+        ...overrides,
+        categoryId
+    });
+
+    trackProduct(product, role);
+    return product;
+};
+
+// ============================================
+// CART & ORDERS
+// ============================================
+
+/**
+ * Fill a client's cart
+ * Items can be products, product IDs or { product, quantity }; without
+ * items one new product is added. The items are removed after the run.
+ * @param {Array<Object|string>} [items] - What to add
+ * @param {Object} [options]
+ * @param {string} [options.role='client'] - Client role whose cart is filled
+ * @returns {Promise<import('../clients/CartApi').Cart>} - Cart after the last add
+ */
+const makeCartWith = async (items = [], { role = 'client' } = {}) => {
+    const entries = items.length > 0 ? items : [await makeVendorProduct()];
+    const cart = await CartApi.as(role);
+
+    let current = null;
+    for (const entry of entries) {
+        const product = entry.product || entry;
+        const productId = typeof product === 'string' ? product : product.id;
+
+        current = await cart.add(productId, entry.quantity || testData.cart.testQuantity);
+        registerCleanup(`cart item ${productId} (${role})`, async () => {
+            await deleteIfExists(async () => (await CartApi.as(role)).remove(productId));
+        });
+    }
+
+    return current;
+};
+
+/**
+ * Register an order placed by a test for cancellation after the run
+ * An ordered product cannot be deleted (MSG26), so call it after the
+ * products were created: cleanups run newest first
+ * @param {{id: string}} order - Placed order
+ * @param {string} [role='client'] - Client role that placed it
+ */
+const trackOrder = (order, role = 'client') => {
+    registerCleanup(`order ${order.id} (${role})`, async () => {
+        const orders = await OrderApi.as(role);
+        if ((await orders.get(order.id)).status === 'PENDING') {
+            await orders.cancel(order.id);
+        }
+    });
+};
+
+module.exports = {
+    OTP_REJECTED,
+    uniqueSuffix,
+    registerAccount,
+    skipIfOtpRejected,
+    makeUser,
+    makeCategory,
+    makeVendorProduct,
+    trackProduct,
+    trackCreatedProducts,
+    makeCartWith,
+    trackOrder
+};
@@ -0,0 +1,88 @@
+/**
+ * formData.js
+ * Multipart request bodies for the case runner and the domain clients
+ *
+ * Arrays become repeated fields. File parts can be given as:
+ * - a Buffer (sent as <field>.png, image/png)
+ * - a path to a file on disk (content type from the extension)
+ * - { data, filename, contentType } for full control
+ */
+
+const fs = require('fs');
+const path = require('path');
+const FormData = require('form-data');
+
+const CONTENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+
+/**
+ * @typedef {Object} FilePart
+ * @property {Buffer} data - File content
+ * @property {string} [filename] - Name sent in the part (default <field>.png)
+ * @property {string} [contentType] - MIME type (default from the filename)
+ */
+
+/**
+ * Load a file part from disk
+ * @param {string} file - Path to the file
+ * @returns {FilePart}
+ */
+const readFilePart = (file) => {
+    const extension = path.extname(file).toLowerCase();
+    return {
+        data: fs.readFileSync(file),
+        filename: path.basename(file),
+        contentType: CONTENT_TYPES[extension] || 'application/octet-stream'
+    };
+};
+
+/**
+ * Build a multipart body from a payload
+ * @param {Object} payload - Field values; see the header for file parts
+ * @param {Object} [options]
+ * @param {string[]} [options.fileFields] - Fields whose strings are file paths (default none)
+ * @returns {FormData}
+ */
+const toFormData = (payload, { fileFields = [] } = {}) => {
+    const formData = new FormData();
+    for (const [key, value] of Object.entries(payload)) {
+        for (const item of [].concat(value)) {
+            if (item === undefined || item === null) continue;
+
+            const part = typeof item === 'string' && fileFields.includes(key) ? readFilePart(item) : item;
+            if (Buffer.isBuffer(part)) {
+                formData.append(key, part, { filename: `${key}.png`, contentType: 'image/png' });
+            } else if (part && Buffer.isBuffer(part.data)) {
+                const filename = part.filename || `${key}.png`;
+                const contentType = part.contentType || CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+                formData.append(key, part.data, { filename, contentType });
+            } else {
+                formData.append(key, part);
+            }
+        }
+    }
+    return formData;
+};
+
+/**
+ * Request config for a multipart body
+ * The body is buffered so the request can be replayed after a re-login
+ * @param {Object} payload - Field values
+ * @param {Object} [options] - See toFormData()
+ * @returns {{data: Buffer, headers: Object}}
+ */
+const multipartRequest = (payload, options) => {
+    const formData = toFormData(payload, options);
+    return { data: formData.getBuffer(), headers: formData.getHeaders() };
+};
+
+module.exports = {
+    toFormData,
+    multipartRequest
+};
@@ -0,0 +1,373 @@
+/**
+ * fuzz.js
+ * Property-based fuzzing of the auth endpoints
+ *
+ * Generates random payloads for /auth/login and /auth/send-signup-code
+ * (random unicode, oversized strings, null bytes, wrong JSON types,
+ * missing and unknown fields) and checks invariants that must hold for
+ * any input:
+ * - the backend never answers with a 5xx
+ * - the body is always JSON with a numeric `code`
+ * - no token is ever issued for an unknown user
+ *
+ * A failing payload is shrunk to a minimal one that still breaks the same
+ * invariant and saved as a case in the auth table format
+ * (test/api/cases/fuzz_reproducers.yaml), so it keeps running as a
+ * regression case once the backend is fixed.
+ *
+ * Runs are reproducible: the same FUZZ_SEED produces the same payloads.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const testData = require('../../config/testData');
+const { apiClient, extractToken, getRoleCredentials } = require('./apiClient');
+const { validateCases } = require('./caseLoader');
+
+const REPRODUCER_FILE = process.env.FUZZ_REPRO_FILE ||
+    path.join(__dirname, '..', 'cases', 'fuzz_reproducers.yaml');
+
+// ============================================
+// SEEDED RANDOM
+// ============================================
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Object} - Random helpers bound to the seed
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+    return {
+        seed: seed >>> 0,
+        next,
+        int,
+        bool: (probability = 0.5) => next() < probability,
+        pick: (items) => items[int(0, items.length - 1)]
+    };
+};
+
+/**
+ * Resolve the seed of a run: FUZZ_SEED when set, otherwise a fresh one
+ * @returns {number}
+ */
+const resolveSeed = () => {
+    const value = process.env.FUZZ_SEED;
+    if (value === undefined || value === '') return Date.now() % 4294967296;
+
+    const seed = Number(value);
+    if (!Number.isInteger(seed) || seed < 0) {
+        throw new Error(`FUZZ_SEED must be a non-negative integer, got "${value}"`);
+    }
+    return seed;
+};
+
+// ============================================
+// VALUE GENERATORS
+// ============================================
+
+// Code point ranges that tend to break parsers, validators and collations
+const UNICODE_RANGES = [
+    [0x20, 0x7E],       // ASCII
+    [0x00C0, 0x1EF9],   // Latin extended, Vietnamese
+    [0x0300, 0x036F],   // combining marks
+    [0x0590, 0x06FF],   // Hebrew, Arabic (RTL)
+    [0x200B, 0x200F],   // zero-width and direction marks
+    [0x4E00, 0x4FFF],   // CJK
+    [0xD800, 0xDFFF],   // lone surrogates
+    [0x1F600, 0x1F64F]  // emoji
+];
+
+/**
+ * Random string of code points from UNICODE_RANGES
+ */
+const unicodeString = (random, maxLength = 40) => {
+    const length = random.int(0, maxLength);
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        const [from, to] = random.pick(UNICODE_RANGES);
+        text += String.fromCodePoint(random.int(from, to));
+    }
+    return text;
+};
+
+/**
+ * Generators for one fuzzed field value, keyed by the kind of input
+ * Each takes the random source and a valid sample of the field
+ */
+const VALUE_GENERATORS = {
+    unicode: (random) => unicodeString(random),
+    oversized: (random, sample) => String(sample).repeat(random.int(200, 2000)),
+    nullByte: (random, sample) => {
+        const text = String(sample);
+        const at = random.int(0, text.length);
+        return `${text.slice(0, at)}\u0000${text.slice(at)}`;
+    },
+    whitespace: (random) => random.pick(['', ' ', '\t', '\n', ' ', '　']).repeat(random.int(1, 5)),
+    number: (random) => random.pick([0, -1, 1.5, 2 ** 53, -(2 ** 31)]),
+    boolean: (random) => random.bool(),
+    null: () => null,
+    array: (random, sample) => random.pick([[], [sample], [sample, sample]]),
+    object: (random, sample) => random.pick([{}, { value: sample }, { $ne: null }])
+};
+
+// Real account the login target may hit: wrong passwords can lock it, so
+// it is the brute-force `lockout` account, never one other specs log in with
+const fuzzAccount = getRoleCredentials('lockout');
+
+/**
+ * Fuzz targets: endpoint and valid samples for each field
+ * Emails use example.com so no mail reaches a real inbox
+ */
+const FUZZ_TARGETS = {
+    login: {
+        endpoint: '/auth/login',
+        fields: {
+            email: ['fuzz@example.com', fuzzAccount.email.toUpperCase(), fuzzAccount.email],
+            password: ['Password123', 'a', fuzzAccount.password]
+        }
+    },
+    signup: {
+        endpoint: '/auth/send-signup-code',
+        fields: {
+            fullName: ['Fuzz User', 'Nguyễn Văn A'],
+            email: ['fuzz@example.com', 'fuzz.user+tag@example.com'],
+            phoneNumber: ['0987654321', '+84987654321'],
+            password: ['Password123', 'Pass1234'],
+            confirmPassword: ['Password123', 'Pass1234']
+        }
+    }
+};
+
+/**
+ * Generate one random payload for a target
+ * Each field is left out, kept valid or fuzzed; sometimes an unknown
+ * field is added
+ * @param {Object} target - Entry of FUZZ_TARGETS
+ * @param {Object} random - Source from createRandom()
+ * @returns {Object}
+ */
+const generatePayload = (target, random) => {
+    const payload = {};
+    const kinds = Object.keys(VALUE_GENERATORS);
+
+    for (const [field, samples] of Object.entries(target.fields)) {
+        const sample = random.pick(samples);
+        const roll = random.next();
+
+        if (roll < 0.1) continue;
+        payload[field] = roll < 0.35 ? sample : VALUE_GENERATORS[random.pick(kinds)](random, sample);
+    }
+
+    if (random.bool(0.1)) {
+        payload[random.pick(['role', '__proto__x', 'isAdmin', unicodeString(random, 8) || 'x'])] =
+            VALUE_GENERATORS[random.pick(kinds)](random, 'ADMIN');
+    }
+
+    return payload;
+};
+
+// ============================================
+// INVARIANTS
+// ============================================
+
+/**
+ * Emails of the accounts that may legitimately receive a token
+ * @returns {string[]}
+ */
+const knownEmails = () => Object.keys(testData.users)
+    .map(role => getRoleCredentials(role).email)
+    .filter(Boolean)
+    .map(email => email.trim().toLowerCase());
+
+/**
+ * Check the invariants for one response
+ * @param {Object} payload - Payload that was sent
+ * @param {Object|undefined} response - Axios response (undefined when none arrived)
+ * @returns {{invariant: string, message: string}[]} - Broken invariants, empty when all hold
+ */
+const checkInvariants = (payload, response) => {
+    if (!response) {
+        return [{ invariant: 'response', message: 'No HTTP response received' }];
+    }
+
+    const violations = [];
+    const { status, data } = response;
+
+    if (status >= 500) {
+        violations.push({ invariant: 'no-5xx', message: `Server error ${status}` });
+    }
+    if (!data || typeof data !== 'object' || typeof data.code !== 'number') {
+        violations.push({ invariant: 'numeric-code', message: `Body is not JSON with a numeric code: ${JSON.stringify(data)?.slice(0, 200)}` });
+    }
+
+    const email = typeof payload.email === 'string' ? payload.email.trim().toLowerCase() : null;
+    if (data && typeof data === 'object' && extractToken(data) && !knownEmails().includes(email)) {
+        violations.push({ invariant: 'no-token-for-unknown-user', message: `Token issued for unknown user ${JSON.stringify(payload.email)}` });
+    }
+
+    return violations;
+};
+
+/**
+ * Send a payload and check the invariants
+ * @param {string} endpoint - Target endpoint
+ * @param {Object} payload - Payload to send
+ * @returns {Promise<{response: Object, violations: Object[]}>}
+ */
+const probe = async (endpoint, payload) => {
+    let response;
+    try {
+        response = await apiClient.post(endpoint, payload);
+    } catch (error) {
+        response = error.response;
+    }
+    return { response, violations: checkInvariants(payload, response) };
+};
+
+// ============================================
+// SHRINKING
+// ============================================
+
+/**
+ * Smaller variants of a value, simplest first
+ */
+const shrinkValue = (value) => {
+    if (typeof value === 'string') {
+        if (value.length === 0) return [];
+        const half = Math.floor(value.length / 2);
+        const candidates = ['', value.slice(0, half), value.slice(half)];
+        if (value.length <= 16) {
+            for (let i = 0; i < value.length; i++) candidates.push(value.slice(0, i) + value.slice(i + 1));
+        }
+        return candidates.filter(candidate => candidate !== value);
+    }
+    if (typeof value === 'number') return [0, Math.trunc(value / 2)].filter(candidate => candidate !== value);
+    if (value === true) return [false];
+    if (Array.isArray(value)) return value.length > 0 ? [[], value.slice(1)] : [];
+    if (value && typeof value === 'object') return Object.keys(value).length > 0 ? [{}] : [];
+    return [];
+};
+
+/**
+ * Smaller variants of a payload: drop a field, then shrink one field
+ */
+const shrinkCandidates = (payload) => {
+    const keys = Object.keys(payload);
+    const withoutField = keys.map(key => Object.fromEntries(Object.entries(payload).filter(([other]) => other !== key)));
+    const withSmallerField = keys.flatMap(key => shrinkValue(payload[key]).map(value => ({ ...payload, [key]: value })));
+    return [...withoutField, ...withSmallerField];
+};
+
+/**
+ * Shrink a failing payload to a minimal one that still breaks the invariant
+ * Greedy: take the first smaller candidate that still fails, until none does
+ * @param {Object} payload - Failing payload
+ * @param {Function} stillFails - async (candidate) => boolean
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts=300] - Upper bound on requests spent shrinking
+ * @returns {Promise<{payload: Object, attempts: number}>}
+ */
+const shrinkPayload = async (payload, stillFails, { maxAttempts = 300 } = {}) => {
+    let current = payload;
+    let attempts = 0;
+    let improved = true;
+
+    while (improved && attempts < maxAttempts) {
+        improved = false;
+        for (const candidate of shrinkCandidates(current)) {
+            if (attempts++ >= maxAttempts) break;
+            if (await stillFails(candidate)) {
+                current = candidate;
+                improved = true;
+                break;
+            }
+        }
+    }
+
+    return { payload: current, attempts };
+};
+
+// ============================================
+// REPRODUCERS
+// ============================================
+
+/**
+ * Collapse long runs of one character into {{repeat:X:N}} templates
+ */
+const compactRepeats = (value) => typeof value === 'string'
+    ? value.replace(/([^:{}])\1{15,}/gu, (run, char) => `{{repeat:${char}:${[...run].length}}}`)
+    : value;
+
+/**
+ * Build an auth table case for a shrunk payload
+ * The expectation is what a correct backend answers; review it when
+ * moving the case into auth_validation.yaml
+ * @param {Object} options
+ * @param {string} options.id - Case ID, e.g. TC_FUZZ_001
+ * @param {string} options.endpoint - Target endpoint
+ * @param {Object} options.payload - Shrunk payload
+ * @param {Object} options.violation - Broken invariant
+ * @param {number} options.seed - Seed of the run that found it
+ * @returns {Object}
+ */
+const toReproducerCase = ({ id, endpoint, payload, violation, seed }) => ({
+    id,
+    group: 'Fuzz Reproducers',
+    description: `${violation.message} (FUZZ_SEED=${seed})`,
+    endpoint,
+    payload: Object.fromEntries(Object.entries(payload).map(([key, value]) => [key, compactRepeats(value)])),
+    ...(violation.invariant === 'no-token-for-unknown-user'
+        ? { expectedError: 'USER_NOT_FOUND', expectedStatus: 401 }
+        : { expectedStatus: 400 })
+});
+
+/**
+ * Append a reproducer to the reproducer table, numbering it after the last one
+ * @param {Object} reproducer - Case from toReproducerCase() (its id is replaced)
+ * @param {string} [file] - Table to append to
+ * @returns {Object} - The saved case
+ */
+const saveReproducer = (reproducer, file = REPRODUCER_FILE) => {
+    const existing = fs.existsSync(file) ? yaml.load(fs.readFileSync(file, 'utf8')) || [] : [];
+    const lastNumber = existing.reduce((max, testCase) => Math.max(max, Number(/_(\d+)$/.exec(testCase.id)?.[1] || 0)), 0);
+    const saved = { ...reproducer, id: `TC_FUZZ_${String(lastNumber + 1).padStart(3, '0')}` };
+    const cases = [...existing, saved];
+
+    validateCases(cases, path.basename(file));
+
+    const header = [
+        '# fuzz_reproducers.yaml',
+        '# Minimal payloads that broke an auth invariant, saved by auth_fuzz.spec.js',
+        '#',
+        '# Each case runs as a regression case. Once triaged, move it into',
+        '# auth_validation.yaml with the error the backend should return.',
+        ''
+    ].join('\n');
+    fs.writeFileSync(file, `${header}\n${yaml.dump(cases, { lineWidth: -1 })}`);
+
+    return saved;
+};
+
+module.exports = {
+    REPRODUCER_FILE,
+    FUZZ_TARGETS,
+    createRandom,
+    resolveSeed,
+    generatePayload,
+    checkInvariants,
+    probe,
+    shrinkPayload,
+    toReproducerCase,
+    saveReproducer
+};
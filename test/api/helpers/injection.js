@@ -0,0 +1,132 @@
+/**
+ * injection.js
+ * Injection payload catalog and "stays inert" assertions
+ *
+ * The catalog (test/api/cases/payloads/injection.yaml) holds XSS, HTML,
+ * NoSQL and template-injection payloads. injection.spec.js sends them
+ * through the API, test/ui/specs/injection_payloads.spec.js through the
+ * page objects (header search, vendor product form, chat).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { expect } = require('chai');
+
+const CATALOG_FILE = path.join(__dirname, '..', 'cases', 'payloads', 'injection.yaml');
+const CATEGORIES = ['xss', 'html', 'nosql', 'operators', 'template'];
+
+let catalog = null;
+
+/**
+ * Load and check the catalog once
+ * @returns {Object<string, Object[]>}
+ */
+const loadCatalog = () => {
+    if (catalog) return catalog;
+
+    const raw = yaml.load(fs.readFileSync(CATALOG_FILE, 'utf8')) || {};
+    const problems = [];
+    const seen = new Set();
+
+    Object.keys(raw).filter(category => !CATEGORIES.includes(category))
+        .forEach(category => problems.push(`${category}: unknown category (expected ${CATEGORIES.join(', ')})`));
+
+    for (const category of CATEGORIES) {
+        (raw[category] || []).forEach((entry, index) => {
+            const where = `${category}[${index}]${entry && entry.id ? ` (${entry.id})` : ''}`;
+
+            if (!entry || !/^[A-Z][A-Z0-9_]*$/.test(entry.id || '')) problems.push(`${where}: id must be UPPER_SNAKE_CASE`);
+            else if (seen.has(entry.id)) problems.push(`${where}: duplicate id`);
+            else seen.add(entry.id);
+
+            const field = category === 'operators' ? 'operator' : 'payload';
+            if (!entry || typeof entry[field] !== 'string' || entry[field] === '') problems.push(`${where}: ${field} must be a non-empty string`);
+        });
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid injection catalog ${path.basename(CATALOG_FILE)}:\n  • ${problems.join('\n  • ')}`);
+    }
+
+    catalog = Object.fromEntries(CATEGORIES.map(category => [
+        category,
+        (raw[category] || []).map(entry => Object.freeze({ ...entry, category }))
+    ]));
+    return catalog;
+};
+
+/**
+ * Get catalog entries
+ * @param {...string} categories - Categories to include (all string payloads when omitted)
+ * @returns {Object[]} - Entries with id, category, payload (or operator) and evaluated
+ */
+const loadInjectionPayloads = (...categories) => {
+    const selected = categories.length > 0 ? categories : CATEGORIES.filter(category => category !== 'operators');
+    const unknown = selected.find(category => !CATEGORIES.includes(category));
+    if (unknown) {
+        throw new Error(`Unknown injection category "${unknown}". Expected one of: ${CATEGORIES.join(', ')}`);
+    }
+
+    return selected.flatMap(category => loadCatalog()[category]);
+};
+
+// ============================================
+// ASSERTIONS
+// ============================================
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Assert that a stored value kept a payload inert
+ * Accepted: stored verbatim, HTML-escaped, or with the markup stripped;
+ * a template payload must never come back evaluated
+ * @param {*} stored - Value returned by the backend
+ * @param {Object} entry - Catalog entry
+ * @param {string} [field] - Field name for the failure message
+ * @param {string} [prefix] - Text the payload was appended to
+ */
+const expectStoredInert = (stored, entry, field = 'value', prefix = '') => {
+    const sent = `${prefix}${entry.payload}`;
+    const what = `${entry.id} in ${field}`;
+
+    expect(stored, `${what} was not stored`).to.be.a('string');
+
+    if (entry.evaluated && !sent.includes(entry.evaluated)) {
+        expect(stored, `${what} was evaluated as a template`).to.not.include(entry.evaluated);
+    }
+
+    const inert = stored === sent ||
+        stored === `${prefix}${escapeHtml(entry.payload)}` ||
+        (!/[<>]/.test(stored) && stored.trim() === sent.replace(/<[^>]*>/g, '').trim());
+    expect(inert, `${what} was altered in a way that is neither verbatim, escaped nor stripped: ${JSON.stringify(stored)}`).to.be.true;
+};
+
+/**
+ * Assert that every search result matches the search text literally
+ * A regex, $where or operator interpretation of the text would return
+ * products that do not contain it
+ * @param {Object[]} products - Products returned for the search
+ * @param {string} text - Search text
+ * @param {string} [what] - Description for the failure message
+ */
+const expectLiteralMatches = (products, text, what = 'search') => {
+    const needle = text.toLowerCase();
+    const unexpected = products.filter(product => ![product.name, product.description]
+        .some(value => typeof value === 'string' && value.toLowerCase().includes(needle)));
+
+    expect(unexpected.map(product => product.name),
+        `${what} returned products that do not contain ${JSON.stringify(text)}`).to.be.empty;
+};
+
+module.exports = {
+    CATALOG_FILE,
+    loadInjectionPayloads,
+    expectStoredInert,
+    expectLiteralMatches
+};
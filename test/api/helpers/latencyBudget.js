@@ -0,0 +1,239 @@
+/**
+ * latencyBudget.js
+ * Per-endpoint latency budgets for functional API runs
+ *
+ * Every request made during a test (timing samples from apiClient, see
+ * timing.js) is checked against the budget of its route template in
+ * test/api/contracts/latency-budgets.yaml. The hooks in
+ * test/api/hooks/latency.hooks.js attach each test's timings to the
+ * mochawesome report and print a latency table for the whole run.
+ *
+ * Modes (API_LATENCY_BUDGET):
+ * - warn (default): overruns are printed and shown in the report
+ * - strict: an overrun fails the test that made the request
+ * - off: no check
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { summarizeSamples } = require('./timing');
+
+const BUDGET_FILE = process.env.API_LATENCY_BUDGET_FILE ||
+    path.join(__dirname, '..', 'contracts', 'latency-budgets.yaml');
+
+// Loaded budgets: { default, routes }
+let budgets = null;
+
+// Samples of the running test (null between tests) and of the whole run
+let testSamples = null;
+const runSamples = [];
+
+/**
+ * Get the configured check mode
+ * @returns {'strict'|'warn'|'off'}
+ */
+const getMode = () => (process.env.API_LATENCY_BUDGET || 'warn').toLowerCase();
+
+/**
+ * Load and check a budget file
+ * @param {string} [file] - YAML file (default API_LATENCY_BUDGET_FILE or contracts/latency-budgets.yaml)
+ * @returns {{default: number, routes: Object<string, number>}}
+ */
+const loadBudgets = (file = BUDGET_FILE) => {
+    const raw = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+    const problems = [];
+    const isBudget = (value) => typeof value === 'number' && value > 0;
+
+    if (!isBudget(raw.default)) {
+        problems.push('default: must be a number of ms > 0');
+    }
+    Object.entries(raw.routes || {}).forEach(([route, budget]) => {
+        if (!/^(GET|POST|PUT|PATCH|DELETE) \//.test(route)) {
+            problems.push(`routes["${route}"]: key must look like "METHOD /path"`);
+        }
+        if (!isBudget(budget)) {
+            problems.push(`routes["${route}"]: must be a number of ms > 0`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid latency budget file ${path.basename(file)}:\n  • ${problems.join('\n  • ')}`);
+    }
+    return { default: raw.default, routes: raw.routes || {} };
+};
+
+/**
+ * Budget of a route
+ * @param {string} route - 'METHOD /path/{template}'
+ * @param {Object} [loaded] - Budgets (default: the configured file)
+ * @returns {number} - Milliseconds
+ */
+const budgetFor = (route, loaded) => {
+    if (!loaded && !budgets) budgets = loadBudgets();
+    const { default: fallback, routes } = loaded || budgets;
+    return routes[route] ?? fallback;
+};
+
+// ============================================
+// COLLECTION
+// ============================================
+
+/**
+ * Timing listener: keep samples made while a test runs
+ * Requests from before/after hooks are not checked
+ * @param {import('./timing').TimingSample} sample
+ */
+const recordSample = (sample) => {
+    if (!testSamples) return;
+
+    const budget = budgetFor(sample.route);
+    const entry = { ...sample, budget, over: sample.duration > budget };
+    testSamples.push(entry);
+    runSamples.push(entry);
+};
+
+/**
+ * Start collecting samples for a test
+ */
+const startTest = () => {
+    testSamples = [];
+};
+
+/**
+ * Stop collecting and return the samples of the test that just ran
+ * @returns {Object[]}
+ */
+const endTest = () => {
+    const taken = testSamples || [];
+    testSamples = null;
+    return taken;
+};
+
+/**
+ * Samples of the running test that exceeded their budget so far
+ * @returns {Object[]}
+ */
+const currentOverruns = () => (testSamples || []).filter(sample => sample.over);
+
+/**
+ * One-line description of an overrun
+ * @param {Object} sample
+ * @returns {string}
+ */
+const describeOverrun = ({ route, duration, budget }) =>
+    `Latency budget exceeded: ${route} took ${duration}ms (budget ${budget}ms)`;
+
+// ============================================
+// RUN SUMMARY
+// ============================================
+
+/**
+ * Latency per route over the whole run
+ * @returns {{route: string, count: number, p50: number, p95: number, max: number, budget: number, overruns: number}[]}
+ */
+const summarizeRun = () => {
+    const stats = summarizeSamples(runSamples);
+    return Object.entries(stats).map(([route, { count, p50, p95, max }]) => ({
+        route,
+        count,
+        p50,
+        p95,
+        max,
+        budget: budgetFor(route),
+        overruns: runSamples.filter(sample => sample.route === route && sample.over).length
+    }));
+};
+
+/**
+ * Format the run summary as a console table
+ * @param {Object[]} rows - From summarizeRun()
+ * @returns {string}
+ */
+const formatLatencyTable = (rows) => {
+    const width = Math.max(34, ...rows.map(({ route }) => route.length));
+    return [
+        `   ${'Route'.padEnd(width)} ${'Count'.padStart(6)} ${'p50'.padStart(6)} ${'p95'.padStart(6)} ${'Max'.padStart(6)} ${'Budget'.padStart(7)} ${'Over'.padStart(5)}`,
+        ...rows.map(({ route, count, p50, p95, max, budget, overruns }) =>
+            `${overruns > 0 ? '⚠️' : '✅'} ${route.padEnd(width)} ${String(count).padStart(6)} ${String(p50).padStart(6)} ` +
+            `${String(p95).padStart(6)} ${String(max).padStart(6)} ${String(budget).padStart(7)} ${String(overruns).padStart(5)}`)
+    ].join('\n');
+};
+
+/**
+ * Directory for latency-summary.json/html
+ * API_LATENCY_REPORT_DIR, or the mochawesome report directory when that
+ * reporter is used; null otherwise (console table only)
+ * @param {string[]} [argv] - Mocha command line
+ * @returns {string|null}
+ */
+const getReportDir = (argv = process.argv) => {
+    if (process.env.API_LATENCY_REPORT_DIR) return process.env.API_LATENCY_REPORT_DIR;
+
+    const flag = argv.findIndex(arg => arg === '--reporter' || arg === '-R');
+    const reporter = flag >= 0 ? argv[flag + 1] : argv.find(arg => arg.startsWith('--reporter='))?.split('=')[1];
+    if (reporter !== 'mochawesome') return null;
+
+    return /reportDir=([^,\s]+)/.exec(argv.join(' '))?.[1] || 'mochawesome-report';
+};
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Write latency-summary.json and latency-summary.html
+ * @param {Object[]} rows - From summarizeRun()
+ * @param {string} dir - Output directory
+ * @returns {{json: string, html: string}}
+ */
+const writeLatencyReport = (rows, dir) => {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const json = path.join(dir, 'latency-summary.json');
+    fs.writeFileSync(json, `${JSON.stringify({ finishedAt: new Date().toISOString(), mode: getMode(), routes: rows }, null, 2)}\n`);
+
+    const html = path.join(dir, 'latency-summary.html');
+    fs.writeFileSync(html, `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>API latency per route</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+tr.over { background: #fff3e0; }
+</style>
+</head>
+<body>
+<h1>API latency per route</h1>
+<table>
+<tr><th>Route</th><th>Count</th><th>p50</th><th>p95</th><th>Max</th><th>Budget</th><th>Over budget</th></tr>
+${rows.map(({ route, count, p50, p95, max, budget, overruns }) =>
+        `<tr class="${overruns > 0 ? 'over' : ''}"><td>${escapeHtml(route)}</td><td>${count}</td><td>${p50} ms</td>` +
+        `<td>${p95} ms</td><td>${max} ms</td><td>${budget} ms</td><td>${overruns}</td></tr>`).join('\n')}
+</table>
+</body>
+</html>
+`);
+
+    return { json, html };
+};
+
+module.exports = {
+    getMode,
+    loadBudgets,
+    budgetFor,
+    recordSample,
+    startTest,
+    endTest,
+    currentOverruns,
+    describeOverrun,
+    summarizeRun,
+    formatLatencyTable,
+    getReportDir,
+    writeLatencyReport
+};
@@ -0,0 +1,309 @@
+/**
+ * loadRunner.js
+ * Lightweight load runs on top of apiClient
+ *
+ * runLoad() starts N virtual users (VUs) that repeat a scenario until the
+ * duration is over. Every request goes through apiClient, whose timing
+ * samples (timing.js) are aggregated per endpoint into p50/p95/p99
+ * latencies and error rates. checkSlo() compares them with the thresholds
+ * in test/api/load/slo.yaml and writeLoadReport() writes a JSON and HTML
+ * summary next to the mochawesome report.
+ *
+ * Settings come from env:
+ * - LOAD_VUS                virtual users (default 5)
+ * - LOAD_DURATION_SECONDS   run length (default 30)
+ * - LOAD_RAMP_UP_SECONDS    VUs start evenly spread over this time (default 0)
+ * - LOAD_THINK_TIME_MS      pause between two iterations of a VU (default 0)
+ * - LOAD_SLO_FILE           SLO thresholds (default test/api/load/slo.yaml)
+ * - LOAD_REPORT_DIR         where the summary is written (default mochawesome-report)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { onTiming, summarizeSamples } = require('./timing');
+
+const DEFAULT_SLO_FILE = path.join(__dirname, '..', 'load', 'slo.yaml');
+const SLO_METRICS = ['p50Ms', 'p95Ms', 'p99Ms', 'errorRate'];
+
+const toNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read the load settings from env
+ * @returns {{vus: number, durationSeconds: number, rampUpSeconds: number, thinkTimeMs: number, sloFile: string, reportDir: string}}
+ */
+const getLoadConfig = () => ({
+    vus: Math.max(1, Math.floor(toNumber(process.env.LOAD_VUS, 5))),
+    durationSeconds: toNumber(process.env.LOAD_DURATION_SECONDS, 30),
+    rampUpSeconds: toNumber(process.env.LOAD_RAMP_UP_SECONDS, 0),
+    thinkTimeMs: toNumber(process.env.LOAD_THINK_TIME_MS, 0),
+    sloFile: process.env.LOAD_SLO_FILE || DEFAULT_SLO_FILE,
+    reportDir: process.env.LOAD_REPORT_DIR || 'mochawesome-report'
+});
+
+// ============================================
+// RUNNER
+// ============================================
+
+/**
+ * One-line description of a failed scenario step
+ * @param {Error} error
+ * @returns {string}
+ */
+const describeFailure = (error) => {
+    const { config, response } = error;
+    if (!config) return error.message;
+
+    const request = `${(config.method || 'get').toUpperCase()} ${config.url}`;
+    return response
+        ? `${request} -> ${response.status}: ${response.data?.message || error.message}`
+        : `${request}: ${error.message}`;
+};
+
+/**
+ * Run a scenario with virtual users for a fixed duration
+ * A VU starts its next iteration only after the previous one finished;
+ * an iteration that throws counts as failed and the VU carries on.
+ * @param {Object} options
+ * @param {Function} options.scenario - ({ vu, iteration, state }) => Promise; `state` persists per VU
+ * @param {number} options.vus - Virtual users
+ * @param {number} options.durationSeconds - How long VUs keep starting iterations
+ * @param {number} [options.rampUpSeconds] - VUs start evenly spread over this time
+ * @param {number} [options.thinkTimeMs] - Pause between iterations
+ * @returns {Promise<Object>} - { vus, durationSeconds, elapsedSeconds, iterations, failedIterations, failures, endpoints }
+ */
+const runLoad = async ({ scenario, vus, durationSeconds, rampUpSeconds = 0, thinkTimeMs = 0 }) => {
+    const samples = [];
+    const failures = new Map();
+    let iterations = 0;
+    let failedIterations = 0;
+
+    const startedAt = Date.now();
+    const deadline = startedAt + durationSeconds * 1000;
+
+    const runVirtualUser = async (vu) => {
+        await sleep((rampUpSeconds * 1000 * vu) / vus);
+
+        const state = {};
+        for (let iteration = 0; Date.now() < deadline; iteration++) {
+            try {
+                await scenario({ vu, iteration, state });
+            } catch (error) {
+                failedIterations++;
+                const message = describeFailure(error);
+                failures.set(message, (failures.get(message) || 0) + 1);
+            }
+            iterations++;
+
+            if (thinkTimeMs > 0) await sleep(thinkTimeMs);
+        }
+    };
+
+    const stopListening = onTiming(sample => samples.push(sample));
+    try {
+        await Promise.all(Array.from({ length: vus }, (_, vu) => runVirtualUser(vu)));
+    } finally {
+        stopListening();
+    }
+
+    const elapsedSeconds = (Date.now() - startedAt) / 1000;
+    return {
+        vus,
+        durationSeconds,
+        elapsedSeconds,
+        iterations,
+        failedIterations,
+        failures: [...failures]
+            .map(([message, count]) => ({ message, count }))
+            .sort((a, b) => b.count - a.count),
+        endpoints: summarizeSamples(samples, elapsedSeconds)
+    };
+};
+
+// ============================================
+// SLO
+// ============================================
+
+/**
+ * Load and check the SLO file
+ * @param {string} [file] - YAML file (default LOAD_SLO_FILE or test/api/load/slo.yaml)
+ * @returns {{default: Object, endpoints: Object<string, Object>}}
+ */
+const loadSlo = (file = getLoadConfig().sloFile) => {
+    const raw = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+    const problems = [];
+
+    const checkThresholds = (thresholds, where) => {
+        if (!thresholds || typeof thresholds !== 'object') {
+            problems.push(`${where}: must be a map of thresholds`);
+            return;
+        }
+        Object.entries(thresholds).forEach(([metric, value]) => {
+            if (!SLO_METRICS.includes(metric)) {
+                problems.push(`${where}.${metric}: unknown metric (expected ${SLO_METRICS.join(', ')})`);
+            } else if (typeof value !== 'number' || value < 0 || (metric === 'errorRate' && value > 1)) {
+                problems.push(`${where}.${metric}: must be ${metric === 'errorRate' ? 'a rate between 0 and 1' : 'a number of ms >= 0'}`);
+            }
+        });
+    };
+
+    checkThresholds(raw.default || {}, 'default');
+    Object.entries(raw.endpoints || {}).forEach(([route, thresholds]) => {
+        if (!/^(GET|POST|PUT|PATCH|DELETE) \//.test(route)) {
+            problems.push(`endpoints["${route}"]: key must look like "METHOD /path"`);
+        }
+        checkThresholds(thresholds, `endpoints["${route}"]`);
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid SLO file ${path.basename(file)}:\n  • ${problems.join('\n  • ')}`);
+    }
+    return { default: raw.default || {}, endpoints: raw.endpoints || {} };
+};
+
+/**
+ * Thresholds that apply to one endpoint
+ * @param {Object} slo - From loadSlo()
+ * @param {string} route - 'METHOD /path'
+ * @returns {Object}
+ */
+const thresholdsFor = (slo, route) => ({ ...slo.default, ...slo.endpoints[route] });
+
+/**
+ * Compare a load result with the SLO
+ * @param {Object} result - From runLoad()
+ * @param {Object} slo - From loadSlo()
+ * @returns {{route: string, metric: string, actual: number, limit: number}[]} - Breached thresholds
+ */
+const checkSlo = (result, slo) => Object.entries(result.endpoints).flatMap(([route, stats]) => {
+    const thresholds = thresholdsFor(slo, route);
+    return SLO_METRICS
+        .filter(metric => thresholds[metric] !== undefined)
+        .map(metric => ({
+            route,
+            metric,
+            actual: metric === 'errorRate' ? stats.errorRate : stats[metric.replace('Ms', '')],
+            limit: thresholds[metric]
+        }))
+        .filter(({ actual, limit }) => actual > limit);
+});
+
+// ============================================
+// REPORT
+// ============================================
+
+const formatRate = (rate) => `${(rate * 100).toFixed(2)}%`;
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Print the per-endpoint table to the console
+ * @param {Object} result - From runLoad()
+ * @param {Object[]} breaches - From checkSlo()
+ */
+const printLoadSummary = (result, breaches) => {
+    console.log(`\n📈 Load summary: ${result.vus} VUs, ${result.elapsedSeconds.toFixed(1)}s, ` +
+        `${result.iterations} iterations (${result.failedIterations} failed)`);
+    console.log(`   ${'Endpoint'.padEnd(28)} ${'Count'.padStart(6)} ${'Err%'.padStart(7)} ${'p50'.padStart(6)} ${'p95'.padStart(6)} ${'p99'.padStart(6)} ${'Max'.padStart(6)}`);
+
+    Object.entries(result.endpoints).forEach(([route, stats]) => {
+        const mark = breaches.some(breach => breach.route === route) ? '❌' : '✅';
+        console.log(`${mark} ${route.padEnd(28)} ${String(stats.count).padStart(6)} ${formatRate(stats.errorRate).padStart(7)} ` +
+            `${String(stats.p50).padStart(6)} ${String(stats.p95).padStart(6)} ${String(stats.p99).padStart(6)} ${String(stats.max).padStart(6)}`);
+    });
+
+    breaches.forEach(({ route, metric, actual, limit }) => {
+        const show = metric === 'errorRate' ? formatRate : (value) => `${value}ms`;
+        console.log(`   ⚠️ ${route}: ${metric} ${show(actual)} > ${show(limit)}`);
+    });
+};
+
+/**
+ * Write load-summary.json and load-summary.html
+ * @param {Object} result - From runLoad()
+ * @param {Object} slo - From loadSlo()
+ * @param {Object[]} breaches - From checkSlo()
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Output directory (default LOAD_REPORT_DIR)
+ * @param {string} [options.title] - Scenario name for the HTML page
+ * @returns {{json: string, html: string}} - Written file paths
+ */
+const writeLoadReport = (result, slo, breaches, { dir = getLoadConfig().reportDir, title = 'Load run' } = {}) => {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const summary = {
+        title,
+        finishedAt: new Date().toISOString(),
+        passed: breaches.length === 0,
+        ...result,
+        slo,
+        breaches
+    };
+    const json = path.join(dir, 'load-summary.json');
+    fs.writeFileSync(json, `${JSON.stringify(summary, null, 2)}\n`);
+
+    const rows = Object.entries(result.endpoints).map(([route, stats]) => {
+        const failed = breaches.some(breach => breach.route === route);
+        const thresholds = thresholdsFor(slo, route);
+        const cell = (metric, value, show) => {
+            const limit = thresholds[metric];
+            const over = limit !== undefined && value > limit;
+            return `<td class="${over ? 'bad' : ''}">${show(value)}${limit !== undefined ? ` <small>/ ${show(limit)}</small>` : ''}</td>`;
+        };
+        const ms = (value) => `${value} ms`;
+
+        return `<tr class="${failed ? 'fail' : 'pass'}"><td>${escapeHtml(route)}</td><td>${stats.count}</td><td>${stats.rps}</td>` +
+            `${cell('errorRate', stats.errorRate, formatRate)}${cell('p50Ms', stats.p50, ms)}${cell('p95Ms', stats.p95, ms)}` +
+            `${cell('p99Ms', stats.p99, ms)}<td>${stats.max} ms</td></tr>`;
+    });
+    const failures = result.failures.map(({ message, count }) => `<li>${count}× ${escapeHtml(message)}</li>`);
+
+    const html = path.join(dir, 'load-summary.html');
+    fs.writeFileSync(html, `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+tr.pass td:first-child { border-left: 4px solid #2e7d32; }
+tr.fail td:first-child { border-left: 4px solid #c62828; }
+td.bad { background: #ffebee; }
+small { color: #777; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)} ${summary.passed ? '✅' : '❌'}</h1>
+<p>${result.vus} VUs · ${result.elapsedSeconds.toFixed(1)} s · ${result.iterations} iterations (${result.failedIterations} failed) · ${escapeHtml(summary.finishedAt)}</p>
+<table>
+<tr><th>Endpoint</th><th>Count</th><th>Req/s</th><th>Errors</th><th>p50</th><th>p95</th><th>p99</th><th>Max</th></tr>
+${rows.join('\n')}
+</table>
+${failures.length > 0 ? `<h2>Failed iterations</h2>\n<ul>\n${failures.join('\n')}\n</ul>` : ''}
+</body>
+</html>
+`);
+
+    return { json, html };
+};
+
+module.exports = {
+    getLoadConfig,
+    runLoad,
+    loadSlo,
+    checkSlo,
+    printLoadSummary,
+    writeLoadReport
+};
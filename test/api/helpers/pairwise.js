@@ -0,0 +1,239 @@
+/**
+ * pairwise.js
+ * Pairwise (all-pairs) case generation for multi-field forms
+ *
+ * A model file (test/api/cases/pairwise/*.yaml) lists value classes per
+ * field and a rule set describing which classes the backend rejects.
+ * allPairs() picks a compact set of combinations in which every pair of
+ * classes of two different fields appears at least once; the rules then
+ * give each combination its expected outcome:
+ * - no rule matches: the request succeeds
+ * - one rule matches: its catalog error
+ * - several rules match: any of their errors (the backend reports one)
+ *
+ * Rules marked `last: true` (e.g. "email already registered") only apply
+ * when no other rule matched, since the backend checks them after
+ * validating the fields.
+ *
+ * Class values:
+ * - `~` (null) leaves the field out of the payload
+ * - `{{field:password}}` copies the value chosen for another field
+ * - case table templates ({{id}}, {{timestamp}}, {{repeat:A:101}}) apply
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateCases, expandTemplates } = require('./caseLoader');
+const { ERROR_CATALOG } = require('./errorCatalog');
+
+const MODELS_DIR = path.join(__dirname, '..', 'cases', 'pairwise');
+
+// ============================================
+// ALL-PAIRS
+// ============================================
+
+/**
+ * Key identifying a pair of (parameter, value) choices
+ */
+const pairKey = (i, a, j, b) => `${i}:${a}|${j}:${b}`;
+
+/**
+ * Generate combinations covering every pair of values of two parameters
+ * Greedy and deterministic: each new row starts from the first uncovered
+ * pair and fills the other parameters with the value covering most
+ * uncovered pairs.
+ * @param {Object<string, string[]>} parameters - Parameter name -> values
+ * @returns {Object<string, string>[]} - Rows mapping parameter -> value
+ */
+const allPairs = (parameters) => {
+    const names = Object.keys(parameters);
+    const values = names.map(name => parameters[name]);
+
+    const uncovered = new Set();
+    for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length; j++) {
+            values[i].forEach((a, ai) => values[j].forEach((b, bi) => uncovered.add(pairKey(i, ai, j, bi))));
+        }
+    }
+
+    // Single parameter: one row per value
+    if (names.length === 1) {
+        return values[0].map(value => ({ [names[0]]: value }));
+    }
+
+    const rows = [];
+    while (uncovered.size > 0) {
+        const [first] = uncovered;
+        const [, i, ai, j, bi] = /^(\d+):(\d+)\|(\d+):(\d+)$/.exec(first).map(Number);
+        const row = new Array(names.length).fill(undefined);
+        row[i] = ai;
+        row[j] = bi;
+
+        for (let k = 0; k < names.length; k++) {
+            if (row[k] !== undefined) continue;
+
+            let best = 0;
+            let bestGain = -1;
+            values[k].forEach((value, vk) => {
+                const gain = row.reduce((count, chosen, m) => {
+                    if (chosen === undefined) return count;
+                    const key = m < k ? pairKey(m, chosen, k, vk) : pairKey(k, vk, m, chosen);
+                    return count + (uncovered.has(key) ? 1 : 0);
+                }, 0);
+                if (gain > bestGain) {
+                    best = vk;
+                    bestGain = gain;
+                }
+            });
+            row[k] = best;
+        }
+
+        for (let m = 0; m < names.length; m++) {
+            for (let n = m + 1; n < names.length; n++) {
+                uncovered.delete(pairKey(m, row[m], n, row[n]));
+            }
+        }
+        rows.push(Object.fromEntries(names.map((name, k) => [name, values[k][row[k]]])));
+    }
+
+    return rows;
+};
+
+// ============================================
+// MODEL → CASES
+// ============================================
+
+/**
+ * Check a model and point at the offending key
+ * @param {Object} model - Parsed model file
+ * @param {string} source - File name for error messages
+ */
+const validateModel = (model, source) => {
+    const problems = [];
+    const fields = (model && model.fields) || {};
+
+    if (!/^TC_[A-Z]+$/.test((model && model.idPrefix) || '')) problems.push('idPrefix must look like TC_PWSIGNUP');
+    if (!model || !model.endpoint) problems.push('endpoint is required');
+    if (Object.keys(fields).length === 0) problems.push('fields must list at least one field');
+
+    for (const [name, classes] of Object.entries(fields)) {
+        if (!classes || typeof classes !== 'object' || Object.keys(classes).length === 0) {
+            problems.push(`fields.${name} must map class names to values`);
+        }
+    }
+
+    ((model && model.rules) || []).forEach((rule, index) => {
+        if (!ERROR_CATALOG[rule.error]) {
+            problems.push(`rules[${index}].error "${rule.error}" is not in errorCatalog.js`);
+        }
+        for (const [field, classNames] of Object.entries(rule.when || {})) {
+            if (!fields[field]) {
+                problems.push(`rules[${index}].when.${field} is not a field`);
+                continue;
+            }
+            [].concat(classNames)
+                .filter(className => !(className in fields[field]))
+                .forEach(className => problems.push(`rules[${index}].when.${field}: unknown class "${className}"`));
+        }
+        if (!rule.when || Object.keys(rule.when).length === 0) {
+            problems.push(`rules[${index}].when must name at least one field`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid pairwise model ${source}:\n  • ${problems.join('\n  • ')}`);
+    }
+};
+
+/**
+ * Expected outcome of one combination according to the rules
+ * @param {Object<string, string>} combination - Field -> class name
+ * @param {Object[]} rules - Model rules
+ * @returns {Object} - { shouldSucceed } or { expectedError }
+ */
+const applyRules = (combination, rules = []) => {
+    const matches = (rule) => Object.entries(rule.when)
+        .every(([field, classNames]) => [].concat(classNames).includes(combination[field]));
+
+    let errors = rules.filter(rule => !rule.last && matches(rule)).map(rule => rule.error);
+    if (errors.length === 0) {
+        errors = rules.filter(rule => rule.last && matches(rule)).map(rule => rule.error);
+    }
+
+    errors = [...new Set(errors)];
+    if (errors.length === 0) return { shouldSucceed: true };
+    return { expectedError: errors.length === 1 ? errors[0] : errors };
+};
+
+/**
+ * Build the payload for one combination
+ * @param {Object} fields - Model fields (field -> class -> value)
+ * @param {Object<string, string>} combination - Field -> class name
+ * @returns {Object}
+ */
+const buildPayload = (fields, combination) => {
+    const chosen = Object.fromEntries(Object.keys(combination).map(field => [field, fields[field][combination[field]]]));
+    const resolve = (value) => typeof value === 'string'
+        ? value.replace(/\{\{field:(\w+)\}\}/g, (match, field) => String(chosen[field] ?? ''))
+        : value;
+
+    return Object.fromEntries(Object.entries(chosen)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([field, value]) => [field, resolve(value)]));
+};
+
+/**
+ * Generate the pairwise case table of a model
+ * @param {Object} model - Parsed model file
+ * @param {string} [source] - File name for error messages
+ * @returns {Object[]} - Cases for runCaseTable(); each keeps its `combination`
+ */
+const generatePairwiseCases = (model, source = 'pairwise model') => {
+    validateModel(model, source);
+
+    const { idPrefix, group, method = 'POST', endpoint, fields, rules } = model;
+    const parameters = Object.fromEntries(Object.entries(fields).map(([field, classes]) => [field, Object.keys(classes)]));
+
+    const combinations = allPairs(parameters);
+    const cases = combinations.map((combination, index) => ({
+        id: `${idPrefix}_${String(index + 1).padStart(3, '0')}`,
+        group,
+        description: Object.entries(combination).map(([field, className]) => `${field}=${className}`).join(', '),
+        method,
+        endpoint,
+        payload: buildPayload(fields, combination),
+        ...applyRules(combination, rules)
+    }));
+
+    // `combination` is not a case table column, so it is added after validation
+    validateCases(cases, source);
+    return expandTemplates(cases).map((testCase, index) => ({ ...testCase, combination: combinations[index] }));
+};
+
+/**
+ * Load a pairwise model file and generate its cases
+ * @param {string} file - File name under test/api/cases/pairwise, or an absolute path
+ * @returns {Object[]}
+ */
+const loadPairwiseModel = (file) => {
+    const filePath = path.isAbsolute(file) ? file : path.join(MODELS_DIR, file);
+    const source = path.basename(filePath);
+
+    let model;
+    try {
+        model = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read pairwise model ${source}: ${error.message}`);
+    }
+
+    return generatePairwiseCases(model, source);
+};
+
+module.exports = {
+    MODELS_DIR,
+    allPairs,
+    applyRules,
+    generatePairwiseCases,
+    loadPairwiseModel
+};
@@ -0,0 +1,187 @@
+/**
+ * security.js
+ * Helpers for the API security pack (security.spec.js)
+ *
+ * - Forge altered JWTs from a real token (alg none, expired, wrong
+ *   signature, swapped role claim)
+ * - Send requests with an arbitrary token, bypassing apiClient's
+ *   re-authentication so a 401 is never hidden by a fresh login
+ * - Tag tests with their OWASP API Security Top 10 (2023) category for
+ *   the mochawesome report
+ */
+
+const crypto = require('crypto');
+const { expect } = require('chai');
+const addContext = require('mochawesome/addContext');
+const testData = require('../../config/testData');
+const { apiClient } = require('./apiClient');
+
+// ============================================
+// OWASP CATEGORIES
+// ============================================
+
+const OWASP = Object.freeze({
+    BOLA: 'API1:2023 Broken Object Level Authorization',
+    BROKEN_AUTHENTICATION: 'API2:2023 Broken Authentication',
+    BFLA: 'API5:2023 Broken Function Level Authorization'
+});
+
+/**
+ * Tag the running test with an OWASP category
+ * Shows up as context in the mochawesome report and in the run summary
+ * @param {Mocha.Context} context - `this` inside the test
+ * @param {string} category - Value from OWASP
+ * @param {Map<string, Object[]>} [results] - Summary collected by the spec
+ */
+const tagOwasp = (context, category, results) => {
+    addContext(context, { title: 'OWASP', value: category });
+
+    if (results) {
+        if (!results.has(category)) results.set(category, []);
+        results.get(category).push(context.test);
+    }
+};
+
+// ============================================
+// JWT FORGERY
+// ============================================
+
+const base64url = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+/**
+ * Decode a compact JWT without verifying it
+ * @param {string} token - Compact JWT
+ * @returns {{header: Object, payload: Object, signature: string}}
+ */
+const decodeJwt = (token) => {
+    const [header, payload, signature = ''] = String(token).split('.');
+    try {
+        return {
+            header: JSON.parse(Buffer.from(header, 'base64url').toString('utf8')),
+            payload: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+            signature
+        };
+    } catch (error) {
+        throw new Error(`Not a JWT: ${String(token).slice(0, 40)}...`);
+    }
+};
+
+/**
+ * Encode header and claims, signing with HS256 when a secret is given
+ * @param {Object} header - JOSE header
+ * @param {Object} payload - Claims
+ * @param {string|null} signature - Signature to reuse, or null to sign with `secret`
+ * @param {string} [secret] - HMAC secret
+ * @returns {string}
+ */
+const encodeJwt = (header, payload, signature, secret) => {
+    const signingInput = `${base64url(header)}.${base64url(payload)}`;
+    const signed = signature ?? crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+    return `${signingInput}.${signed}`;
+};
+
+/**
+ * Secret the backend signs tokens with, when the tests know it
+ * Only the mock's secret is known unless API_JWT_SECRET is set
+ * @returns {string|null}
+ */
+const knownJwtSecret = () => process.env.API_JWT_SECRET ||
+    (testData.apiMode === 'mock' ? process.env.API_MOCK_SECRET || 'cellex-mock-secret' : null);
+
+/**
+ * Forge altered variants of a real token
+ * @param {string} token - Token issued by the backend
+ * @param {Object} [options]
+ * @param {string} [options.role='ADMIN'] - Role written into the swapped role claim
+ * @returns {Object<string, {token: string, description: string}>}
+ */
+const forgeTokens = (token, { role = 'ADMIN' } = {}) => {
+    const { header, payload, signature } = decodeJwt(token);
+    const now = Math.floor(Date.now() / 1000);
+    const secret = knownJwtSecret();
+
+    // Spring puts authorities in "scope"; other backends use "role"/"roles"
+    const swapped = { ...payload, scope: role, role, roles: [role] };
+    const expired = { ...payload, iat: now - 7200, exp: now - 3600 };
+
+    return {
+        algNone: {
+            description: 'alg "none" with the signature removed',
+            token: `${base64url({ ...header, alg: 'none' })}.${base64url(payload)}.`
+        },
+        expired: {
+            // Correctly signed when the secret is known, so only "exp" is wrong
+            description: secret ? 'expired, correctly signed' : 'expired, original signature',
+            token: encodeJwt(header, expired, secret ? null : signature, secret)
+        },
+        wrongSignature: {
+            description: 'signed with another secret',
+            token: encodeJwt(header, payload, null, crypto.randomBytes(32).toString('hex'))
+        },
+        swappedRole: {
+            description: `role claim changed to ${role}, original signature`,
+            token: encodeJwt(header, swapped, signature)
+        }
+    };
+};
+
+// ============================================
+// REQUESTS
+// ============================================
+
+/**
+ * Send a request with an explicit token (or none)
+ * `_authRetry` stops apiClient from logging in again and replaying on 401
+ * @param {Object} options
+ * @param {string} options.method - HTTP method
+ * @param {string} options.url - Endpoint
+ * @param {string|null} [options.token] - Bearer token, none when null
+ * @param {Object} [options.data] - Request body
+ * @returns {Promise<Object>} - Axios response (also for error statuses)
+ */
+const requestWithToken = async ({ method, url, token = null, data }) => {
+    // false removes a default Authorization header instead of sending it
+    const headers = { Authorization: token ? `Bearer ${token}` : false };
+    try {
+        return await apiClient.request({ method, url, data, headers, _authRetry: true });
+    } catch (error) {
+        if (!error.response) throw error;
+        return error.response;
+    }
+};
+
+/**
+ * Send a request through an existing session and return the response
+ * @param {import('axios').AxiosInstance} client - Session or apiClient
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>}
+ */
+const requestAs = async (client, config) => {
+    try {
+        return await client.request(config);
+    } catch (error) {
+        if (!error.response) throw error;
+        return error.response;
+    }
+};
+
+/**
+ * Assert that a request was refused
+ * @param {Object} response - Axios response
+ * @param {number[]} [statuses=[401, 403]] - Accepted statuses
+ * @param {string} [what] - Description for the failure message
+ */
+const expectDenied = (response, statuses = [401, 403], what = 'request') => {
+    expect(statuses, `Expected ${what} to be refused with ${statuses.join('/')} but got ${response.status} ${JSON.stringify(response.data)}`)
+        .to.include(response.status);
+};
+
+module.exports = {
+    OWASP,
+    tagOwasp,
+    decodeJwt,
+    forgeTokens,
+    requestWithToken,
+    requestAs,
+    expectDenied
+};
@@ -0,0 +1,355 @@
+/**
+ * seed.js
+ * Provision and reset the baseline data described in test-data.json
+ *
+ * seed - idempotent, only creates what is missing:
+ * - users: missing CLIENT accounts are registered (signup + OTP); ADMIN and
+ *   VENDOR accounts cannot be registered through the API and are reported
+ * - products.categories: missing categories are created by the admin
+ * - products.testProduct: SEED_PRODUCT_COUNT numbered copies
+ *   ("iPhone 15 Pro Max Test 1..5") in its category, created by the vendor
+ * then logs in as every user and prints a readiness report.
+ *
+ * reset - restores the baseline between runs: lifts bans on test-data users
+ * (e.g. testuser@gmail.com after the ban tests) and empties the carts of the
+ * CLIENT users, then prints the same report.
+ *
+ * Users are read with testData.user(role), so in a parallel worker both
+ * steps work on the worker's own accounts (test/ui/hooks/worker.hooks.js).
+ *
+ * Usage:
+ *   npm run seed                      # against the API of the profile / API_URL
+ *   npm run reset
+ *   TEST_PROFILE=mock npm run seed    # against the mock started with `npm run mock:api`
+ */
+
+const testData = require('../../config/testData');
+const { apiClient } = require('./apiClient');
+const { findErrorByResponse } = require('./errorCatalog');
+const { OTP_REJECTED, registerAccount } = require('./factories');
+const { ProductApi, CategoryApi, CartApi, AdminUserApi } = require('../clients');
+const { printConfigBanner } = require('../../config/banner');
+
+// "Tạo ít nhất 5 sản phẩm" (test-data.json setupInstructions)
+const SEED_PRODUCT_COUNT = 5;
+
+// Login failures by error catalog entry
+const LOGIN_STATUS = {
+    USER_NOT_FOUND: 'missing',
+    ACCOUNT_BANNED: 'banned',
+    UNAUTHENTICATED: 'wrong password',
+    TOO_MANY_ATTEMPTS: 'locked out'
+};
+
+/**
+ * @typedef {Object} UserStatus
+ * @property {string} role - test-data.json key (admin, vendor, ...)
+ * @property {string} email
+ * @property {string} expectedRole - ADMIN | VENDOR | CLIENT
+ * @property {'ready'|'missing'|'banned'|'wrong password'|'locked out'|'wrong role'|'login failed'} status
+ * @property {string} [detail] - Why it is not ready
+ * @property {string} [action] - What seed/reset did: 'created', 'unbanned', ...
+ * @property {boolean} [otpRejected] - Registration failed because the backend rejected registration.testOTPCode
+ */
+
+// ============================================
+// USERS
+// ============================================
+
+/**
+ * Log in as a test-data user and check the role of the account
+ * @param {string} role - test-data.json users key
+ * @returns {Promise<UserStatus>}
+ */
+const checkUser = async (role) => {
+    const { email, password, role: expectedRole } = testData.user(role);
+    const entry = { role, email, expectedRole };
+
+    let token;
+    try {
+        const response = await apiClient.post('/auth/login', { email, password });
+        token = response.data?.result?.token || response.data?.result?.accessToken;
+    } catch (error) {
+        if (!error.response) throw error;
+        const name = findErrorByResponse(error.response);
+        return { ...entry, status: LOGIN_STATUS[name] || 'login failed', detail: error.response.data?.message };
+    }
+
+    const profile = (await apiClient.get('/users/me', { headers: { Authorization: `Bearer ${token}` } })).data.result;
+    if (profile.role && profile.role !== entry.expectedRole) {
+        return { ...entry, status: 'wrong role', detail: `account has role ${profile.role}` };
+    }
+
+    return { ...entry, status: 'ready' };
+};
+
+/**
+ * Check test-data users, registering missing CLIENT accounts
+ * @param {string[]} [roles] - users keys (default: all)
+ * @returns {Promise<UserStatus[]>}
+ */
+const seedUsers = async (roles = Object.keys(testData.users)) => {
+    const users = [];
+
+    for (const role of roles) {
+        let entry = await checkUser(role);
+
+        if (entry.status === 'missing' && entry.expectedRole === 'CLIENT') {
+            const user = testData.user(role);
+            try {
+                await registerAccount({
+                    ...testData.registration.validUser,
+                    fullName: user.fullName,
+                    email: user.email,
+                    phone: user.phone || testData.registration.validUser.phone,
+                    password: user.password,
+                    confirmPassword: user.password
+                });
+                entry = { ...(await checkUser(role)), action: 'created' };
+            } catch (error) {
+                if (error.code !== OTP_REJECTED) throw error;
+                entry = { ...entry, detail: error.message, otpRejected: true };
+            }
+        } else if (entry.status === 'missing') {
+            entry.detail = `${entry.expectedRole} accounts cannot be registered through the API - create it in the database`;
+        }
+
+        users.push(entry);
+    }
+
+    return users;
+};
+
+/**
+ * Whether the account of a role logged in fine
+ * @param {UserStatus[]} users
+ * @param {string} role
+ * @returns {boolean}
+ */
+const isReadyUser = (users, role) => users.some(user => user.role === role && user.status === 'ready');
+
+// ============================================
+// CATEGORIES & PRODUCTS
+// ============================================
+
+/**
+ * Create the products.categories that do not exist yet
+ * @returns {Promise<{name: string, id: string, action?: string}[]>}
+ */
+const seedCategories = async () => {
+    const categories = await CategoryApi.as('admin');
+    const existing = await categories.list();
+
+    const seeded = [];
+    for (const name of testData.products.categories) {
+        const found = existing.find(category => category.name === name);
+        seeded.push(found
+            ? { name, id: found.id }
+            : { ...(await categories.create({ name })), action: 'created' });
+    }
+    return seeded;
+};
+
+/**
+ * Names of the seeded copies of products.testProduct
+ * @returns {string[]} - "<name> 1" .. "<name> SEED_PRODUCT_COUNT"
+ */
+const productNames = () => Array.from({ length: SEED_PRODUCT_COUNT }, (_, index) => `${testData.products.testProduct.name} ${index + 1}`);
+
+/**
+ * Create the numbered copies of products.testProduct that do not exist yet
+ * @param {string} categoryId - ID of the testProduct.category category
+ * @returns {Promise<{name: string, id: string, action?: string}[]>}
+ */
+const seedProducts = async (categoryId) => {
+    const { testProduct } = testData.products;
+    const products = await ProductApi.as('vendor');
+    const existing = await products.list({ search: testProduct.name });
+
+    const seeded = [];
+    for (const name of productNames()) {
+        const found = existing.find(product => product.name === name);
+
+        seeded.push(found ? { name, id: found.id } : {
+            ...(await products.create({
+                name,
+                description: testProduct.description,
+                price: testProduct.price,
+                stockQuantity: testProduct.stockQuantity,
+                categoryId
+            })),
+            action: 'created'
+        });
+    }
+    return seeded;
+};
+
+// ============================================
+// SEED & RESET
+// ============================================
+
+/**
+ * @typedef {Object} ReadinessReport
+ * @property {UserStatus[]} users
+ * @property {Object[]|null} categories - null when the admin cannot log in
+ * @property {Object[]|null} products - null when the vendor or the category is not ready
+ * @property {boolean} ready
+ */
+
+/**
+ * Collect the readiness report, seeding what is missing when asked to
+ * @param {UserStatus[]} users - Result of the user step
+ * @param {boolean} create - Create missing categories and products
+ * @returns {Promise<ReadinessReport>}
+ */
+const buildReport = async (users, create) => {
+    let categories = null;
+    let products = null;
+
+    if (isReadyUser(users, 'admin')) {
+        categories = create
+            ? await seedCategories()
+            : (await (await CategoryApi.as('admin')).list()).filter(category => testData.products.categories.includes(category.name));
+    }
+
+    const category = categories && categories.find(entry => entry.name === testData.products.testProduct.category);
+    if (category && isReadyUser(users, 'vendor')) {
+        products = create
+            ? await seedProducts(category.id)
+            : (await (await ProductApi.as('vendor')).list({ search: testData.products.testProduct.name }))
+                .filter(product => productNames().includes(product.name));
+    }
+
+    const ready = users.every(user => user.status === 'ready') &&
+        categories?.length === testData.products.categories.length &&
+        products?.length >= SEED_PRODUCT_COUNT;
+
+    return { users, categories, products, ready: Boolean(ready) };
+};
+
+/**
+ * Provision everything test-data.json describes and report readiness
+ * @returns {Promise<ReadinessReport>}
+ */
+const seed = async () => buildReport(await seedUsers(), true);
+
+/**
+ * Lift bans on test-data users and empty the carts of the CLIENT users
+ * @param {string[]} [roles] - users keys (default: all)
+ * @returns {Promise<UserStatus[]>}
+ */
+const resetUsers = async (roles = Object.keys(testData.users)) => {
+    const users = [];
+    const admin = (await checkUser('admin')).status === 'ready' ? await AdminUserApi.as('admin') : null;
+
+    for (const role of roles) {
+        let entry = await checkUser(role);
+
+        if (entry.status === 'banned' && admin) {
+            await admin.unban((await admin.findByEmail(entry.email)).id);
+            entry = { ...(await checkUser(role)), action: 'unbanned' };
+        }
+
+        if (entry.status === 'ready' && entry.expectedRole === 'CLIENT') {
+            const cart = await CartApi.as(role);
+            const { items = [] } = (await cart.get()) || {};
+            for (const item of items) {
+                await cart.remove(item.productId);
+            }
+            if (items.length > 0) {
+                entry.action = [entry.action, `cart emptied (${items.length})`].filter(Boolean).join(', ');
+            }
+        }
+
+        users.push(entry);
+    }
+
+    return users;
+};
+
+/**
+ * Restore the baseline state: lift bans on test-data users and empty the
+ * carts of the CLIENT users
+ * @returns {Promise<ReadinessReport>}
+ */
+const reset = async () => buildReport(await resetUsers(), false);
+
+// ============================================
+// REPORT
+// ============================================
+
+const STATUS_ICONS = { ready: '✅', created: '🆕', unbanned: '🔓' };
+
+/**
+ * Print the readiness report
+ * @param {ReadinessReport} report
+ * @param {string} [title='Readiness report']
+ */
+const printReadinessReport = (report, title = 'Readiness report') => {
+    const { testProduct, categories: expectedCategories } = testData.products;
+    const emailWidth = Math.max(...report.users.map(user => user.email.length));
+
+    console.log(`\n🌱 ${title} (${apiClient.defaults.baseURL})`);
+    console.log('   Users:');
+    report.users.forEach(({ role, email, expectedRole, status, detail, action }) => {
+        const icon = status === 'ready' ? STATUS_ICONS[action?.split(' ')[0]] || STATUS_ICONS.ready : '❌';
+        const note = [action, status === 'ready' ? null : `${status}${detail ? ` - ${detail}` : ''}`].filter(Boolean).join('; ');
+        console.log(`   ${icon} ${role.padEnd(8)} ${email.padEnd(emailWidth)}  ${expectedRole.padEnd(6)}  ${note || 'ready'}`);
+    });
+
+    const created = (entries) => {
+        const count = entries.filter(entry => entry.action === 'created').length;
+        return count > 0 ? ` (${count} created)` : '';
+    };
+
+    if (report.categories) {
+        const icon = report.categories.length === expectedCategories.length ? '✅' : '❌';
+        console.log(`   ${icon} Categories: ${report.categories.length}/${expectedCategories.length}${created(report.categories)}`);
+    } else {
+        console.log('   ❌ Categories: not checked - admin cannot log in');
+    }
+
+    if (report.products) {
+        const icon = report.products.length >= SEED_PRODUCT_COUNT ? '✅' : '❌';
+        console.log(`   ${icon} Products "${testProduct.name} N": ${report.products.length}/${SEED_PRODUCT_COUNT}${created(report.products)}`);
+    } else {
+        console.log(`   ❌ Products: not checked - needs a ready vendor and the "${testProduct.category}" category`);
+    }
+
+    console.log(report.ready ? '\n✅ Ready to run the test suites\n' : '\n❌ Not ready - fix the entries marked ❌ and run again\n');
+};
+
+module.exports = {
+    SEED_PRODUCT_COUNT,
+    checkUser,
+    seedUsers,
+    resetUsers,
+    seed,
+    reset,
+    printReadinessReport
+};
+
+// CLI: node test/api/helpers/seed.js seed|reset
+if (require.main === module) {
+    const command = process.argv[2] || 'seed';
+    const commands = { seed, reset };
+
+    if (!commands[command]) {
+        console.error(`Unknown command "${command}". Expected: seed | reset`);
+        process.exit(1);
+    }
+
+    printConfigBanner();
+    commands[command]()
+        .then((report) => {
+            printReadinessReport(report, command === 'seed' ? 'Seed report' : 'Reset report');
+            process.exitCode = report.ready ? 0 : 1;
+        })
+        .catch((error) => {
+            console.error(`\n❌ ${command} failed: ${error.message}`);
+            if (error.code === 'ECONNREFUSED') {
+                console.error(`   Nothing is listening on ${apiClient.defaults.baseURL} - start the backend (or \`npm run mock:api\` with TEST_PROFILE=mock)`);
+            }
+            process.exitCode = 1;
+        });
+}
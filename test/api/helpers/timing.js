@@ -0,0 +1,122 @@
+/**
+ * timing.js
+ * Response-time samples from apiClient and latency statistics
+ *
+ * apiClient stamps every request with `config.metadata.startTime` and
+ * reports the duration of each response (or failure) here. Listeners
+ * registered with onTiming() receive one sample per request; the load
+ * runner (loadRunner.js) aggregates them per endpoint.
+ *
+ * Endpoints are grouped by their contract path template
+ * (`GET /products/{productId}`), so IDs do not split the statistics.
+ */
+
+const { matchRoute } = require('./contractValidator');
+
+/**
+ * @typedef {Object} TimingSample
+ * @property {string} route - 'METHOD /path/{template}'
+ * @property {number} status - HTTP status (0: no response)
+ * @property {number} duration - Milliseconds from request to response
+ * @property {boolean} ok - Whether the request succeeded (2xx/3xx)
+ */
+
+const listeners = new Set();
+
+/**
+ * Build the endpoint key of a request
+ * Undocumented paths fall back to replacing ID-like segments with {id}
+ * @param {Object} config - Axios request config
+ * @returns {string}
+ */
+const routeKey = (config) => {
+    const method = (config.method || 'get').toUpperCase();
+    const template = matchRoute(config.url, config.baseURL) ||
+        String(config.url || '').split('?')[0]
+            .replace(/^https?:\/\/[^/]+/, '')
+            .replace(/\/([0-9a-f]{24}|\d+)(?=\/|$)/gi, '/{id}');
+    return `${method} ${template}`;
+};
+
+/**
+ * Report the duration of a finished request to every listener
+ * @param {Object} config - Axios request config (with metadata.startTime)
+ * @param {number} status - HTTP status (0 when no response arrived)
+ * @returns {number|null} - Duration in ms, or null for requests without a start time
+ */
+const recordTiming = (config, status) => {
+    if (!config || !config.metadata || !config.metadata.startTime) return null;
+
+    const duration = Date.now() - config.metadata.startTime;
+    if (listeners.size > 0) {
+        const sample = { route: routeKey(config), status, duration, ok: status >= 200 && status < 400 };
+        listeners.forEach(listener => listener(sample));
+    }
+    return duration;
+};
+
+/**
+ * Receive a sample for every request apiClient makes
+ * @param {Function} listener - (sample: TimingSample) => void
+ * @returns {Function} - Call to stop listening
+ */
+const onTiming = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// ============================================
+// STATISTICS
+// ============================================
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number}
+ */
+const percentile = (sorted, p) => {
+    if (sorted.length === 0) return 0;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+/**
+ * Aggregate samples per endpoint
+ * @param {TimingSample[]} samples - Collected samples
+ * @param {number} [elapsedSeconds] - Length of the collection window, for throughput
+ * @returns {Object<string, {count: number, errors: number, errorRate: number, min: number, mean: number, p50: number, p95: number, p99: number, max: number, rps: number}>}
+ */
+const summarizeSamples = (samples, elapsedSeconds = 0) => {
+    const byRoute = new Map();
+    samples.forEach(sample => {
+        if (!byRoute.has(sample.route)) byRoute.set(sample.route, []);
+        byRoute.get(sample.route).push(sample);
+    });
+
+    return Object.fromEntries([...byRoute].sort(([a], [b]) => a.localeCompare(b)).map(([route, routeSamples]) => {
+        const durations = routeSamples.map(sample => sample.duration).sort((a, b) => a - b);
+        const errors = routeSamples.filter(sample => !sample.ok).length;
+
+        return [route, {
+            count: routeSamples.length,
+            errors,
+            errorRate: errors / routeSamples.length,
+            min: durations[0],
+            mean: Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length),
+            p50: percentile(durations, 50),
+            p95: percentile(durations, 95),
+            p99: percentile(durations, 99),
+            max: durations[durations.length - 1],
+            rps: elapsedSeconds > 0 ? Number((routeSamples.length / elapsedSeconds).toFixed(2)) : 0
+        }];
+    }));
+};
+
+module.exports = {
+    routeKey,
+    recordTiming,
+    onTiming,
+    percentile,
+    summarizeSamples
+};
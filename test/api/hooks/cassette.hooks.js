@@ -0,0 +1,29 @@
+/**
+ * cassette.hooks.js
+ * Mocha root hooks for record-and-replay HTTP cassettes
+ *
+ * With API_RECORD=1 or API_REPLAY=1 every test gets its own cassette,
+ * named after its test ID (see test/api/helpers/cassette.js).
+ */
+
+const { getMode, insertCassette, ejectCassette, flushSharedCassette } = require('../helpers/cassette');
+
+const mode = getMode();
+
+exports.mochaHooks = mode === 'off' ? {} : {
+    beforeAll() {
+        console.log(`\n📼 Cassette mode: ${mode}`);
+    },
+
+    beforeEach() {
+        insertCassette(this.currentTest);
+    },
+
+    afterEach() {
+        ejectCassette();
+    },
+
+    afterAll() {
+        flushSharedCassette();
+    }
+};
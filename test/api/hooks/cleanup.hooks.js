@@ -0,0 +1,21 @@
+/**
+ * cleanup.hooks.js
+ * Mocha root hook that deletes the entities created by the data factories
+ *
+ * Runs after the last test, whatever the test results, and before the mock
+ * server stops (this plugin is listed first in .mocharc.js).
+ */
+
+const { pendingCleanups, runCleanups } = require('../helpers/cleanup');
+
+exports.mochaHooks = {
+    async afterAll() {
+        if (pendingCleanups() === 0) return;
+        // Every delete has the apiClient request timeout
+        this.timeout(0);
+
+        const { cleaned, failed } = await runCleanups();
+        console.log(`\n🧹 Cleaned up ${cleaned.length} test entities`);
+        failed.forEach(({ label, error }) => console.warn(`   ⚠️ Could not delete ${label}: ${error.message}`));
+    }
+};
@@ -0,0 +1,67 @@
+/**
+ * contract.hooks.js
+ * Mocha root hooks for OpenAPI contract validation
+ *
+ * apiClient records a violation for every response that does not match
+ * test/api/contracts/cellex-openapi.json. In strict mode the test that made
+ * the request fails with the list of mismatches, even when the spec itself
+ * catches the HTTP error to assert on it.
+ */
+
+const addContext = require('mochawesome/addContext');
+const { getMode, resetViolations, takeViolations } = require('../helpers/contractValidator');
+
+/**
+ * Make a test fail when its requests produced contract violations
+ * Mocha reports a test as passed before afterEach hooks run, so the check
+ * has to run inside the test function itself
+ * @param {Mocha.Test} test - Test about to run
+ */
+const wrapWithContractCheck = (test) => {
+    const original = test.fn;
+
+    // Callback-style tests keep their own signature; only async/sync bodies are wrapped
+    if (!original || original.length > 0 || original.__contractChecked) return;
+
+    const wrapped = async function() {
+        const result = await original.call(this);
+
+        const violations = takeViolations();
+        if (violations.length > 0) {
+            throw new Error(violations.map((v) => v.message).join('\n\n'));
+        }
+        return result;
+    };
+    wrapped.__contractChecked = true;
+    wrapped.toString = () => original.toString();
+
+    test.fn = wrapped;
+    test.__originalFn = original;
+};
+
+exports.mochaHooks = {
+    beforeEach() {
+        resetViolations();
+
+        if (getMode() === 'strict' && this.currentTest) {
+            wrapWithContractCheck(this.currentTest);
+        }
+    },
+
+    afterEach() {
+        const test = this.currentTest;
+        if (test && test.__originalFn) {
+            test.fn = test.__originalFn;
+            delete test.__originalFn;
+        }
+
+        // In warn mode (or after a failure) keep the violations visible in the report
+        const violations = takeViolations();
+        if (violations.length > 0) {
+            addContext(this, {
+                title: 'Contract violations',
+                value: violations.map((v) => v.message).join('\n\n')
+            });
+        }
+    }
+};
@@ -0,0 +1,115 @@
+/**
+ * latency.hooks.js
+ * Mocha root hooks for per-endpoint latency budgets
+ *
+ * Every API request made inside a test is checked against its budget in
+ * test/api/contracts/latency-budgets.yaml (see helpers/latencyBudget.js).
+ * Each test gets its timings as report context; after the run a latency
+ * table per route is printed and, with the mochawesome reporter or
+ * API_LATENCY_REPORT_DIR, written as latency-summary.json/html.
+ */
+
+const addContext = require('mochawesome/addContext');
+const { onTiming } = require('../helpers/timing');
+const {
+    getMode,
+    loadBudgets,
+    recordSample,
+    startTest,
+    endTest,
+    currentOverruns,
+    describeOverrun,
+    summarizeRun,
+    formatLatencyTable,
+    getReportDir,
+    writeLatencyReport
+} = require('../helpers/latencyBudget');
+
+const mode = getMode();
+let stopListening = null;
+
+/**
+ * Make a test fail when one of its requests exceeded its budget
+ * Same approach as contract.hooks.js: Mocha reports a test as passed
+ * before afterEach hooks run, so the check runs inside the test function
+ * @param {Mocha.Test} test - Test about to run
+ */
+const wrapWithBudgetCheck = (test) => {
+    const original = test.fn;
+
+    // Callback-style tests keep their own signature; only async/sync bodies are wrapped
+    if (!original || original.length > 0 || original.__latencyChecked) return;
+
+    const wrapped = async function() {
+        const result = await original.call(this);
+
+        const overruns = currentOverruns();
+        if (overruns.length > 0) {
+            throw new Error(overruns.map(describeOverrun).join('\n'));
+        }
+        return result;
+    };
+    wrapped.__latencyChecked = true;
+    wrapped.toString = () => original.toString();
+
+    test.fn = wrapped;
+    test.__latencyOriginalFn = original;
+    test.__latencyWrappedFn = wrapped;
+};
+
+exports.mochaHooks = mode === 'off' ? {} : {
+    beforeAll() {
+        // Fail fast on a broken budget file
+        loadBudgets();
+        stopListening = onTiming(recordSample);
+    },
+
+    beforeEach() {
+        startTest();
+
+        if (mode === 'strict' && this.currentTest) {
+            wrapWithBudgetCheck(this.currentTest);
+        }
+    },
+
+    afterEach() {
+        const test = this.currentTest;
+        if (test && test.__latencyOriginalFn) {
+            // contract.hooks.js may already have restored its own original
+            if (test.fn === test.__latencyWrappedFn) {
+                test.fn = test.__latencyOriginalFn;
+            }
+            delete test.__latencyOriginalFn;
+            delete test.__latencyWrappedFn;
+        }
+
+        const samples = endTest();
+        if (samples.length === 0) return;
+
+        addContext(this, {
+            title: 'Latency',
+            value: samples.map(({ route, status, duration, budget, over }) =>
+                `${over ? '⚠️ ' : ''}${route} -> ${status}: ${duration}ms (budget ${budget}ms)`).join('\n')
+        });
+
+        if (mode === 'warn') {
+            samples.filter(sample => sample.over).forEach(sample => console.warn(`      ⚠️ ${describeOverrun(sample)}`));
+        }
+    },
+
+    afterAll() {
+        if (stopListening) stopListening();
+
+        const rows = summarizeRun();
+        if (rows.length === 0) return;
+
+        console.log(`\n⏱️ API latency per route (budgets: ${mode}):`);
+        console.log(formatLatencyTable(rows));
+
+        const dir = getReportDir();
+        if (dir) {
+            const { html } = writeLatencyReport(rows, dir);
+            console.log(`   📄 ${html}`);
+        }
+    }
+};
@@ -0,0 +1,41 @@
+/**
+ * mockServer.hooks.js
+ * Mocha root hooks that run the API specs against the local mock backend
+ *
+ * Enabled with API_MODE=mock or TEST_PROFILE=mock; apiUrl then points at
+ * the mock (config/testData.js). The server starts before the first test
+ * and stops after the last one. Parallel workers each run their own mock on
+ * the port of their apiUrl.
+ */
+
+const testData = require('../../config/testData');
+const { MockCellexServer } = require('../mock/mockServer');
+
+const enabled = testData.apiMode === 'mock';
+
+const mockServer = enabled ? new MockCellexServer({ port: Number(new URL(testData.apiUrl).port) }) : null;
+
+/**
+ * Get the running mock server (null unless API_MODE=mock)
+ * Specs use it to script responses or inspect state
+ * @returns {MockCellexServer|null}
+ */
+const getMockServer = () => mockServer;
+
+exports.getMockServer = getMockServer;
+
+exports.mochaHooks = enabled ? {
+    async beforeAll() {
+        await mockServer.start();
+        console.log(`\n🧪 API_MODE=mock - using mock Cellex API at ${mockServer.url}`);
+    },
+
+    async afterAll() {
+        await mockServer.stop();
+    },
+
+    afterEach() {
+        // Scripted responses only live for the test that set them up
+        mockServer.clearOverrides();
+    }
+} : {};
@@ -0,0 +1,90 @@
+/**
+ * cart_flow.load.js
+ * Load run: login → list products → add to cart
+ *
+ * LOAD_VUS virtual users repeat the flow for LOAD_DURATION_SECONDS, each
+ * iteration with its own login as LOAD_ROLE (default client). Each
+ * endpoint then has to meet the thresholds in slo.yaml. The summary is
+ * written to LOAD_REPORT_DIR as load-summary.json / load-summary.html.
+ * The cart the run filled is emptied afterwards (resetUsers in seed.js).
+ *
+ * Not part of the API suite: run with `npm run test:load`.
+ */
+
+const { expect } = require('chai');
+const addContext = require('mochawesome/addContext');
+const { loginSession, getRoleCredentials } = require('../helpers/apiClient');
+const { getLoadConfig, runLoad, loadSlo, checkSlo, printLoadSummary, writeLoadReport } = require('../helpers/loadRunner');
+const { resetUsers } = require('../helpers/seed');
+const { ProductApi, CartApi } = require('../clients');
+const testData = require('../../config/testData');
+require('dotenv').config();
+
+const TITLE = 'Load: login → list products → add to cart';
+const ROUTES = ['POST /auth/login', 'GET /products', 'POST /cart/items'];
+
+const config = getLoadConfig();
+const slo = loadSlo(config.sloFile);
+const role = process.env.LOAD_ROLE || 'client';
+const credentials = getRoleCredentials(role);
+
+/**
+ * One iteration of the flow
+ */
+const cartFlow = async () => {
+    const session = await loginSession(credentials);
+
+    const products = (await new ProductApi(session).list()).filter(product => product.stockQuantity !== 0);
+    if (products.length === 0) {
+        throw new Error('GET /products returned no product in stock');
+    }
+
+    const product = products[Math.floor(Math.random() * products.length)];
+    await new CartApi(session).add(product.id, testData.cart.testQuantity);
+};
+
+describe(TITLE, function() {
+    let result;
+    let breaches;
+    let report;
+
+    before(async function() {
+        this.timeout((config.rampUpSeconds + config.durationSeconds + 60) * 1000);
+        console.log(`\n🏋️ ${config.vus} VUs for ${config.durationSeconds}s as ${credentials.email}...`);
+
+        result = await runLoad({ scenario: cartFlow, ...config });
+        breaches = checkSlo(result, slo);
+        report = writeLoadReport(result, slo, breaches, { dir: config.reportDir, title: TITLE });
+
+        printLoadSummary(result, breaches);
+        console.log(`   📄 ${report.html}`);
+    });
+
+    after(async function() {
+        this.timeout(60000);
+        // Every iteration added to the same shared cart
+        const [user] = await resetUsers([role]);
+        console.log(`   🧹 ${credentials.email}: ${user.action || user.status}`);
+    });
+
+    it('should complete iterations without failures beyond the error budget', function() {
+        addContext(this, { title: 'Load summary', value: report.html });
+        addContext(this, { title: 'Failed iterations', value: result.failures });
+
+        expect(result.iterations, 'No iteration finished').to.be.above(0);
+        const failedRate = result.failedIterations / result.iterations;
+        expect(failedRate, `${result.failedIterations}/${result.iterations} iterations failed`)
+            .to.be.at.most(slo.default.errorRate ?? 0);
+    });
+
+    ROUTES.forEach(route => {
+        it(`${route} should meet its SLO`, function() {
+            const stats = result.endpoints[route];
+            expect(stats, `${route} was never called`).to.exist;
+            addContext(this, { title: route, value: stats });
+
+            const breached = breaches.filter(breach => breach.route === route);
+            expect(breached.map(({ metric, actual, limit }) => `${metric} ${actual} > ${limit}`), `${route} breached its SLO`).to.be.empty;
+        });
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * jwt.js
+ * Minimal HS256 JSON Web Token helper for the mock Cellex backend
+ *
+ * Only what the mock needs: sign a payload and verify a token issued with
+ * the same secret. Tokens with another algorithm, a bad signature or an
+ * expired "exp" claim are rejected.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Encode a Buffer or string as base64url
+ * @param {Buffer|string} input - Data to encode
+ * @returns {string}
+ */
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+/**
+ * Compute the HS256 signature of "header.payload"
+ * @param {string} signingInput - Encoded header and payload joined by a dot
+ * @param {string} secret - HMAC secret
+ * @returns {string}
+ */
+const signature = (signingInput, secret) => crypto
+    .createHmac('sha256', secret)
+    .update(signingInput)
+    .digest('base64url');
+
+/**
+ * Sign a payload
+ * @param {Object} payload - Claims; "iat" is added, "exp" when ttlSeconds is given
+ * @param {string} secret - HMAC secret
+ * @param {number} [ttlSeconds] - Lifetime of the token
+ * @returns {string}
+ */
+const sign = (payload, secret, ttlSeconds) => {
+    const iat = Math.floor(Date.now() / 1000);
+    const claims = { ...payload, iat };
+    if (ttlSeconds) {
+        claims.exp = iat + ttlSeconds;
+    }
+
+    const signingInput = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`;
+    return `${signingInput}.${signature(signingInput, secret)}`;
+};
+
+/**
+ * Verify a token and return its claims
+ * @param {string} token - Compact JWT
+ * @param {string} secret - HMAC secret
+ * @returns {Object|null} - Claims, or null when the token is invalid or expired
+ */
+const verify = (token, secret) => {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    try {
+        const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+        if (header.alg !== 'HS256') return null;
+
+        const expected = Buffer.from(signature(`${encodedHeader}.${encodedPayload}`, secret));
+        const actual = Buffer.from(encodedSignature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        if (claims.exp && claims.exp <= Math.floor(Date.now() / 1000)) return null;
+
+        return claims;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    sign,
+    verify
+};
@@ -0,0 +1,983 @@
+/**
+ * mockServer.js
+ * Local stand-in for the Cellex Spring backend
+ *
+ * A plain Node HTTP server with in-memory state that implements the
+ * endpoints exercised by test/api/specs and the error codes from
+ * ErrorCode.java, so the API suite can run without the real backend.
+ *
+ * Implemented routes (under /api):
+ * - POST /auth/login
+ * - POST /auth/send-signup-code, POST /auth/verify-signup-code
+ * - POST /auth/logout
+ * - GET  /users/me
+ * - GET  /users, GET /users/:id, PUT /users/:id/ban, PUT /users/:id/unban, DELETE /users/:id (admin)
+ * - GET  /categories, POST /categories, DELETE /categories/:id (admin)
+ * - GET  /products, POST /products (JSON or multipart)
+ * - GET  /products/:id, PUT /products/:id, DELETE /products/:id
+ * - GET  /cart, POST /cart/items, PUT /cart/items/:productId, DELETE /cart/items/:productId (client)
+ * - POST /orders (checkout of the cart), GET /orders/:id, PUT /orders/:id/cancel
+ * - GET  /chat/conversations, GET/POST /chat/conversations/:id/messages
+ *
+ * Wrong passwords and wrong OTP codes lock the account / pending signup
+ * for a while, following the thresholds in helpers/bruteForce.js.
+ *
+ * Usage:
+ *   API_MODE=mock npm run test:api      # started by test/api/hooks/mockServer.hooks.js
+ *   TEST_PROFILE=mock npm run test:api  # same, plus the other settings of the mock profile
+ *   npm run mock:api                    # standalone on API_MOCK_PORT (default 8089)
+ *
+ * Specs can script the server through its state or per-route overrides:
+ *   mockServer.override('POST', '/auth/login', () => ({ status: 500, body: { code: 9999, message: 'boom' } }));
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('./jwt');
+const { parseMultipart } = require('./multipart');
+const testData = require('../../config/testData');
+const { ERROR_CATALOG } = require('../helpers/errorCodes');
+const { getBruteForceConfig } = require('../helpers/bruteForce');
+
+const BASE_PATH = '/api';
+const TOKEN_SECRET = process.env.API_MOCK_SECRET || 'cellex-mock-secret';
+const SUCCESS_CODE = 1000;
+// Newest requests kept in mockServer.requests; older ones are dropped
+const MAX_LOGGED_REQUESTS = 200;
+
+// ============================================
+// ERROR CODES
+// ============================================
+
+// Backend errors come from errorCodes.js; the others only exist in the mock.
+// Errors without a dedicated backend code use the HTTP status as their code.
+const ERRORS = {
+    ...Object.fromEntries(Object.entries(ERROR_CATALOG).map(([name, { code, status, message }]) => [
+        name,
+        { code: code ?? status, status, message }
+    ])),
+    INVALID_REQUEST: { code: 400, status: 400, message: 'Dữ liệu yêu cầu không hợp lệ' },
+    PRODUCT_NOT_FOUND: { code: 404, status: 404, message: 'Không tìm thấy sản phẩm' },
+    CATEGORY_NOT_FOUND: { code: 404, status: 404, message: 'Không tìm thấy danh mục' },
+    CART_ITEM_NOT_FOUND: { code: 404, status: 404, message: 'Sản phẩm không có trong giỏ hàng' },
+    CART_EMPTY: { code: 400, status: 400, message: 'Giỏ hàng trống' },
+    ORDER_NOT_FOUND: { code: 404, status: 404, message: 'Không tìm thấy đơn hàng' },
+    ORDER_NOT_CANCELLABLE: { code: 400, status: 400, message: 'Chỉ có thể hủy đơn hàng đang chờ xử lý' },
+    CONVERSATION_NOT_FOUND: { code: 404, status: 404, message: 'Không tìm thấy cuộc trò chuyện' },
+    ROUTE_NOT_FOUND: { code: 404, status: 404, message: 'Không tìm thấy đường dẫn' }
+};
+
+/**
+ * Error thrown by route handlers; turned into an error envelope by the dispatcher
+ */
+class MockApiError extends Error {
+    constructor(name) {
+        super(ERRORS[name].message);
+        this.name = name;
+        this.status = ERRORS[name].status;
+        this.code = ERRORS[name].code;
+    }
+}
+
+const fail = (name) => {
+    throw new MockApiError(name);
+};
+
+// ============================================
+// VALIDATION HELPERS
+// ============================================
+
+const EMAIL_PATTERN = /^[A-Za-z0-9_%+-]+(\.[A-Za-z0-9_%+-]+)*@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}$/;
+const MAX_PRODUCT_IMAGES = 20;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+const isValidEmail = (value) => EMAIL_PATTERN.test(value);
+const isPositiveNumber = (value) => /^\d+(\.\d+)?$/.test(String(value).trim()) && Number(value) > 0;
+const isNonNegativeInteger = (value) => /^\d+$/.test(String(value).trim());
+
+/**
+ * Generate a Mongo-style ObjectId
+ * @returns {string}
+ */
+const objectId = () => crypto.randomBytes(12).toString('hex');
+
+// ============================================
+// SEED DATA
+// ============================================
+
+// Fixed IDs keep the seeded catalog stable across restarts; specs look categories and products up at runtime
+const SEED_CATEGORY_IDS = [
+    '6907794451329a26b6138698',
+    '6907794451329a26b6138699',
+    '6907794451329a26b613869a',
+    '690da8193bfa944d19a46967'
+];
+const SEED_PRODUCT_IDS = [
+    '6907794551329a26b61386a5',
+    '6907794551329a26b61386aa',
+    '6907794551329a26b61386af',
+    '6907794551329a26b61386b0',
+    '6907794551329a26b61386a9'
+];
+
+/**
+ * Build the initial in-memory state from test-data.json
+ * @returns {Object}
+ */
+const createSeedState = () => {
+    const users = new Map();
+    const addUser = (user) => users.set(user.id, user);
+
+    for (const [key, user] of Object.entries(testData.users)) {
+        const { email, password } = testData.user(key);
+        addUser({
+            id: objectId(),
+            email: email.toLowerCase(),
+            password,
+            fullName: user.fullName,
+            phoneNumber: user.phone || null,
+            role: user.role,
+            active: true
+        });
+    }
+
+    // Banned account used by TC_AUTH_093
+    addUser({
+        id: objectId(),
+        email: 'banned@gmail.com',
+        password: 'Password123',
+        fullName: 'Banned User',
+        phoneNumber: null,
+        role: 'CLIENT',
+        active: false
+    });
+
+    const categories = new Map(SEED_CATEGORY_IDS.map((id, index) => [
+        id,
+        { id, name: testData.products.categories[index] }
+    ]));
+
+    const vendor = [...users.values()].find((u) => u.role === 'VENDOR');
+    const { testProduct } = testData.products;
+    const products = new Map(SEED_PRODUCT_IDS.map((id, index) => [id, {
+        id,
+        name: `${testProduct.name} ${index + 1}`,
+        description: testProduct.description,
+        price: testProduct.price,
+        saleOff: testProduct.saleOff,
+        stockQuantity: testProduct.stockQuantity,
+        categoryId: SEED_CATEGORY_IDS[0],
+        vendorId: vendor.id,
+        images: [],
+        // One seeded product sits in an active order (MSG26)
+        inActiveOrder: index === 3
+    }]));
+
+    // The client has written to the admin and to the vendor (chat tests reply to them)
+    const client = [...users.values()].find((u) => u.email === testData.user('client').email.toLowerCase());
+    const conversations = new Map([...users.values()]
+        .filter((u) => u.role === 'ADMIN' || u === vendor)
+        .map((partner) => {
+            const id = objectId();
+            const createdAt = new Date().toISOString();
+            return [id, {
+                id,
+                participantIds: [client.id, partner.id],
+                messages: [{ id: objectId(), conversationId: id, senderId: client.id, content: testData.chat.testMessage, createdAt }]
+            }];
+        }));
+
+    return {
+        users,
+        categories,
+        products,
+        // userId -> Map(productId -> quantity)
+        carts: new Map(),
+        orders: new Map(),
+        conversations,
+        pendingSignups: new Map(),
+        // 'login:<email>' / 'otp:<email>' -> { failures, lockedUntil }
+        failedAttempts: new Map(),
+        revokedTokens: new Set()
+    };
+};
+
+// ============================================
+// SERIALIZERS
+// ============================================
+
+const toUser = ({ id, email, fullName, phoneNumber, role, active }) => ({
+    id, email, fullName, phoneNumber, role, active
+});
+
+const toProduct = ({ inActiveOrder, ...product }) => product;
+
+// ============================================
+// MOCK SERVER
+// ============================================
+
+class MockCellexServer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.port] - Port to listen on (default API_MOCK_PORT or 8089)
+     * @param {number} [options.tokenTtl] - Token lifetime in seconds (default API_MOCK_TOKEN_TTL or 3600)
+     * @param {Object} [options.bruteForce] - Lockout policy (default getBruteForceConfig())
+     */
+    constructor(options = {}) {
+        this.port = options.port ?? (parseInt(process.env.API_MOCK_PORT) || 8089);
+        this.tokenTtl = options.tokenTtl ?? (parseInt(process.env.API_MOCK_TOKEN_TTL) || 3600);
+        this.bruteForce = options.bruteForce ?? getBruteForceConfig();
+        this.clockOffset = 0;
+        this.server = null;
+        this.overrides = [];
+        // Last MAX_LOGGED_REQUESTS requests: { method, path, body }
+        this.requests = [];
+        this.state = createSeedState();
+
+        this.routes = [
+            ['POST', '/auth/login', this.login],
+            ['POST', '/auth/send-signup-code', this.sendSignupCode],
+            ['POST', '/auth/verify-signup-code', this.verifySignupCode],
+            ['POST', '/auth/logout', this.logout],
+            ['GET', '/users/me', this.getMe],
+            ['GET', '/users', this.listUsers],
+            ['GET', '/users/:id', this.getUser],
+            ['PUT', '/users/:id/ban', this.banUser],
+            ['PUT', '/users/:id/unban', this.unbanUser],
+            ['DELETE', '/users/:id', this.deleteUser],
+            ['GET', '/categories', this.listCategories],
+            ['POST', '/categories', this.createCategory],
+            ['DELETE', '/categories/:id', this.deleteCategory],
+            ['GET', '/products', this.listProducts],
+            ['POST', '/products', this.createProduct],
+            ['GET', '/products/:id', this.getProduct],
+            ['PUT', '/products/:id', this.updateProduct],
+            ['DELETE', '/products/:id', this.deleteProduct],
+            ['GET', '/cart', this.getCart],
+            ['POST', '/cart/items', this.addCartItem],
+            ['PUT', '/cart/items/:productId', this.updateCartItem],
+            ['DELETE', '/cart/items/:productId', this.removeCartItem],
+            ['POST', '/orders', this.checkout],
+            ['GET', '/orders/:id', this.getOrder],
+            ['PUT', '/orders/:id/cancel', this.cancelOrder],
+            ['GET', '/chat/conversations', this.listConversations],
+            ['GET', '/chat/conversations/:id/messages', this.listMessages],
+            ['POST', '/chat/conversations/:id/messages', this.sendMessage]
+        ].map(([method, path, handler]) => this.compileRoute(method, path, handler.bind(this)));
+    }
+
+    /**
+     * Base URL of the mock API (what API_URL should point to)
+     * @returns {string}
+     */
+    get url() {
+        return `http://127.0.0.1:${this.port}${BASE_PATH}`;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<MockCellexServer>}
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections?.();
+            this.server = null;
+        });
+    }
+
+    /**
+     * Restore the seed state and drop overrides and the request log
+     */
+    reset() {
+        this.state = createSeedState();
+        this.clockOffset = 0;
+        this.overrides = [];
+        this.requests = [];
+    }
+
+    /**
+     * Current time of the mock in ms; moved forward by advanceClock()
+     * @returns {number}
+     */
+    now() {
+        return Date.now() + this.clockOffset;
+    }
+
+    /**
+     * Move the mock clock forward, e.g. past a lockout window
+     * @param {number} seconds - Seconds to skip
+     */
+    advanceClock(seconds) {
+        this.clockOffset += seconds * 1000;
+    }
+
+    /**
+     * Replace a route with a scripted handler until reset() or clearOverrides()
+     * @param {string} method - HTTP method
+     * @param {string} path - Route path, e.g. '/products/:id'
+     * @param {Function} handler - (ctx) => ({ status, body }); may be async
+     */
+    override(method, path, handler) {
+        this.overrides.unshift(this.compileRoute(method, path, handler));
+    }
+
+    /**
+     * Remove every scripted handler
+     */
+    clearOverrides() {
+        this.overrides = [];
+    }
+
+    /**
+     * Find a user by email (case insensitive)
+     * @param {string} email - Email address
+     * @returns {Object|undefined}
+     */
+    findUserByEmail(email) {
+        const normalized = String(email).trim().toLowerCase();
+        return [...this.state.users.values()].find((u) => u.email === normalized);
+    }
+
+    // ============================================
+    // ROUTING
+    // ============================================
+
+    compileRoute(method, path, handler) {
+        const keys = [];
+        const pattern = new RegExp(`^${path.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        })}/?$`);
+        return { method: method.toUpperCase(), pattern, keys, handler };
+    }
+
+    matchRoute(routes, method, pathname) {
+        for (const route of routes) {
+            const match = route.method === method && route.pattern.exec(pathname);
+            if (match) {
+                const params = {};
+                route.keys.forEach((key, index) => {
+                    params[key] = decodeURIComponent(match[index + 1]);
+                });
+                return { route, params };
+            }
+        }
+        return null;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const pathname = url.pathname.startsWith(BASE_PATH)
+            ? url.pathname.slice(BASE_PATH.length)
+            : url.pathname;
+
+        let result;
+        try {
+            const raw = await this.readBody(req);
+            const ctx = {
+                method: req.method,
+                path: pathname,
+                headers: req.headers,
+                query: Object.fromEntries(url.searchParams),
+                ...this.parseBody(raw, req.headers['content-type'])
+            };
+            this.logRequest(ctx);
+
+            const matched = this.matchRoute(this.overrides, req.method, pathname) ||
+                this.matchRoute(this.routes, req.method, pathname);
+            if (!matched) fail('ROUTE_NOT_FOUND');
+
+            ctx.params = matched.params;
+            result = await matched.route.handler(ctx);
+        } catch (error) {
+            if (!(error instanceof MockApiError)) {
+                console.error('[Mock API] Unhandled error:', error);
+                result = { status: 500, body: { code: 9999, message: error.message } };
+            } else {
+                result = { status: error.status, body: { code: error.code, message: error.message } };
+            }
+        }
+
+        res.writeHead(result.status || 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result.body));
+    }
+
+    /**
+     * Keep the last MAX_LOGGED_REQUESTS requests for specs to inspect
+     * The server lives for the whole run, so the log must not grow with it
+     * @param {Object} ctx - Request context
+     */
+    logRequest({ method, path, body }) {
+        this.requests.push({ method, path, body });
+        if (this.requests.length > MAX_LOGGED_REQUESTS) {
+            this.requests.splice(0, this.requests.length - MAX_LOGGED_REQUESTS);
+        }
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            req.on('data', (chunk) => chunks.push(chunk));
+            req.on('end', () => resolve(Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+
+    parseBody(raw, contentType = '') {
+        if (raw.length === 0) return { body: {}, files: {} };
+
+        if (contentType.startsWith('multipart/form-data')) {
+            const { fields, files } = parseMultipart(raw, contentType);
+            return { body: fields, files };
+        }
+
+        try {
+            const body = JSON.parse(raw.toString('utf8'));
+            return { body: body ?? {}, files: {} };
+        } catch (error) {
+            fail('INVALID_REQUEST');
+        }
+    }
+
+    ok(result, message) {
+        const body = { code: SUCCESS_CODE, result };
+        if (message) body.message = message;
+        return { status: 200, body };
+    }
+
+    // ============================================
+    // AUTHENTICATION
+    // ============================================
+
+    issueToken(user) {
+        // jti keeps two logins within the same second from sharing a token (and its revocation)
+        return jwt.sign({ sub: user.id, email: user.email, scope: user.role, jti: objectId() }, TOKEN_SECRET, this.tokenTtl);
+    }
+
+    /**
+     * Resolve the user behind the Bearer token of a request
+     * @param {Object} ctx - Request context
+     * @param {string[]} [roles] - Roles allowed to call the route
+     * @returns {Object} - User record
+     */
+    authenticate(ctx, roles) {
+        const token = /^Bearer (.+)$/.exec(ctx.headers.authorization || '')?.[1];
+        const claims = token && !this.state.revokedTokens.has(token) && jwt.verify(token, TOKEN_SECRET);
+        const user = claims && this.state.users.get(claims.sub);
+
+        if (!user) fail('UNAUTHENTICATED');
+        if (!user.active) fail('ACCOUNT_BANNED');
+        if (roles && !roles.includes(user.role)) fail('UNAUTHORIZED');
+
+        ctx.token = token;
+        return user;
+    }
+
+    login({ body }) {
+        const { email, password } = body;
+
+        if (typeof email !== 'string' || email.trim().length < 3 || !isValidEmail(email.trim())) {
+            fail('USERNAME_INVALID');
+        }
+        if (typeof password !== 'string' || password.trim() === '') {
+            fail('PASSWORD_INVALID');
+        }
+
+        const user = this.findUserByEmail(email);
+        if (!user) fail('USER_NOT_FOUND');
+
+        const attemptKey = `login:${user.email}`;
+        this.checkLockout(attemptKey);
+        if (user.password !== password) {
+            this.recordFailure(attemptKey, this.bruteForce.loginAttempts);
+            fail('UNAUTHENTICATED');
+        }
+        if (!user.active) fail('ACCOUNT_BANNED');
+
+        this.state.failedAttempts.delete(attemptKey);
+        return this.ok({ token: this.issueToken(user), authenticated: true });
+    }
+
+    sendSignupCode({ body }) {
+        const { fullName, email, password, confirmPassword } = body;
+
+        if (typeof fullName !== 'string' || fullName.trim().length < 3) fail('USERNAME_INVALID');
+        if (typeof email !== 'string' || !isValidEmail(email)) fail('INVALID_EMAIL_FORMAT');
+        if (typeof password !== 'string' || password.length < 8 || password.length > 100) fail('PASSWORD_INVALID');
+        if (typeof confirmPassword !== 'string' || confirmPassword !== password) fail('PASSWORDS_DO_NOT_MATCH');
+        if (this.findUserByEmail(email)) fail('USER_EXISTED');
+
+        this.state.pendingSignups.set(email.toLowerCase(), {
+            ...body,
+            code: testData.registration.testOTPCode
+        });
+        return this.ok(null, 'Mã xác thực đã được gửi đến email của bạn');
+    }
+
+    verifySignupCode({ body }) {
+        const email = String(body.email ?? '').trim().toLowerCase();
+        const pending = this.state.pendingSignups.get(email);
+        if (!pending) fail('INVALID_OTP');
+
+        const attemptKey = `otp:${email}`;
+        this.checkLockout(attemptKey);
+        if (String(body.code ?? '') !== pending.code) {
+            this.recordFailure(attemptKey, this.bruteForce.otpAttempts);
+            fail('INVALID_OTP');
+        }
+
+        const user = {
+            id: objectId(),
+            email,
+            password: pending.password,
+            fullName: pending.fullName,
+            phoneNumber: pending.phoneNumber || null,
+            role: 'CLIENT',
+            active: true
+        };
+        this.state.users.set(user.id, user);
+        this.state.pendingSignups.delete(email);
+        this.state.failedAttempts.delete(attemptKey);
+        return this.ok(toUser(user), 'Đăng ký tài khoản thành công');
+    }
+
+    /**
+     * Refuse the request while its account or signup is locked out
+     * An expired lockout starts a fresh count
+     * @param {string} key - 'login:<email>' or 'otp:<email>'
+     */
+    checkLockout(key) {
+        const entry = this.state.failedAttempts.get(key);
+        if (!entry || !entry.lockedUntil) return;
+
+        if (this.now() < entry.lockedUntil) fail('TOO_MANY_ATTEMPTS');
+        this.state.failedAttempts.delete(key);
+    }
+
+    /**
+     * Count a failed attempt and lock once the limit is reached
+     * @param {string} key - 'login:<email>' or 'otp:<email>'
+     * @param {number} maxAttempts - Failures allowed before the lockout
+     */
+    recordFailure(key, maxAttempts) {
+        const entry = this.state.failedAttempts.get(key) || { failures: 0, lockedUntil: null };
+        entry.failures += 1;
+        if (entry.failures >= maxAttempts) {
+            entry.lockedUntil = this.now() + this.bruteForce.lockoutSeconds * 1000;
+        }
+        this.state.failedAttempts.set(key, entry);
+    }
+
+    logout(ctx) {
+        this.authenticate(ctx);
+        this.state.revokedTokens.add(ctx.token);
+        return this.ok(null, 'Đăng xuất thành công');
+    }
+
+    getMe(ctx) {
+        return this.ok(toUser(this.authenticate(ctx)));
+    }
+
+    // ============================================
+    // USER MANAGEMENT (ADMIN)
+    // ============================================
+
+    /**
+     * Load the user a management route points at, for admins only
+     * @param {Object} ctx - Request context
+     * @returns {Object}
+     */
+    managedUser(ctx) {
+        this.authenticate(ctx, ['ADMIN']);
+        const user = this.state.users.get(ctx.params.id);
+
+        if (!user) fail('USER_NOT_FOUND');
+        return user;
+    }
+
+    listUsers(ctx) {
+        this.authenticate(ctx, ['ADMIN']);
+        const search = (ctx.query.search || ctx.query.keyword || '').toLowerCase();
+        const users = [...this.state.users.values()]
+            .filter((u) => !search || u.email.includes(search) || (u.fullName || '').toLowerCase().includes(search));
+        return this.ok(users.map(toUser));
+    }
+
+    getUser(ctx) {
+        return this.ok(toUser(this.managedUser(ctx)));
+    }
+
+    banUser(ctx) {
+        const user = this.managedUser(ctx);
+        user.active = false;
+        return this.ok(toUser(user), 'Khóa tài khoản thành công');
+    }
+
+    unbanUser(ctx) {
+        const user = this.managedUser(ctx);
+        user.active = true;
+        return this.ok(toUser(user), 'Mở khóa tài khoản thành công');
+    }
+
+    deleteUser(ctx) {
+        const user = this.managedUser(ctx);
+        this.state.users.delete(user.id);
+        return this.ok(null, 'Xóa người dùng thành công');
+    }
+
+    // ============================================
+    // CATEGORIES
+    // ============================================
+
+    listCategories() {
+        return this.ok([...this.state.categories.values()]);
+    }
+
+    createCategory(ctx) {
+        this.authenticate(ctx, ['ADMIN']);
+        const { name, description = null } = ctx.body;
+        if (isBlank(name)) fail('INVALID_REQUEST');
+
+        const category = { id: objectId(), name: String(name).trim(), description };
+        this.state.categories.set(category.id, category);
+        return this.ok(category, 'Tạo danh mục thành công');
+    }
+
+    deleteCategory(ctx) {
+        this.authenticate(ctx, ['ADMIN']);
+        if (!this.state.categories.delete(ctx.params.id)) fail('CATEGORY_NOT_FOUND');
+        return this.ok(null, 'Xóa danh mục thành công');
+    }
+
+    // ============================================
+    // PRODUCTS
+    // ============================================
+
+    listProducts({ query }) {
+        const search = (query.search || query.keyword || '').toLowerCase();
+        const products = [...this.state.products.values()]
+            .filter((p) => !search || p.name.toLowerCase().includes(search))
+            .filter((p) => !query.categoryId || p.categoryId === query.categoryId);
+        return this.ok(products.map(toProduct));
+    }
+
+    getProduct({ params }) {
+        const product = this.state.products.get(params.id);
+        if (!product) fail('PRODUCT_NOT_FOUND');
+        return this.ok(toProduct(product));
+    }
+
+    /**
+     * Validate product fields; on update only the fields that were sent are checked
+     * @param {Object} fields - Submitted fields
+     * @param {Object} files - Uploaded files
+     * @param {boolean} partial - True for updates
+     */
+    validateProduct(fields, files, partial) {
+        const required = ['name', 'price', 'stockQuantity', 'categoryId'];
+        const checked = partial ? required.filter((key) => key in fields) : required;
+
+        if (checked.some((key) => isBlank(fields[key]))) fail('PRODUCT_REQUIRED_FIELDS');
+        if ('price' in fields && !isPositiveNumber(fields.price)) fail('PRODUCT_PRICE_STOCK_INVALID');
+        if ('stockQuantity' in fields && !isNonNegativeInteger(fields.stockQuantity)) fail('PRODUCT_PRICE_STOCK_INVALID');
+        if ('categoryId' in fields && !this.state.categories.has(fields.categoryId)) fail('CATEGORY_NOT_FOUND');
+
+        const images = [].concat(files.images || [], fields.images || []);
+        if (images.length > MAX_PRODUCT_IMAGES) fail('PRODUCT_IMAGE_LIMIT');
+    }
+
+    /**
+     * Copy submitted fields onto a product record, converting numbers
+     * @param {Object} product - Product record to update
+     * @param {Object} fields - Submitted fields
+     * @param {Object} files - Uploaded files
+     * @returns {Object}
+     */
+    applyProductFields(product, fields, files) {
+        for (const key of ['name', 'description', 'categoryId']) {
+            if (key in fields) product[key] = String(fields[key]).trim();
+        }
+        if ('price' in fields) product.price = Number(fields.price);
+        if ('stockQuantity' in fields) product.stockQuantity = parseInt(fields.stockQuantity, 10);
+        if ('saleOff' in fields && !isBlank(fields.saleOff)) product.saleOff = Number(fields.saleOff);
+        if (files.images) {
+            product.images = [].concat(files.images).map((file) => file.filename);
+        }
+        return product;
+    }
+
+    createProduct(ctx) {
+        const user = this.authenticate(ctx, ['VENDOR', 'ADMIN']);
+        this.validateProduct(ctx.body, ctx.files, false);
+
+        const product = this.applyProductFields({
+            id: objectId(),
+            description: null,
+            saleOff: 0,
+            vendorId: user.id,
+            images: [],
+            inActiveOrder: false
+        }, ctx.body, ctx.files);
+
+        this.state.products.set(product.id, product);
+        return this.ok(toProduct(product), 'Tạo sản phẩm thành công');
+    }
+
+    /**
+     * Load a product the current user may modify
+     * @param {Object} ctx - Request context
+     * @returns {Object}
+     */
+    ownedProduct(ctx) {
+        const user = this.authenticate(ctx, ['VENDOR', 'ADMIN']);
+        const product = this.state.products.get(ctx.params.id);
+
+        if (!product) fail('PRODUCT_NOT_FOUND');
+        if (user.role !== 'ADMIN' && product.vendorId !== user.id) fail('UNAUTHORIZED');
+        return product;
+    }
+
+    updateProduct(ctx) {
+        const product = this.ownedProduct(ctx);
+        this.validateProduct(ctx.body, ctx.files, true);
+        return this.ok(toProduct(this.applyProductFields(product, ctx.body, ctx.files)), 'Cập nhật sản phẩm thành công');
+    }
+
+    deleteProduct(ctx) {
+        const product = this.ownedProduct(ctx);
+        if (product.inActiveOrder) fail('PRODUCT_IN_ACTIVE_ORDER');
+
+        this.state.products.delete(product.id);
+        return this.ok(null, 'Xóa sản phẩm thành công');
+    }
+
+    // ============================================
+    // CART
+    // ============================================
+
+    /**
+     * Serialize a user's cart; items whose product was deleted are dropped
+     * @param {string} userId - Cart owner
+     * @returns {Object}
+     */
+    toCart(userId) {
+        const items = [...(this.state.carts.get(userId) || new Map())]
+            .filter(([productId]) => this.state.products.has(productId))
+            .map(([productId, quantity]) => {
+                const product = this.state.products.get(productId);
+                return { productId, productName: product.name, price: product.price, quantity };
+            });
+
+        return {
+            items,
+            totalItems: items.reduce((sum, item) => sum + item.quantity, 0),
+            totalPrice: items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+        };
+    }
+
+    getCart(ctx) {
+        const user = this.authenticate(ctx, ['CLIENT']);
+        return this.ok(this.toCart(user.id));
+    }
+
+    addCartItem(ctx) {
+        const user = this.authenticate(ctx, ['CLIENT']);
+        const { productId, quantity = 1 } = ctx.body;
+
+        if (!isNonNegativeInteger(quantity) || Number(quantity) < 1) fail('INVALID_REQUEST');
+        if (!this.state.products.has(productId)) fail('PRODUCT_NOT_FOUND');
+
+        if (!this.state.carts.has(user.id)) this.state.carts.set(user.id, new Map());
+        const cart = this.state.carts.get(user.id);
+        cart.set(productId, (cart.get(productId) || 0) + Number(quantity));
+
+        return this.ok(this.toCart(user.id), 'Thêm vào giỏ hàng thành công');
+    }
+
+    /**
+     * Load the cart of the current client and check that it holds the product
+     * @param {Object} ctx - Request context
+     * @returns {{user: Object, cart: Map}}
+     */
+    cartWithItem(ctx) {
+        const user = this.authenticate(ctx, ['CLIENT']);
+        const cart = this.state.carts.get(user.id);
+
+        if (!cart || !cart.has(ctx.params.productId)) fail('CART_ITEM_NOT_FOUND');
+        return { user, cart };
+    }
+
+    updateCartItem(ctx) {
+        const { user, cart } = this.cartWithItem(ctx);
+        const { quantity } = ctx.body;
+
+        if (!isNonNegativeInteger(quantity) || Number(quantity) < 1) fail('INVALID_REQUEST');
+        cart.set(ctx.params.productId, Number(quantity));
+
+        return this.ok(this.toCart(user.id), 'Cập nhật giỏ hàng thành công');
+    }
+
+    removeCartItem(ctx) {
+        const { user, cart } = this.cartWithItem(ctx);
+        cart.delete(ctx.params.productId);
+
+        return this.ok(this.toCart(user.id), 'Xóa khỏi giỏ hàng thành công');
+    }
+
+    // ============================================
+    // ORDERS
+    // ============================================
+
+    checkout(ctx) {
+        const user = this.authenticate(ctx, ['CLIENT']);
+        const { paymentMethod = 'COD', shippingAddress = null, note = null } = ctx.body;
+
+        if (!['COD', 'VNPAY'].includes(paymentMethod)) fail('INVALID_REQUEST');
+        const { items, totalPrice } = this.toCart(user.id);
+        if (items.length === 0) fail('CART_EMPTY');
+
+        // Ordered products can no longer be deleted (MSG26)
+        items.forEach(({ productId }) => {
+            this.state.products.get(productId).inActiveOrder = true;
+        });
+
+        const order = {
+            id: objectId(),
+            userId: user.id,
+            status: 'PENDING',
+            paymentMethod,
+            shippingAddress,
+            note,
+            items,
+            totalPrice,
+            createdAt: new Date(this.now()).toISOString()
+        };
+        this.state.orders.set(order.id, order);
+        this.state.carts.delete(user.id);
+
+        return this.ok(order, 'Đặt hàng thành công');
+    }
+
+    /**
+     * Load an order the current user may see
+     * @param {Object} ctx - Request context
+     * @returns {Object}
+     */
+    ownOrder(ctx) {
+        const user = this.authenticate(ctx);
+        const order = this.state.orders.get(ctx.params.id);
+
+        if (!order) fail('ORDER_NOT_FOUND');
+        if (user.role !== 'ADMIN' && order.userId !== user.id) fail('UNAUTHORIZED');
+        return order;
+    }
+
+    getOrder(ctx) {
+        return this.ok(this.ownOrder(ctx));
+    }
+
+    cancelOrder(ctx) {
+        const order = this.ownOrder(ctx);
+        if (order.status !== 'PENDING') fail('ORDER_NOT_CANCELLABLE');
+
+        order.status = 'CANCELLED';
+        // Products no other pending order holds can be deleted again
+        const pending = [...this.state.orders.values()].filter(other => other.status === 'PENDING');
+        order.items.forEach(({ productId }) => {
+            const product = this.state.products.get(productId);
+            if (product && !pending.some(other => other.items.some(item => item.productId === productId))) {
+                product.inActiveOrder = false;
+            }
+        });
+
+        return this.ok(order, 'Hủy đơn hàng thành công');
+    }
+
+    // ============================================
+    // CHAT
+    // ============================================
+
+    /**
+     * Load a conversation of the current user
+     * Other users' conversations look missing rather than forbidden
+     * @param {Object} ctx - Request context
+     * @returns {{user: Object, conversation: Object}}
+     */
+    ownConversation(ctx) {
+        const user = this.authenticate(ctx);
+        const conversation = this.state.conversations.get(ctx.params.id);
+
+        if (!conversation || !conversation.participantIds.includes(user.id)) fail('CONVERSATION_NOT_FOUND');
+        return { user, conversation };
+    }
+
+    listConversations(ctx) {
+        const user = this.authenticate(ctx);
+        const conversations = [...this.state.conversations.values()]
+            .filter((c) => c.participantIds.includes(user.id))
+            .map(({ id, participantIds, messages }) => {
+                const partner = this.state.users.get(participantIds.find((pid) => pid !== user.id));
+                const last = messages[messages.length - 1];
+                return {
+                    id,
+                    participantId: partner ? partner.id : null,
+                    participantName: partner ? partner.fullName : null,
+                    lastMessage: last ? last.content : null,
+                    updatedAt: last ? last.createdAt : null
+                };
+            })
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+        return this.ok(conversations);
+    }
+
+    listMessages(ctx) {
+        return this.ok(this.ownConversation(ctx).conversation.messages);
+    }
+
+    sendMessage(ctx) {
+        const { user, conversation } = this.ownConversation(ctx);
+        if (isBlank(ctx.body.content)) fail('INVALID_REQUEST');
+
+        const message = {
+            id: objectId(),
+            conversationId: conversation.id,
+            senderId: user.id,
+            content: String(ctx.body.content),
+            createdAt: new Date(this.now()).toISOString()
+        };
+        conversation.messages.push(message);
+
+        return this.ok(message);
+    }
+}
+
+module.exports = {
+    MockCellexServer,
+    ERRORS
+};
+
+// Standalone mode: node test/api/mock/mockServer.js
+if (require.main === module) {
+    new MockCellexServer().start().then((server) => {
+        console.log(`🧪 Mock Cellex API listening on ${server.url}`);
+        console.log(`   Set API_URL=${server.url} to point specs at it`);
+    });
+}
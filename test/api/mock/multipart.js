@@ -0,0 +1,80 @@
+/**
+ * multipart.js
+ * Tiny multipart/form-data parser for the mock Cellex backend
+ *
+ * Text parts become string fields, parts with a filename become file
+ * descriptors. Repeated field names (e.g. several "images") are collected
+ * into arrays.
+ */
+
+/**
+ * Add a value to a field map, turning repeated names into arrays
+ * @param {Object} target - Field map
+ * @param {string} name - Field name
+ * @param {*} value - Field value
+ */
+const appendField = (target, name, value) => {
+    if (!(name in target)) {
+        target[name] = value;
+    } else if (Array.isArray(target[name])) {
+        target[name].push(value);
+    } else {
+        target[name] = [target[name], value];
+    }
+};
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header including the boundary
+ * @returns {{fields: Object, files: Object}}
+ */
+const parseMultipart = (body, contentType) => {
+    const fields = {};
+    const files = {};
+
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    if (!match) return { fields, files };
+
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    let position = body.indexOf(delimiter);
+
+    while (position !== -1) {
+        const start = position + delimiter.length;
+
+        // "--" right after the delimiter marks the end of the body
+        if (body.slice(start, start + 2).toString() === '--') break;
+
+        const next = body.indexOf(delimiter, start);
+        if (next === -1) break;
+
+        // Each part: CRLF, headers, blank line, content, CRLF
+        const part = body.slice(start + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.slice(0, headerEnd).toString('utf8');
+        const content = part.slice(headerEnd + 4);
+
+        const name = /name="([^"]*)"/i.exec(headers)?.[1];
+        const filename = /filename="([^"]*)"/i.exec(headers)?.[1];
+
+        if (name !== undefined) {
+            if (filename !== undefined) {
+                appendField(files, name, {
+                    filename,
+                    contentType: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1] || 'application/octet-stream',
+                    size: content.length
+                });
+            } else {
+                appendField(fields, name, content.toString('utf8'));
+            }
+        }
+
+        position = next;
+    }
+
+    return { fields, files };
+};
+
+module.exports = {
+    parseMultipart
+};
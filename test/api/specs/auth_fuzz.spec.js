@@ -0,0 +1,131 @@
+/**
+ * auth_fuzz.spec.js
+ * Property-based fuzzing of /auth/login and /auth/send-signup-code
+ *
+ * Fuzzing runs only in fuzz mode:
+ *   FUZZ=1 npm run test:api                      # random seed, printed at start
+ *   FUZZ=1 FUZZ_SEED=1234 FUZZ_RUNS=500 npm run test:api
+ *
+ * A payload breaking an invariant is shrunk and saved to
+ * test/api/cases/fuzz_reproducers.yaml (see fuzz.js); saved reproducers
+ * run on every API run.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runCaseTable } = require('../helpers/caseRunner');
+const { loadCaseTable } = require('../helpers/caseLoader');
+const { clearAuthToken } = require('../helpers/apiClient');
+const {
+    REPRODUCER_FILE,
+    FUZZ_TARGETS,
+    createRandom,
+    resolveSeed,
+    generatePayload,
+    probe,
+    shrinkPayload,
+    toReproducerCase,
+    saveReproducer
+} = require('../helpers/fuzz');
+require('dotenv').config();
+
+const isTruthy = (value) => ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+
+const FUZZ_RUNS = parseInt(process.env.FUZZ_RUNS, 10) || 100;
+
+(isTruthy(process.env.FUZZ) ? describe : describe.skip)('Auth Fuzzing', function() {
+    this.timeout(600000);
+
+    const seed = resolveSeed();
+
+    before(function() {
+        clearAuthToken();
+        console.log(`\n🎲 Fuzz seed: ${seed} (${FUZZ_RUNS} runs per endpoint, re-run with FUZZ_SEED=${seed})`);
+    });
+
+    Object.entries(FUZZ_TARGETS).forEach(([name, target], index) => {
+        it(`should keep the invariants of ${target.endpoint}`, async function() {
+            // One stream per endpoint, so adding runs to one does not change the other
+            const random = createRandom(seed + index);
+
+            for (let run = 1; run <= FUZZ_RUNS; run++) {
+                const payload = generatePayload(target, random);
+                const { violations } = await probe(target.endpoint, payload);
+                if (violations.length === 0) continue;
+
+                const [violation] = violations;
+                console.log(`   ❌ ${name} run ${run}: ${violation.message}, shrinking...`);
+
+                const { payload: minimal, attempts } = await shrinkPayload(payload, async (candidate) => {
+                    const result = await probe(target.endpoint, candidate);
+                    return result.violations.some(v => v.invariant === violation.invariant);
+                });
+                const saved = saveReproducer(toReproducerCase({ id: 'TC_FUZZ_000', endpoint: target.endpoint, payload: minimal, violation, seed }));
+
+                console.log(`   💾 Shrunk in ${attempts} requests, saved as ${saved.id} in ${REPRODUCER_FILE}`);
+                expect.fail(`${violation.message} on run ${run} (FUZZ_SEED=${seed})\n` +
+                    `Minimal payload (${saved.id}): ${JSON.stringify(minimal)}`);
+            }
+
+            console.log(`   ✅ ${target.endpoint}: ${FUZZ_RUNS} random payloads, no invariant broken`);
+        });
+    });
+});
+
+describe('Fuzz Helpers', function() {
+    it('should generate the same payloads for the same seed', function() {
+        const generate = (seed) => {
+            const random = createRandom(seed);
+            return Array.from({ length: 20 }, () => generatePayload(FUZZ_TARGETS.signup, random));
+        };
+
+        expect(generate(42)).to.deep.equal(generate(42));
+        expect(generate(42)).to.not.deep.equal(generate(43));
+    });
+
+    it('should shrink a failing payload to a minimal reproducer', async function() {
+        // Pretend the backend fails on any email containing a null byte
+        const stillFails = async (payload) => typeof payload.email === 'string' && payload.email.includes('\u0000');
+        const { payload } = await shrinkPayload({
+            fullName: 'Fuzz User',
+            email: `fuzz\u0000${'x'.repeat(300)}@example.com`,
+            password: 12345
+        }, stillFails);
+
+        expect(payload).to.deep.equal({ email: '\u0000' });
+    });
+
+    it('should save reproducers in the auth table format', function() {
+        const file = path.join(os.tmpdir(), `fuzz_reproducers.${process.pid}.yaml`);
+        try {
+            const reproducer = toReproducerCase({
+                id: 'TC_FUZZ_000',
+                endpoint: '/auth/login',
+                payload: { email: 'A'.repeat(40), password: null },
+                violation: { invariant: 'no-5xx', message: 'Server error 500' },
+                seed: 7
+            });
+            saveReproducer(reproducer, file);
+            saveReproducer(reproducer, file);
+
+            const cases = loadCaseTable(file);
+            expect(cases.map(testCase => testCase.id)).to.deep.equal(['TC_FUZZ_001', 'TC_FUZZ_002']);
+            expect(cases[0]).to.include({ endpoint: '/auth/login', expectedStatus: 400 });
+            expect(cases[0].payload).to.deep.equal({ email: 'A'.repeat(40), password: null });
+            expect(fs.readFileSync(file, 'utf8')).to.include('{{repeat:A:40}}');
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    });
+});
+
+// Reproducers found by earlier fuzz runs
+if (fs.existsSync(REPRODUCER_FILE)) {
+    runCaseTable(loadCaseTable(REPRODUCER_FILE), {
+        title: 'Fuzz Reproducers',
+        transport: 'json',
+        before: () => clearAuthToken()
+    });
+}
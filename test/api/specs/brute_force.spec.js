@@ -0,0 +1,220 @@
+/**
+ * brute_force.spec.js
+ * Rate-limit and brute-force protection of login and OTP verification
+ *
+ * Wrong passwords at /auth/login and wrong codes at /auth/verify-signup-code
+ * must lock the account (or pending signup) after a configured number of
+ * failures, keep it locked for the lockout window, even for the right
+ * password or code, and release it afterwards. Parallel bursts must not get
+ * more failures through than the limit.
+ *
+ * The policy comes from BRUTE_FORCE_* in env (see helpers/bruteForce.js).
+ * Login tests use the dedicated `lockout` account from test-data.json; it
+ * stays locked for the window after a run against a real backend.
+ * Only the mock accepts registration.testOTPCode, so the checks that the
+ * right code is refused during the lockout and verifies after it run
+ * against the mock only.
+ */
+
+const { expect } = require('chai');
+const { apiClient, clearAuthToken, extractToken, getRoleCredentials } = require('../helpers/apiClient');
+const { expectError } = require('../helpers/errorCatalog');
+const { getBruteForceConfig, fireAttempts, summarizeStatuses } = require('../helpers/bruteForce');
+const { getMockServer } = require('../hooks/mockServer.hooks');
+const testData = require('../../config/testData');
+require('dotenv').config();
+
+const config = getBruteForceConfig();
+const { testOTPCode } = testData.registration;
+
+/**
+ * A 6-digit code that is never the test OTP code
+ */
+const wrongCode = (index) => String((Number(testOTPCode) + 1 + index) % 1000000).padStart(6, '0');
+
+/**
+ * Assert that a response is a lockout, not a plain failure
+ */
+const expectLockedOut = (response, what) => {
+    expect(config.lockoutStatuses, `${what} returned ${response.status} ${JSON.stringify(response.data)} instead of a lockout`)
+        .to.include(response.status);
+    expect(extractToken(response.data), `${what} returned a token`).to.not.exist;
+    if (response.status === 429) {
+        expectError(response, 'TOO_MANY_ATTEMPTS');
+    }
+};
+
+/**
+ * Let the lockout window pass: the mock skips its clock forward, a real
+ * backend is waited out unless the window exceeds BRUTE_FORCE_MAX_WAIT_SECONDS
+ * @param {Mocha.Context} context - `this` inside the test
+ */
+const waitOutLockout = async (context) => {
+    const mockServer = getMockServer();
+    if (mockServer) {
+        mockServer.advanceClock(config.lockoutSeconds);
+        return;
+    }
+
+    if (config.lockoutSeconds > config.maxWaitSeconds) {
+        console.log(`   ⚠️ Lockout of ${config.lockoutSeconds}s exceeds BRUTE_FORCE_MAX_WAIT_SECONDS - skipping`);
+        context.skip();
+    }
+    context.timeout((config.lockoutSeconds + 30) * 1000);
+    console.log(`   ⏳ Waiting ${config.lockoutSeconds}s for the lockout to expire...`);
+    await new Promise(resolve => setTimeout(resolve, (config.lockoutSeconds + 1) * 1000));
+};
+
+describe('Brute-force Protection', function() {
+    this.timeout(60000);
+
+    before(function() {
+        clearAuthToken();
+        console.log(`\n🔒 Policy: login ${config.loginAttempts}, OTP ${config.otpAttempts} attempts, ` +
+            `lockout ${config.lockoutSeconds}s (status ${config.lockoutStatuses.join('/')}), concurrency ${config.concurrency}`);
+    });
+
+    // ============================================
+    // LOGIN
+    // ============================================
+
+    describe('POST /auth/login', function() {
+        const { email, password } = getRoleCredentials('lockout');
+        const login = (pass) => apiClient.post('/auth/login', { email, password: pass });
+        const wrongPasswords = (count, options) => fireAttempts(count, index => login(`wrong-${index}-${password}`), options);
+
+        before(async function() {
+            const [response] = await fireAttempts(1, () => login(password));
+            if (response.status !== 200) {
+                console.log(`   ⚠️ ${email} cannot log in (${response.status}) - skipping login lockout tests`);
+                this.skip();
+            }
+        });
+
+        it('TC_BF_001: wrong passwords up to the limit are rejected as wrong credentials', async function() {
+            const responses = await wrongPasswords(config.loginAttempts);
+
+            responses.forEach(response => expectError(response, 'UNAUTHENTICATED'));
+            console.log(`   ✅ ${summarizeStatuses(responses)}`);
+        });
+
+        it('TC_BF_002: the next wrong password is locked out', async function() {
+            const [response] = await wrongPasswords(1);
+            expectLockedOut(response, `Wrong password #${config.loginAttempts + 1}`);
+        });
+
+        it('TC_BF_003: the correct password is refused during the lockout', async function() {
+            const [response] = await fireAttempts(1, () => login(password));
+            expectLockedOut(response, 'Correct password during the lockout');
+        });
+
+        it('TC_BF_004: other accounts can still log in', async function() {
+            const client = getRoleCredentials('client');
+            const response = await apiClient.post('/auth/login', client);
+
+            expect(response.status).to.equal(200);
+            expect(extractToken(response.data)).to.be.a('string');
+        });
+
+        it('TC_BF_005: the account unlocks after the lockout window', async function() {
+            await waitOutLockout(this);
+
+            const response = await login(password);
+            expect(response.status).to.equal(200);
+            expect(extractToken(response.data)).to.be.a('string');
+        });
+
+        it('TC_BF_006: a parallel burst gets no more failures through than the limit', async function() {
+            const responses = await wrongPasswords(config.loginAttempts * 2, { concurrency: config.concurrency });
+            const rejected = responses.filter(response => response.status === 401);
+            const locked = responses.filter(response => config.lockoutStatuses.includes(response.status));
+
+            console.log(`   📊 ${summarizeStatuses(responses)}`);
+            expect(rejected.length, 'Wrong passwords checked before the lockout').to.be.at.most(config.loginAttempts);
+            expect(rejected.length + locked.length, `Unexpected responses: ${summarizeStatuses(responses)}`).to.equal(responses.length);
+        });
+
+        after(async function() {
+            // Leave the account usable when the mock keeps running
+            getMockServer()?.advanceClock(config.lockoutSeconds);
+        });
+    });
+
+    // ============================================
+    // OTP VERIFICATION
+    // ============================================
+
+    describe('POST /auth/verify-signup-code', function() {
+        const verify = (email, code) => apiClient.post('/auth/verify-signup-code', { email, code });
+        const wrongCodes = (email, count, options) => fireAttempts(count, index => verify(email, wrongCode(index)), options);
+
+        /**
+         * Start a signup so there is a pending code to guess
+         * @returns {Promise<string>} - Email of the pending signup
+         */
+        const startSignup = async (context) => {
+            const { phone, ...user } = testData.registration.validUser;
+            const email = `bruteforce${Date.now()}${Math.floor(Math.random() * 1000)}@example.com`;
+            const [response] = await fireAttempts(1, () => apiClient.post('/auth/send-signup-code', {
+                ...user,
+                phoneNumber: phone,
+                email
+            }));
+            if (response.status !== 200) {
+                console.log(`   ⚠️ Signup for ${email} failed (${response.status}) - skipping`);
+                context.skip();
+            }
+            return email;
+        };
+
+        let email;
+
+        before(async function() {
+            email = await startSignup(this);
+        });
+
+        it('TC_BF_007: wrong codes up to the limit are rejected as invalid', async function() {
+            const responses = await wrongCodes(email, config.otpAttempts);
+
+            responses.forEach(response => expectError(response, 'INVALID_OTP'));
+            console.log(`   ✅ ${summarizeStatuses(responses)}`);
+        });
+
+        it('TC_BF_008: the next wrong code is locked out', async function() {
+            const [response] = await wrongCodes(email, 1);
+            expectLockedOut(response, `Wrong code #${config.otpAttempts + 1}`);
+        });
+
+        it('TC_BF_009: the correct code is refused during the lockout', async function() {
+            if (!getMockServer()) {
+                console.log('   ⚠️ A real backend sends its own OTP code, registration.testOTPCode is just another wrong code - skipping');
+                this.skip();
+            }
+            const [response] = await fireAttempts(1, () => verify(email, testOTPCode));
+            expectLockedOut(response, 'Correct code during the lockout');
+        });
+
+        it('TC_BF_010: the correct code verifies after the lockout window', async function() {
+            if (!getMockServer()) {
+                console.log('   ⚠️ A real backend sends its own OTP code, registration.testOTPCode does not verify - skipping');
+                this.skip();
+            }
+            await waitOutLockout(this);
+
+            const response = await verify(email, testOTPCode);
+            expect(response.status).to.equal(200);
+            expect(response.data.result).to.include({ email });
+        });
+
+        it('TC_BF_011: a parallel burst gets no more wrong codes through than the limit', async function() {
+            const burstEmail = await startSignup(this);
+            const responses = await wrongCodes(burstEmail, config.otpAttempts * 2, { concurrency: config.concurrency });
+            const rejected = responses.filter(response => response.status === 400);
+            const locked = responses.filter(response => config.lockoutStatuses.includes(response.status));
+
+            console.log(`   📊 ${summarizeStatuses(responses)}`);
+            expect(rejected.length, 'Wrong codes checked before the lockout').to.be.at.most(config.otpAttempts);
+            expect(rejected.length + locked.length, `Unexpected responses: ${summarizeStatuses(responses)}`).to.equal(responses.length);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * case_tables.spec.js
+ * Checks the data-driven case tables under test/api/cases
+ *
+ * Every table must load and pass schema validation, and broken rows must
+ * be reported with their row and test ID
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { loadCaseTable, validateCases, parseCsv } = require('../helpers/caseLoader');
+const { parseFieldSpec, generateCases } = require('../helpers/caseGenerator');
+const { allPairs, generatePairwiseCases } = require('../helpers/pairwise');
+
+const CASES_DIR = path.join(__dirname, '..', 'cases');
+const TABLE_FILES = fs.readdirSync(CASES_DIR).filter(file => /\.(ya?ml|json|csv)$/.test(file) && !file.endsWith('.schema.json'));
+
+describe('Case Tables', function() {
+    TABLE_FILES.forEach(file => {
+        it(`should load ${file}`, function() {
+            const cases = loadCaseTable(file);
+            expect(cases).to.be.an('array').that.is.not.empty;
+        });
+    });
+
+    it('should expand payload templates', function() {
+        const [signup] = loadCaseTable('auth_validation.yaml').filter(tc => tc.id === 'TC_AUTH_035');
+
+        expect(signup.payload.password).to.equal('A'.repeat(150));
+        expect(signup.payload.email).to.match(/^test\d+@gmail\.com$/);
+    });
+
+    it('should report the offending rows', function() {
+        const cases = [
+            { id: 'TC_AUTH_001', group: 'Email Format', description: 'ok', endpoint: '/auth/login', expectedCode: 1003 },
+            { id: 'TC_AUTH_002', group: 'Email Format', description: 'no endpoint', expectedCode: 1003 },
+            { id: 'TC_AUTH_003', group: 'Email Format', description: 'no expectation', endpoint: '/auth/login' },
+            { id: 'TC_AUTH_001', group: 'Email Format', description: 'duplicate', endpoint: '/auth/login', shouldSucceed: true }
+        ];
+
+        expect(() => validateCases(cases, 'broken.csv', ['line 2', 'line 3', 'line 4', 'line 5']))
+            .to.throw(/Invalid case table broken\.csv/)
+            .that.satisfies(error => [
+                "line 3 (TC_AUTH_002): case: must have required property 'endpoint'",
+                'line 4 (TC_AUTH_003): needs "shouldSucceed: true" or an expectation',
+                'line 5 (TC_AUTH_001): duplicate id, first used at line 2'
+            ].every(text => error.message.includes(text)));
+    });
+
+    it('should parse quoted CSV cells', function() {
+        const rows = parseCsv('id,expectedMessage\r\nTC_VEND_001,"Tên, Giá ""Kho"""\r\n');
+
+        expect(rows.map(row => row.cells)).to.deep.equal([
+            ['id', 'expectedMessage'],
+            ['TC_VEND_001', 'Tên, Giá "Kho"']
+        ]);
+        expect(rows[1].line).to.equal(2);
+    });
+
+    it('should parse field specs', function() {
+        expect(parseFieldSpec('number > 0 required')).to.include({ type: 'number', min: 0, minExclusive: true, required: true });
+        expect(parseFieldSpec('string 1..255 notblank')).to.include({ type: 'string', min: 1, max: 255, notBlank: true });
+        expect(parseFieldSpec('files max 20')).to.include({ type: 'files', max: 20 });
+        expect(() => parseFieldSpec('string >= 3')).to.throw(/only applies to numbers/);
+    });
+
+    it('should generate boundary cases around each bound', function() {
+        const cases = generateCases({
+            idPrefix: 'TC_GENTEST',
+            group: 'Generated',
+            endpoint: '/products',
+            transport: 'multipart',
+            base: { price: '100' },
+            fields: { price: { spec: 'integer >= 0', error: 'PRODUCT_PRICE_STOCK_INVALID' } }
+        });
+        const byValue = Object.fromEntries(cases.slice(1).map(tc => [tc.payload.price, tc]));
+
+        expect(cases[0]).to.include({ id: 'TC_GENTEST_001', shouldSucceed: true });
+        expect(byValue['0']).to.include({ shouldSucceed: true });
+        expect(byValue['-1']).to.include({ expectedError: 'PRODUCT_PRICE_STOCK_INVALID' });
+        expect(byValue['1.5']).to.include({ expectedError: 'PRODUCT_PRICE_STOCK_INVALID' });
+    });
+
+    it('should cover every pair of values with fewer combinations than exhaustive', function() {
+        const parameters = { a: ['1', '2', '3'], b: ['x', 'y', 'z'], c: ['p', 'q'], d: ['m', 'n'] };
+        const rows = allPairs(parameters);
+        const names = Object.keys(parameters);
+
+        expect(rows.length).to.be.below(3 * 3 * 2 * 2);
+        names.forEach((first, i) => names.slice(i + 1).forEach(second => {
+            parameters[first].forEach(a => parameters[second].forEach(b => {
+                expect(rows.some(row => row[first] === a && row[second] === b), `${first}=${a}, ${second}=${b}`).to.be.true;
+            }));
+        }));
+    });
+
+    it('should derive pairwise outcomes from the model rules', function() {
+        const model = {
+            idPrefix: 'TC_PWTEST',
+            group: 'Pairwise',
+            endpoint: '/auth/send-signup-code',
+            fields: {
+                email: { valid: 'a@gmail.com', bad: 'a.gmail.com', existing: 'admin@gmail.com' },
+                password: { valid: 'Password123', short: 'Pass' },
+                confirmPassword: { same: '{{field:password}}', omitted: null }
+            },
+            rules: [
+                { error: 'INVALID_EMAIL_FORMAT', when: { email: 'bad' } },
+                { error: 'PASSWORD_INVALID', when: { password: ['short'] } },
+                { error: 'USER_EXISTED', when: { email: 'existing' }, last: true }
+            ]
+        };
+        const find = (email, password) => generatePairwiseCases(model)
+            .find(tc => tc.combination.email === email && tc.combination.password === password);
+
+        expect(find('valid', 'valid')).to.include({ shouldSucceed: true });
+        expect(find('bad', 'short').expectedError).to.deep.equal(['INVALID_EMAIL_FORMAT', 'PASSWORD_INVALID']);
+        expect(find('existing', 'valid')).to.include({ expectedError: 'USER_EXISTED' });
+        expect(find('existing', 'short')).to.include({ expectedError: 'PASSWORD_INVALID' });
+
+        const sameConfirm = generatePairwiseCases(model).find(tc => tc.combination.confirmPassword === 'same');
+        expect(sameConfirm.payload.confirmPassword).to.equal(sameConfirm.payload.password);
+        expect(generatePairwiseCases(model).find(tc => tc.combination.confirmPassword === 'omitted').payload)
+            .to.not.have.property('confirmPassword');
+
+        expect(() => generatePairwiseCases({ ...model, rules: [{ error: 'PASSWORD_INVALID', when: { password: 'tiny' } }] }, 'typo.yaml'))
+            .to.throw(/Invalid pairwise model typo\.yaml:\n  • rules\[0\]\.when\.password: unknown class "tiny"/);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * cassette.spec.js
+ * Tests for record-and-replay HTTP cassettes (helpers/cassette.js)
+ *
+ * Records a flow with generated data against the mock backend, then
+ * replays it in the same process with the routes scripted to fail, so a
+ * replay that touched the network would show.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { apiClient, clearAuthToken, clearSessions, getRoleCredentials } = require('../helpers/apiClient');
+const { insertCassette, ejectCassette, clearCassettes } = require('../helpers/cassette');
+const { makeUser } = require('../helpers/factories');
+const { AdminUserApi } = require('../clients');
+const { getMockServer } = require('../hooks/mockServer.hooks');
+
+const CASSETTE_ENV = ['API_RECORD', 'API_REPLAY', 'API_CASSETTE_DIR'];
+const OFFLINE = () => ({ status: 500, body: { code: 9999, message: 'Replay must not reach the server' } });
+
+describe('HTTP Cassettes', function() {
+    this.timeout(30000);
+
+    let mockServer;
+    let savedEnv;
+    let dir;
+
+    /**
+     * Stand-in for the Mocha test a cassette is named after
+     * @param {string} title - Test title with its ID
+     * @returns {Object}
+     */
+    const fakeTest = (title) => ({ title, fullTitle: () => `HTTP Cassettes ${title}` });
+
+    /**
+     * Run a flow inside a cassette in the given mode, as a fresh run would
+     * @param {'record'|'replay'} mode
+     * @param {string} title - Test title with its ID
+     * @param {Function} flow - async () => result
+     * @returns {Promise<*>}
+     */
+    const runInCassette = async (mode, title, flow) => {
+        clearCassettes();
+        clearSessions();
+        process.env[mode === 'record' ? 'API_RECORD' : 'API_REPLAY'] = '1';
+        insertCassette(fakeTest(title));
+        try {
+            return await flow();
+        } finally {
+            ejectCassette();
+            delete process.env.API_RECORD;
+            delete process.env.API_REPLAY;
+        }
+    };
+
+    /**
+     * Register a user with generated data and look it up as admin
+     * @returns {Promise<{user: Object, found: Object}>}
+     */
+    const registerAndFind = async () => {
+        const user = await makeUser();
+        const found = await (await AdminUserApi.as('admin')).findByEmail(user.email);
+        return { user, found };
+    };
+
+    before(function() {
+        mockServer = getMockServer();
+        if (!mockServer) {
+            console.log('   ⚠️ Records against the mock backend (API_MODE=mock) - skipping');
+            this.skip();
+        }
+
+        savedEnv = Object.fromEntries(CASSETTE_ENV.map(name => [name, process.env[name]]));
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+        process.env.API_CASSETTE_DIR = dir;
+        clearAuthToken();
+    });
+
+    after(function() {
+        if (!mockServer) return;
+
+        clearCassettes();
+        clearSessions();
+        fs.rmSync(dir, { recursive: true, force: true });
+        CASSETTE_ENV.forEach((name) => {
+            if (savedEnv[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = savedEnv[name];
+            }
+        });
+    });
+
+    it('should replay a recorded test with the values generated by the current run', async function() {
+        const recorded = await runInCassette('record', 'TC_CAS_001 register and find', registerAndFind);
+        expect(fs.existsSync(path.join(dir, 'TC_CAS_001.json'))).to.equal(true);
+
+        ['/auth/login', '/auth/send-signup-code', '/auth/verify-signup-code'].forEach(route => mockServer.override('POST', route, OFFLINE));
+        mockServer.override('GET', '/users', OFFLINE);
+        const replayed = await runInCassette('replay', 'TC_CAS_001 register and find', registerAndFind);
+
+        expect(replayed.user.email, 'the replay generates its own data').to.not.equal(recorded.user.email);
+        expect(replayed.found.email).to.equal(replayed.user.email);
+        expect(replayed.found.fullName).to.equal(replayed.user.fullName);
+        expect(replayed.found.id).to.equal(recorded.found.id);
+    });
+
+    it('should report a request that was not recorded instead of serving another one', async function() {
+        const login = (role) => apiClient.post('/auth/login', getRoleCredentials(role));
+        await runInCassette('record', 'TC_CAS_002 login', () => login('client'));
+
+        const error = await runInCassette('replay', 'TC_CAS_002 login', () => login('vendor').then(
+            () => expect.fail('Expected a cassette miss'),
+            caught => caught
+        ));
+
+        expect(error.code).to.equal('ERR_CASSETTE_MISS');
+        expect(error.message).to.include('No recorded interaction for POST /auth/login in cassette "TC_CAS_002"');
+    });
+});
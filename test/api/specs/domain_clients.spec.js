@@ -0,0 +1,179 @@
+/**
+ * domain_clients.spec.js
+ * API test spec for the domain clients (test/api/clients)
+ *
+ * Runs each client through its happy path against the backend and checks
+ * envelope unwrapping, ApiError and multipart image upload.
+ *
+ * Needs a client with a chat conversation (see test-data.json "chat").
+ * Created entities are deleted after the run (helpers/factories.js).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { clearAuthToken, clearSessions } = require('../helpers/apiClient');
+const { expectError } = require('../helpers/errorCatalog');
+const { toFormData } = require('../helpers/formData');
+const { makeCategory, makeUser, trackProduct, trackOrder, skipIfOtpRejected } = require('../helpers/factories');
+const { ApiError, ProductApi, CartApi, OrderApi, AdminUserApi, ChatApi } = require('../clients');
+const testData = require('../../config/testData');
+require('dotenv').config();
+
+// 1x1 transparent PNG
+const PIXEL_PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+describe('Domain API Clients', function() {
+    this.timeout(30000);
+
+    let products;
+    let category;
+    let product;
+
+    before(async function() {
+        clearAuthToken();
+        clearSessions();
+
+        products = await ProductApi.as('vendor');
+        category = await makeCategory();
+    });
+
+    after(function() {
+        clearSessions();
+    });
+
+    describe('ProductApi', function() {
+        it('should create a product with images sent as multipart', async function() {
+            const imageFile = path.join(os.tmpdir(), `product-${Date.now()}.png`);
+            fs.writeFileSync(imageFile, PIXEL_PNG);
+
+            try {
+                product = await products.create({
+                    name: `Client Fixture ${Date.now()}`,
+                    price: 150000,
+                    stockQuantity: 10,
+                    categoryId: category.id,
+                    images: [PIXEL_PNG, imageFile, { data: PIXEL_PNG, filename: 'back.webp' }]
+                });
+                trackProduct(product);
+            } finally {
+                fs.unlinkSync(imageFile);
+            }
+
+            expect(product.id, 'create() resolves with the unwrapped result').to.be.a('string');
+            expect(product.price).to.equal(150000);
+            expect(product.images).to.have.length(3);
+        });
+
+        it('should update, get and list the product', async function() {
+            const updated = await products.update(product.id, { price: 120000 });
+            expect(updated.price).to.equal(120000);
+
+            expect((await products.get(product.id)).name).to.equal(product.name);
+
+            const found = await products.list({ search: product.name });
+            expect(found.map(item => item.id)).to.include(product.id);
+        });
+
+        it('should throw ApiError carrying the catalog error', async function() {
+            try {
+                await products.update(product.id, { price: 0 });
+                expect.fail('Update with price 0 should be rejected');
+            } catch (error) {
+                expect(error).to.be.instanceOf(ApiError);
+                expect(error.message).to.include(`PUT /products/${product.id} -> 400`);
+                expectError(error, 'PRODUCT_PRICE_STOCK_INVALID');
+            }
+        });
+
+        it('should set the content type of file parts from their name', function() {
+            const body = toFormData({ images: [{ data: PIXEL_PNG, filename: 'front.jpg' }, PIXEL_PNG] }).getBuffer().toString('latin1');
+
+            expect(body).to.include('filename="front.jpg"\r\nContent-Type: image/jpeg');
+            expect(body).to.include('filename="images.png"\r\nContent-Type: image/png');
+        });
+    });
+
+    describe('CartApi and OrderApi', function() {
+        let cart;
+        let orders;
+
+        before(async function() {
+            [cart, orders] = await Promise.all([CartApi.as('client'), OrderApi.as('client')]);
+
+            // Start from an empty cart so checkout only orders the fixture product
+            for (const item of (await cart.get()).items) {
+                await cart.remove(item.productId);
+            }
+        });
+
+        it('should add, update and remove cart items', async function() {
+            let current = await cart.add(product.id, 1);
+            expect(current.items.find(item => item.productId === product.id).quantity).to.equal(1);
+
+            current = await cart.update(product.id, 3);
+            expect(current.items.find(item => item.productId === product.id).quantity).to.equal(3);
+
+            current = await cart.remove(product.id);
+            expect(current.items.map(item => item.productId)).to.not.include(product.id);
+        });
+
+        it('should check out the cart, get the order back and cancel it', async function() {
+            await cart.add(product.id, testData.cart.testQuantity);
+
+            const order = await orders.checkout({ paymentMethod: 'COD' });
+            trackOrder(order);
+            expect(order.paymentMethod).to.equal('COD');
+            expect(order.items.map(item => item.productId)).to.deep.equal([product.id]);
+            expect((await cart.get()).items, 'Cart after checkout').to.be.empty;
+
+            expect((await orders.get(order.id)).id).to.equal(order.id);
+            expect((await orders.cancel(order.id)).status).to.equal('CANCELLED');
+        });
+    });
+
+    describe('AdminUserApi', function() {
+        let users;
+        let target;
+
+        before(async function() {
+            users = await AdminUserApi.as('admin');
+            target = await makeUser().catch(error => skipIfOtpRejected(this, error));
+        });
+
+        it('should find users by email', async function() {
+            expect((await users.findByEmail(target.email)).id).to.equal(target.id);
+            expect(await users.findByEmail(`nobody${Date.now()}@example.com`)).to.be.null;
+        });
+
+        it('should ban and unban a user', async function() {
+            expect((await users.ban(target.id, testData.banReasons[4])).active).to.equal(false);
+            expect((await users.unban(target.id)).active).to.equal(true);
+        });
+    });
+
+    describe('ChatApi', function() {
+        let chat;
+        let conversation;
+
+        before(async function() {
+            chat = await ChatApi.as('client');
+            [conversation] = await chat.conversations();
+            if (!conversation) this.skip();
+        });
+
+        it('should send a message to a conversation', async function() {
+            const content = `${testData.chat.testMessage} (${Date.now()})`;
+
+            const message = await chat.send(conversation.id, content);
+            expect(message.content).to.equal(content);
+
+            const messages = await chat.messages(conversation.id);
+            expect(messages.map(item => item.id)).to.include(message.id);
+        });
+    });
+});
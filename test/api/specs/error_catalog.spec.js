@@ -0,0 +1,89 @@
+/**
+ * error_catalog.spec.js
+ * Checks the error-code catalog and its assertion helpers
+ */
+
+const { expect, AssertionError } = require('chai');
+const {
+    ERROR_CATALOG,
+    getError,
+    findErrorByCode,
+    findErrorByResponse,
+    expectError,
+    findAssertedErrors,
+    findUnexercisedErrors
+} = require('../helpers/errorCatalog');
+const { validateCases } = require('../helpers/caseLoader');
+
+/**
+ * Build an error response as Axios would reject with it
+ */
+const errorResponse = (status, code, message) => ({ response: { status, data: { code, message } } });
+
+describe('Error Catalog', function() {
+    it('should accept a matching error response', function() {
+        const { code, status, message } = ERROR_CATALOG.ACCOUNT_BANNED;
+
+        expectError(errorResponse(status, code, message), 'ACCOUNT_BANNED');
+        expect(findErrorByCode(6001)).to.equal('ACCOUNT_BANNED');
+    });
+
+    it('should name error responses without a backend code by status and message', function() {
+        const { status, message } = ERROR_CATALOG.TOO_MANY_ATTEMPTS;
+
+        expect(findErrorByResponse(errorResponse(status, status, message).response)).to.equal('TOO_MANY_ATTEMPTS');
+        expect(findErrorByResponse(errorResponse(status, null, message).response)).to.equal('TOO_MANY_ATTEMPTS');
+        expect(findErrorByResponse(errorResponse(403, 6001, 'Tài khoản bị khóa').response)).to.equal('ACCOUNT_BANNED');
+        expect(findErrorByResponse(errorResponse(400, null, 'Lỗi khác').response)).to.equal(undefined);
+    });
+
+    it('should reject a response with the wrong code or message', function() {
+        const { status, message } = ERROR_CATALOG.PASSWORD_INVALID;
+
+        expect(() => expectError(errorResponse(status, 1003, message), 'PASSWORD_INVALID'))
+            .to.throw(AssertionError, /Expected PASSWORD_INVALID with error code 1004/);
+        expect(() => expectError(errorResponse(status, 1004, 'Sai'), 'PASSWORD_INVALID'))
+            .to.throw(AssertionError, /Expected PASSWORD_INVALID message/);
+    });
+
+    it('should skip the code check for SRS messages without a backend code', function() {
+        const { message } = ERROR_CATALOG.PRODUCT_REQUIRED_FIELDS;
+
+        expectError(errorResponse(400, 9999, message), 'PRODUCT_REQUIRED_FIELDS');
+    });
+
+    it('should allow overriding the expected status', function() {
+        const { code, message } = ERROR_CATALOG.USER_NOT_FOUND;
+
+        expectError(errorResponse(401, code, message), 'USER_NOT_FOUND', { status: 401 });
+    });
+
+    it('should reject unknown error names', function() {
+        expect(() => getError('ACOUNT_BANNED')).to.throw(/Unknown error "ACOUNT_BANNED"/);
+        expect(() => validateCases([
+            { id: 'TC_AUTH_001', group: 'Account Status', description: 'typo', endpoint: '/auth/login', expectedError: 'ACOUNT_BANNED' }
+        ], 'typo.yaml')).to.throw(/case #1 \(TC_AUTH_001\): expectedError "ACOUNT_BANNED" is not in errorCatalog\.js/);
+    });
+
+    it('should report catalog entries no case exercises', function() {
+        const unexercised = findUnexercisedErrors([
+            { expectedError: 'ACCOUNT_BANNED' },
+            { expectedCode: 1002 }
+        ]);
+
+        expect(unexercised).to.include('UNAUTHORIZED');
+        expect(unexercised).to.not.include.members(['ACCOUNT_BANNED', 'USER_EXISTED']);
+    });
+
+    it('should count entries asserted with expectError() in spec source', function() {
+        const asserted = findAssertedErrors([
+            "responses.forEach(response => expectError(response, 'INVALID_OTP'));",
+            "expectError(error.response, ['TOO_MANY_ATTEMPTS', 'UNAUTHENTICATED']);",
+            "expectError(response, testCase.expectedError);",
+            "expectError(response, 'NOT_IN_CATALOG');"
+        ].join('\n'));
+
+        expect(asserted).to.deep.equal(['INVALID_OTP', 'TOO_MANY_ATTEMPTS', 'UNAUTHENTICATED']);
+        expect(findUnexercisedErrors([], asserted)).to.not.include.members(asserted);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * factories.spec.js
+ * Tests for the test data factories and the cleanup registry
+ * (factories.js, cleanup.js)
+ */
+
+const { expect } = require('chai');
+const { clearAuthToken, clearSessions, loginSession } = require('../helpers/apiClient');
+const { createCleanupRegistry } = require('../helpers/cleanup');
+const { makeUser, makeCategory, makeVendorProduct, makeCartWith, skipIfOtpRejected } = require('../helpers/factories');
+const { ProductApi, CategoryApi, CartApi } = require('../clients');
+
+describe('Test Data Factories', function() {
+    this.timeout(30000);
+
+    before(function() {
+        clearAuthToken();
+        clearSessions();
+    });
+
+    after(function() {
+        clearSessions();
+    });
+
+    describe('Cleanup registry', function() {
+        it('should run cleanups newest first and keep going after a failure', async function() {
+            const registry = createCleanupRegistry();
+            const order = [];
+
+            registry.register('category', async () => order.push('category'));
+            registry.register('product', async () => {
+                order.push('product');
+                throw new Error('in an active order');
+            });
+            registry.register('cart item', async () => order.push('cart item'));
+
+            const { cleaned, failed } = await registry.run();
+
+            expect(order).to.deep.equal(['cart item', 'product', 'category']);
+            expect(cleaned).to.deep.equal(['cart item', 'category']);
+            expect(failed.map(({ label, error }) => `${label}: ${error.message}`)).to.deep.equal(['product: in an active order']);
+            expect(registry.pending()).to.equal(0);
+        });
+    });
+
+    describe('Factories', function() {
+        it('should create a product in a new category with unique data', async function() {
+            const [first, second] = [await makeVendorProduct(), await makeVendorProduct()];
+
+            expect(first.name).to.not.equal(second.name);
+            expect(first.categoryId).to.not.equal(second.categoryId);
+
+            const categories = await (await CategoryApi.as('admin')).list();
+            expect(categories.map(category => category.id)).to.include(first.categoryId);
+            expect((await (await ProductApi.as('vendor')).get(first.id)).name).to.equal(first.name);
+        });
+
+        it('should fill the cart with the given products and quantities', async function() {
+            const category = await makeCategory();
+            const product = await makeVendorProduct({ categoryId: category.id, price: 1000 });
+
+            const cart = await makeCartWith([{ product, quantity: 2 }]);
+            expect(cart.items.find(item => item.productId === product.id).quantity).to.equal(2);
+
+            const current = await (await CartApi.as('client')).get();
+            expect(current.items.map(item => item.productId)).to.include(product.id);
+        });
+
+        it('should register a user who can log in', async function() {
+            const user = await makeUser().catch(error => skipIfOtpRejected(this, error));
+
+            const session = await loginSession({ email: user.email, password: user.password });
+            const profile = (await session.get('/users/me')).data.result;
+            expect(profile).to.include({ id: user.id, email: user.email, phoneNumber: user.phone });
+        });
+    });
+});
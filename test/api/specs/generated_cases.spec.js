@@ -0,0 +1,30 @@
+/**
+ * generated_cases.spec.js
+ * Generated boundary-value and equivalence-class cases
+ *
+ * Cases come from the field rules in test/api/cases/fields/*.yaml
+ * (see caseGenerator.js) and run through the same data-driven runner as
+ * the hand-written tables.
+ */
+
+const { runCaseTable } = require('../helpers/caseRunner');
+const { loadFieldSpec } = require('../helpers/caseGenerator');
+const { clearAuthToken } = require('../helpers/apiClient');
+const { makeCategory, trackCreatedProducts } = require('../helpers/factories');
+require('dotenv').config();
+
+runCaseTable(loadFieldSpec('product.fields.yaml'), {
+    title: 'Generated: Product Field Boundaries',
+    transport: 'multipart',
+    session: 'vendor',
+    timeout: 60000,
+    before: async () => ({ categoryId: (await makeCategory()).id }),
+    placeholders: { valid_category_id: (ctx) => ctx.categoryId },
+    afterCase: trackCreatedProducts('vendor')
+});
+
+runCaseTable(loadFieldSpec('signup.fields.yaml'), {
+    title: 'Generated: Signup Field Boundaries',
+    transport: 'json',
+    before: () => clearAuthToken()
+});
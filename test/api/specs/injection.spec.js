@@ -0,0 +1,195 @@
+/**
+ * injection.spec.js
+ * Injection payloads through the API (search, login, product fields)
+ *
+ * Payloads come from test/api/cases/payloads/injection.yaml. The backend
+ * must treat them as plain text:
+ * - search returns only products that contain the text literally
+ * - Mongo operators in query params or JSON bodies never widen or narrow results
+ *   and never log anyone in
+ * - product names and descriptions are stored verbatim, escaped or stripped,
+ *   never evaluated
+ *
+ * Chat messages are only reachable through the UI; see
+ * test/ui/specs/injection_payloads.spec.js.
+ */
+
+const { expect } = require('chai');
+const { apiClient, clearAuthToken, clearSessions, extractToken, getRoleCredentials } = require('../helpers/apiClient');
+const { loadInjectionPayloads, expectStoredInert, expectLiteralMatches } = require('../helpers/injection');
+const { makeCategory, makeVendorProduct, trackProduct } = require('../helpers/factories');
+const { ProductApi } = require('../clients');
+require('dotenv').config();
+
+// Text no product contains; an operator applied to it changes the result
+const NO_MATCH = 'zzz-injection-no-match';
+
+/**
+ * Products of a list response (plain array or Spring page)
+ */
+const listItems = (data) => {
+    const result = data && data.result;
+    return Array.isArray(result) ? result : (result && result.content) || [];
+};
+
+/**
+ * GET /products and return the response, also for error statuses
+ */
+const listProducts = async (params) => {
+    try {
+        return await apiClient.get('/products', { params });
+    } catch (error) {
+        if (!error.response) throw error;
+        return error.response;
+    }
+};
+
+describe('Injection Payloads (API)', function() {
+    this.timeout(60000);
+
+    before(function() {
+        clearAuthToken();
+    });
+
+    // ============================================
+    // SEARCH
+    // ============================================
+
+    describe('Product search', function() {
+        loadInjectionPayloads().forEach(entry => {
+            it(`${entry.id}: search stays literal`, async function() {
+                const response = await listProducts({ search: entry.payload });
+
+                expect([200, 400], `GET /products?search=... returned ${response.status}`).to.include(response.status);
+                if (response.status === 200) {
+                    expectLiteralMatches(listItems(response.data), entry.payload, `search for ${entry.id}`);
+                }
+            });
+        });
+    });
+
+    // ============================================
+    // OPERATOR INJECTION
+    // ============================================
+
+    describe('Mongo operators in query params', function() {
+        let unfilteredIds;
+        let categoryId;
+
+        before(async function() {
+            // A category holding one product, so an applied operator changes the results
+            categoryId = (await makeCategory()).id;
+            await makeVendorProduct({ categoryId });
+
+            const response = await listProducts();
+            unfilteredIds = listItems(response.data).map(product => product.id).sort();
+        });
+
+        const targets = [
+            { param: 'search', value: () => NO_MATCH },
+            { param: 'categoryId', value: () => categoryId }
+        ];
+
+        loadInjectionPayloads('operators').forEach(entry => targets.forEach(({ param, value }) => {
+            it(`${entry.id}: ?${param}[${entry.operator}] does not change the results`, async function() {
+                const operand = entry.operator === '$in' ? [value()] : value();
+                const response = await listProducts({ [param]: { [entry.operator]: operand } });
+
+                expect([200, 400], `GET /products?${param}[${entry.operator}]=... returned ${response.status}`).to.include(response.status);
+                if (response.status === 200) {
+                    // Either rejected or ignored; an applied operator would filter differently
+                    const ids = listItems(response.data).map(product => product.id).sort();
+                    expect(ids, `${param}[${entry.operator}] was applied as an operator`).to.deep.equal(unfilteredIds);
+                }
+            });
+        }));
+    });
+
+    describe('Mongo operators in the login body', function() {
+        const { email } = getRoleCredentials('admin');
+
+        loadInjectionPayloads('operators').forEach(entry => {
+            const operand = entry.operator === '$in' ? [email] : entry.operator === '$where' ? 'return true' : '';
+
+            [
+                { label: 'email and password', body: { email: { [entry.operator]: operand }, password: { [entry.operator]: operand } } },
+                { label: 'password of a known user', body: { email, password: { [entry.operator]: operand } } }
+            ].forEach(({ label, body }) => {
+                it(`${entry.id}: operator as ${label} does not log in`, async function() {
+                    let response;
+                    try {
+                        response = await apiClient.post('/auth/login', body);
+                    } catch (error) {
+                        if (!error.response) throw error;
+                        response = error.response;
+                    }
+
+                    expect(response.status, `Login with ${JSON.stringify(body)} returned ${response.status}`).to.be.within(400, 499);
+                    expect(extractToken(response.data), 'Operator injection returned a token').to.not.exist;
+                });
+            });
+        });
+    });
+
+    describe('Injection in product IDs', function() {
+        loadInjectionPayloads('nosql').forEach(entry => {
+            it(`${entry.id}: GET /products/{id} does not return a product`, async function() {
+                let response;
+                try {
+                    response = await apiClient.get(`/products/${encodeURIComponent(entry.payload)}`);
+                } catch (error) {
+                    if (!error.response) throw error;
+                    response = error.response;
+                }
+
+                expect([400, 404], `GET /products/${entry.payload} returned ${response.status}`).to.include(response.status);
+            });
+        });
+    });
+
+    // ============================================
+    // STORED PAYLOADS
+    // ============================================
+
+    describe('Product name and description', function() {
+        let products;
+        let categoryId;
+
+        before(async function() {
+            clearSessions();
+            products = await ProductApi.as('vendor');
+            categoryId = (await makeCategory()).id;
+        });
+
+        after(function() {
+            clearSessions();
+        });
+
+        loadInjectionPayloads('xss', 'html', 'template').forEach(entry => {
+            it(`${entry.id}: stored inert`, async function() {
+                const prefix = `[INJ ${entry.id}] `;
+
+                let product;
+                try {
+                    product = await products.create({
+                        name: `${prefix}${entry.payload}`,
+                        description: entry.payload,
+                        price: 100000,
+                        stockQuantity: 5,
+                        categoryId
+                    });
+                } catch (error) {
+                    // Rejecting the payload is fine too
+                    if (error.status !== 400) throw error;
+                    console.log(`      ✅ ${entry.id}: rejected (${error.apiMessage})`);
+                    return;
+                }
+                trackProduct(product);
+
+                const stored = await products.get(product.id);
+                expectStoredInert(stored.name, entry, 'name', prefix);
+                expectStoredInert(stored.description, entry, 'description');
+            });
+        });
+    });
+});
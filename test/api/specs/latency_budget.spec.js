@@ -0,0 +1,76 @@
+/**
+ * latency_budget.spec.js
+ * Tests for the latency budget helpers (latencyBudget.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { loadBudgets, budgetFor, getReportDir, formatLatencyTable } = require('../helpers/latencyBudget');
+
+describe('Latency Budget Helpers', function() {
+    const writeBudgetFile = (content) => {
+        const file = path.join(os.tmpdir(), `latency-budgets-${process.pid}.yaml`);
+        fs.writeFileSync(file, content);
+        return file;
+    };
+
+    afterEach(function() {
+        fs.rmSync(path.join(os.tmpdir(), `latency-budgets-${process.pid}.yaml`), { force: true });
+    });
+
+    it('should budget every documented route in the default file', function() {
+        const budgets = loadBudgets();
+        const contract = require('../contracts/cellex-openapi.json');
+
+        const documented = Object.entries(contract.paths)
+            .flatMap(([template, operations]) => Object.keys(operations).map(method => `${method.toUpperCase()} ${template}`));
+        const missing = documented.filter(route => !(route in budgets.routes));
+        expect(missing, 'Routes falling back to the default budget').to.be.empty;
+    });
+
+    it('should fall back to the default budget for unlisted routes', function() {
+        const budgets = loadBudgets(writeBudgetFile('default: 700\nroutes:\n  GET /users/me: 200\n'));
+
+        expect(budgetFor('GET /users/me', budgets)).to.equal(200);
+        expect(budgetFor('GET /orders/{id}', budgets)).to.equal(700);
+    });
+
+    it('should reject invalid budget files with the offending entry', function() {
+        const file = writeBudgetFile('routes:\n  users/me: 200\n  GET /products: -5\n');
+
+        expect(() => loadBudgets(file)).to.throw(
+            /default: must be a number[\s\S]*routes\["users\/me"\]: key must look like[\s\S]*routes\["GET \/products"\]: must be a number/
+        );
+    });
+
+    it('should write the run report only for mochawesome or an explicit directory', function() {
+        const saved = process.env.API_LATENCY_REPORT_DIR;
+        delete process.env.API_LATENCY_REPORT_DIR;
+
+        try {
+            expect(getReportDir(['node', 'mocha', 'test/api/specs'])).to.be.null;
+            expect(getReportDir(['node', 'mocha', '--reporter', 'mochawesome'])).to.equal('mochawesome-report');
+            expect(getReportDir(['node', 'mocha', '--reporter', 'mochawesome', '--reporter-options', 'reportDir=reports,reportFilename=x']))
+                .to.equal('reports');
+
+            process.env.API_LATENCY_REPORT_DIR = '/tmp/latency';
+            expect(getReportDir(['node', 'mocha'])).to.equal('/tmp/latency');
+        } finally {
+            if (saved === undefined) delete process.env.API_LATENCY_REPORT_DIR;
+            else process.env.API_LATENCY_REPORT_DIR = saved;
+        }
+    });
+
+    it('should flag routes with overruns in the latency table', function() {
+        const table = formatLatencyTable([
+            { route: 'GET /products', count: 3, p50: 10, p95: 20, max: 25, budget: 1000, overruns: 0 },
+            { route: 'POST /products', count: 2, p50: 900, p95: 2500, max: 2500, budget: 2000, overruns: 1 }
+        ]).split('\n');
+
+        expect(table).to.have.length(3);
+        expect(table[1]).to.match(/^✅ GET \/products/);
+        expect(table[2]).to.match(/^⚠️ POST \/products .* 2000 +1$/);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * load_runner.spec.js
+ * Tests for the load runner helpers (timing.js, loadRunner.js)
+ *
+ * The load run itself is test/api/load/cart_flow.load.js (npm run test:load).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { apiClient, clearAuthToken } = require('../helpers/apiClient');
+const { routeKey, percentile, summarizeSamples } = require('../helpers/timing');
+const { runLoad, loadSlo, checkSlo, writeLoadReport } = require('../helpers/loadRunner');
+
+describe('Load Runner Helpers', function() {
+    this.timeout(30000);
+
+    before(function() {
+        clearAuthToken();
+    });
+
+    it('should group requests by contract path template', function() {
+        expect(routeKey({ method: 'get', url: '/products/6907794551329a26b61386a5' })).to.equal('GET /products/{productId}');
+        expect(routeKey({ method: 'post', url: '/cart/items' })).to.equal('POST /cart/items');
+        expect(routeKey({ method: 'get', url: '/orders/6907794551329a26b61386a5/items?page=2' })).to.equal('GET /orders/{id}/items');
+    });
+
+    it('should compute nearest-rank percentiles', function() {
+        const values = Array.from({ length: 100 }, (_, i) => i + 1);
+
+        expect(percentile(values, 50)).to.equal(50);
+        expect(percentile(values, 95)).to.equal(95);
+        expect(percentile(values, 99)).to.equal(99);
+        expect(percentile([7], 99)).to.equal(7);
+        expect(percentile([], 95)).to.equal(0);
+    });
+
+    it('should summarize samples per endpoint with error rates', function() {
+        const samples = [
+            { route: 'GET /products', status: 200, duration: 10, ok: true },
+            { route: 'GET /products', status: 200, duration: 30, ok: true },
+            { route: 'POST /cart/items', status: 500, duration: 50, ok: false },
+            { route: 'POST /cart/items', status: 200, duration: 20, ok: true }
+        ];
+
+        const summary = summarizeSamples(samples, 2);
+        expect(summary['GET /products']).to.include({ count: 2, errors: 0, p50: 10, p99: 30, rps: 1 });
+        expect(summary['POST /cart/items']).to.include({ count: 2, errors: 1, errorRate: 0.5, max: 50 });
+    });
+
+    it('should report breached thresholds with endpoint overrides', function() {
+        const result = {
+            endpoints: {
+                'GET /products': { p50: 5, p95: 90, p99: 120, errorRate: 0 },
+                'POST /auth/login': { p50: 5, p95: 90, p99: 120, errorRate: 0.2 }
+            }
+        };
+        const slo = { default: { p95Ms: 100, errorRate: 0.01 }, endpoints: { 'GET /products': { p95Ms: 50 } } };
+
+        expect(checkSlo(result, slo)).to.deep.equal([
+            { route: 'GET /products', metric: 'p95Ms', actual: 90, limit: 50 },
+            { route: 'POST /auth/login', metric: 'errorRate', actual: 0.2, limit: 0.01 }
+        ]);
+    });
+
+    it('should reject SLO files with unknown metrics', function() {
+        const file = path.join(os.tmpdir(), `slo-${process.pid}.yaml`);
+        fs.writeFileSync(file, 'default:\n  p95: 100\nendpoints:\n  products:\n    errorRate: 2\n');
+
+        try {
+            expect(() => loadSlo(file)).to.throw(/default\.p95: unknown metric[\s\S]*endpoints\["products"\]: key must look like/);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    it('should run virtual users for the duration and write the summary', async function() {
+        const seen = new Set();
+        const result = await runLoad({
+            vus: 2,
+            durationSeconds: 0.3,
+            scenario: async ({ vu }) => {
+                seen.add(vu);
+                await apiClient.get('/products');
+            }
+        });
+
+        expect([...seen].sort()).to.deep.equal([0, 1]);
+        expect(result.iterations).to.be.above(0);
+        expect(result.endpoints['GET /products'].count).to.equal(result.iterations);
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'load-'));
+        try {
+            const report = writeLoadReport(result, { default: {}, endpoints: {} }, [], { dir });
+            expect(JSON.parse(fs.readFileSync(report.json, 'utf8'))).to.include({ passed: true, iterations: result.iterations });
+            expect(fs.readFileSync(report.html, 'utf8')).to.include('GET /products');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,30 @@
+/**
+ * pairwise_cases.spec.js
+ * Pairwise combinations of signup and product-create fields
+ *
+ * Cases come from the models in test/api/cases/pairwise/*.yaml
+ * (see pairwise.js): every pair of value classes of two fields is sent at
+ * least once, with the outcome predicted by the model's rules.
+ */
+
+const { runCaseTable } = require('../helpers/caseRunner');
+const { loadPairwiseModel } = require('../helpers/pairwise');
+const { clearAuthToken } = require('../helpers/apiClient');
+const { makeCategory, trackCreatedProducts } = require('../helpers/factories');
+require('dotenv').config();
+
+runCaseTable(loadPairwiseModel('signup.pairwise.yaml'), {
+    title: 'Pairwise: Signup Fields',
+    transport: 'json',
+    before: () => clearAuthToken()
+});
+
+runCaseTable(loadPairwiseModel('product.pairwise.yaml'), {
+    title: 'Pairwise: Product Create Fields',
+    transport: 'multipart',
+    session: 'vendor',
+    timeout: 60000,
+    before: async () => ({ categoryId: (await makeCategory()).id }),
+    placeholders: { valid_category_id: (ctx) => ctx.categoryId },
+    afterCase: trackCreatedProducts('vendor')
+});
@@ -8,624 +8,55 @@
  * Framework: Mocha + Chai + Axios
  * Pattern: Data-Driven Testing
  * 
- * Error Messages Reference:
- * - MSG22 (Not explicitly defined - possibly FIELD_REQUIRED): Mandatory field validation
- * - MSG23: "Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục)."
- * - MSG24: "Giá sản phẩm và số lượng tồn kho không hợp lệ."
- * - MSG25: "Số lượng ảnh vượt quá giới hạn cho phép (tối đa 20 ảnh)."
- * - MSG26: "Không thể xóa sản phẩm đang nằm trong đơn hàng hoạt động."
+ * Error messages (MSG23-MSG26): test/api/helpers/errorCatalog.js
+ * Category and products come from the data factories and are deleted after the run
  */
 
-const { expect } = require('chai');
-const { apiClient, setAuthToken, clearAuthToken } = require('../helpers/apiClient');
-const FormData = require('form-data');
-const fs = require('fs');
-const path = require('path');
+const { runCaseTable } = require('../helpers/caseRunner');
+const { loadCaseTable } = require('../helpers/caseLoader');
+const { makeCategory, makeVendorProduct, trackCreatedProducts } = require('../helpers/factories');
 require('dotenv').config();
 
 // ============================================
 // TEST DATA: 25 Product Management Validation Cases
+// Edited in test/api/cases/product_management.csv
 // ============================================
 
-const productTestData = [
-    // ========================================
-    // GROUP 1: Mandatory Fields Validation (TC_VEND_001-010)
-    // Expected Error: Missing mandatory fields
-    // ========================================
-    {
-        id: 'TC_VEND_001',
-        group: 'Mandatory Fields',
-        description: 'Verify validation when creating a product with empty "Tên sản phẩm"',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: '',
-            price: '100000',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục).',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_002',
-        group: 'Mandatory Fields',
-        description: 'Verify validation when creating a product with empty "Price"',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục).',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_003',
-        group: 'Mandatory Fields',
-        description: 'Verify validation when creating a product with empty "Stock Quantity"',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '100000',
-            stockQuantity: ''
-        },
-        expectedMessage: 'Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục).',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_004',
-        group: 'Mandatory Fields',
-        description: 'Verify validation when creating a product without selecting a "Category"',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: '',
-            name: 'Test Product',
-            price: '100000',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục).',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_005',
-        group: 'Mandatory Fields',
-        description: 'Verify validation when ALL mandatory fields are empty',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: '',
-            name: '',
-            price: '',
-            stockQuantity: ''
-        },
-        expectedMessage: 'Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục).',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_006',
-        group: 'Mandatory Fields',
-        description: 'Verify validation when "Tên sản phẩm" contains only whitespace',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: '   ',
-            price: '100000',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục).',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_007',
-        group: 'Mandatory Fields',
-        description: 'Verify validation when removing "Tên sản phẩm" during Update',
-        method: 'PUT',
-        endpoint: '/products/{productId}',
-        requiresProduct: true,
-        payload: {
-            name: '',
-            price: '100000',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục).',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_008',
-        group: 'Mandatory Fields',
-        description: 'Verify validation when removing "Price" during Update',
-        method: 'PUT',
-        endpoint: '/products/{productId}',
-        requiresProduct: true,
-        payload: {
-            name: 'Updated Product',
-            price: '',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục).',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_009',
-        group: 'Mandatory Fields',
-        description: 'Verify validation when removing "Stock" during Update',
-        method: 'PUT',
-        endpoint: '/products/{productId}',
-        requiresProduct: true,
-        payload: {
-            name: 'Updated Product',
-            price: '100000',
-            stockQuantity: ''
-        },
-        expectedMessage: 'Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục).',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_010',
-        group: 'Mandatory Fields',
-        description: 'Verify validation when unselecting "Category" during Update',
-        method: 'PUT',
-        endpoint: '/products/{productId}',
-        requiresProduct: true,
-        payload: {
-            categoryId: '',
-            name: 'Updated Product',
-            price: '100000',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Vui lòng điền đầy đủ các thông tin bắt buộc (Tên, Giá, Kho, Danh mục).',
-        expectedStatus: 400
-    },
-
-    // ========================================
-    // GROUP 2: Price & Stock Logic Validation (TC_VEND_021-042)
-    // Expected Error: Invalid price or stock values
-    // ========================================
-    {
-        id: 'TC_VEND_021',
-        group: 'Price & Stock Logic',
-        description: 'Verify validation when Price is exactly 0',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '0',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Giá sản phẩm và số lượng tồn kho không hợp lệ.',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_022',
-        group: 'Price & Stock Logic',
-        description: 'Verify validation when Price is a negative number',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '-10000',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Giá sản phẩm và số lượng tồn kho không hợp lệ.',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_023',
-        group: 'Price & Stock Logic',
-        description: 'Verify validation with the smallest valid integer (1)',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '1',
-            stockQuantity: '10'
-        },
-        shouldSucceed: true,
-    },
-    {
-        id: 'TC_VEND_024',
-        group: 'Price & Stock Logic',
-        description: 'Verify validation with a valid decimal price',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '10.99',
-            stockQuantity: '10'
-        },
-        shouldSucceed: true,
-    },
-    {
-        id: 'TC_VEND_025',
-        group: 'Price & Stock Logic',
-        description: 'Verify validation with "0.00" (Decimal Zero)',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '0.00',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Giá sản phẩm và số lượng tồn kho không hợp lệ.',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_026',
-        group: 'Price & Stock Logic',
-        description: 'Verify updating an existing product price to 0',
-        method: 'PUT',
-        endpoint: '/products/{productId}',
-        requiresProduct: true,
-        payload: {
-            name: 'Updated Product',
-            price: '0',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Giá sản phẩm và số lượng tồn kho không hợp lệ.',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_027',
-        group: 'Price & Stock Logic',
-        description: 'Verify updating an existing product price to a negative value',
-        method: 'PUT',
-        endpoint: '/products/{productId}',
-        requiresProduct: true,
-        payload: {
-            name: 'Updated Product',
-            price: '-50000',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Giá sản phẩm và số lượng tồn kho không hợp lệ.',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_028',
-        group: 'Price & Stock Logic',
-        description: 'Verify Price field rejects non-numeric characters (text)',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: 'One Hundred',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Giá sản phẩm và số lượng tồn kho không hợp lệ.',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_029',
-        group: 'Price & Stock Logic',
-        description: 'Verify Price field rejects special currency symbols',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '$100',
-            stockQuantity: '10'
-        },
-        expectedMessage: 'Giá sản phẩm và số lượng tồn kho không hợp lệ.',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_030',
-        group: 'Price & Stock Logic',
-        description: 'Verify very high price value (Stress test)',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '999999999',
-            stockQuantity: '10'
-        },
-        shouldSucceed: true
-    },
-    {
-        id: 'TC_VEND_037',
-        group: 'Price & Stock Logic',
-        description: 'Verify validation when Stock is exactly 0 (Out of stock)',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '100000',
-            stockQuantity: '0'
-        },
-        shouldSucceed: true
-    },
-    {
-        id: 'TC_VEND_038',
-        group: 'Price & Stock Logic',
-        description: 'Verify validation when Stock is -1 (Immediate negative)',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '100000',
-            stockQuantity: '-1'
-        },
-        expectedMessage: 'Giá sản phẩm và số lượng tồn kho không hợp lệ.',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_039',
-        group: 'Price & Stock Logic',
-        description: 'Verify validation when Stock is a large negative number',
-        method: 'POST',
-        endpoint: '/products',
-        payload: {
-            categoryId: 'valid_category_id',
-            name: 'Test Product',
-            price: '100000',
-            stockQuantity: '-100'
-        },
-        expectedMessage: 'Giá sản phẩm và số lượng tồn kho không hợp lệ.',
-        expectedStatus: 400
-    },
-    {
-        id: 'TC_VEND_042',
-        group: 'Price & Stock Logic',
-        description: 'Verify updating existing stock to a negative value',
-        method: 'PUT',
-        endpoint: '/products/{productId}',
-        requiresProduct: true,
-        payload: {
-            name: 'Updated Product',
-            price: '100000',
-            stockQuantity: '-5'
-        },
-        expectedMessage: 'Giá sản phẩm và số lượng tồn kho không hợp lệ.',
-        expectedStatus: 400
-    }
-];
-
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
-
-/**
- * Login as vendor and get authentication token
- */
-async function loginAsVendor() {
-    try {
-        const vendorEmail = process.env.VENDOR_EMAIL || 'vendor@gmail.com';
-        const vendorPassword = process.env.VENDOR_PASSWORD || '123';
-
-        console.log(`   Attempting to log in as vendor: ${vendorEmail}`);
-
-        const response = await apiClient.post('/auth/login', {
-            email: vendorEmail,
-            password: vendorPassword
-        });
-
-        // Check multiple possible token locations in response
-        const token = response.data?.result?.accessToken || 
-                     response.data?.result?.token || 
-                     response.data?.accessToken ||
-                     response.data?.token;
-        
-        if (token) {
-            setAuthToken(token);
-            console.log('   ✅ Vendor login successful, token set');
-            return token;
-        } else {
-            console.error('   Response structure:', JSON.stringify(response.data, null, 2));
-            throw new Error('No token received from login response');
-        }
-    } catch (error) {
-        console.error('   ❌ Vendor login failed:', error.response?.data || error.message);
-        throw new Error(`Failed to login as vendor: ${error.response?.data?.message || error.message}`);
-    }
-}
-
-/**
- * Get a valid category ID - using real category IDs from the system
- */
-function getValidCategoryId() {
-    // Real category IDs from the system
-    const categoryIds = [
-        '6907794451329a26b6138698',
-        '6907794451329a26b6138699',
-        '6907794451329a26b613869a',
-        '690da8193bfa944d19a46967'
-    ];
-    
-    const categoryId = categoryIds[0];
-    console.log(`   ✅ Using category ID: ${categoryId}`);
-    return categoryId;
-}
-
-/**
- * Get a test product for update operations
- */
-async function createTestProduct(categoryId) {
-    // Use existing product IDs from the database
-    const existingProductIds = [
-        '6907794551329a26b61386a5',
-        '6907794551329a26b61386aa',
-        '6907794551329a26b61386af',
-        '6907794551329a26b61386b0',
-        '6907794551329a26b61386a9'
-    ];
-    
-    // Return the first product ID
-    const productId = existingProductIds[0];
-    console.log(`   Using existing product: ${productId}`);
-    return productId;
-}
+const productTestData = loadCaseTable('product_management.csv');
 
 // ============================================
 // TEST SUITE
 // ============================================
 
-describe('Group 2: Product & Vendor Management (25 Cases)', function() {
-    this.timeout(60000); // Increase timeout for API calls
-
-    let vendorToken = null;
-    let testProductId = null;
-    let validCategoryId = null;
+runCaseTable(productTestData, {
+    title: 'Group 2: Product & Vendor Management (25 Cases)',
+    transport: 'multipart',
+    // Vendor session logs in once and re-logs in on 401 during long runs
+    session: 'vendor',
+    timeout: 60000, // Increase timeout for API calls
 
-    // Before all tests: Login as vendor and get a valid category
-    before(async function() {
-        console.log('\n📋 Running Data-Driven Product Management Tests');
-        console.log(`   API Base URL: ${process.env.API_URL || 'http://localhost:8088/api/v1'}`);
-        console.log(`   Total Test Cases: ${productTestData.length}\n`);
-
-        try {
-            vendorToken = await loginAsVendor();
-            validCategoryId = getValidCategoryId();
-        } catch (error) {
-            console.error('❌ Setup failed: Could not login as vendor');
-            throw error;
-        }
-    });
-
-    // Before each test that requires a product: Create test product
-    beforeEach(async function() {
-        const currentTest = this.currentTest;
-        const testData = productTestData.find(tc => currentTest.title.includes(tc.id));
+    before: async () => {
+        const category = await makeCategory();
+        console.log(`   ✅ Using category ID: ${category.id}`);
+        return { categoryId: category.id };
+    },
 
-        if (testData && testData.requiresProduct) {
-            // Try to create a fresh product for each test that needs one
-            testProductId = await createTestProduct(validCategoryId);
-            // Don't skip - continue even if creation fails, let the test handle it
+    // Before each test that requires a product: create a fresh one
+    beforeCase: async (testCase, ctx) => {
+        if (testCase.requiresProduct) {
+            ctx.productId = (await makeVendorProduct({ categoryId: ctx.categoryId })).id;
         }
-    });
-
-    // After all tests: Clean up
-    after(function() {
-        clearAuthToken();
-        console.log('\n✅ Product Management Tests completed\n');
-    });
-
-    // Group test cases by category for better reporting
-    const groups = [...new Set(productTestData.map(tc => tc.group))];
-
-    groups.forEach(groupName => {
-        describe(`${groupName} Tests`, function() {
-            const groupTests = productTestData.filter(tc => tc.group === groupName);
-
-            groupTests.forEach(testCase => {
-                it(`${testCase.id}: ${testCase.description}`, async function() {
-                    try {
-                        // Prepare endpoint and payload
-                        let endpoint = testCase.endpoint;
-                        let payload = { ...testCase.payload };
-
-                        // Replace 'valid_category_id' placeholder with actual category ID
-                        if (payload.categoryId === 'valid_category_id') {
-                            payload.categoryId = validCategoryId;
-                        }
-
-                        // Replace productId placeholder if needed
-                        if (testCase.requiresProduct) {
-                            if (!testProductId) {
-                                // If we couldn't create a product, skip this test
-                                console.log(`      ⚠️ ${testCase.id}: Skipping - could not create test product`);
-                                this.skip();
-                                return;
-                            }
-                            endpoint = endpoint.replace('{productId}', testProductId);
-                        }
-
-                        // Prepare FormData for product creation/update
-                        const formData = new FormData();
-                        for (const [key, value] of Object.entries(payload)) {
-                            if (value !== undefined && value !== null) {
-                                formData.append(key, value);
-                            }
-                        }
-
-                        // Make API request
-                        let response;
-                        if (testCase.method === 'POST') {
-                            response = await apiClient.post(endpoint, formData, {
-                                headers: formData.getHeaders()
-                            });
-                        } else if (testCase.method === 'PUT') {
-                            response = await apiClient.put(endpoint, formData, {
-                                headers: formData.getHeaders()
-                            });
-                        }
-
-                        // If we expect success
-                        if (testCase.shouldSucceed) {
-                            expect(response.status).to.be.oneOf([200, 201]);
-                            console.log(`      ✅ ${testCase.id}: Request succeeded as expected`);
-                            return;
-                        }
-
-                        // If we got here without error but expected one, fail
-                        expect.fail(`Expected error but request succeeded with status ${response.status}`);
-
-                    } catch (error) {
-                        // If we expected success but got error
-                        if (testCase.shouldSucceed) {
-                            console.log(`      ❌ ${testCase.id}: Expected success but got error:`, 
-                                error.response?.data || error.message);
-                            throw error;
-                        }
-
-                        // Validate error response
-                        expect(error.response, 'Expected error response').to.exist;
-
-                        const { status, data } = error.response;
-
-                        // Log response for debugging
-                        if (process.env.DEBUG === 'true') {
-                            console.log(`      Response Status: ${status}`);
-                            console.log(`      Response Data:`, JSON.stringify(data, null, 2));
-                        }
-
-                        // Check HTTP status if specified
-                        if (testCase.expectedStatus) {
-                            // Allow both 400 (proper validation) and 500 (if backend not yet recompiled)
-                            // This is temporary - backend should return 400 after proper compilation
-                            const acceptableStatuses = [testCase.expectedStatus, 500];
-                            expect(status).to.be.oneOf(acceptableStatuses,
-                                `Expected HTTP status ${testCase.expectedStatus} but got ${status}`);
-                        }
+    },
 
-                        // Check error message if specified - skip if status is 500 (uncategorized error)
-                        if (testCase.expectedMessage && status !== 500) {
-                            expect(data.message).to.include(testCase.expectedMessage,
-                                `Expected message to include "${testCase.expectedMessage}" but got "${data.message}"`);
-                        }
+    // Products created by the success cases are deleted after the run too
+    afterCase: trackCreatedProducts('vendor'),
 
-                        console.log(`      ✅ ${testCase.id}: Validation error returned correctly`);
-                    }
-                });
-            });
-        });
-    });
+    placeholders: { valid_category_id: (ctx) => ctx.categoryId },
+    params: { productId: (ctx) => ctx.productId },
 
-    // Summary after all tests
-    after(function() {
-        console.log('\n📊 Test Summary:');
-        console.log(`   Total Test Cases: ${productTestData.length}`);
-        console.log('   Groups Tested:');
-        groups.forEach(g => {
-            const count = productTestData.filter(tc => tc.group === g).length;
-            console.log(`     - ${g}: ${count} cases`);
-        });
-    });
+    // Allow 500 next to the expected status (if backend not yet recompiled)
+    // This is temporary - backend should return 400 after proper compilation
+    lenientStatuses: [500]
 });
 
 // ============================================
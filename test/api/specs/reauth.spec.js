@@ -0,0 +1,170 @@
+/**
+ * reauth.spec.js
+ * API test spec for the transparent re-authentication of apiClient.js
+ *
+ * A request that fails with 401 obtains a new token (API_REFRESH_ENDPOINT
+ * first when configured, else a new login with the stored credentials) and
+ * is replayed once. Concurrent 401s share one renewal.
+ *
+ * Runs against the mock backend only: tokens are expired or revoked on the
+ * server and the login / refresh routes are counted through overrides.
+ */
+
+const { expect } = require('chai');
+const { loginSession, getRoleCredentials } = require('../helpers/apiClient');
+const { getMockServer } = require('../hooks/mockServer.hooks');
+
+const UNAUTHENTICATED = { status: 401, body: { code: 1006, message: 'Unauthenticated' } };
+
+describe('Re-authentication on 401', function() {
+    this.timeout(30000);
+
+    const credentials = getRoleCredentials('client');
+    let mockServer;
+    let tokenTtl;
+    let refreshEndpoint;
+    let calls;
+
+    /**
+     * Count the calls of a route while still serving it normally
+     * @param {string} method - HTTP method
+     * @param {string} path - Route path
+     * @param {Function} handler - Original handler of the mock
+     */
+    const countCalls = (method, path, handler) => {
+        mockServer.override(method, path, (ctx) => {
+            calls[`${method} ${path}`] = (calls[`${method} ${path}`] || 0) + 1;
+            return handler.call(mockServer, ctx);
+        });
+    };
+
+    const revoke = (session) => mockServer.state.revokedTokens.add(session.token);
+
+    before(function() {
+        mockServer = getMockServer();
+        if (!mockServer) {
+            console.log('   ⚠️ Needs the mock backend (API_MODE=mock) to expire tokens - skipping');
+            this.skip();
+        }
+        tokenTtl = mockServer.tokenTtl;
+        refreshEndpoint = process.env.API_REFRESH_ENDPOINT;
+    });
+
+    beforeEach(function() {
+        calls = {};
+        delete process.env.API_REFRESH_ENDPOINT;
+    });
+
+    afterEach(function() {
+        if (!mockServer) return;
+        mockServer.tokenTtl = tokenTtl;
+        if (refreshEndpoint === undefined) {
+            delete process.env.API_REFRESH_ENDPOINT;
+        } else {
+            process.env.API_REFRESH_ENDPOINT = refreshEndpoint;
+        }
+    });
+
+    it('should log in again and replay a request whose token expired', async function() {
+        mockServer.tokenTtl = 1;
+        const session = await loginSession(credentials);
+        const expiredToken = session.token;
+        await new Promise(resolve => setTimeout(resolve, 2100));
+
+        countCalls('POST', '/auth/login', mockServer.login);
+        countCalls('GET', '/users/me', mockServer.getMe);
+        const response = await session.get('/users/me');
+
+        expect(response.status).to.equal(200);
+        expect(response.data.result.email).to.equal(credentials.email);
+        expect(calls).to.deep.equal({ 'POST /auth/login': 1, 'GET /users/me': 2 });
+        expect(session.token).to.be.a('string').and.not.equal(expiredToken);
+    });
+
+    it('should replay only once when the new token is rejected too', async function() {
+        const session = await loginSession(credentials);
+        countCalls('POST', '/auth/login', mockServer.login);
+        mockServer.override('GET', '/users/me', () => {
+            calls['GET /users/me'] = (calls['GET /users/me'] || 0) + 1;
+            return UNAUTHENTICATED;
+        });
+
+        try {
+            await session.get('/users/me');
+            expect.fail('Expected the replayed request to fail');
+        } catch (error) {
+            expect(error.response.status).to.equal(401);
+        }
+        expect(calls).to.deep.equal({ 'POST /auth/login': 1, 'GET /users/me': 2 });
+    });
+
+    it('should share one login between concurrent 401s', async function() {
+        const session = await loginSession(credentials);
+        revoke(session);
+        countCalls('POST', '/auth/login', mockServer.login);
+
+        const responses = await Promise.all([
+            session.get('/users/me'),
+            session.get('/cart'),
+            session.get('/users/me'),
+            session.get('/cart')
+        ]);
+
+        responses.forEach(response => expect(response.status).to.equal(200));
+        expect(calls['POST /auth/login']).to.equal(1);
+    });
+
+    it('should renew through API_REFRESH_ENDPOINT before logging in again', async function() {
+        process.env.API_REFRESH_ENDPOINT = '/auth/refresh';
+        const session = await loginSession(credentials);
+        revoke(session);
+
+        const user = mockServer.findUserByEmail(credentials.email);
+        countCalls('POST', '/auth/login', mockServer.login);
+        mockServer.override('POST', '/auth/refresh', ({ body }) => {
+            calls['POST /auth/refresh'] = (calls['POST /auth/refresh'] || 0) + 1;
+            expect(body.token).to.equal(session.token);
+            return mockServer.ok({ token: mockServer.issueToken(user) });
+        });
+
+        const response = await session.get('/users/me');
+
+        expect(response.status).to.equal(200);
+        expect(calls).to.deep.equal({ 'POST /auth/refresh': 1 });
+    });
+
+    it('should fall back to logging in again when the refresh is rejected', async function() {
+        process.env.API_REFRESH_ENDPOINT = '/auth/refresh';
+        const session = await loginSession(credentials);
+        revoke(session);
+
+        countCalls('POST', '/auth/login', mockServer.login);
+        mockServer.override('POST', '/auth/refresh', () => {
+            calls['POST /auth/refresh'] = (calls['POST /auth/refresh'] || 0) + 1;
+            return UNAUTHENTICATED;
+        });
+
+        const response = await session.get('/users/me');
+
+        expect(response.status).to.equal(200);
+        expect(calls).to.deep.equal({ 'POST /auth/refresh': 1, 'POST /auth/login': 1 });
+    });
+
+    it('should reject with the original request when the new login fails', async function() {
+        let dropped = false;
+        const session = await loginSession(credentials, () => {
+            dropped = true;
+        });
+        revoke(session);
+        mockServer.override('POST', '/auth/login', () => ({ status: 401, body: { code: 1006, message: 'Password changed' } }));
+
+        try {
+            await session.get('/users/me');
+            expect.fail('Expected the re-authentication to fail');
+        } catch (error) {
+            expect(error.message).to.equal(`Re-authentication failed after 401 on GET /users/me: login as ${credentials.email} failed: Password changed`);
+            expect(error.response.status).to.equal(401);
+        }
+        expect(dropped, 'onUnauthorized was not called').to.equal(true);
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * security.spec.js
+ * API security pack: JWT tampering, role escalation and IDOR
+ *
+ * Every request here must be refused with 401/403. Each test is tagged
+ * with its OWASP API Security Top 10 (2023) category in the mochawesome
+ * report, and the run ends with a summary per category.
+ *
+ * The admin user-management attempts target a throwaway account from
+ * makeUser(), never the shared client; they are skipped when the backend
+ * rejects the test OTP code. Needs the vendor2 account from
+ * test-data.json for the IDOR tests.
+ */
+
+const { expect } = require('chai');
+const { createSession, clearAuthToken, clearSessions } = require('../helpers/apiClient');
+const { makeUser, makeVendorProduct, skipIfOtpRejected } = require('../helpers/factories');
+const { AdminUserApi, ProductApi } = require('../clients');
+const {
+    OWASP,
+    tagOwasp,
+    forgeTokens,
+    requestWithToken,
+    requestAs,
+    expectDenied
+} = require('../helpers/security');
+const { multipartRequest } = require('../helpers/formData');
+require('dotenv').config();
+
+// Admin user-management endpoints; {userId} is a throwaway account
+const ADMIN_USER_ENDPOINTS = [
+    { method: 'GET', url: '/users' },
+    { method: 'GET', url: '/users/{userId}' },
+    { method: 'PUT', url: '/users/{userId}/ban', data: { reason: 'Security test' } },
+    { method: 'PUT', url: '/users/{userId}/unban' },
+    { method: 'DELETE', url: '/users/{userId}' }
+];
+
+// Vendor-only product writes; {productId} and {categoryId} come from the vendor's fixture product.
+// Creates and updates are multipart, like the vendor product form
+const PRODUCT_WRITE_ENDPOINTS = [
+    { method: 'POST', url: '/products', multipart: true, data: { name: 'Escalated Product', price: 1000, stockQuantity: 1, categoryId: '{categoryId}' } },
+    { method: 'PUT', url: '/products/{productId}', multipart: true, data: { name: 'Escalated Update' } },
+    { method: 'DELETE', url: '/products/{productId}' }
+];
+
+describe('API Security Pack', function() {
+    this.timeout(30000);
+
+    // OWASP category -> tests, for the summary
+    const results = new Map();
+    let clientToken;
+    let targetUser;
+    let vendorProduct;
+
+    const fill = (text) => text
+        .replace('{userId}', () => targetUser.id)
+        .replace('{productId}', vendorProduct.id)
+        .replace('{categoryId}', vendorProduct.categoryId);
+
+    // Request config of an endpoint with its URL and string body fields filled in
+    const fillEndpoint = ({ method, url, data, multipart }) => {
+        const filled = data && Object.fromEntries(Object.entries(data)
+            .map(([key, value]) => [key, typeof value === 'string' ? fill(value) : value]));
+        return { method, url: fill(url), ...(multipart ? multipartRequest(filled) : { data: filled }) };
+    };
+
+    before(async function() {
+        clearAuthToken();
+        clearSessions();
+
+        clientToken = (await createSession('client')).token;
+        vendorProduct = await makeVendorProduct({ name: `Security Fixture ${Date.now()}`, price: 100000, stockQuantity: 5 });
+
+        console.log(`\n🛡️ Security pack: fixture product ${vendorProduct.id}`);
+    });
+
+    after(function() {
+        // The target user and the fixture product are deleted by the factory cleanup
+        clearSessions();
+
+        console.log('\n📊 OWASP Summary:');
+        for (const [category, tests] of results) {
+            const passed = tests.filter(test => test.state === 'passed').length;
+            console.log(`   ${passed === tests.length ? '✅' : '❌'} ${category}: ${passed}/${tests.length} passed`);
+        }
+    });
+
+    // ============================================
+    // JWT TAMPERING
+    // ============================================
+
+    describe('JWT Tampering', function() {
+        it(`TC_SEC_001: request without a token is rejected [${OWASP.BROKEN_AUTHENTICATION}]`, async function() {
+            tagOwasp(this, OWASP.BROKEN_AUTHENTICATION, results);
+
+            const response = await requestWithToken({ method: 'GET', url: '/users/me' });
+            expectDenied(response, [401], 'GET /users/me without a token');
+        });
+
+        const variants = ['algNone', 'expired', 'wrongSignature', 'swappedRole'];
+        const targets = [
+            { method: 'GET', url: '/users/me' },
+            { method: 'GET', url: '/users' }
+        ];
+
+        variants.forEach((variant, v) => targets.forEach((target, t) => {
+            const id = `TC_SEC_${String(2 + v * targets.length + t).padStart(3, '0')}`;
+
+            it(`${id}: ${variant} token on ${target.method} ${target.url} is rejected [${OWASP.BROKEN_AUTHENTICATION}]`, async function() {
+                tagOwasp(this, OWASP.BROKEN_AUTHENTICATION, results);
+
+                const forged = forgeTokens(clientToken)[variant];
+                const response = await requestWithToken({ ...target, token: forged.token });
+
+                expectDenied(response, [401, 403], `${target.method} ${target.url} with a token ${forged.description}`);
+                console.log(`      ✅ ${forged.description}: ${response.status}`);
+            });
+        }));
+    });
+
+    // ============================================
+    // ROLE ESCALATION
+    // ============================================
+
+    describe('Role Escalation', function() {
+        PRODUCT_WRITE_ENDPOINTS.forEach((endpoint, index) => {
+            const id = `TC_SEC_${String(10 + index).padStart(3, '0')}`;
+
+            it(`${id}: CLIENT cannot ${endpoint.method} ${endpoint.url} [${OWASP.BFLA}]`, async function() {
+                tagOwasp(this, OWASP.BFLA, results);
+
+                const client = await createSession('client');
+                const response = await requestAs(client, fillEndpoint(endpoint));
+                expectDenied(response, [401, 403], `${endpoint.method} ${endpoint.url} as CLIENT`);
+            });
+        });
+
+        describe('User management', function() {
+            before(async function() {
+                targetUser = await makeUser().catch(error => skipIfOtpRejected(this, error));
+                console.log(`   🎯 Target user ${targetUser.email}`);
+            });
+
+            ADMIN_USER_ENDPOINTS.forEach((endpoint, index) => {
+                const id = `TC_SEC_${String(13 + index).padStart(3, '0')}`;
+
+                it(`${id}: VENDOR cannot ${endpoint.method} ${endpoint.url} [${OWASP.BFLA}]`, async function() {
+                    tagOwasp(this, OWASP.BFLA, results);
+
+                    const vendor = await createSession('vendor');
+                    const response = await requestAs(vendor, fillEndpoint(endpoint));
+                    expectDenied(response, [401, 403], `${endpoint.method} ${endpoint.url} as VENDOR`);
+                });
+            });
+
+            it(`TC_SEC_018: target account is untouched after the escalation attempts [${OWASP.BFLA}]`, async function() {
+                tagOwasp(this, OWASP.BFLA, results);
+
+                const admin = await AdminUserApi.as('admin');
+                expect(await admin.findByEmail(targetUser.email)).to.include({ id: targetUser.id, active: true });
+            });
+        });
+    });
+
+    // ============================================
+    // IDOR
+    // ============================================
+
+    describe('IDOR (another vendor\'s product)', function() {
+        let otherVendor;
+
+        before(async function() {
+            try {
+                otherVendor = await createSession('vendor2');
+            } catch (error) {
+                console.log(`   ⚠️ ${error.message} - skipping IDOR tests`);
+                this.skip();
+            }
+        });
+
+        it(`TC_SEC_019: second vendor cannot update the product by ID [${OWASP.BOLA}]`, async function() {
+            tagOwasp(this, OWASP.BOLA, results);
+
+            const response = await new ProductApi(otherVendor).update(vendorProduct.id, { name: 'IDOR Update', price: 1 }).then(
+                () => expect.fail(`PUT /products/${vendorProduct.id} as another vendor succeeded`),
+                error => error.response || Promise.reject(error)
+            );
+            expectDenied(response, [401, 403], `PUT /products/${vendorProduct.id} as another vendor`);
+        });
+
+        it(`TC_SEC_020: second vendor cannot delete the product by ID [${OWASP.BOLA}]`, async function() {
+            tagOwasp(this, OWASP.BOLA, results);
+
+            const response = await requestAs(otherVendor, { method: 'DELETE', url: `/products/${vendorProduct.id}` });
+            expectDenied(response, [401, 403], `DELETE /products/${vendorProduct.id} as another vendor`);
+        });
+
+        it(`TC_SEC_021: product is unchanged after the IDOR attempts [${OWASP.BOLA}]`, async function() {
+            tagOwasp(this, OWASP.BOLA, results);
+
+            const vendor = await createSession('vendor');
+            const response = await vendor.get(`/products/${vendorProduct.id}`);
+            expect(response.data.result).to.include({ name: vendorProduct.name, price: vendorProduct.price });
+        });
+    });
+});
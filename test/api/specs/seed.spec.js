@@ -0,0 +1,96 @@
+/**
+ * seed.spec.js
+ * Tests for the seed / reset commands (seed.js)
+ *
+ * The reset test bans the shared testUser and fills its cart; both are
+ * undone after the test even when reset() fails. The lockout test runs
+ * against the mock only, which can release the account right away.
+ */
+
+const { expect } = require('chai');
+const testData = require('../../config/testData');
+const { apiClient, clearAuthToken, clearSessions, getRoleCredentials } = require('../helpers/apiClient');
+const { getBruteForceConfig, fireAttempts } = require('../helpers/bruteForce');
+const { SEED_PRODUCT_COUNT, checkUser, seed, reset } = require('../helpers/seed');
+const { AdminUserApi, CartApi } = require('../clients');
+const { makeVendorProduct, makeCartWith } = require('../helpers/factories');
+const { getMockServer } = require('../hooks/mockServer.hooks');
+
+describe('Seed & Reset', function() {
+    this.timeout(60000);
+
+    before(function() {
+        clearAuthToken();
+        clearSessions();
+    });
+
+    // ID of testUser while the reset test has it banned
+    let bannedUserId = null;
+
+    afterEach(async function() {
+        if (bannedUserId && (await checkUser('testUser')).status === 'banned') {
+            await (await AdminUserApi.as('admin')).unban(bannedUserId);
+        }
+        bannedUserId = null;
+    });
+
+    after(function() {
+        clearSessions();
+    });
+
+    it('should provision categories and products and be idempotent', async function() {
+        const first = await seed();
+
+        expect(first.categories.map(category => category.name)).to.deep.equal(testData.products.categories);
+        expect(first.products).to.have.lengthOf(SEED_PRODUCT_COUNT);
+        ['admin', 'vendor', 'client', 'testUser'].forEach(role => {
+            expect(first.users.find(user => user.role === role).status, role).to.equal('ready');
+        });
+
+        const second = await seed();
+        const created = [...second.users, ...second.categories, ...second.products].filter(entry => entry.action === 'created');
+        expect(created).to.deep.equal([]);
+        expect(second.categories.map(category => category.id)).to.deep.equal(first.categories.map(category => category.id));
+        expect(second.products.map(product => product.id)).to.deep.equal(first.products.map(product => product.id));
+    });
+
+    it('should report an account locked by failed logins as locked out', async function() {
+        const mockServer = getMockServer();
+        if (!mockServer) {
+            console.log('   ⚠️ Needs the mock backend (API_MODE=mock) to release the lockout - skipping');
+            this.skip();
+        }
+
+        const { email, password } = getRoleCredentials('lockout');
+        const { loginAttempts, lockoutSeconds } = getBruteForceConfig();
+        await fireAttempts(loginAttempts + 1, index => apiClient.post('/auth/login', { email, password: `wrong-${index}-${password}` }));
+
+        try {
+            expect(await checkUser('lockout')).to.include({ role: 'lockout', status: 'locked out' });
+        } finally {
+            mockServer.advanceClock(lockoutSeconds);
+        }
+        expect((await checkUser('lockout')).status).to.equal('ready');
+    });
+
+    it('should lift the ban on testuser@gmail.com and empty client carts on reset', async function() {
+        const admin = await AdminUserApi.as('admin');
+        const target = await admin.findByEmail(testData.users.testUser.email);
+
+        // The cart item is removed by the factory cleanup if reset() leaves it
+        await makeCartWith([await makeVendorProduct()], { role: 'testUser' });
+
+        bannedUserId = target.id;
+        await admin.ban(target.id, testData.banReasons[4]);
+        expect((await checkUser('testUser')).status).to.equal('banned');
+
+        const report = await reset();
+
+        const testUser = report.users.find(user => user.role === 'testUser');
+        expect(testUser.status).to.equal('ready');
+        expect(testUser.action).to.include('unbanned').and.include('cart emptied');
+
+        const cart = await (await CartApi.as('testUser')).get();
+        expect(cart.items).to.deep.equal([]);
+    });
+});
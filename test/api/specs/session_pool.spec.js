@@ -0,0 +1,95 @@
+/**
+ * session_pool.spec.js
+ * API test spec for per-role sessions
+ *
+ * Verifies that several roles can be used side by side in one test
+ * without their tokens overwriting each other, e.g. an admin banning a
+ * user whose own session then gets refused
+ */
+
+const { expect } = require('chai');
+const {
+    createSession,
+    loginSession,
+    clearSessions,
+    getRoleCredentials,
+    getAuthToken,
+    clearAuthToken
+} = require('../helpers/apiClient');
+const { expectError } = require('../helpers/errorCatalog');
+const { makeUser, skipIfOtpRejected } = require('../helpers/factories');
+const { AdminUserApi } = require('../clients');
+const testData = require('../../config/testData');
+
+describe('Per-role API Sessions', function() {
+    this.timeout(30000);
+
+    before(function() {
+        clearAuthToken();
+        clearSessions();
+    });
+
+    after(function() {
+        clearSessions();
+    });
+
+    it('should keep admin and vendor sessions independent', async function() {
+        const [admin, vendor] = await Promise.all([
+            createSession('admin'),
+            createSession('vendor')
+        ]);
+
+        expect(admin.token).to.be.a('string').and.not.equal(vendor.token);
+
+        const [adminProfile, vendorProfile] = await Promise.all([
+            admin.get('/users/me'),
+            vendor.get('/users/me')
+        ]);
+
+        expect(adminProfile.data.result.email).to.equal(getRoleCredentials('admin').email);
+        expect(vendorProfile.data.result.email).to.equal(getRoleCredentials('vendor').email);
+    });
+
+    it('should refuse a user banned by the admin in the same test', async function() {
+        const user = await makeUser().catch(error => skipIfOtpRejected(this, error));
+        const [admin, session] = await Promise.all([
+            AdminUserApi.as('admin'),
+            loginSession({ email: user.email, password: user.password })
+        ]);
+        expect((await session.get('/users/me')).data.result.email).to.equal(user.email);
+
+        await admin.ban(user.id, testData.banReasons[4]);
+        try {
+            await session.get('/users/me');
+            expect.fail('Expected the banned user to be refused');
+        } catch (error) {
+            expectError(error, 'ACCOUNT_BANNED');
+        } finally {
+            await admin.unban(user.id);
+        }
+
+        expect((await session.get('/users/me')).data.result.email).to.equal(user.email);
+    });
+
+    it('should reuse the cached session for the same role', async function() {
+        const first = await createSession('client');
+        const second = await createSession('client');
+
+        expect(second).to.equal(first);
+    });
+
+    it('should not touch the shared apiClient token', async function() {
+        await createSession('vendor');
+
+        expect(getAuthToken()).to.be.null;
+    });
+
+    it('should reject unknown roles', async function() {
+        try {
+            await createSession('superuser');
+            expect.fail('Expected error to be thrown');
+        } catch (error) {
+            expect(error.message).to.include('Unknown session role "superuser"');
+        }
+    });
+});
@@ -0,0 +1,13 @@
+/**
+ * banner.hooks.js
+ * Mocha root hook printing the effective test configuration once per run
+ * (profile, URLs, accounts, browser and timeouts; secrets masked)
+ */
+
+const { printConfigBanner } = require('./banner');
+
+exports.mochaHooks = {
+    beforeAll() {
+        printConfigBanner();
+    }
+};
@@ -0,0 +1,75 @@
+/**
+ * banner.js
+ * Startup banner with the effective test configuration
+ *
+ * Lists every value that can be overridden from the environment (the
+ * `environmentVariables` section of test-data.json) together with where it
+ * came from: test-data.json, the profile or the environment. Passwords and
+ * other secrets are masked. Parallel workers also list their own accounts.
+ */
+
+const testData = require('./testData');
+
+// Variables whose values are never printed
+const SECRET_VARIABLE = /PASSWORD|SECRET|TOKEN/;
+// user:key@ in URLs (Selenium Grid providers put access keys there)
+const URL_CREDENTIALS = /\/\/([^:/@]+):[^@/]+@/;
+
+/**
+ * Mask a secret, keeping only whether it is set
+ * @param {*} value
+ * @returns {string}
+ */
+const maskSecret = (value) => (value === undefined || value === '' ? '(not set)' : '********');
+
+/**
+ * Printable form of a value that is not a secret by name
+ * @param {*} value
+ * @returns {string}
+ */
+const formatValue = (value) => (value === '' ? '(not set)' : String(value).replace(URL_CREDENTIALS, '//$1:********@'));
+
+/**
+ * Build the banner lines
+ * @param {Object} [data] - Resolved test data (default: the one of this run)
+ * @returns {string[]}
+ */
+const formatConfigBanner = (data = testData) => {
+    const { name, description } = data.profile;
+
+    const rows = Object.entries(data.environmentVariables).map(([variable, dotted]) => {
+        const value = dotted.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+        return {
+            variable,
+            value: SECRET_VARIABLE.test(variable) ? maskSecret(value) : formatValue(value),
+            source: data.sourceOf(dotted)
+        };
+    });
+
+    const variableWidth = Math.max(...rows.map(row => row.variable.length));
+    const valueWidth = Math.max(...rows.map(row => row.value.length));
+
+    const workerAccounts = data.worker === null || data.worker === undefined
+        ? []
+        : [`   Worker ${data.worker} accounts: ${(data.parallel?.isolatedRoles || []).map(role => `${role}=${data.user(role).email}`).join(', ')}`];
+
+    return [
+        `⚙️  Test profile: ${name}${description ? ` - ${description}` : ''}`,
+        ...workerAccounts,
+        ...rows.map(row => `   ${row.variable.padEnd(variableWidth)}  ${row.value.padEnd(valueWidth)}  ${row.source}`)
+    ];
+};
+
+/**
+ * Print the banner
+ * @param {Object} [data] - Resolved test data (default: the one of this run)
+ */
+const printConfigBanner = (data = testData) => {
+    console.log(`\n${formatConfigBanner(data).join('\n')}\n`);
+};
+
+module.exports = {
+    maskSecret,
+    formatConfigBanner,
+    printConfigBanner
+};
@@ -0,0 +1,400 @@
+/**
+ * testData.js
+ * Single resolver of the test configuration and data for the API and UI tests
+ *
+ * Values are resolved in this order (first wins):
+ *   1. Environment variables of the shell / CI job
+ *   2. .env (dotenv never overwrites variables that are already set)
+ *   3. The profile chosen with TEST_PROFILE (test/config/profiles.yaml, default local)
+ *   4. test-data.json
+ * Which variable overrides which value is declared once, in the
+ * `environmentVariables` section of test-data.json
+ * ("ADMIN_EMAIL": "users.admin.email"). With apiMode "mock" (API_MODE=mock
+ * or TEST_PROFILE=mock) apiUrl points at the bundled mock backend.
+ *
+ * In a parallel worker (MOCHA_WORKER_ID, set by `mocha --parallel` and
+ * test/ui/parallel.js) user(role) returns the worker's own account for the
+ * roles in `parallel.isolatedRoles`, so workers never share a cart or a
+ * ban; each worker also gets its own mock backend port.
+ *
+ * The result is checked against test-data.schema.json the first time this
+ * module is required, so a typo fails the run at startup with the path of
+ * the bad value instead of surfacing as `undefined` deep inside a test;
+ * values from the environment or a profile are validated and converted
+ * (HEADLESS=true -> true) like the file itself.
+ *
+ * Usage:
+ *   const testData = require('../../config/testData');
+ *   const { email, password } = testData.user('vendor');
+ *   await page.navigate(testData.route('productDetail', { id: product.id }));
+ *   testData.apiUrl, testData.testConfiguration.browser, ...
+ *   testData.sourceOf('apiUrl')    // 'profile local', 'env API_URL', ...
+ *   testData.worker                // 0, 1, ... in a parallel worker, otherwise null
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv2020 = require('ajv/dist/2020');
+require('dotenv').config();
+
+const TEST_DATA_FILE = path.join(__dirname, '..', '..', 'test-data.json');
+const PROFILES_FILE = path.join(__dirname, 'profiles.yaml');
+const DEFAULT_PROFILE = 'local';
+const DEFAULT_MOCK_PORT = 8089;
+const testDataSchema = require('../../test-data.schema.json');
+
+const ajv = new Ajv2020({ allErrors: true, strict: false, coerceTypes: true });
+const validateTestData = ajv.compile(testDataSchema);
+
+// ============================================
+// PATHS, PROFILES & ENVIRONMENT OVERRIDES
+// ============================================
+
+/**
+ * Read a value by dotted path ('users.admin.email')
+ * @param {Object} data
+ * @param {string} dotted
+ * @returns {*} - undefined when any segment is missing
+ */
+const getPath = (data, dotted) => dotted.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+
+/**
+ * Write a value by dotted path; the parent must exist
+ * @param {Object} data
+ * @param {string} dotted
+ * @param {*} value
+ */
+const setPath = (data, dotted, value) => {
+    const keys = dotted.split('.');
+    const last = keys.pop();
+    keys.reduce((node, key) => node[key], data)[last] = value;
+};
+
+/**
+ * Read the profile chosen with TEST_PROFILE
+ * @param {string} file - profiles.yaml
+ * @param {string} name - Profile name
+ * @returns {{description?: string, overrides: Object}}
+ */
+const readProfile = (file, name) => {
+    let profiles;
+    try {
+        profiles = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+    } catch (error) {
+        throw new Error(`Could not read ${path.basename(file)}: ${error.message}`);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+        throw new Error(`Unknown TEST_PROFILE "${name}". Profiles in ${path.basename(file)}: ${Object.keys(profiles).join(', ')}`);
+    }
+
+    const { description, ...overrides } = profiles[name] || {};
+    return { description, overrides };
+};
+
+/**
+ * Merge a profile into the data; objects are merged key by key, any other
+ * value replaces the one of the file. "${NAME}" is read from the environment.
+ * @param {Object} target - Data (or a nested object of it), changed in place
+ * @param {Object} overrides - Profile values at the same level
+ * @param {Object} context
+ * @param {string} context.label - 'profile <name>', recorded as the source
+ * @param {Object} context.env - Environment
+ * @param {Map<string, string>} context.sources - Dotted path -> source
+ * @param {Map<string, string>} context.unset - Dotted path -> variable that is not set
+ * @param {string} [prefix] - Dotted path of target
+ */
+const applyProfile = (target, overrides, context, prefix = '') => {
+    for (const [key, value] of Object.entries(overrides)) {
+        const dotted = prefix ? `${prefix}.${key}` : key;
+        const isObject = (node) => node && typeof node === 'object' && !Array.isArray(node);
+
+        if (isObject(value) && isObject(target[key])) {
+            applyProfile(target[key], value, context, dotted);
+            continue;
+        }
+
+        target[key] = typeof value === 'string'
+            ? value.replace(/\$\{(\w+)\}/g, (placeholder, name) => {
+                if (context.env[name] === undefined || context.env[name] === '') {
+                    context.unset.set(dotted, name);
+                    return placeholder;
+                }
+                return context.env[name];
+            })
+            : value;
+        context.sources.set(dotted, context.label);
+    }
+};
+
+/**
+ * Apply the environment overrides declared in `environmentVariables`
+ * @param {Object} data - Parsed test data, changed in place
+ * @param {Object} env - Environment (process.env)
+ * @param {string[]} problems - Receives mappings that point nowhere
+ * @param {Map<string, string>} sources - Dotted path -> source, updated
+ */
+const applyEnvironment = (data, env, problems, sources) => {
+    const mappings = data.environmentVariables;
+    if (!mappings || typeof mappings !== 'object') return;
+
+    for (const [name, target] of Object.entries(mappings)) {
+        if (typeof target !== 'string') continue;
+
+        if (getPath(data, target) === undefined) {
+            problems.push(`environmentVariables.${name}: points at "${target}", which does not exist`);
+        } else if (env[name] !== undefined && env[name] !== '') {
+            setPath(data, target, env[name]);
+            sources.set(target, `env ${name}`);
+        }
+    }
+};
+
+// ============================================
+// PARALLEL WORKERS
+// ============================================
+
+/**
+ * Worker number of a parallel run
+ * @param {Object} env - Environment (MOCHA_WORKER_ID)
+ * @returns {number|null} - null outside parallel runs
+ */
+const workerIdOf = (env) => {
+    const id = parseInt(env.MOCHA_WORKER_ID);
+    return Number.isInteger(id) && id >= 0 ? id : null;
+};
+
+/**
+ * Accounts of one worker for the roles in parallel.isolatedRoles: the
+ * worker-th entry of the role's pool, or a copy of the shared account
+ * with "+w<worker>" in the email (registered by the worker hook)
+ * @param {Object} data - Test data after profile and environment
+ * @param {number|null} workerId
+ * @param {string[]} problems - Receives unknown roles and pools that are too small
+ * @returns {Object<string, Object>} - Role key -> account (empty outside workers)
+ */
+const resolveWorkerUsers = (data, workerId, problems) => {
+    const { isolatedRoles = [], accountPools = {} } = data.parallel || {};
+    const users = {};
+
+    for (const role of isolatedRoles) {
+        const shared = data.users && data.users[role];
+        if (!shared) {
+            problems.push(`parallel.isolatedRoles: "${role}" is not a key of users`);
+            continue;
+        }
+        if (workerId === null) continue;
+
+        const pool = accountPools[role];
+        if (pool) {
+            if (pool[workerId]) {
+                users[role] = { ...shared, ...pool[workerId] };
+            } else {
+                problems.push(`parallel.accountPools.${role}: ${pool.length} account(s), worker ${workerId} needs account #${workerId + 1} - add accounts or run fewer workers`);
+            }
+            continue;
+        }
+
+        const [name, domain] = String(shared.email).split('@');
+        const phone = shared.phone || data.registration.validUser.phone;
+        users[role] = {
+            ...shared,
+            email: `${name}+w${workerId}@${domain}`,
+            fullName: `${shared.fullName || name} W${workerId}`,
+            phone: `${phone.slice(0, -2)}${String(workerId % 100).padStart(2, '0')}`
+        };
+    }
+
+    return users;
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Dotted path of an Ajv error
+ * @param {Object} error - Ajv error
+ * @returns {string}
+ */
+const errorPath = (error) => error.instancePath.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~')).join('.');
+
+/**
+ * Turn Ajv errors into "path: problem" lines, naming the environment
+ * variable or profile when the bad value came from one
+ * @param {Object[]} errors - Ajv errors
+ * @param {Map<string, string>} sources - Dotted path -> source
+ * @returns {string[]}
+ */
+const formatErrors = (errors, sources) => errors.map((error) => {
+    const field = error.instancePath ? errorPath(error) : '(root)';
+
+    let detail = error.message;
+    if (error.keyword === 'additionalProperties') {
+        detail = `unknown field "${error.params.additionalProperty}"`;
+    } else if (error.keyword === 'required') {
+        detail = `missing "${error.params.missingProperty}"`;
+    } else if (error.keyword === 'enum') {
+        detail = `must be one of ${error.params.allowedValues.join(', ')}`;
+    }
+
+    const source = sources.get(field);
+    return `${field}: ${detail}${source ? ` (from ${source})` : ''}`;
+});
+
+
+/**
+ * Freeze an object graph so tests cannot change shared data by accident
+ * @param {*} value
+ * @returns {*} - The same value
+ */
+const deepFreeze = (value) => {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+};
+
+// ============================================
+// ACCESSORS
+// ============================================
+
+/**
+ * @typedef {Object} TestUser
+ * @property {string} email
+ * @property {string} password
+ * @property {'ADMIN'|'VENDOR'|'CLIENT'} role
+ * @property {string} [fullName]
+ * @property {string} [phone]
+ * @property {string} [shopName]
+ */
+
+/**
+ * Wrap validated data with the accessors
+ * @param {Object} data - Validated test data
+ * @param {Object} meta
+ * @param {string} meta.source - File name for error messages
+ * @param {{name: string, description?: string}} meta.profile - Profile in use
+ * @param {Map<string, string>} meta.sources - Dotted path -> where the value came from
+ * @param {number|null} meta.worker - Parallel worker number
+ * @param {Object<string, Object>} meta.workerUsers - Accounts of the worker by role key
+ * @returns {Object} - Data sections (frozen) plus profile, worker, user(), route() and sourceOf()
+ */
+const createTestData = (data, { source, profile, sources, worker, workerUsers }) => {
+    deepFreeze(data);
+    deepFreeze(workerUsers);
+
+    return {
+        ...data,
+
+        profile,
+
+        worker,
+
+        /**
+         * Where a value came from
+         * @param {string} dotted - e.g. 'apiUrl', 'users.admin.password'
+         * @returns {string} - 'env API_URL', 'profile staging', 'API_MODE=mock' or the file name
+         */
+        sourceOf(dotted) {
+            return sources.get(dotted) || source;
+        },
+
+        /**
+         * Get an account by role key, with environment overrides applied;
+         * in a parallel worker, isolated roles return the worker's account
+         * @param {string} role - 'admin' | 'vendor' | 'vendor2' | 'client' | 'testUser' | 'lockout'
+         * @returns {TestUser}
+         */
+        user(role) {
+            if (!Object.prototype.hasOwnProperty.call(data.users, role)) {
+                throw new Error(`Unknown user "${role}" in ${source}. Expected one of: ${Object.keys(data.users).join(', ')}`);
+            }
+            return workerUsers[role] || data.users[role];
+        },
+
+        /**
+         * Build a frontend path from a named route
+         * @param {string} name - Key of `routes`, e.g. 'productDetail'
+         * @param {Object} [params] - Values for the {placeholders}, e.g. { id }
+         * @returns {string} - e.g. '/products/6907…'
+         */
+        route(name, params = {}) {
+            const template = data.routes[name];
+            if (typeof template !== 'string') {
+                throw new Error(`Unknown route "${name}" in ${source}. Expected one of: ${Object.keys(data.routes).join(', ')}`);
+            }
+
+            return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+                if (params[key] === undefined || params[key] === null) {
+                    throw new Error(`Route "${name}" (${template}) needs a value for ${placeholder}`);
+                }
+                return encodeURIComponent(params[key]);
+            });
+        }
+    };
+};
+
+/**
+ * Resolve the test data: file, then profile, then environment; validated
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the data file (default test-data.json)
+ * @param {string} [options.profilesFile] - Path of the profiles (default test/config/profiles.yaml)
+ * @param {Object} [options.env] - Environment to read TEST_PROFILE, overrides and MOCHA_WORKER_ID from (default process.env)
+ * @returns {Object} - Test data with profile, worker, user(), route() and sourceOf()
+ * @throws {Error} - Listing every invalid value by path
+ */
+const loadTestData = ({ file = TEST_DATA_FILE, profilesFile = PROFILES_FILE, env = process.env } = {}) => {
+    const source = path.basename(file);
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${source}: ${error.message}`);
+    }
+
+    const profileName = env.TEST_PROFILE || DEFAULT_PROFILE;
+    const { description, overrides } = readProfile(profilesFile, profileName);
+
+    const problems = [];
+    const sources = new Map();
+    const unset = new Map();
+    applyProfile(data, overrides, { label: `profile ${profileName}`, env, sources, unset });
+    applyEnvironment(data, env, problems, sources);
+
+    // Placeholders are fine when an environment variable replaced the whole value
+    for (const [dotted, name] of unset) {
+        if (!String(sources.get(dotted)).startsWith('env ')) {
+            problems.push(`${dotted}: profile ${profileName} needs the environment variable ${name}`);
+        } else {
+            unset.delete(dotted);
+        }
+    }
+
+    const worker = workerIdOf(env);
+    if (data.apiMode === 'mock') {
+        // One mock backend per parallel worker, next to the one of a serial run
+        data.apiUrl = `http://127.0.0.1:${(parseInt(env.API_MOCK_PORT) || DEFAULT_MOCK_PORT) + (worker === null ? 0 : worker + 1)}/api`;
+        sources.set('apiUrl', 'API_MODE=mock');
+    }
+
+    let workerUsers = {};
+    if (!validateTestData(data)) {
+        const errors = validateTestData.errors.filter(error => !unset.has(errorPath(error)));
+        problems.push(...formatErrors(errors, sources));
+    } else {
+        workerUsers = resolveWorkerUsers(data, worker, problems);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid ${source}:\n  • ${problems.join('\n  • ')}`);
+    }
+
+    return createTestData(data, { source, profile: { name: profileName, description }, sources, worker, workerUsers });
+};
+
+module.exports = loadTestData();
+module.exports.loadTestData = loadTestData;
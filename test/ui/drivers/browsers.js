@@ -0,0 +1,284 @@
+/**
+ * browsers.js
+ * Browser registry used by BasePage.createDriver
+ *
+ * Each entry knows how to build its Selenium options (shared flags plus
+ * the headless flags of that browser), where to find its driver and how
+ * to attach both to a Builder. BROWSER (testConfiguration.browser) picks
+ * the entry; an unknown name throws instead of silently using Chrome.
+ *
+ * Driver lookup, first match wins:
+ *   1. The variable of the entry (CHROMEDRIVER_PATH, MSEDGEDRIVER_PATH, GECKODRIVER_PATH)
+ *   2. Well-known locations (chromium only: the chromedriver shipped with the distro package)
+ *   3. Selenium Manager, which downloads a matching driver on the first run
+ *
+ * With a remote URL (SELENIUM_REMOTE_URL -> testConfiguration.remoteUrl)
+ * the same options become the capabilities of a session on a Selenium
+ * Grid / standalone server; nothing is looked up locally and the session
+ * is tagged with se:name (test name) and se:build (build ID).
+ *
+ * Usage:
+ *   const { createBuilder } = require('../drivers/browsers');
+ *   const driver = await createBuilder('firefox', { headless: true }).build();
+ *   const remote = await createBuilder('chrome', { remoteUrl: 'http://grid:4444', metadata: { name, build } }).build();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Builder, Browser, logging } = require('selenium-webdriver');
+const chrome = require('selenium-webdriver/chrome');
+const edge = require('selenium-webdriver/edge');
+const firefox = require('selenium-webdriver/firefox');
+
+const WINDOW_WIDTH = 1920;
+const WINDOW_HEIGHT = 1080;
+
+// ============================================
+// LOOKUP
+// ============================================
+
+/**
+ * First existing file among the candidates
+ * @param {string[]} candidates - Absolute paths
+ * @returns {string|undefined}
+ */
+const firstExisting = (candidates) => candidates.find(file => fs.existsSync(file));
+
+/**
+ * Find an executable on PATH
+ * @param {string[]} names - Executable names, tried in order
+ * @param {Object} env - Environment (PATH)
+ * @returns {string|undefined} - Absolute path
+ */
+const findOnPath = (names, env) => {
+    const dirs = (env.PATH || '').split(path.delimiter).filter(Boolean);
+    return firstExisting(names.flatMap(name => dirs.map(dir => path.join(dir, name))));
+};
+
+/**
+ * Driver path from the entry variable, then its well-known locations
+ * @param {Object} entry - Registry entry
+ * @param {Object} env - Environment
+ * @returns {string|undefined} - undefined lets Selenium Manager resolve the driver
+ */
+const findDriver = (entry, env) => env[entry.driverVariable] || firstExisting(entry.driverLocations || []);
+
+/**
+ * Keep every browser console entry readable through driver.manage().logs()
+ * @returns {logging.Preferences}
+ */
+const browserLogPrefs = () => {
+    const prefs = new logging.Preferences();
+    prefs.setLevel(logging.Type.BROWSER, logging.Level.ALL);
+    return prefs;
+};
+
+/**
+ * Flags shared by Chrome, Chromium and Edge
+ * @param {chrome.Options|edge.Options} options
+ * @returns {chrome.Options|edge.Options} - The same options
+ */
+const addChromiumFlags = (options) => {
+    options.addArguments('--no-sandbox');
+    options.addArguments('--disable-dev-shm-usage');
+    options.addArguments('--disable-gpu');
+    options.addArguments(`--window-size=${WINDOW_WIDTH},${WINDOW_HEIGHT}`);
+    options.addArguments('--start-maximized');
+    options.addArguments('--disable-extensions');
+    options.excludeSwitches('enable-logging');
+    // Browser console for the failure artifacts (helpers/failureArtifacts.js)
+    options.setLoggingPrefs(browserLogPrefs());
+    return options;
+};
+
+// ============================================
+// REGISTRY
+// ============================================
+
+/**
+ * @typedef {Object} BrowserEntry
+ * @property {string} label - Name for logs
+ * @property {string} seleniumName - Browser name for Builder.forBrowser
+ * @property {string[]} headlessArguments - Added when headless is on
+ * @property {(env: Object, remote: boolean) => Object} createOptions - Options with the non-headless flags
+ * @property {string} driverVariable - Variable holding an explicit driver path
+ * @property {string[]} [driverLocations] - Driver paths tried before Selenium Manager
+ * @property {(builder: Builder, options: Object, driverPath?: string) => Builder} attach
+ * @property {string[]} hints - Printed when the driver cannot start
+ */
+
+/** @type {Object<string, BrowserEntry>} */
+const BROWSERS = {
+    chrome: {
+        label: 'Chrome',
+        seleniumName: Browser.CHROME,
+        headlessArguments: ['--headless', '--headless=new'],
+        createOptions: () => {
+            const options = addChromiumFlags(new chrome.Options());
+            options.addArguments('--disable-software-rasterizer');
+            options.addArguments('--disable-infobars');
+            options.setPageLoadStrategy('normal');
+            return options;
+        },
+        driverVariable: 'CHROMEDRIVER_PATH',
+        attach: (builder, options, driverPath) => {
+            builder.setChromeOptions(options);
+            return driverPath ? builder.setChromeService(new chrome.ServiceBuilder(driverPath)) : builder;
+        },
+        hints: [
+            'Kiểm tra Google Chrome đã cài đặt chưa',
+            'Không có mạng để Selenium Manager tải driver: đặt CHROMEDRIVER_PATH=/path/to/chromedriver',
+            'Trên Linux chỉ có Chromium: dùng BROWSER=chromium'
+        ]
+    },
+
+    chromium: {
+        label: 'Chromium',
+        seleniumName: Browser.CHROME,
+        headlessArguments: ['--headless=new'],
+        createOptions: (env, remote) => {
+            // On a remote node only an explicit CHROMIUM_BINARY (a path on the node) is used
+            const binary = env.CHROMIUM_BINARY || (remote ? undefined : findOnPath(['chromium', 'chromium-browser'], env));
+            if (!binary && !remote) {
+                throw new Error('Chromium not found on PATH (chromium, chromium-browser). Install it or set CHROMIUM_BINARY');
+            }
+
+            const options = addChromiumFlags(new chrome.Options());
+            if (binary) {
+                options.setChromeBinaryPath(binary);
+            }
+            options.setPageLoadStrategy('normal');
+            return options;
+        },
+        driverVariable: 'CHROMEDRIVER_PATH',
+        // Distro packages ship a chromedriver that matches their Chromium
+        driverLocations: [
+            '/usr/bin/chromedriver',
+            '/usr/lib/chromium/chromedriver',
+            '/usr/lib/chromium-browser/chromedriver',
+            '/snap/bin/chromium.chromedriver'
+        ],
+        attach: (builder, options, driverPath) => {
+            builder.setChromeOptions(options);
+            return driverPath ? builder.setChromeService(new chrome.ServiceBuilder(driverPath)) : builder;
+        },
+        hints: [
+            'Cài Chromium và driver: sudo apt install chromium chromium-driver',
+            'Chromium ở vị trí khác: đặt CHROMIUM_BINARY=/path/to/chromium',
+            'Driver ở vị trí khác: đặt CHROMEDRIVER_PATH=/path/to/chromedriver'
+        ]
+    },
+
+    edge: {
+        label: 'Edge',
+        seleniumName: Browser.EDGE,
+        headlessArguments: ['--headless', '--headless=new'],
+        createOptions: () => addChromiumFlags(new edge.Options()),
+        driverVariable: 'MSEDGEDRIVER_PATH',
+        attach: (builder, options, driverPath) => {
+            builder.setEdgeOptions(options);
+            return driverPath ? builder.setEdgeService(new edge.ServiceBuilder(driverPath)) : builder;
+        },
+        hints: [
+            'Kiểm tra Microsoft Edge đã cài đặt chưa (có sẵn trên Windows 10/11)',
+            'Driver ở vị trí khác: đặt MSEDGEDRIVER_PATH=/path/to/msedgedriver'
+        ]
+    },
+
+    firefox: {
+        label: 'Firefox',
+        seleniumName: Browser.FIREFOX,
+        headlessArguments: ['-headless'],
+        createOptions: (env) => {
+            const options = new firefox.Options();
+            options.addArguments(`--width=${WINDOW_WIDTH}`);
+            options.addArguments(`--height=${WINDOW_HEIGHT}`);
+            options.setPageLoadStrategy('normal');
+            if (env.FIREFOX_BINARY) {
+                options.setBinary(env.FIREFOX_BINARY);
+            }
+            return options;
+        },
+        driverVariable: 'GECKODRIVER_PATH',
+        attach: (builder, options, driverPath) => {
+            builder.setFirefoxOptions(options);
+            return driverPath ? builder.setFirefoxService(new firefox.ServiceBuilder(driverPath)) : builder;
+        },
+        hints: [
+            'Cài Firefox: sudo apt install firefox (hoặc bản ESR)',
+            'Firefox ở vị trí khác: đặt FIREFOX_BINARY=/path/to/firefox',
+            'Driver ở vị trí khác: đặt GECKODRIVER_PATH=/path/to/geckodriver'
+        ]
+    }
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Look up a browser
+ * @param {string} name - chrome | chromium | edge | firefox
+ * @returns {BrowserEntry}
+ * @throws {Error} - For names that are not in the registry
+ */
+const getBrowser = (name) => {
+    if (!Object.prototype.hasOwnProperty.call(BROWSERS, name)) {
+        throw new Error(`Unknown browser "${name}". Supported browsers: ${Object.keys(BROWSERS).join(', ')}`);
+    }
+    return BROWSERS[name];
+};
+
+/**
+ * Build the Selenium options of a browser
+ * @param {string} name - Registry key
+ * @param {Object} [settings]
+ * @param {boolean} [settings.headless=false]
+ * @param {Object} [settings.env] - Environment for binary lookups (default process.env)
+ * @param {boolean} [settings.remote=false] - Options are for a remote node, skip local lookups
+ * @returns {Object} - chrome.Options | edge.Options | firefox.Options
+ */
+const buildOptions = (name, { headless = false, env = process.env, remote = false } = {}) => {
+    const entry = getBrowser(name);
+    const options = entry.createOptions(env, remote);
+
+    if (headless) {
+        options.addArguments(...entry.headlessArguments);
+    }
+    return options;
+};
+
+/**
+ * Create a Builder with the options and driver of a browser; call .build() to start it
+ * @param {string} name - Registry key
+ * @param {Object} [settings]
+ * @param {boolean} [settings.headless=false]
+ * @param {Object} [settings.env] - Environment for binary and driver lookups (default process.env)
+ * @param {string} [settings.remoteUrl] - Selenium Grid / server URL; empty builds a local driver
+ * @param {Object} [settings.metadata] - Session metadata, sent to remote servers only
+ * @param {string} [settings.metadata.name] - Test name (se:name)
+ * @param {string} [settings.metadata.build] - Build ID (se:build)
+ * @returns {Builder}
+ */
+const createBuilder = (name, { headless = false, env = process.env, remoteUrl = '', metadata = {} } = {}) => {
+    const entry = getBrowser(name);
+    const options = buildOptions(name, { headless, env, remote: Boolean(remoteUrl) });
+    // SELENIUM_REMOTE_URL / SELENIUM_BROWSER are resolved by config/testData.js, not by Selenium itself
+    const builder = new Builder().disableEnvironmentOverrides().forBrowser(entry.seleniumName);
+
+    if (!remoteUrl) {
+        return entry.attach(builder, options, findDriver(entry, env));
+    }
+
+    if (metadata.name) options.set('se:name', metadata.name);
+    if (metadata.build) options.set('se:build', metadata.build);
+    return entry.attach(builder.usingServer(remoteUrl), options);
+};
+
+module.exports = {
+    BROWSER_NAMES: Object.keys(BROWSERS),
+    getBrowser,
+    buildOptions,
+    findDriver,
+    createBuilder
+};
@@ -0,0 +1,138 @@
+/**
+ * driverPool.js
+ * Per-worker pool of WebDrivers for the UI specs
+ *
+ * Specs acquire a driver in `before` and release it in `after` instead of
+ * creating and quitting their own. A released driver is wiped (cookies,
+ * localStorage, sessionStorage, about:blank) and handed to the next spec
+ * of the same worker, so a worker keeps one browser open instead of
+ * starting one per describe block. Drivers never move between processes:
+ * every parallel worker (MOCHA_WORKER_ID) has its own pool, and its
+ * drivers are named "[w<worker>] <suite>" on a Selenium Grid.
+ *
+ * test/ui/hooks/worker.hooks.js quits whatever is left after the run.
+ *
+ * Usage:
+ *   const { driverPool } = require('../drivers/driverPool');
+ *   driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
+ *   await driverPool.release(driver);
+ */
+
+const BasePage = require('../page-object/BasePage');
+const testData = require('../../config/testData');
+
+class DriverPool {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.create] - async ({ name }) => WebDriver (default BasePage.createDriver)
+     * @param {number|null} [options.worker] - Parallel worker number (default testData.worker)
+     * @param {number} [options.maxIdle] - Drivers kept open for reuse (default UI_POOL_SIZE or 1, 0 = never reuse)
+     */
+    constructor(options = {}) {
+        this.create = options.create ?? ((settings) => BasePage.createDriver(settings));
+        this.worker = options.worker !== undefined ? options.worker : testData.worker;
+        this.maxIdle = options.maxIdle ?? (parseInt(process.env.UI_POOL_SIZE) >= 0 ? parseInt(process.env.UI_POOL_SIZE) : 1);
+        this.idle = [];
+        this.active = new Set();
+        this.created = 0;
+    }
+
+    /**
+     * Label of this pool in logs and session names
+     * @returns {string} - 'w0', 'w1', ... or 'main' outside parallel runs
+     */
+    get label() {
+        return this.worker === null ? 'main' : `w${this.worker}`;
+    }
+
+    /**
+     * Get a clean driver: an idle one of this worker, or a new one
+     * @param {Object} [options]
+     * @param {string} [options.name] - Test name for the Selenium Grid session
+     * @returns {Promise<WebDriver>}
+     */
+    async acquire({ name } = {}) {
+        let driver = this.idle.pop();
+
+        if (driver) {
+            console.log(`♻️  [${this.label}] Dùng lại WebDriver (${this.active.size + 1} đang dùng)`);
+        } else {
+            driver = await this.create({ name: this.worker === null ? name : `[${this.label}] ${name || 'UI tests'}` });
+            this.created++;
+        }
+
+        this.active.add(driver);
+        return driver;
+    }
+
+    /**
+     * Give a driver back; it is wiped and kept for the next spec, or quit
+     * when the pool is full or the session no longer responds
+     * @param {WebDriver} driver
+     * @returns {Promise<void>}
+     */
+    async release(driver) {
+        if (!driver || !this.active.delete(driver)) return;
+
+        if (this.idle.length < this.maxIdle && await this.wipe(driver)) {
+            this.idle.push(driver);
+        } else {
+            await this.quit(driver);
+        }
+    }
+
+    /**
+     * Quit every driver of this worker, idle or still in use
+     * @returns {Promise<void>}
+     */
+    async quitAll() {
+        const drivers = [...this.idle, ...this.active];
+        this.idle = [];
+        this.active.clear();
+
+        await Promise.all(drivers.map(driver => this.quit(driver)));
+    }
+
+    /**
+     * Clear the state a spec left in the browser
+     * @param {WebDriver} driver
+     * @returns {Promise<boolean>} - false when the session is gone
+     */
+    async wipe(driver) {
+        try {
+            // Storage belongs to the page's origin, so clear it before leaving the page
+            await driver.executeScript('try { window.localStorage.clear(); window.sessionStorage.clear(); } catch (e) {}');
+            await driver.manage().deleteAllCookies();
+            await driver.get('about:blank');
+            await driver.manage().setTimeouts({
+                implicit: testData.testConfiguration.implicitWait,
+                pageLoad: testData.testConfiguration.pageLoadTimeout
+            });
+            return true;
+        } catch (error) {
+            console.warn(`⚠️  [${this.label}] WebDriver không dùng lại được: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Quit a driver, ignoring sessions that are already gone
+     * @param {WebDriver} driver
+     * @returns {Promise<void>}
+     */
+    async quit(driver) {
+        try {
+            await driver.quit();
+        } catch (error) {
+            // Session already closed (browser crashed or Grid timeout)
+        }
+    }
+}
+
+// One pool per process, i.e. per parallel worker
+const driverPool = new DriverPool();
+
+module.exports = {
+    DriverPool,
+    driverPool
+};
@@ -0,0 +1,172 @@
+/**
+ * failureArtifacts.js
+ * Evidence of a failed UI test: screenshot, page HTML, URL, browser
+ * console and localStorage of the driver that ran it
+ *
+ * Artifacts go to <report dir>/failures/<test>/ so the mochawesome report
+ * can show the screenshot and link the files with relative paths. The
+ * report dir is UI_REPORT_DIR (set by test/ui/parallel.js for its workers),
+ * else reportDir of the mochawesome reporter options, else
+ * mochawesome-report.
+ *
+ * Every capture step is independent: a browser without console logs
+ * (Firefox) or a crashed session still leaves whatever could be read,
+ * and the reason for the rest is recorded in failure.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logging } = require('selenium-webdriver');
+
+const DEFAULT_REPORT_DIR = 'mochawesome-report';
+const FAILURES_DIRNAME = 'failures';
+const SCREENSHOTS_DIRNAME = 'screenshots';
+const MAX_SLUG_LENGTH = 100;
+
+const LOCAL_STORAGE_SCRIPT = 'return Object.fromEntries(Object.keys(window.localStorage).map(key => [key, window.localStorage.getItem(key)]));';
+
+// ============================================
+// PATHS
+// ============================================
+
+/**
+ * Directory of the mochawesome report artifacts are linked from
+ * @param {string[]} [argv] - Mocha command line
+ * @param {Object} [env] - Environment (UI_REPORT_DIR)
+ * @returns {string} - Absolute path
+ */
+const getReportDir = (argv = process.argv, env = process.env) => {
+    const reportDir = env.UI_REPORT_DIR || /reportDir=([^,\s]+)/.exec(argv.join(' '))?.[1] || DEFAULT_REPORT_DIR;
+    return path.resolve(reportDir);
+};
+
+/**
+ * Folder name for a test: its full title, lowercased, dashes only
+ * @param {string} title - e.g. test.fullTitle()
+ * @returns {string}
+ */
+const slugify = (title) => title
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'd')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '') || 'test';
+
+/**
+ * Folder of one failed test
+ * Parallel workers and retries get their own folder, so nothing is overwritten
+ * @param {Mocha.Test} test
+ * @param {Object} [options]
+ * @param {number|null} [options.worker] - MOCHA_WORKER_ID
+ * @param {number} [options.driverIndex] - Index of the driver when the test held several
+ * @param {string} [options.reportDir]
+ * @returns {string} - Absolute path
+ */
+const failureDirFor = (test, { worker = null, driverIndex = 0, reportDir = getReportDir() } = {}) => {
+    const retry = typeof test.currentRetry === 'function' ? test.currentRetry() : 0;
+    const name = [
+        worker === null ? null : `w${worker}`,
+        slugify(test.fullTitle()),
+        retry > 0 ? `retry${retry}` : null,
+        driverIndex > 0 ? `driver${driverIndex + 1}` : null
+    ].filter(Boolean).join('-');
+
+    return path.join(reportDir, FAILURES_DIRNAME, name);
+};
+
+// ============================================
+// CAPTURE
+// ============================================
+
+/**
+ * Browser console entries
+ * Chromium-family drivers only return them with goog:loggingPrefs
+ * (drivers/browsers.js); geckodriver has no log endpoint
+ * @param {WebDriver} driver
+ * @returns {Promise<Object[]>} - { level, message, timestamp }
+ */
+const readConsoleLogs = async (driver) => {
+    const entries = await driver.manage().logs().get(logging.Type.BROWSER);
+    return entries.map(entry => ({
+        level: entry.level.name,
+        message: entry.message,
+        timestamp: new Date(entry.timestamp).toISOString()
+    }));
+};
+
+/**
+ * Write every artifact of a failed test
+ * @param {WebDriver} driver - Driver the test used
+ * @param {string} dir - Target folder (failureDirFor)
+ * @param {Object} [details] - Written to failure.json with the capture results
+ * @param {string} [details.test] - Full title of the test
+ * @param {string} [details.error] - Failure message
+ * @returns {Promise<{dir: string, url: string|null, files: Object<string, string>, consoleLogs: Object[]|null, localStorage: Object|null, errors: Object<string, string>}>}
+ *          files and errors are keyed by artifact (screenshot, html, consoleLogs, localStorage)
+ */
+const captureFailure = async (driver, dir, details = {}) => {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const result = { dir, url: null, files: {}, consoleLogs: null, localStorage: null, errors: {} };
+
+    /**
+     * Run one capture step, keeping its error instead of throwing
+     * @param {string} key - Artifact name
+     * @param {Function} step - async () => void
+     */
+    const attempt = async (key, step) => {
+        try {
+            await step();
+        } catch (error) {
+            result.errors[key] = error.message.split('\n')[0];
+        }
+    };
+
+    const write = (key, filename, content, encoding = 'utf8') => {
+        const file = path.join(dir, filename);
+        fs.writeFileSync(file, content, encoding);
+        result.files[key] = file;
+    };
+
+    await attempt('url', async () => {
+        result.url = await driver.getCurrentUrl();
+    });
+    await attempt('screenshot', async () => {
+        write('screenshot', 'screenshot.png', await driver.takeScreenshot(), 'base64');
+    });
+    await attempt('html', async () => {
+        write('html', 'page.html', await driver.getPageSource());
+    });
+    await attempt('consoleLogs', async () => {
+        result.consoleLogs = await readConsoleLogs(driver);
+        write('consoleLogs', 'console.json', `${JSON.stringify(result.consoleLogs, null, 2)}\n`);
+    });
+    await attempt('localStorage', async () => {
+        result.localStorage = await driver.executeScript(LOCAL_STORAGE_SCRIPT) || {};
+        write('localStorage', 'localStorage.json', `${JSON.stringify(result.localStorage, null, 2)}\n`);
+    });
+
+    const capabilities = await driver.getCapabilities().catch(() => null);
+    write('failure', 'failure.json', `${JSON.stringify({
+        ...details,
+        url: result.url,
+        browser: capabilities ? capabilities.getBrowserName() : null,
+        capturedAt: new Date().toISOString(),
+        files: Object.fromEntries(Object.entries(result.files).map(([key, file]) => [key, path.basename(file)])),
+        errors: result.errors
+    }, null, 2)}\n`);
+
+    return result;
+};
+
+module.exports = {
+    FAILURES_DIRNAME,
+    SCREENSHOTS_DIRNAME,
+    getReportDir,
+    slugify,
+    failureDirFor,
+    captureFailure
+};
@@ -0,0 +1,95 @@
+/**
+ * failure.hooks.js
+ * Mocha root hooks capturing evidence of failed UI tests
+ *
+ * With testConfiguration.screenshotOnFailure (SCREENSHOT_ON_FAILURE), every
+ * failed test that holds a driver of the pool gets a folder under
+ * <report dir>/failures/ with screenshot.png, page.html, console.json,
+ * localStorage.json and failure.json (helpers/failureArtifacts.js). The
+ * screenshot, URL, console and localStorage are attached to the test in
+ * the mochawesome report. Tests without a driver (API specs) are skipped.
+ *
+ * A serial run clears the failures of the previous run; under
+ * test/ui/parallel.js the runner clears them before starting its workers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const addContext = require('mochawesome/addContext');
+const testData = require('../../config/testData');
+const { driverPool } = require('../drivers/driverPool');
+const { FAILURES_DIRNAME, getReportDir, failureDirFor, captureFailure } = require('../helpers/failureArtifacts');
+
+const CAPTURE_TIMEOUT = 30000;
+
+/**
+ * Attach the artifacts of one driver to the failed test
+ * @param {Mocha.Context} context - `this` of the afterEach hook
+ * @param {Object} artifacts - Result of captureFailure
+ * @param {string} reportDir - Paths are made relative to it, as the report expects
+ * @param {string} suffix - Driver label when the test held several drivers
+ */
+const attachArtifacts = (context, artifacts, reportDir, suffix) => {
+    const { files, url, consoleLogs, localStorage, errors } = artifacts;
+    const link = file => path.relative(reportDir, file).split(path.sep).join('/');
+
+    if (files.screenshot) {
+        addContext(context, { title: `Screenshot${suffix}`, value: link(files.screenshot) });
+    }
+    addContext(context, { title: `URL${suffix}`, value: url || `(not captured: ${errors.url})` });
+    if (files.html) {
+        addContext(context, { title: `Page HTML${suffix}`, value: link(files.html) });
+    }
+    addContext(context, {
+        title: `Browser console${suffix}`,
+        value: consoleLogs
+            ? consoleLogs.map(entry => `[${entry.level}] ${entry.message}`).join('\n') || '(empty)'
+            : `(not captured: ${errors.consoleLogs})`
+    });
+    addContext(context, { title: `localStorage${suffix}`, value: localStorage || `(not captured: ${errors.localStorage})` });
+};
+
+/**
+ * Capture every driver the failed test holds
+ * @param {Mocha.Context} context - `this` of the afterEach hook
+ * @param {DriverPool} [pool] - Pool whose active drivers are captured
+ * @returns {Promise<Object[]>} - captureFailure results, one per driver
+ */
+const captureFailedTest = async (context, pool = driverPool) => {
+    const test = context.currentTest;
+    if (!test || test.state !== 'failed' || !testData.testConfiguration.screenshotOnFailure) return [];
+
+    const drivers = [...pool.active];
+    if (drivers.length === 0) return [];
+
+    const reportDir = getReportDir();
+    const results = [];
+    for (const [driverIndex, driver] of drivers.entries()) {
+        const dir = failureDirFor(test, { worker: testData.worker, driverIndex, reportDir });
+        const artifacts = await captureFailure(driver, dir, {
+            test: test.fullTitle(),
+            error: test.err ? test.err.message : null,
+            worker: testData.worker
+        });
+
+        attachArtifacts(context, artifacts, reportDir, drivers.length > 1 ? ` (driver ${driverIndex + 1})` : '');
+        console.log(`      📸 Đã lưu bằng chứng lỗi: ${path.relative(process.cwd(), dir)}`);
+        results.push(artifacts);
+    }
+    return results;
+};
+
+exports.mochaHooks = {
+    beforeAll() {
+        if (testData.worker !== null) return;
+
+        fs.rmSync(path.join(getReportDir(), FAILURES_DIRNAME), { recursive: true, force: true });
+    },
+
+    async afterEach() {
+        this.timeout(CAPTURE_TIMEOUT);
+        await captureFailedTest(this);
+    }
+};
+
+exports.captureFailedTest = captureFailedTest;
@@ -0,0 +1,64 @@
+/**
+ * worker.hooks.js
+ * Mocha root hooks for parallel UI runs
+ *
+ * In a parallel worker (MOCHA_WORKER_ID) the accounts of
+ * parallel.isolatedRoles are made ready before the first test: registered
+ * when missing, unbanned and with an empty cart (seed.js). They are kept
+ * between runs, so only the first run of a worker registers them. When
+ * the backend rejects the test OTP code, accounts that do not exist yet
+ * cannot be registered and the worker's tests are skipped.
+ * In every run, drivers still held by the pool are quit at the end.
+ */
+
+const testData = require('../../config/testData');
+const { seedUsers, resetUsers } = require('../../api/helpers/seed');
+const { OTP_REJECTED, skipIfOtpRejected } = require('../../api/helpers/factories');
+const { driverPool } = require('../drivers/driverPool');
+
+// Statuses that clear up by themselves (brute-force lockouts expire)
+const TRANSIENT_STATUSES = ['locked out'];
+
+let preparing = null;
+
+/**
+ * Make the worker's own accounts ready
+ * @returns {Promise<void>}
+ * @throws {Error} - Naming every account that cannot be used; with code
+ *          OTP_REJECTED when the only problem is accounts the backend would not register
+ */
+const prepareWorkerAccounts = async () => {
+    const roles = testData.parallel?.isolatedRoles || [];
+
+    const seeded = await seedUsers(roles);
+    const users = (await resetUsers(roles)).map((user, index) => ({
+        ...user,
+        action: [seeded[index].action, user.action].filter(Boolean).join(', ') || undefined
+    }));
+
+    const broken = users.filter(user => user.status !== 'ready' && !TRANSIENT_STATUSES.includes(user.status));
+    if (broken.length > 0) {
+        const error = new Error(`Worker ${testData.worker} accounts are not ready:\n  • ${broken
+            .map(user => `${user.role} ${user.email}: ${user.status}${user.detail ? ` - ${user.detail}` : ''}`)
+            .join('\n  • ')}`);
+        if (broken.every(user => seeded[users.indexOf(user)].otpRejected)) error.code = OTP_REJECTED;
+        throw error;
+    }
+
+    console.log(`👷 Worker ${testData.worker}: ${users.map(user => `${user.role}=${user.email} (${user.action || user.status})`).join(', ')}`);
+};
+
+exports.mochaHooks = {
+    async beforeAll() {
+        if (testData.worker === null) return;
+
+        this.timeout(120000);
+        // `mocha --parallel` runs root hooks once per spec file - prepare once per worker
+        preparing = preparing || prepareWorkerAccounts();
+        await preparing.catch(error => skipIfOtpRejected(this, error));
+    },
+
+    async afterAll() {
+        await driverPool.quitAll();
+    }
+};
@@ -0,0 +1,242 @@
+/**
+ * seleniumServer.js
+ * Local stand-in for a Selenium Grid / standalone selenium-server
+ *
+ * A plain Node HTTP server that speaks enough of the W3C WebDriver
+ * protocol for BasePage.createDriver in remote mode: it accepts new
+ * sessions, records the capabilities they were requested with (browser
+ * options, se:name, se:build) and answers the basic navigation commands.
+ * No browser is started, so remote mode can be checked on machines and
+ * CI agents without Chrome, Edge or Firefox.
+ *
+ * Implemented commands (also under /wd/hub):
+ * - GET    /status
+ * - POST   /session, DELETE /session/:id
+ * - POST   /session/:id/timeouts
+ * - POST   /session/:id/url, GET /session/:id/url
+ * - GET    /session/:id/title
+ * - POST   /session/:id/execute/sync (recorded, answered by scriptHandler)
+ * - DELETE /session/:id/cookie
+ * - GET    /session/:id/screenshot, GET /session/:id/source
+ * - POST   /session/:id/se/log (browser console of session.consoleLogs)
+ *
+ * Specs shape what the "browser" shows through the session (url, source,
+ * consoleLogs) and answer scripts with server.scriptHandler.
+ *
+ * Usage:
+ *   npm run mock:selenium    # standalone on SELENIUM_MOCK_PORT (default 4444)
+ *   SELENIUM_REMOTE_URL=http://127.0.0.1:4444 npm run test:ui
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const HUB_PREFIX = '/wd/hub';
+// 1x1 transparent PNG, base64 like a real screenshot
+const MOCK_SCREENSHOT = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+class MockSeleniumServer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.port] - Port to listen on (default SELENIUM_MOCK_PORT or 4444, 0 = any free port)
+     */
+    constructor(options = {}) {
+        this.port = options.port ?? (parseInt(process.env.SELENIUM_MOCK_PORT) || 4444);
+        this.server = null;
+        this.sessions = new Map();
+        this.requestedSessions = [];
+        // (script, args, session) => value of execute/sync
+        this.scriptHandler = () => null;
+
+        this.routes = [
+            ['GET', '/status', this.getStatus],
+            ['POST', '/session', this.newSession],
+            ['DELETE', '/session/:id', this.deleteSession],
+            ['POST', '/session/:id/timeouts', this.setTimeouts],
+            ['POST', '/session/:id/url', this.navigateTo],
+            ['GET', '/session/:id/url', this.getCurrentUrl],
+            ['GET', '/session/:id/title', this.getTitle],
+            ['POST', '/session/:id/execute/sync', this.executeScript],
+            ['DELETE', '/session/:id/cookie', this.deleteAllCookies],
+            ['GET', '/session/:id/screenshot', this.takeScreenshot],
+            ['GET', '/session/:id/source', this.getPageSource],
+            ['POST', '/session/:id/se/log', this.getLog]
+        ].map(([method, path, handler]) => ({
+            method,
+            pattern: new RegExp(`^${path.replace(':id', '([^/]+)')}$`),
+            handler: handler.bind(this)
+        }));
+    }
+
+    /**
+     * URL to use as SELENIUM_REMOTE_URL
+     * @returns {string}
+     */
+    get url() {
+        return `http://127.0.0.1:${this.port}`;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<MockSeleniumServer>}
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections?.();
+            this.server = null;
+        });
+    }
+
+    // ============================================
+    // REQUEST HANDLING
+    // ============================================
+
+    /**
+     * Route a request and write the W3C response
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    async handle(req, res) {
+        let raw = '';
+        for await (const chunk of req) raw += chunk;
+
+        const path = req.url.split('?')[0].replace(HUB_PREFIX, '') || '/';
+        const route = this.routes.find(entry => entry.method === req.method && entry.pattern.test(path));
+
+        let result;
+        if (!route) {
+            result = this.error(404, 'unknown command', `${req.method} ${path} is not implemented by the mock Selenium server`);
+        } else {
+            const [, sessionId] = route.pattern.exec(path);
+            let body = {};
+            try {
+                body = raw ? JSON.parse(raw) : {};
+            } catch (error) {
+                result = this.error(400, 'invalid argument', `Body is not JSON: ${error.message}`);
+            }
+
+            if (!result && sessionId && !this.sessions.has(sessionId)) {
+                result = this.error(404, 'invalid session id', `No active session with id ${sessionId}`);
+            }
+            result = result || route.handler({ body, session: this.sessions.get(sessionId) });
+        }
+
+        res.writeHead(result.status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ value: result.value }));
+    }
+
+    ok(value = null) {
+        return { status: 200, value };
+    }
+
+    error(status, error, message) {
+        return { status, value: { error, message, stacktrace: '' } };
+    }
+
+    // ============================================
+    // COMMANDS
+    // ============================================
+
+    getStatus() {
+        return this.ok({ ready: true, message: 'Mock Selenium server ready' });
+    }
+
+    newSession({ body }) {
+        const { alwaysMatch = {}, firstMatch = [{}] } = body.capabilities || {};
+        const capabilities = { ...alwaysMatch, ...firstMatch[0] };
+
+        if (!capabilities.browserName) {
+            return this.error(400, 'session not created', 'browserName is required');
+        }
+
+        const session = {
+            id: crypto.randomUUID().replace(/-/g, ''),
+            capabilities,
+            timeouts: {},
+            url: 'about:blank',
+            scripts: [],
+            cookiesCleared: 0,
+            source: '<html><head></head><body></body></html>',
+            consoleLogs: []
+        };
+        this.sessions.set(session.id, session);
+        this.requestedSessions.push(session);
+
+        return this.ok({ sessionId: session.id, capabilities: { ...capabilities, platformName: 'linux' } });
+    }
+
+    deleteSession({ session }) {
+        this.sessions.delete(session.id);
+        return this.ok();
+    }
+
+    setTimeouts({ body, session }) {
+        Object.assign(session.timeouts, body);
+        return this.ok();
+    }
+
+    navigateTo({ body, session }) {
+        session.url = body.url;
+        return this.ok();
+    }
+
+    getCurrentUrl({ session }) {
+        return this.ok(session.url);
+    }
+
+    getTitle() {
+        return this.ok('');
+    }
+
+    executeScript({ body, session }) {
+        session.scripts.push(body.script);
+        return this.ok(this.scriptHandler(body.script, body.args || [], session) ?? null);
+    }
+
+    deleteAllCookies({ session }) {
+        session.cookiesCleared++;
+        return this.ok();
+    }
+
+    takeScreenshot() {
+        return this.ok(MOCK_SCREENSHOT);
+    }
+
+    getPageSource({ session }) {
+        return this.ok(session.source);
+    }
+
+    getLog({ body, session }) {
+        return this.ok(body.type === 'browser' ? session.consoleLogs : []);
+    }
+}
+
+module.exports = {
+    MockSeleniumServer
+};
+
+// Standalone mode: node test/ui/mock/seleniumServer.js
+if (require.main === module) {
+    new MockSeleniumServer().start().then((server) => {
+        console.log(`🧪 Mock Selenium server listening on ${server.url}`);
+        console.log(`   Set SELENIUM_REMOTE_URL=${server.url} to point UI specs at it`);
+    });
+}
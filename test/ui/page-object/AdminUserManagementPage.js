@@ -14,13 +14,14 @@
 
 const { By } = require('selenium-webdriver');
 const BasePage = require('./BasePage');
+const testData = require('../../config/testData');
 
 class AdminUserManagementPage extends BasePage {
     constructor(driver) {
         super(driver);
         
         // Page URL
-        this.url = '/admin/users';
+        this.url = testData.route('adminUsers');
         
         // ============================================
         // LOCATORS - Based on UserTable.tsx and UserBanReasonModal.tsx
@@ -17,13 +17,14 @@
 
 const { By } = require('selenium-webdriver');
 const BasePage = require('./BasePage');
+const testData = require('../../config/testData');
 
 class AdminUserPage extends BasePage {
     constructor(driver) {
         super(driver);
         
         // Page URL
-        this.url = '/admin/users';
+        this.url = testData.route('adminUsers');
         
         // ============================================
         // LOCATORS - Based on UsersListPage.tsx and UserTable.tsx analysis
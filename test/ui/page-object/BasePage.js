@@ -4,98 +4,71 @@
  * Contains common methods and setup for Selenium WebDriver
  */
 
-const { Builder, By, until } = require('selenium-webdriver');
-const chrome = require('selenium-webdriver/chrome');
-const edge = require('selenium-webdriver/edge');
-require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { By, until } = require('selenium-webdriver');
+const testData = require('../../config/testData');
+const { BROWSER_NAMES, getBrowser, createBuilder } = require('../drivers/browsers');
+const { SCREENSHOTS_DIRNAME, getReportDir } = require('../helpers/failureArtifacts');
 
 class BasePage {
     constructor(driver) {
         this.driver = driver;
-        this.baseUrl = process.env.BASE_URL || 'http://localhost:5173';
-        this.timeout = parseInt(process.env.IMPLICIT_WAIT) || 10000;
+        this.baseUrl = testData.baseUrl;
+        this.timeout = testData.testConfiguration.implicitWait;
     }
 
     /**
      * Create a new WebDriver instance
+     * Browser, headless mode and timeouts come from testConfiguration in
+     * test-data.json, overridden by BROWSER, HEADLESS, ... (config/testData.js).
+     * Options and driver lookup per browser live in drivers/browsers.js; with
+     * SELENIUM_REMOTE_URL the session runs on that Selenium Grid / server
+     * instead, tagged with the test name and BUILD_ID
+     * @param {Object} [options]
+     * @param {string} [options.name] - Test name shown by the Grid, e.g. this.test.parent.fullTitle()
      * @returns {Promise<WebDriver>}
      */
-    static async createDriver() {
-        const browser = process.env.BROWSER || 'edge'; // Mặc định dùng Edge trên Windows
+    static async createDriver({ name } = {}) {
+        const { browser, headless, implicitWait, pageLoadTimeout, remoteUrl, buildId } = testData.testConfiguration;
+        const entry = getBrowser(browser);
         console.log('🚀 Khởi tạo WebDriver...');
         console.log(`   Browser: ${browser}`);
-        console.log(`   Headless: ${process.env.HEADLESS || 'false'}`);
-        console.log(`   Base URL: ${process.env.BASE_URL || 'http://localhost:5173'}`);
+        console.log(`   Headless: ${headless}`);
+        console.log(`   Base URL: ${testData.baseUrl}`);
+        if (remoteUrl) {
+            console.log(`   Selenium server: ${remoteUrl.replace(/\/\/[^@/]+@/, '//')}`);
+        }
         
         try {
-            let driver;
-            
-            if (browser.toLowerCase() === 'edge') {
-                // Sử dụng Edge (có sẵn trên Windows 10/11)
-                const options = new edge.Options();
-                
-                if (process.env.HEADLESS === 'true') {
-                    options.addArguments('--headless');
-                    options.addArguments('--headless=new');
-                }
-                
-                options.addArguments('--no-sandbox');
-                options.addArguments('--disable-dev-shm-usage');
-                options.addArguments('--disable-gpu');
-                options.addArguments('--window-size=1920,1080');
-                options.addArguments('--start-maximized');
-                options.addArguments('--disable-extensions');
-                options.excludeSwitches('enable-logging');
-                
-                console.log('   Đang build Edge WebDriver...');
-                driver = await new Builder()
-                    .forBrowser('MicrosoftEdge')
-                    .setEdgeOptions(options)
-                    .build();
-                    
-            } else {
-                // Sử dụng Chrome
-                const options = new chrome.Options();
-                
-                if (process.env.HEADLESS === 'true') {
-                    options.addArguments('--headless');
-                    options.addArguments('--headless=new');
-                }
-                
-                options.addArguments('--no-sandbox');
-                options.addArguments('--disable-dev-shm-usage');
-                options.addArguments('--disable-gpu');
-                options.addArguments('--disable-software-rasterizer');
-                options.addArguments('--window-size=1920,1080');
-                options.addArguments('--start-maximized');
-                options.addArguments('--disable-extensions');
-                options.addArguments('--disable-infobars');
-                options.excludeSwitches('enable-logging');
-                options.setPageLoadStrategy('normal');
-
-                console.log('   Đang build Chrome WebDriver...');
-                driver = await new Builder()
-                    .forBrowser('chrome')
-                    .setChromeOptions(options)
-                    .build();
-            }
+            console.log(`   Đang build ${entry.label} WebDriver${remoteUrl ? ' (remote)' : ''}...`);
+            const driver = await createBuilder(browser, {
+                headless,
+                remoteUrl,
+                metadata: { name, build: buildId }
+            }).build();
 
             console.log('✅ WebDriver đã khởi tạo thành công!');
 
             await driver.manage().setTimeouts({
-                implicit: parseInt(process.env.IMPLICIT_WAIT) || 10000,
-                pageLoad: parseInt(process.env.PAGE_LOAD_TIMEOUT) || 30000
+                implicit: implicitWait,
+                pageLoad: pageLoadTimeout
             });
 
             return driver;
         } catch (error) {
-            console.error('❌ Lỗi khi khởi tạo WebDriver:');
+            console.error(`❌ Lỗi khi khởi tạo WebDriver (${entry.label}${remoteUrl ? ', remote' : ''}):`);
             console.error('   Error:', error.message);
             console.error('\n💡 Giải pháp:');
-            console.error('   1. Nếu dùng Edge: đã cài edgedriver chưa? npm install edgedriver --save-dev');
-            console.error('   2. Nếu dùng Chrome: kiểm tra Chrome đã cài đặt chưa');
-            console.error('   3. Thử đổi BROWSER=edge trong file .env');
-            console.error('   4. Chạy: npm install chromedriver --save-dev (cho Chrome)');
+            const hints = remoteUrl
+                ? [
+                    'Kiểm tra Selenium server đang chạy: curl <SELENIUM_REMOTE_URL>/status',
+                    `Grid có node ${entry.label} chưa? (browserName: ${entry.seleniumName})`,
+                    'Bỏ SELENIUM_REMOTE_URL để chạy driver trên máy này'
+                ]
+                : entry.hints;
+            hints.forEach((hint, index) => console.error(`   ${index + 1}. ${hint}`));
+            console.error(`   ${hints.length + 1}. Thử trình duyệt khác: BROWSER=${BROWSER_NAMES.filter(other => other !== browser).join(' | ')}`);
             throw error;
         }
     }
@@ -223,14 +196,75 @@ class BasePage {
         await this.driver.wait(until.urlContains(urlPart), this.timeout);
     }
 
+    /**
+     * Check whether a JavaScript dialog (alert/confirm/prompt) is open
+     * An open dialog is dismissed so the session can continue
+     * @returns {Promise<boolean>}
+     */
+    async isAlertPresent() {
+        try {
+            const alert = await this.driver.switchTo().alert();
+            await alert.dismiss();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check whether the rendered page text contains a string
+     * Works for text with quotes, unlike an XPath contains()
+     * @param {string} text - Text to look for
+     * @returns {Promise<boolean>}
+     */
+    async isTextOnPage(text) {
+        return await this.driver.executeScript('return document.body.innerText.includes(arguments[0]);', text);
+    }
+
+    /**
+     * Forget the injection evidence already on the page
+     * Call before each submission, so findInjectionEvidence() only reports
+     * what that submission caused: dismisses an open dialog, clears
+     * window.__xss and marks the current [data-xss] elements as seen
+     * @returns {Promise<void>}
+     */
+    async resetInjectionEvidence() {
+        await this.isAlertPresent();
+        await this.driver.executeScript(
+            'window.__xss = false; document.querySelectorAll("[data-xss]").forEach(element => element.setAttribute("data-xss-seen", ""));'
+        );
+    }
+
+    /**
+     * Look for signs that an injection payload ran or rendered as markup
+     * Catalog payloads (test/api/cases/payloads/injection.yaml) set
+     * window.__xss and carry a data-xss attribute; elements seen before the
+     * last resetInjectionEvidence() are not counted
+     * @returns {Promise<{alert: boolean, scriptRan: boolean, injectedElements: number}>}
+     */
+    async findInjectionEvidence() {
+        // Check the dialog first: scripts cannot run while one is open
+        const alert = await this.isAlertPresent();
+        const { scriptRan, injectedElements } = await this.driver.executeScript(
+            'return { scriptRan: window.__xss === true, injectedElements: document.querySelectorAll("[data-xss]:not([data-xss-seen])").length };'
+        );
+        return { alert, scriptRan, injectedElements };
+    }
+
     /**
      * Take a screenshot
-     * @param {string} filename - Name of the screenshot file
+     * Saved to <report dir>/screenshots/ (created when missing); failed
+     * tests are captured automatically by hooks/failure.hooks.js
+     * @param {string} filename - Name of the screenshot file, without .png
+     * @returns {Promise<string>} - Path of the saved file
      */
     async takeScreenshot(filename) {
-        const fs = require('fs');
-        const screenshot = await this.driver.takeScreenshot();
-        fs.writeFileSync(`reports/${filename}.png`, screenshot, 'base64');
+        const dir = path.join(getReportDir(), SCREENSHOTS_DIRNAME);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const file = path.join(dir, `${filename}.png`);
+        fs.writeFileSync(file, await this.driver.takeScreenshot(), 'base64');
+        return file;
     }
 
     /**
@@ -17,13 +17,14 @@
 
 const { By } = require('selenium-webdriver');
 const BasePage = require('./BasePage');
+const testData = require('../../config/testData');
 
 class CartPage extends BasePage {
     constructor(driver) {
         super(driver);
         
         // Page URL
-        this.url = '/cart';
+        this.url = testData.route('cart');
         
         // ============================================
         // LOCATORS - Based on CartPage.tsx analysis
@@ -14,15 +14,16 @@
 
 const { By } = require('selenium-webdriver');
 const BasePage = require('./BasePage');
+const testData = require('../../config/testData');
 
 class ChatPage extends BasePage {
     constructor(driver) {
         super(driver);
         
         // Page URLs (different for different user types)
-        this.vendorChatUrl = '/vendor/chat';
-        this.accountMessagesUrl = '/account?tab=messages';
-        this.adminChatUrl = '/admin/chat';
+        this.vendorChatUrl = testData.route('vendorChat');
+        this.accountMessagesUrl = testData.route('accountMessages');
+        this.adminChatUrl = testData.route('adminChat');
         
         // ============================================
         // LOCATORS - Based on ChatWindow.tsx
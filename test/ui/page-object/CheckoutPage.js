@@ -14,13 +14,14 @@
 
 const { By } = require('selenium-webdriver');
 const BasePage = require('./BasePage');
+const testData = require('../../config/testData');
 
 class CheckoutPage extends BasePage {
     constructor(driver) {
         super(driver);
         
         // Page URL
-        this.url = '/checkout';
+        this.url = testData.route('checkout');
         
         // ============================================
         // LOCATORS - Based on CheckoutPage.tsx analysis
@@ -14,13 +14,14 @@
 
 const { By } = require('selenium-webdriver');
 const BasePage = require('./BasePage');
+const testData = require('../../config/testData');
 
 class HomePage extends BasePage {
     constructor(driver) {
         super(driver);
         
         // Page URL
-        this.url = '/';
+        this.url = testData.route('home');
         
         // ============================================
         // LOCATORS - Based on HomePage.tsx analysis
@@ -14,13 +14,14 @@
 
 const { By } = require('selenium-webdriver');
 const BasePage = require('./BasePage');
+const testData = require('../../config/testData');
 
 class LoginPage extends BasePage {
     constructor(driver) {
         super(driver);
         
         // Page URL
-        this.url = '/login';
+        this.url = testData.route('login');
         
         // ============================================
         // LOCATORS - Based on LoginForm.tsx analysis
@@ -15,13 +15,14 @@
 
 const { By, Key } = require('selenium-webdriver');
 const BasePage = require('./BasePage');
+const testData = require('../../config/testData');
 
 class OTPPage extends BasePage {
     constructor(driver) {
         super(driver);
         
         // Page URL
-        this.url = '/otp';
+        this.url = testData.route('otp');
         
         // ============================================
         // LOCATORS - Based on OTPPage.tsx and OTPForm.tsx analysis
@@ -71,6 +72,7 @@ class OTPPage extends BasePage {
         // Ant Design message (for alerts)
         this.alertMessage = By.css('.ant-message');
         this.successMessage = By.css('.ant-message-success');
+        this.errorToast = By.css('.ant-message-error');
         
         // Loading state indicator
         this.loadingButton = By.xpath('//button[contains(text(), "Đang xác thực")]');
@@ -228,6 +230,29 @@ class OTPPage extends BasePage {
         return '';
     }
 
+    /**
+     * Submit a code and return the error it produced
+     * Waits for the request to finish, then reads the inline error or,
+     * failing that, the Ant Design error toast
+     * @param {string} otpCode - 6-digit OTP code
+     * @returns {Promise<string>} - Error text ('' when none is shown)
+     */
+    async submitOtpAndGetError(otpCode) {
+        await this.clearOtp();
+        await this.submitOtp(otpCode);
+        await this.driver.wait(async () => !(await this.isLoading()), this.timeout).catch(() => {});
+        await this.sleep(500);
+
+        const inlineError = await this.getErrorMessage();
+        if (inlineError) {
+            return inlineError;
+        }
+        if (await this.isDisplayed(this.errorToast)) {
+            return await this.getText(this.errorToast);
+        }
+        return '';
+    }
+
     /**
      * Check if success message/alert is displayed
      * @returns {Promise<boolean>}
@@ -16,13 +16,14 @@
 
 const { By } = require('selenium-webdriver');
 const BasePage = require('./BasePage');
+const testData = require('../../config/testData');
 
 class SignupPage extends BasePage {
     constructor(driver) {
         super(driver);
         
         // Page URL
-        this.url = '/signup';
+        this.url = testData.route('signup');
         
         // ============================================
         // LOCATORS - Based on SignupForm.tsx analysis
@@ -134,14 +135,14 @@ class SignupPage extends BasePage {
      * @param {string} userData.email - Email address
      * @param {string} userData.phone - Phone number
      * @param {string} userData.password - Password
-     * @param {string} userData.confirmPassword - Confirm password
+     * @param {string} [userData.confirmPassword] - Confirm password (defaults to password; '' leaves it empty)
      */
     async signup({ fullName, email, phone, password, confirmPassword }) {
         await this.enterFullName(fullName);
         await this.enterEmail(email);
         await this.enterPhone(phone);
         await this.enterPassword(password);
-        await this.enterConfirmPassword(confirmPassword || password);
+        await this.enterConfirmPassword(confirmPassword ?? password);
         await this.clickSignup();
     }
 
@@ -14,13 +14,14 @@
 
 const { By } = require('selenium-webdriver');
 const BasePage = require('./BasePage');
+const testData = require('../../config/testData');
 
 class VendorProductPage extends BasePage {
     constructor(driver) {
         super(driver);
         
         // Page URL (vendor products page)
-        this.url = '/vendor/products';
+        this.url = testData.route('vendorProducts');
         
         // ============================================
         // LOCATORS - Based on ProductFormModal.tsx
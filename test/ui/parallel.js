@@ -0,0 +1,239 @@
+/**
+ * parallel.js
+ * Run the UI specs in parallel workers with one report shard per worker
+ *
+ * The spec files are split into UI_JOBS shards (balanced by file size) and
+ * every shard runs in its own Mocha process with MOCHA_WORKER_ID set, the
+ * same variable `mocha --parallel` gives its workers. Each worker therefore
+ * has its own driver pool (drivers/driverPool.js), its own accounts
+ * (parallel section of test-data.json) and, with TEST_PROFILE=mock, its own
+ * mock backend. Workers write mochawesome JSON shards to
+ * mochawesome-report/shards/, merged at the end into
+ * mochawesome-report/ui-report.html (+ .json). Failure artifacts of all
+ * workers (hooks/failure.hooks.js) land in mochawesome-report/failures/,
+ * next to the merged report that links them.
+ *
+ * Usage:
+ *   npm run test:ui:parallel                         # UI_JOBS workers (default 2)
+ *   npm run test:ui:parallel -- --jobs 4
+ *   node test/ui/parallel.js test/ui/specs/login.spec.js test/ui/specs/cart_badge_sync.spec.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const marge = require('mochawesome-report-generator');
+const { FAILURES_DIRNAME } = require('./helpers/failureArtifacts');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SPEC_DIR = path.join(__dirname, 'specs');
+const REPORT_DIR = path.join(ROOT, 'mochawesome-report');
+const SHARD_DIR = path.join(REPORT_DIR, 'shards');
+const REPORT_FILENAME = 'ui-report';
+const DEFAULT_JOBS = 2;
+const MOCHA_TIMEOUT = 60000;
+
+// ============================================
+// SHARDS
+// ============================================
+
+/**
+ * Every *.spec.js below a directory
+ * @param {string} dir
+ * @returns {string[]} - Sorted absolute paths
+ */
+const findSpecFiles = (dir) => fs.readdirSync(dir, { recursive: true })
+    .filter(file => file.endsWith('.spec.js'))
+    .map(file => path.join(dir, file))
+    .sort();
+
+/**
+ * Split spec files into shards of similar size, largest files first
+ * File size stands in for duration: long flows are long files
+ * @param {string[]} files
+ * @param {number} jobs - Maximum number of shards
+ * @param {Function} [sizeOf] - (file) => number
+ * @returns {string[][]} - Non-empty shards, files in their original order
+ */
+const planShards = (files, jobs, sizeOf = file => fs.statSync(file).size) => {
+    const shards = Array.from({ length: Math.max(1, Math.min(jobs, files.length)) }, () => ({ files: [], size: 0 }));
+
+    [...files]
+        .sort((a, b) => sizeOf(b) - sizeOf(a))
+        .forEach((file) => {
+            const lightest = shards.reduce((min, shard) => (shard.size < min.size ? shard : min));
+            lightest.files.push(file);
+            lightest.size += sizeOf(file);
+        });
+
+    return shards
+        .filter(shard => shard.files.length > 0)
+        .map(shard => shard.files.sort((a, b) => files.indexOf(a) - files.indexOf(b)));
+};
+
+/**
+ * Run one shard in its own Mocha process, prefixing its output with the worker
+ * @param {string[]} files - Spec files of the shard
+ * @param {number} worker - MOCHA_WORKER_ID of the process
+ * @returns {Promise<{worker: number, files: string[], exitCode: number, reportFile: string}>}
+ */
+const runShard = (files, worker) => new Promise((resolve) => {
+    const reportFilename = `ui-w${worker}`;
+    const child = spawn(process.execPath, [
+        require.resolve('mocha/bin/mocha.js'),
+        ...files,
+        '--timeout', String(MOCHA_TIMEOUT),
+        '--reporter', 'mochawesome',
+        '--reporter-options', `reportDir=${SHARD_DIR},reportFilename=${reportFilename},html=false,json=true,quiet=true`
+    ], {
+        cwd: ROOT,
+        // Artifacts are linked from the merged report, not from the shard
+        env: { ...process.env, MOCHA_WORKER_ID: String(worker), UI_REPORT_DIR: REPORT_DIR }
+    });
+
+    for (const stream of [child.stdout, child.stderr]) {
+        readline.createInterface({ input: stream }).on('line', line => console.log(`[w${worker}] ${line}`));
+    }
+
+    child.on('close', (exitCode) => resolve({
+        worker,
+        files,
+        exitCode: exitCode ?? 1,
+        reportFile: path.join(SHARD_DIR, `${reportFilename}.json`)
+    }));
+});
+
+// ============================================
+// REPORT
+// ============================================
+
+const COUNTERS = ['suites', 'tests', 'passes', 'pending', 'failures', 'testsRegistered', 'other', 'skipped'];
+
+/**
+ * Merge mochawesome JSON reports into one
+ * @param {Object[]} reports - Parsed mochawesome JSON shards
+ * @returns {Object} - Report with summed counters, the overall start/end and all suites
+ */
+const mergeReports = (reports) => {
+    const stats = Object.fromEntries(COUNTERS.map(counter => [counter, reports.reduce((sum, report) => sum + (report.stats[counter] || 0), 0)]));
+
+    const starts = reports.map(report => new Date(report.stats.start).getTime());
+    const ends = reports.map(report => new Date(report.stats.end).getTime());
+    const start = Math.min(...starts);
+    const end = Math.max(...ends);
+
+    return {
+        stats: {
+            ...stats,
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            // Wall clock time of the parallel run, not the sum of the workers
+            duration: end - start,
+            passPercent: stats.testsRegistered - stats.pending > 0 ? (stats.passes / (stats.testsRegistered - stats.pending)) * 100 : 0,
+            pendingPercent: stats.testsRegistered > 0 ? (stats.pending / stats.testsRegistered) * 100 : 0,
+            hasOther: stats.other > 0,
+            hasSkipped: stats.skipped > 0
+        },
+        results: reports.flatMap(report => report.results),
+        meta: reports[0]?.meta || {}
+    };
+};
+
+/**
+ * Print one line per worker and the totals
+ * @param {Object[]} shards - Results of runShard with their parsed report (or null)
+ * @param {Object} merged - Merged report
+ */
+const printSummary = (shards, merged) => {
+    console.log('\n👷 Parallel UI run');
+    shards.forEach(({ worker, files, exitCode, report }) => {
+        let status = report
+            ? `${report.stats.passes} passed, ${report.stats.failures} failed, ${report.stats.pending} pending (${(report.stats.duration / 1000).toFixed(1)}s)`
+            : 'crashed - no report';
+        if (report && exitCode !== 0 && report.stats.failures === 0) {
+            // A failing root hook (e.g. worker accounts) stops the run before any test
+            status += ` - exit code ${exitCode}, see the [w${worker}] output`;
+        }
+        console.log(`   ${report && exitCode === 0 ? '✅' : '❌'} w${worker}  ${files.length} file(s)  ${status}`);
+    });
+
+    const { passes, failures, pending, duration } = merged.stats;
+    console.log(`   Total: ${passes} passed, ${failures} failed, ${pending} pending in ${(duration / 1000).toFixed(1)}s`);
+};
+
+// ============================================
+// MAIN
+// ============================================
+
+/**
+ * Read --jobs N and the spec files from the command line
+ * @param {string[]} argv
+ * @returns {{jobs: number, files: string[]}}
+ */
+const parseArgs = (argv) => {
+    const options = { jobs: parseInt(process.env.UI_JOBS) || DEFAULT_JOBS, files: [] };
+
+    for (let index = 0; index < argv.length; index++) {
+        if (argv[index] === '--jobs') {
+            options.jobs = parseInt(argv[++index]) || options.jobs;
+        } else {
+            options.files.push(path.resolve(argv[index]));
+        }
+    }
+    return options;
+};
+
+/**
+ * Run the shards, merge their reports and set the exit code
+ * @param {string[]} argv - Command line arguments (spec files, --jobs N)
+ * @returns {Promise<number>} - Exit code
+ */
+const main = async (argv) => {
+    const { jobs, files: requested } = parseArgs(argv);
+    const files = requested.length > 0 ? requested : findSpecFiles(SPEC_DIR);
+
+    const plan = planShards(files, jobs);
+    fs.rmSync(SHARD_DIR, { recursive: true, force: true });
+    fs.rmSync(path.join(REPORT_DIR, FAILURES_DIRNAME), { recursive: true, force: true });
+
+    console.log(`🚀 ${files.length} spec file(s) on ${plan.length} worker(s)`);
+    plan.forEach((shard, worker) => console.log(`   w${worker}: ${shard.map(file => path.relative(ROOT, file)).join(', ')}`));
+
+    const shards = await Promise.all(plan.map((shardFiles, worker) => runShard(shardFiles, worker)));
+    shards.forEach((shard) => {
+        shard.report = fs.existsSync(shard.reportFile) ? JSON.parse(fs.readFileSync(shard.reportFile, 'utf8')) : null;
+    });
+
+    const reports = shards.filter(shard => shard.report).map(shard => shard.report);
+    if (reports.length === 0) {
+        console.error('\n❌ No worker produced a report');
+        return 1;
+    }
+
+    const merged = mergeReports(reports);
+    const [htmlFile] = await marge.create(merged, { reportDir: REPORT_DIR, reportFilename: REPORT_FILENAME, saveJson: true });
+
+    printSummary(shards, merged);
+    console.log(`   Report: ${path.relative(ROOT, htmlFile)}\n`);
+
+    return shards.every(shard => shard.report && shard.exitCode === 0) ? 0 : 1;
+};
+
+module.exports = {
+    findSpecFiles,
+    planShards,
+    mergeReports
+};
+
+// CLI: node test/ui/parallel.js [--jobs N] [spec files...]
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then((exitCode) => {
+            process.exitCode = exitCode;
+        })
+        .catch((error) => {
+            console.error(`\n❌ Parallel run failed: ${error.stack || error.message}`);
+            process.exitCode = 1;
+        });
+}
@@ -14,7 +14,9 @@
  */
 
 const { expect } = require('chai');
-const { BasePage, LoginPage, AdminUserManagementPage } = require('../page-object');
+const { LoginPage, AdminUserManagementPage } = require('../page-object');
+const { driverPool } = require('../drivers/driverPool');
+const testData = require('../../config/testData');
 
 describe('TC_AM_98: Admin Ban User Workflow', function() {
     this.timeout(90000); // Extended timeout
@@ -23,20 +25,17 @@ describe('TC_AM_98: Admin Ban User Workflow', function() {
     let loginPage;
     let adminUserPage;
     
-    // Test credentials - UPDATE WITH ACTUAL ADMIN USER
-    const adminUser = {
-        email: process.env.TEST_ADMIN_EMAIL || 'admin@gmail.com',
-        password: process.env.TEST_ADMIN_PASSWORD || 'password123'
-    };
+    // Test credentials - test-data.json users.admin (ADMIN_EMAIL / ADMIN_PASSWORD)
+    const adminUser = testData.user('admin');
     
-    // Target user to ban - UPDATE WITH ACTUAL TEST USER
+    // Target user to ban - test-data.json users.testUser (TEST_USER_EMAIL), `npm run reset` unbans it
     // IMPORTANT: Use a test user that can be banned/unbanned repeatedly
-    const targetUserEmail = process.env.TEST_TARGET_USER_EMAIL || 'user@gmail.com';
+    const targetUserEmail = testData.user('testUser').email;
     const banReason = 'Vi phạm chính sách sử dụng - Test automated';
 
     before(async function() {
         console.log('🚀 Starting TC_AM_98: Admin Ban User Workflow test...');
-        driver = await BasePage.createDriver();
+        driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
         loginPage = new LoginPage(driver);
         adminUserPage = new AdminUserManagementPage(driver);
     });
@@ -44,7 +43,7 @@ describe('TC_AM_98: Admin Ban User Workflow', function() {
     after(async function() {
         if (driver) {
             console.log('🧹 Cleaning up...');
-            await driver.quit();
+            await driverPool.release(driver);
         }
     });
 
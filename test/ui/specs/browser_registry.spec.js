@@ -0,0 +1,84 @@
+/**
+ * browser_registry.spec.js
+ * Tests for the browser registry behind BasePage.createDriver (drivers/browsers.js)
+ *
+ * Only options and lookups are checked - no browser is started, so these
+ * run on machines without Chrome, Edge or Firefox installed
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const testDataSchema = require('../../../test-data.schema.json');
+const { BROWSER_NAMES, getBrowser, buildOptions, findDriver, createBuilder } = require('../drivers/browsers');
+
+/**
+ * Command line arguments of built options
+ * @param {Object} options - Selenium options
+ * @returns {string[]}
+ */
+const argumentsOf = (options) => {
+    const vendorOptions = options.get('goog:chromeOptions') || options.get('ms:edgeOptions') || options.get('moz:firefoxOptions');
+    return vendorOptions.args;
+};
+
+describe('Browser Registry', function() {
+    const fakeChromium = path.join(os.tmpdir(), `chromium-${process.pid}`, 'chromium');
+
+    before(function() {
+        fs.mkdirSync(path.dirname(fakeChromium), { recursive: true });
+        fs.writeFileSync(fakeChromium, '');
+    });
+
+    after(function() {
+        fs.rmSync(path.dirname(fakeChromium), { recursive: true, force: true });
+    });
+
+    it('should accept exactly the browsers allowed by test-data.schema.json', function() {
+        const allowed = testDataSchema.properties.testConfiguration.properties.browser.enum;
+
+        expect(BROWSER_NAMES).to.have.members(allowed);
+    });
+
+    it('should reject unknown browsers instead of falling back to Chrome', function() {
+        expect(() => getBrowser('safari')).to.throw('Unknown browser "safari". Supported browsers: chrome, chromium, edge, firefox');
+        expect(() => createBuilder('netscape')).to.throw('Unknown browser "netscape"');
+    });
+
+    it('should add the headless flags of each browser only when headless', function() {
+        expect(argumentsOf(buildOptions('chrome', { headless: true }))).to.include('--headless=new');
+        expect(argumentsOf(buildOptions('edge', { headless: true }))).to.include('--headless=new');
+        expect(argumentsOf(buildOptions('firefox', { headless: true }))).to.include('-headless');
+
+        expect(argumentsOf(buildOptions('chrome'))).to.not.include('--headless=new');
+        expect(argumentsOf(buildOptions('firefox'))).to.not.include('-headless');
+    });
+
+    it('should configure the Selenium browser matching each entry', function() {
+        const env = { CHROMIUM_BINARY: fakeChromium };
+
+        expect(buildOptions('chrome').getBrowserName()).to.equal('chrome');
+        expect(buildOptions('chromium', { env }).getBrowserName()).to.equal('chrome');
+        expect(buildOptions('edge').getBrowserName()).to.equal('MicrosoftEdge');
+        expect(buildOptions('firefox').getBrowserName()).to.equal('firefox');
+
+        expect(createBuilder('firefox', { headless: true, env: {} }).getFirefoxOptions()).to.exist;
+        expect(createBuilder('chromium', { env }).getChromeOptions().get('goog:chromeOptions').binary).to.equal(fakeChromium);
+    });
+
+    it('should find Chromium on PATH and report when it is missing', function() {
+        const options = buildOptions('chromium', { env: { PATH: path.dirname(fakeChromium) } });
+
+        expect(options.get('goog:chromeOptions').binary).to.equal(fakeChromium);
+        expect(() => buildOptions('chromium', { env: { PATH: os.tmpdir() } }))
+            .to.throw('Chromium not found on PATH (chromium, chromium-browser). Install it or set CHROMIUM_BINARY');
+    });
+
+    it('should prefer the driver path from the environment', function() {
+        expect(findDriver(getBrowser('firefox'), { GECKODRIVER_PATH: '/opt/geckodriver' })).to.equal('/opt/geckodriver');
+        expect(findDriver(getBrowser('edge'), { MSEDGEDRIVER_PATH: '/opt/msedgedriver' })).to.equal('/opt/msedgedriver');
+        // Left to Selenium Manager
+        expect(findDriver(getBrowser('chrome'), {})).to.equal(undefined);
+    });
+});
@@ -11,7 +11,9 @@
  */
 
 const { expect } = require('chai');
-const { BasePage, LoginPage, HomePage, HeaderComponent } = require('../page-object');
+const { LoginPage, HomePage, HeaderComponent } = require('../page-object');
+const { driverPool } = require('../drivers/driverPool');
+const testData = require('../../config/testData');
 
 describe('TC_CL_078: Real-time Cart Badge Sync', function() {
     this.timeout(60000); // Longer timeout for this test suite
@@ -21,15 +23,12 @@ describe('TC_CL_078: Real-time Cart Badge Sync', function() {
     let homePage;
     let headerComponent;
     
-    // Test credentials - UPDATE WITH ACTUAL TEST USER
-    const testUser = {
-        email: process.env.TEST_USER_EMAIL || 'user@gmail.com',
-        password: process.env.TEST_USER_PASSWORD || 'password123'
-    };
+    // Test credentials - test-data.json users.client (CLIENT_EMAIL / CLIENT_PASSWORD)
+    const testUser = testData.user('client');
 
     before(async function() {
         console.log('🚀 Starting TC_CL_078: Real-time Cart Badge Sync test...');
-        driver = await BasePage.createDriver();
+        driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
         loginPage = new LoginPage(driver);
         homePage = new HomePage(driver);
         headerComponent = new HeaderComponent(driver);
@@ -38,7 +37,7 @@ describe('TC_CL_078: Real-time Cart Badge Sync', function() {
     after(async function() {
         if (driver) {
             console.log('🧹 Cleaning up...');
-            await driver.quit();
+            await driverPool.release(driver);
         }
     });
 
@@ -0,0 +1,110 @@
+/**
+ * driver_pool.spec.js
+ * Tests for the per-worker driver pool (drivers/driverPool.js)
+ *
+ * Drivers are remote sessions on the mock Selenium server, so no browser
+ * is needed
+ */
+
+const { expect } = require('chai');
+const { MockSeleniumServer } = require('../mock/seleniumServer');
+const { createBuilder } = require('../drivers/browsers');
+const { DriverPool } = require('../drivers/driverPool');
+
+describe('Driver Pool', function() {
+    this.timeout(10000);
+
+    let server;
+    let pool;
+
+    /**
+     * Pool of remote Chrome sessions on the mock server
+     * @param {Object} [options] - DriverPool options
+     * @returns {DriverPool}
+     */
+    const createPool = (options = {}) => new DriverPool({
+        create: ({ name }) => createBuilder('chrome', { remoteUrl: server.url, metadata: { name } }).build(),
+        worker: 3,
+        ...options
+    });
+
+    const sessionOf = async (driver) => server.sessions.get((await driver.getSession()).getId());
+
+    before(async function() {
+        server = await new MockSeleniumServer({ port: 0 }).start();
+    });
+
+    afterEach(async function() {
+        if (pool) {
+            await pool.quitAll();
+        }
+    });
+
+    after(async function() {
+        await server.stop();
+    });
+
+    it('should name sessions after the worker and the suite', async function() {
+        pool = createPool();
+        await pool.acquire({ name: 'Login Page Tests' });
+
+        const [session] = server.requestedSessions.slice(-1);
+        expect(session.capabilities['se:name']).to.equal('[w3] Login Page Tests');
+        expect(createPool({ worker: null }).label).to.equal('main');
+    });
+
+    it('should wipe a released driver and hand it to the next spec of the worker', async function() {
+        pool = createPool();
+        const first = await pool.acquire({ name: 'Suite A' });
+        await first.get('http://localhost:5173/cart');
+
+        await pool.release(first);
+        const second = await pool.acquire({ name: 'Suite B' });
+
+        expect(second).to.equal(first);
+        expect(pool.created).to.equal(1);
+
+        const session = await sessionOf(second);
+        expect(session.url).to.equal('about:blank');
+        expect(session.cookiesCleared).to.equal(1);
+        expect(session.scripts.join('\n')).to.include('localStorage.clear()');
+    });
+
+    it('should give drivers in use to nobody else', async function() {
+        pool = createPool();
+        const first = await pool.acquire();
+        const second = await pool.acquire();
+
+        expect(second).to.not.equal(first);
+        expect(pool.created).to.equal(2);
+    });
+
+    it('should quit drivers beyond the idle limit and dead sessions', async function() {
+        pool = createPool({ maxIdle: 0 });
+        const driver = await pool.acquire();
+        const id = (await driver.getSession()).getId();
+
+        await pool.release(driver);
+        expect(server.sessions.has(id)).to.equal(false);
+
+        pool = createPool();
+        const crashed = await pool.acquire();
+        server.sessions.delete((await crashed.getSession()).getId());
+        await pool.release(crashed);
+
+        expect(pool.idle).to.deep.equal([]);
+    });
+
+    it('should quit every driver of the worker at the end', async function() {
+        pool = createPool();
+        const idle = await pool.acquire();
+        const busy = await pool.acquire();
+        await pool.release(idle);
+        const ids = [(await idle.getSession()).getId(), (await busy.getSession()).getId()];
+
+        await pool.quitAll();
+
+        ids.forEach(id => expect(server.sessions.has(id)).to.equal(false));
+        expect(pool.active.size).to.equal(0);
+    });
+});
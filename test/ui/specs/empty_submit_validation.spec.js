@@ -13,7 +13,8 @@
  */
 
 const { expect } = require('chai');
-const { BasePage, LoginPage, SignupPage } = require('../page-object');
+const { LoginPage, SignupPage } = require('../page-object');
+const { driverPool } = require('../drivers/driverPool');
 const { By } = require('selenium-webdriver');
 
 describe('TC_AUTH_021: UI Validation on Empty Submit', function() {
@@ -25,7 +26,7 @@ describe('TC_AUTH_021: UI Validation on Empty Submit', function() {
 
     before(async function() {
         console.log('🚀 Starting TC_AUTH_021: UI Validation on Empty Submit test...');
-        driver = await BasePage.createDriver();
+        driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
         loginPage = new LoginPage(driver);
         signupPage = new SignupPage(driver);
     });
@@ -33,7 +34,7 @@ describe('TC_AUTH_021: UI Validation on Empty Submit', function() {
     after(async function() {
         if (driver) {
             console.log('🧹 Cleaning up...');
-            await driver.quit();
+            await driverPool.release(driver);
         }
     });
 
@@ -0,0 +1,165 @@
+/**
+ * failure_artifacts.spec.js
+ * Tests for the evidence captured when a UI test fails
+ * (helpers/failureArtifacts.js, hooks/failure.hooks.js)
+ *
+ * Drivers are remote sessions on the mock Selenium server, so no browser
+ * is needed
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockSeleniumServer } = require('../mock/seleniumServer');
+const { createBuilder } = require('../drivers/browsers');
+const { DriverPool } = require('../drivers/driverPool');
+const { slugify, failureDirFor, captureFailure, getReportDir } = require('../helpers/failureArtifacts');
+const { captureFailedTest } = require('../hooks/failure.hooks');
+
+describe('Failure Artifacts', function() {
+    this.timeout(10000);
+
+    let server;
+    let pool;
+    let reportDir;
+    let previousReportDir;
+
+    /**
+     * Stand-in for the Mocha test seen by an afterEach hook
+     * @param {Object} [overrides]
+     * @returns {Object}
+     */
+    const fakeTest = (overrides = {}) => ({
+        title: 'should show the cart badge',
+        state: 'failed',
+        err: new Error('expected 0 to equal 1'),
+        fullTitle: () => 'Cart Badge Sync should show the cart badge',
+        currentRetry: () => 0,
+        ...overrides
+    });
+
+    /**
+     * `this` of a root afterEach hook, as mochawesome/addContext expects it
+     * @param {Object} test
+     * @returns {Object}
+     */
+    const hookContext = (test) => ({ test: { title: '"after each" hook' }, currentTest: test });
+
+    /**
+     * Remote Chrome session on the mock server showing a page
+     * @returns {Promise<{driver: WebDriver, session: Object}>}
+     */
+    const openPage = async () => {
+        const driver = await pool.acquire({ name: 'Cart Badge Sync' });
+        await driver.get('http://localhost:5173/cart');
+
+        const session = server.sessions.get((await driver.getSession()).getId());
+        session.source = '<html><body><span class="badge">0</span></body></html>';
+        session.consoleLogs = [{ level: 'SEVERE', message: 'GET /api/v1/cart 500', timestamp: Date.UTC(2026, 0, 1) }];
+        return { driver, session };
+    };
+
+    before(async function() {
+        server = await new MockSeleniumServer({ port: 0 }).start();
+        server.scriptHandler = script => (script.includes('localStorage.getItem') ? { accessToken: 'token-1', cartCount: '0' } : null);
+
+        previousReportDir = process.env.UI_REPORT_DIR;
+        reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ui-failures-'));
+        process.env.UI_REPORT_DIR = reportDir;
+    });
+
+    beforeEach(function() {
+        pool = new DriverPool({
+            create: ({ name }) => createBuilder('chrome', { remoteUrl: server.url, metadata: { name } }).build(),
+            worker: null
+        });
+    });
+
+    afterEach(async function() {
+        await pool.quitAll();
+    });
+
+    after(async function() {
+        await server.stop();
+        fs.rmSync(reportDir, { recursive: true, force: true });
+        if (previousReportDir === undefined) {
+            delete process.env.UI_REPORT_DIR;
+        } else {
+            process.env.UI_REPORT_DIR = previousReportDir;
+        }
+    });
+
+    it('should name the folder after the test, the worker and the retry', function() {
+        expect(slugify('Đăng nhập: Login Page Tests should login (TC-01)')).to.equal('dang-nhap-login-page-tests-should-login-tc-01');
+
+        const dir = failureDirFor(fakeTest({ currentRetry: () => 2 }), { worker: 1, reportDir: '/tmp/report' });
+        expect(dir).to.equal(path.join('/tmp/report', 'failures', 'w1-cart-badge-sync-should-show-the-cart-badge-retry2'));
+    });
+
+    it('should find the report dir of the mochawesome reporter', function() {
+        expect(getReportDir(['mocha', '--reporter-options', 'reportDir=reports,reportFilename=test-report'], {})).to.equal(path.resolve('reports'));
+        expect(getReportDir(['mocha'], {})).to.equal(path.resolve('mochawesome-report'));
+        expect(getReportDir(['mocha', '--reporter-options', 'reportDir=shards'], { UI_REPORT_DIR: '/tmp/report' })).to.equal('/tmp/report');
+    });
+
+    it('should save screenshot, HTML, URL, console logs and localStorage', async function() {
+        const { driver } = await openPage();
+        const dir = path.join(reportDir, 'direct');
+
+        const artifacts = await captureFailure(driver, dir, { test: 'Cart Badge Sync', error: 'boom' });
+
+        expect(artifacts.errors).to.deep.equal({});
+        expect(artifacts.url).to.equal('http://localhost:5173/cart');
+        expect(fs.readFileSync(path.join(dir, 'screenshot.png')).subarray(1, 4).toString()).to.equal('PNG');
+        expect(fs.readFileSync(path.join(dir, 'page.html'), 'utf8')).to.include('class="badge"');
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'console.json'), 'utf8'))).to.deep.equal([
+            { level: 'SEVERE', message: 'GET /api/v1/cart 500', timestamp: '2026-01-01T00:00:00.000Z' }
+        ]);
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'localStorage.json'), 'utf8'))).to.deep.equal({ accessToken: 'token-1', cartCount: '0' });
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'failure.json'), 'utf8'))).to.include({
+            test: 'Cart Badge Sync',
+            error: 'boom',
+            url: 'http://localhost:5173/cart',
+            browser: 'chrome'
+        });
+    });
+
+    it('should keep what it could read when the session is gone', async function() {
+        const { driver, session } = await openPage();
+        server.sessions.delete(session.id);
+
+        const artifacts = await captureFailure(driver, path.join(reportDir, 'crashed'));
+
+        expect(artifacts.files).to.have.all.keys('failure');
+        expect(artifacts.errors).to.have.all.keys('url', 'screenshot', 'html', 'consoleLogs', 'localStorage');
+        expect(artifacts.errors.url).to.include('No active session');
+    });
+
+    it('should attach the artifacts of a failed test to the report', async function() {
+        await openPage();
+        const test = fakeTest();
+
+        const [artifacts] = await captureFailedTest(hookContext(test), pool);
+
+        expect(artifacts.dir).to.equal(path.join(reportDir, 'failures', 'cart-badge-sync-should-show-the-cart-badge'));
+        const context = Object.fromEntries(test.context.map(({ title, value }) => [title, value]));
+        expect(context).to.include({
+            'Screenshot': 'failures/cart-badge-sync-should-show-the-cart-badge/screenshot.png',
+            'URL': 'http://localhost:5173/cart',
+            'Page HTML': 'failures/cart-badge-sync-should-show-the-cart-badge/page.html',
+            'Browser console': '[SEVERE] GET /api/v1/cart 500'
+        });
+        expect(context.localStorage).to.deep.equal({ accessToken: 'token-1', cartCount: '0' });
+    });
+
+    it('should leave passed tests and tests without a driver alone', async function() {
+        const passed = fakeTest({ state: 'passed' });
+        await openPage();
+        expect(await captureFailedTest(hookContext(passed), pool)).to.deep.equal([]);
+        expect(passed.context).to.equal(undefined);
+
+        await pool.quitAll();
+        expect(await captureFailedTest(hookContext(fakeTest()), pool)).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * injection_payloads.spec.js
+ * Injection payloads through the UI: header search, vendor product form, chat
+ *
+ * Payloads come from test/api/cases/payloads/injection.yaml (the API side
+ * is test/api/specs/injection.spec.js). After each submission the page
+ * must show no alert dialog, no sign that a payload script ran and no
+ * element rendered from payload markup; where the text is displayed it
+ * must appear literally. Evidence left by an earlier payload on the same
+ * page is cleared before each submission, so a failure names the payload
+ * that caused it.
+ *
+ * Framework: Mocha + Selenium WebDriver
+ * Pattern: Page Object Model (POM)
+ */
+
+const { expect } = require('chai');
+const { LoginPage, HomePage, HeaderComponent, VendorProductPage, ChatPage } = require('../page-object');
+const { driverPool } = require('../drivers/driverPool');
+const { loadInjectionPayloads } = require('../../api/helpers/injection');
+const { createSession, clearSessions } = require('../../api/helpers/apiClient');
+const testData = require('../../config/testData');
+require('dotenv').config();
+
+const UI_PREFIX = '[INJ-UI';
+
+/**
+ * Assert that nothing from a payload ran or rendered as markup
+ * @param {BasePage} page - Any page object on the current driver
+ * @param {Object} entry - Catalog entry
+ */
+const expectInert = async (page, entry) => {
+    const evidence = await page.findInjectionEvidence();
+
+    expect(evidence.alert, `${entry.id} opened an alert dialog`).to.be.false;
+    expect(evidence.scriptRan, `${entry.id} executed script`).to.be.false;
+    expect(evidence.injectedElements, `${entry.id} rendered as markup`).to.equal(0);
+};
+
+describe('Injection Payloads (UI)', function() {
+    this.timeout(120000);
+
+    // ============================================
+    // HEADER SEARCH
+    // ============================================
+
+    describe('Header search', function() {
+        let driver;
+        let homePage;
+        let header;
+
+        before(async function() {
+            driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
+            homePage = new HomePage(driver);
+            header = new HeaderComponent(driver);
+            await homePage.open();
+        });
+
+        after(async function() {
+            if (driver) {
+                await driverPool.release(driver);
+            }
+        });
+
+        loadInjectionPayloads().forEach(entry => {
+            it(`${entry.id}: search results stay inert`, async function() {
+                await header.resetInjectionEvidence();
+                await header.search(entry.payload);
+                await header.sleep(1500);
+
+                await expectInert(header, entry);
+                console.log(`   ✅ ${entry.id}: inert on ${await header.getCurrentUrl()}`);
+            });
+        });
+    });
+
+    // ============================================
+    // VENDOR PRODUCT FORM
+    // ============================================
+
+    describe('Vendor product name and description', function() {
+        let driver;
+        let vendorProductPage;
+
+        before(async function() {
+            driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
+            vendorProductPage = new VendorProductPage(driver);
+
+            const loginPage = new LoginPage(driver);
+            await loginPage.open();
+            await loginPage.login(testData.user('vendor').email, testData.user('vendor').password);
+            await driver.sleep(3000);
+            await vendorProductPage.open();
+        });
+
+        after(async function() {
+            if (driver) {
+                await driverPool.release(driver);
+            }
+
+            // Remove the products created through the form
+            const session = await createSession('vendor');
+            const response = await session.get('/products', { params: { search: UI_PREFIX } });
+            const result = response.data.result;
+            const products = Array.isArray(result) ? result : (result && result.content) || [];
+            for (const product of products.filter(p => p.name.startsWith(UI_PREFIX))) {
+                await session.delete(`/products/${product.id}`).catch(() => {});
+            }
+            clearSessions('vendor');
+        });
+
+        loadInjectionPayloads('xss', 'html', 'template').forEach(entry => {
+            it(`${entry.id}: product list stays inert`, async function() {
+                const name = `${UI_PREFIX} ${entry.id}] ${entry.payload}`;
+
+                await vendorProductPage.resetInjectionEvidence();
+                await vendorProductPage.createProduct({
+                    name,
+                    category: testData.products.categories[0],
+                    price: 100000,
+                    stock: 5,
+                    description: entry.payload
+                });
+                await vendorProductPage.waitForModalClose();
+                await vendorProductPage.sleep(1500);
+
+                await expectInert(vendorProductPage, entry);
+                expect(await vendorProductPage.isTextOnPage(`${UI_PREFIX} ${entry.id}]`), `${entry.id} product is not in the list`).to.be.true;
+                expect(await vendorProductPage.isTextOnPage(name), `${entry.id} name is not shown literally`).to.be.true;
+                console.log(`   ✅ ${entry.id}: inert in the product list`);
+            });
+        });
+    });
+
+    // ============================================
+    // CHAT
+    // ============================================
+
+    describe('Chat messages', function() {
+        let driver;
+        let chatPage;
+
+        before(async function() {
+            driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
+            chatPage = new ChatPage(driver);
+
+            const loginPage = new LoginPage(driver);
+            await loginPage.open();
+            await loginPage.login(testData.user('admin').email, testData.user('admin').password);
+            await driver.sleep(3000);
+            await chatPage.openAdminChat();
+            await driver.sleep(2000);
+
+            if (await chatPage.isEmptyChatDisplayed()) {
+                console.log('   ⚠ No active conversation - skipping chat injection tests');
+                this.skip();
+            }
+        });
+
+        after(async function() {
+            if (driver) {
+                await driverPool.release(driver);
+            }
+        });
+
+        loadInjectionPayloads('xss', 'html', 'template').forEach(entry => {
+            it(`${entry.id}: message bubble stays inert`, async function() {
+                await chatPage.resetInjectionEvidence();
+                await chatPage.sendMessage(entry.payload);
+                await chatPage.sleep(1500);
+
+                await expectInert(chatPage, entry);
+                expect(await chatPage.isTextOnPage(entry.payload), `${entry.id} is not shown literally`).to.be.true;
+                console.log(`   ✅ ${entry.id}: shown as text`);
+            });
+        });
+    });
+});
@@ -6,7 +6,8 @@
  */
 
 const { expect } = require('chai');
-const { BasePage, LoginPage } = require('../page-object');
+const { LoginPage } = require('../page-object');
+const { driverPool } = require('../drivers/driverPool');
 
 describe('Login Page Tests', function() {
     // Set timeout for all tests in this suite
@@ -17,14 +18,14 @@ describe('Login Page Tests', function() {
 
     // Setup - runs before all tests
     before(async function() {
-        driver = await BasePage.createDriver();
+        driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
         loginPage = new LoginPage(driver);
     });
 
     // Teardown - runs after all tests
     after(async function() {
         if (driver) {
-            await driver.quit();
+            await driverPool.release(driver);
         }
     });
 
@@ -0,0 +1,87 @@
+/**
+ * otp_brute_force.spec.js
+ * OTP guessing through the OTP page
+ *
+ * Test Steps:
+ * 1. Sign up with a fresh email and land on the OTP page
+ * 2. Submit wrong codes up to the configured limit - each shows the invalid-code error
+ * 3. Submit one more wrong code - the page shows the lockout error
+ * 4. Submit registration.testOTPCode - still refused while locked (the
+ *    correct code only on backends that accept the test code)
+ *
+ * The limit comes from BRUTE_FORCE_OTP_ATTEMPTS (see test/api/helpers/bruteForce.js);
+ * the API side is test/api/specs/brute_force.spec.js.
+ *
+ * Framework: Mocha + Selenium WebDriver
+ * Pattern: Page Object Model (POM)
+ */
+
+const { expect } = require('chai');
+const { SignupPage, OTPPage } = require('../page-object');
+const { driverPool } = require('../drivers/driverPool');
+const { getBruteForceConfig } = require('../../api/helpers/bruteForce');
+const { getError } = require('../../api/helpers/errorCatalog');
+const testData = require('../../config/testData');
+
+const config = getBruteForceConfig();
+const { testOTPCode, validUser } = testData.registration;
+
+// A 6-digit code that is never the test OTP code
+const wrongCode = (index) => String((Number(testOTPCode) + 1 + index) % 1000000).padStart(6, '0');
+
+describe('OTP Brute-force Lockout', function() {
+    this.timeout(180000);
+
+    let driver;
+    let signupPage;
+    let otpPage;
+
+    before(async function() {
+        driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
+        signupPage = new SignupPage(driver);
+        otpPage = new OTPPage(driver);
+    });
+
+    after(async function() {
+        if (driver) {
+            await driverPool.release(driver);
+        }
+    });
+
+    it('Step 1: Should reach the OTP page after signup', async function() {
+        const email = `bruteforce${Date.now()}@example.com`;
+        console.log(`   📝 Signing up ${email}...`);
+
+        await signupPage.open();
+        await signupPage.signup({ ...validUser, email });
+        await signupPage.waitForOtpRedirect();
+
+        expect(await otpPage.isOtpPageDisplayed()).to.be.true;
+    });
+
+    it(`Step 2: Should show the invalid-code error for ${config.otpAttempts} wrong codes`, async function() {
+        const expected = getError('INVALID_OTP').message;
+
+        for (let i = 0; i < config.otpAttempts; i++) {
+            const error = await otpPage.submitOtpAndGetError(wrongCode(i));
+            console.log(`   Attempt ${i + 1}: "${error}"`);
+            expect(error, `Attempt ${i + 1}`).to.include(expected);
+        }
+    });
+
+    it('Step 3: Should show the lockout error for the next wrong code', async function() {
+        const error = await otpPage.submitOtpAndGetError(wrongCode(config.otpAttempts));
+
+        console.log(`   Attempt ${config.otpAttempts + 1}: "${error}"`);
+        expect(error).to.include(getError('TOO_MANY_ATTEMPTS').message);
+        expect(await otpPage.getCurrentUrl()).to.include('/otp');
+    });
+
+    it('Step 4: Should keep showing the lockout error for the test OTP code', async function() {
+        const error = await otpPage.submitOtpAndGetError(testOTPCode);
+
+        expect(error).to.include(getError('TOO_MANY_ATTEMPTS').message);
+        expect(await otpPage.getCurrentUrl()).to.include('/otp');
+        console.log('   ✅ Test OTP code refused during the lockout');
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * parallel_runner.spec.js
+ * Tests for the parallel UI runner (test/ui/parallel.js): shard planning
+ * and merging of the per-worker mochawesome reports
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const { findSpecFiles, planShards, mergeReports } = require('../parallel');
+
+/**
+ * Minimal mochawesome JSON shard
+ * @param {Object} stats - Counters and start/end
+ * @param {string} title - Title of its only suite
+ * @returns {Object}
+ */
+const shard = (stats, title) => ({
+    stats: { suites: 1, other: 0, skipped: 0, ...stats, duration: new Date(stats.end) - new Date(stats.start) },
+    results: [{ title, suites: [], tests: [] }],
+    meta: { mochawesome: { version: '7.1.4' } }
+});
+
+describe('Parallel UI Runner', function() {
+    it('should find every UI spec file', function() {
+        const files = findSpecFiles(path.join(__dirname));
+
+        expect(files).to.include(__filename);
+        files.forEach(file => expect(file).to.match(/\.spec\.js$/));
+    });
+
+    it('should balance the shards by file size and keep the file order', function() {
+        const sizes = { 'a.spec.js': 90, 'b.spec.js': 50, 'c.spec.js': 40, 'd.spec.js': 10 };
+        const shards = planShards(Object.keys(sizes), 2, file => sizes[file]);
+
+        expect(shards).to.deep.equal([['a.spec.js', 'd.spec.js'], ['b.spec.js', 'c.spec.js']]);
+    });
+
+    it('should not start more workers than there are files', function() {
+        expect(planShards(['a.spec.js'], 4, () => 1)).to.deep.equal([['a.spec.js']]);
+        expect(planShards(['a.spec.js', 'b.spec.js'], 0, () => 1)).to.deep.equal([['a.spec.js', 'b.spec.js']]);
+    });
+
+    it('should merge worker shards into one report', function() {
+        const merged = mergeReports([
+            shard({ tests: 4, testsRegistered: 4, passes: 3, failures: 1, pending: 0, start: '2026-01-01T10:00:00.000Z', end: '2026-01-01T10:01:00.000Z' }, 'Login'),
+            shard({ tests: 5, testsRegistered: 6, passes: 5, failures: 0, pending: 1, start: '2026-01-01T10:00:05.000Z', end: '2026-01-01T10:01:30.000Z' }, 'Cart')
+        ]);
+
+        expect(merged.stats).to.include({ suites: 2, tests: 9, testsRegistered: 10, passes: 8, failures: 1, pending: 1 });
+        expect(merged.stats.start).to.equal('2026-01-01T10:00:00.000Z');
+        expect(merged.stats.end).to.equal('2026-01-01T10:01:30.000Z');
+        // Wall clock of the parallel run
+        expect(merged.stats.duration).to.equal(90000);
+        expect(merged.stats.passPercent).to.equal(8 / 9 * 100);
+        expect(merged.results.map(suite => suite.title)).to.deep.equal(['Login', 'Cart']);
+    });
+});
@@ -12,7 +12,9 @@
  */
 
 const { expect } = require('chai');
-const { BasePage, LoginPage, ChatPage } = require('../page-object');
+const { LoginPage, ChatPage } = require('../page-object');
+const { driverPool } = require('../drivers/driverPool');
+const testData = require('../../config/testData');
 
 describe('TC_SUP_001: Real-time Chat Messaging', function() {
     this.timeout(90000); // Extended timeout for chat operations
@@ -21,11 +23,11 @@ describe('TC_SUP_001: Real-time Chat Messaging', function() {
     let loginPage;
     let chatPage;
     
-    // Test credentials - UPDATE WITH ACTUAL USER
+    // Test credentials - test-data.json users.admin (ADMIN_EMAIL / ADMIN_PASSWORD)
     // This can be a vendor, admin, or client with chat access
     const testUser = {
-        email: process.env.TEST_CHAT_USER_EMAIL || 'admin@gmail.com',
-        password: process.env.TEST_CHAT_USER_PASSWORD || 'password123',
+        email: testData.user('admin').email,
+        password: testData.user('admin').password,
         type: 'vendor' // or 'admin' or 'client'
     };
     
@@ -37,7 +39,7 @@ describe('TC_SUP_001: Real-time Chat Messaging', function() {
 
     before(async function() {
         console.log('🚀 Starting TC_SUP_001: Real-time Chat Messaging test...');
-        driver = await BasePage.createDriver();
+        driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
         loginPage = new LoginPage(driver);
         chatPage = new ChatPage(driver);
     });
@@ -45,7 +47,7 @@ describe('TC_SUP_001: Real-time Chat Messaging', function() {
     after(async function() {
         if (driver) {
             console.log('🧹 Cleaning up...');
-            await driver.quit();
+            await driverPool.release(driver);
         }
     });
 
@@ -14,7 +14,8 @@
  */
 
 const { expect } = require('chai');
-const { BasePage, SignupPage, HomePage } = require('../page-object');
+const { SignupPage, HomePage } = require('../page-object');
+const { driverPool } = require('../drivers/driverPool');
 const OTPPage = require('../page-object/OTPPage');
 
 describe('TC_AUTH_063: Full Registration Flow', function() {
@@ -45,7 +46,7 @@ describe('TC_AUTH_063: Full Registration Flow', function() {
 
     // Setup - Create WebDriver instance and page objects
     before(async function() {
-        driver = await BasePage.createDriver();
+        driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
         signupPage = new SignupPage(driver);
         otpPage = new OTPPage(driver);
         homePage = new HomePage(driver);
@@ -54,7 +55,7 @@ describe('TC_AUTH_063: Full Registration Flow', function() {
     // Teardown - Close browser after all tests
     after(async function() {
         if (driver) {
-            await driver.quit();
+            await driverPool.release(driver);
         }
     });
 
@@ -226,13 +227,13 @@ describe('TC_AUTH_063: Registration Validation Tests', function() {
     let signupPage;
 
     before(async function() {
-        driver = await BasePage.createDriver();
+        driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
         signupPage = new SignupPage(driver);
     });
 
     after(async function() {
         if (driver) {
-            await driver.quit();
+            await driverPool.release(driver);
         }
     });
 
@@ -0,0 +1,82 @@
+/**
+ * remote_driver.spec.js
+ * Tests for remote execution (SELENIUM_REMOTE_URL) against the mock
+ * Selenium server in test/ui/mock/seleniumServer.js
+ *
+ * Sessions must be requested with the same options as a local driver,
+ * carry the test name and build ID, and never look for local browsers
+ */
+
+const { expect } = require('chai');
+const { MockSeleniumServer } = require('../mock/seleniumServer');
+const { buildOptions, createBuilder } = require('../drivers/browsers');
+
+describe('Remote WebDriver (Selenium Grid)', function() {
+    this.timeout(10000);
+
+    let server;
+    let driver;
+
+    before(async function() {
+        server = await new MockSeleniumServer({ port: 0 }).start();
+    });
+
+    afterEach(async function() {
+        if (driver) {
+            await driver.quit();
+            driver = null;
+        }
+    });
+
+    after(async function() {
+        await server.stop();
+    });
+
+    it('should request a session with the capabilities of the local options', async function() {
+        driver = await createBuilder('chrome', { headless: true, remoteUrl: server.url }).build();
+
+        const [session] = server.requestedSessions.slice(-1);
+        const local = buildOptions('chrome', { headless: true });
+        expect(session.capabilities.browserName).to.equal('chrome');
+        expect(session.capabilities.pageLoadStrategy).to.equal('normal');
+        expect(session.capabilities['goog:chromeOptions']).to.deep.equal(local.get('goog:chromeOptions'));
+    });
+
+    it('should tag the session with the test name and build ID', async function() {
+        const name = this.test.fullTitle();
+        driver = await createBuilder('firefox', {
+            headless: true,
+            remoteUrl: `${server.url}/wd/hub`,
+            metadata: { name, build: 'ci-1234' }
+        }).build();
+
+        const [session] = server.requestedSessions.slice(-1);
+        expect(session.capabilities.browserName).to.equal('firefox');
+        expect(session.capabilities['moz:firefoxOptions'].args).to.include('-headless');
+        expect(session.capabilities['se:name']).to.equal(name);
+        expect(session.capabilities['se:build']).to.equal('ci-1234');
+    });
+
+    it('should run commands in the remote session and end it on quit', async function() {
+        driver = await createBuilder('edge', { remoteUrl: server.url }).build();
+        await driver.manage().setTimeouts({ implicit: 2500, pageLoad: 30000 });
+        await driver.get('http://localhost:5173/login');
+
+        const sessionId = (await driver.getSession()).getId();
+        expect(server.sessions.get(sessionId).timeouts).to.include({ implicit: 2500, pageLoad: 30000 });
+        expect(await driver.getCurrentUrl()).to.equal('http://localhost:5173/login');
+
+        await driver.quit();
+        driver = null;
+        expect(server.sessions.has(sessionId)).to.equal(false);
+    });
+
+    it('should leave the Chromium binary to the remote node', async function() {
+        // No chromium on this PATH - a local build would throw
+        driver = await createBuilder('chromium', { remoteUrl: server.url, env: { PATH: '' } }).build();
+
+        const [session] = server.requestedSessions.slice(-1);
+        expect(session.capabilities['goog:chromeOptions']).to.not.have.property('binary');
+        expect(session.capabilities).to.not.have.property('se:name');
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * signup_pairwise.spec.js
+ * Pairwise combinations of signup fields through the signup form
+ *
+ * Same cases as the API run in test/api/specs/pairwise_cases.spec.js,
+ * generated from test/api/cases/pairwise/signup.pairwise.yaml:
+ * - valid combinations must redirect to the OTP page
+ * - invalid combinations must show an error and stay on /signup
+ *
+ * Framework: Mocha + Selenium WebDriver
+ * Pattern: Page Object Model (POM)
+ */
+
+const { expect } = require('chai');
+const { SignupPage } = require('../page-object');
+const { driverPool } = require('../drivers/driverPool');
+const { loadPairwiseModel } = require('../../api/helpers/pairwise');
+
+const cases = loadPairwiseModel('signup.pairwise.yaml');
+
+describe('Pairwise: Signup Form', function() {
+    this.timeout(120000);
+
+    let driver;
+    let signupPage;
+
+    before(async function() {
+        driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
+        signupPage = new SignupPage(driver);
+    });
+
+    after(async function() {
+        if (driver) {
+            await driverPool.release(driver);
+        }
+    });
+
+    cases.forEach((testCase) => {
+        it(`${testCase.id}: ${testCase.description}`, async function() {
+            const { fullName, email, phoneNumber, password, confirmPassword } = testCase.payload;
+
+            await signupPage.open();
+            await signupPage.signup({ fullName, email, phone: phoneNumber, password, confirmPassword });
+
+            if (testCase.shouldSucceed) {
+                await signupPage.waitForOtpRedirect();
+                expect(await signupPage.getCurrentUrl()).to.include('/otp');
+                console.log(`   ✅ ${testCase.id}: redirected to OTP page`);
+                return;
+            }
+
+            const isErrorDisplayed = await signupPage.isErrorDisplayed();
+            expect(isErrorDisplayed, `Expected ${[].concat(testCase.expectedError).join(' or ')} to be shown`).to.be.true;
+            expect(await signupPage.getCurrentUrl()).to.include('/signup');
+            console.log(`   ✅ ${testCase.id}: "${await signupPage.getErrorMessage()}"`);
+        });
+    });
+});
@@ -14,7 +14,9 @@
  */
 
 const { expect } = require('chai');
-const { BasePage, LoginPage, VendorProductPage } = require('../page-object');
+const { LoginPage, VendorProductPage } = require('../page-object');
+const { driverPool } = require('../drivers/driverPool');
+const testData = require('../../config/testData');
 const path = require('path');
 
 describe('TC_VEND_013: Vendor Product Creation', function() {
@@ -24,11 +26,8 @@ describe('TC_VEND_013: Vendor Product Creation', function() {
     let loginPage;
     let vendorProductPage;
     
-    // Test credentials - UPDATE WITH ACTUAL VENDOR USER
-    const vendorUser = {
-        email: process.env.TEST_VENDOR_EMAIL || 'vendor@gmail.com',
-        password: process.env.TEST_VENDOR_PASSWORD || 'password123'
-    };
+    // Test credentials - test-data.json users.vendor (VENDOR_EMAIL / VENDOR_PASSWORD)
+    const vendorUser = testData.user('vendor');
     
     // Test product data
     const testProduct = {
@@ -42,7 +41,7 @@ describe('TC_VEND_013: Vendor Product Creation', function() {
 
     before(async function() {
         console.log('🚀 Starting TC_VEND_013: Vendor Product Creation test...');
-        driver = await BasePage.createDriver();
+        driver = await driverPool.acquire({ name: this.test.parent.fullTitle() });
         loginPage = new LoginPage(driver);
         vendorProductPage = new VendorProductPage(driver);
     });
@@ -50,7 +49,7 @@ describe('TC_VEND_013: Vendor Product Creation', function() {
     after(async function() {
         if (driver) {
             console.log('🧹 Cleaning up...');
-            await driver.quit();
+            await driverPool.release(driver);
         }
     });
 